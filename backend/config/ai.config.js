@@ -15,7 +15,13 @@ export default {
   RATE_LIMIT: {
     PER_USER: parseInt(process.env.AI_RATE_LIMIT_PER_USER) || 20,
     WINDOW_MINUTES: parseInt(process.env.AI_RATE_LIMIT_WINDOW_MINUTES) || 60,
-    DAILY_LIMIT: 100, // Max AI requests per user per day
+    DAILY_LIMIT: parseInt(process.env.AI_DAILY_LIMIT) || 100, // Max AI requests per user per day
+    DAILY_TOKEN_LIMIT: parseInt(process.env.AI_DAILY_TOKEN_LIMIT) || 50000, // Max estimated tokens per user per day
+    // Roles that need more headroom (counselors reviewing cases, admins testing)
+    ROLE_OVERRIDES: {
+      counselor: { DAILY_LIMIT: 500, DAILY_TOKEN_LIMIT: 250000 },
+      admin: { DAILY_LIMIT: 2000, DAILY_TOKEN_LIMIT: 1000000 },
+    },
   },
 
   // Crisis Detection
@@ -46,6 +52,14 @@ export default {
       NATIONAL: process.env.NATIONAL_CRISIS_HOTLINE || '988',
       CAMPUS: process.env.CAMPUS_HOTLINE || 'Contact your campus counseling center',
     },
+
+    // Unacknowledged high-risk alerts are re-sent to a wider audience after this window
+    ESCALATION: {
+      WINDOW_MINUTES: parseInt(process.env.CRISIS_ESCALATION_MINUTES) || 15,
+      CHECK_INTERVAL_MS: 60 * 1000,
+      // Comma-separated on-call addresses that receive escalations in addition to staff
+      EMAILS: (process.env.CRISIS_ESCALATION_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean),
+    },
   },
 
   // Sentiment Analysis
@@ -88,9 +102,10 @@ export default {
 
   // Caching
   CACHE: {
-    ENABLED: true,
-    TTL_SECONDS: 3600, // 1 hour
-    MAX_CACHE_SIZE: 1000, // Maximum cached responses
+    ENABLED: process.env.AI_CACHE_ENABLED !== 'false',
+    BACKEND: process.env.AI_CACHE_BACKEND || 'memory', // memory (per instance, LRU) | mongo (shared, TTL collection)
+    TTL_SECONDS: parseInt(process.env.AI_CACHE_TTL_SECONDS) || 3600, // 1 hour
+    MAX_CACHE_SIZE: 1000, // Maximum cached responses (memory backend)
   },
 
   // Monitoring
@@ -1,9 +1,10 @@
 import MetricsDaily from "../models/metricsDaily.model.js";
-import AnalyticsEvent from "../models/analysticsEvent.model.js";
+import CrisisEvent from "../models/crisisEvent.model.js";
 import User from "../models/user.model.js";
 import ForumPost from "../models/forumPost.model.js";
 import ForumComment from "../models/forumComment.model.js";
 import ForumReaction from "../models/forumReaction.model.js";
+import aiCache from "../services/cache/ai-cache.service.js";
 
 // GET /admin/metrics/overview
 export const metricsOverview = async (req, res) => {
@@ -21,10 +22,27 @@ export const metricsOverview = async (req, res) => {
     } catch (err) { res.status(500).json({ error: err.message }); }
 };
 
-// GET /admin/risk-alerts
+// GET /admin/metrics/ai-cache - Hit/miss counters for this instance
+export const aiCacheStats = async (req, res) => {
+    try {
+        res.json(await aiCache.getStats());
+    } catch (err) { res.status(500).json({ error: err.message }); }
+};
+
+// GET /admin/risk-alerts - Unresolved medium/high crisis cases
 export const riskAlerts = async (req, res) => {
     try {
-        const alerts = await AnalyticsEvent.find({ type: "risk" }).sort({ createdAt: -1 });
+        const limit = Number(req.query.limit) || 20;
+        const open = (riskLevel, max) => CrisisEvent.find({ status: { $ne: "resolved" }, riskLevel })
+            .populate("userId", "firstName lastName email")
+            .populate("assignedTo", "firstName lastName role")
+            .select("-notes -auditTrail")
+            .sort({ createdAt: -1 })
+            .limit(max);
+
+        // High risk first, newest first within each level; medium cases only fill what's left
+        const high = await open("high", limit);
+        const alerts = high.length < limit ? [...high, ...await open("medium", limit - high.length)] : high;
         res.json(alerts);
     } catch (err) { res.status(500).json({ error: err.message }); }
 };
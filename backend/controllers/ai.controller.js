@@ -14,6 +14,9 @@ import AIMessage from '../models/aiMessage.model.js';
 import JournalEntry from '../models/journalEntry.model.js';
 import aiOrchestratorService from '../services/ai-orchestrator.service.js';
 import streamingService from '../services/streaming.service.js';
+import promptsService from '../services/prompts.service.js';
+import resourceRecommendationService from '../services/resource-recommendation.service.js';
+import trashService from '../services/trash.service.js';
 
 /**
  * Create a new conversation
@@ -56,6 +59,13 @@ export const createConversation = async (req, res) => {
           error: 'Journal not found'
         });
       }
+
+      if (journal.e2e?.ciphertext) {
+        return res.status(400).json({
+          success: false,
+          error: 'Reflection chat is not available for end-to-end encrypted entries'
+        });
+      }
     }
 
     // Check if user has any empty conversations (prevent duplicates)
@@ -66,7 +76,8 @@ export const createConversation = async (req, res) => {
     const query = {
       userId,
       type, // Only check for same type
-      messageCount: 0
+      messageCount: 0,
+      deletedAt: null
     };
     
     console.log(`[AI CREATE] Query:`, JSON.stringify(query));
@@ -150,8 +161,13 @@ export const getConversation = async (req, res) => {
 
     const conversation = await AIConversation.findOne({
       _id: id,
-      userId
-    }).populate('journalEntryId', 'content mood createdAt');
+      userId,
+      deletedAt: null
+    }).populate({
+      path: 'journalEntryId',
+      select: 'content mood createdAt',
+      match: { deletedAt: null } // A trashed entry stays hidden
+    });
 
     if (!conversation) {
       return res.status(404).json({
@@ -215,6 +231,7 @@ export const listConversations = async (req, res) => {
       query = {
         $and: [
           { userId },
+          { deletedAt: null },
           {
             $or: [
               { type: type }, // Explicit type match
@@ -226,7 +243,7 @@ export const listConversations = async (req, res) => {
       };
       console.log(`[AI LIST] FILTERING by type: "${type}" (including legacy conversations without type)`);
     } else {
-      query = { userId };
+      query = { userId, deletedAt: null };
       console.log(`[AI LIST] WARNING: No type filter - showing ALL types`);
     }
     
@@ -331,7 +348,8 @@ export const sendMessage = async (req, res) => {
     // Verify conversation
     const conversation = await AIConversation.findOne({
       _id: conversationId,
-      userId
+      userId,
+      deletedAt: null
     });
 
     if (!conversation) {
@@ -343,11 +361,14 @@ export const sendMessage = async (req, res) => {
 
     console.log(`[AI Chat Controller] Sending message in conversation: ${conversationId}`);
 
-    // Save user message
+    // Save user message, tagged with its topic for resource recommendations
+    const { topic } = promptsService.detectTopic(content);
     const userMessage = await AIMessage.create({
       conversationId,
+      userId,
       role: 'user',
       content: content.trim(),
+      metadata: { topic },
       status: 'delivered',
       createdAt: new Date()
     });
@@ -386,6 +407,16 @@ export const sendMessage = async (req, res) => {
       })
     });
 
+    // Resources for what the message was about; crisis replies already carry their own
+    let recommendations = [];
+    if (!aiResponse.metadata.isCrisis) {
+      try {
+        recommendations = await resourceRecommendationService.getForChatTopic(topic);
+      } catch (error) {
+        console.warn('[AI Chat Controller] Failed to load recommendations:', error.message);
+      }
+    }
+
     console.log(`[AI Chat Controller] Message sent successfully`, {
       crisis: aiResponse.metadata.isCrisis,
       riskLevel: aiResponse.metadata.riskLevel
@@ -406,7 +437,8 @@ export const sendMessage = async (req, res) => {
         createdAt: aiMessage.createdAt,
         isCrisis: aiResponse.metadata.isCrisis,
         riskLevel: aiResponse.metadata.riskLevel,
-        resources: aiResponse.metadata.crisisResources
+        resources: aiResponse.metadata.crisisResources,
+        recommendations
       }
     });
 
@@ -477,7 +509,8 @@ export const getMessages = async (req, res) => {
     // Verify conversation
     const conversation = await AIConversation.findOne({
       _id: conversationId,
-      userId
+      userId,
+      deletedAt: null
     });
 
     if (!conversation) {
@@ -540,7 +573,7 @@ export const updateConversation = async (req, res) => {
     const userId = req.userId;
     const { status, title } = req.body;
 
-    const conversation = await AIConversation.findOne({ _id: id, userId });
+    const conversation = await AIConversation.findOne({ _id: id, userId, deletedAt: null });
 
     if (!conversation) {
       return res.status(404).json({
@@ -575,60 +608,104 @@ export const updateConversation = async (req, res) => {
 };
 
 /**
- * Delete a conversation
+ * Delete a conversation (moves it to the trash)
  * DELETE /api/ai/conversations/:id
  */
 export const deleteConversation = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.userId;
+    const conversation = await trashService.trashConversation(req.userId, req.params.id);
 
-    console.log(`[AI DELETE] Starting delete for conversation ${id} by user ${userId}`);
-
-    // Verify conversation exists and belongs to user
-    const conversation = await AIConversation.findOne({ _id: id, userId });
+    res.json({
+      success: true,
+      message: 'Conversation moved to trash',
+      deletedAt: conversation.deletedAt,
+      retentionDays: trashService.retentionDays
+    });
 
-    if (!conversation) {
-      console.log(`[AI DELETE] Conversation ${id} not found for user ${userId}`);
-      return res.status(404).json({
-        success: false,
-        error: 'Conversation not found'
-      });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('[AI DELETE] Delete conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete conversation',
+      details: error.message
+    });
+  }
+};
 
-    console.log(`[AI DELETE] Found conversation ${id}, title: "${conversation.title}"`);
-    console.log(`[AI DELETE] Deleting messages for conversation ${id}...`);
+/**
+ * List conversations in the trash
+ * GET /api/ai/conversations/trash
+ */
+export const listConversationTrash = async (req, res) => {
+  try {
+    const { conversations, retentionDays } = await trashService.listConversations(req.userId);
 
-    // Delete all messages in this conversation first
-    const messagesResult = await AIMessage.deleteMany({ conversationId: id });
-    console.log(`[AI DELETE] Deleted ${messagesResult.deletedCount} messages`);
+    res.json({
+      success: true,
+      conversations,
+      retentionDays
+    });
 
-    // Now delete the conversation itself
-    console.log(`[AI DELETE] Deleting conversation document ${id}...`);
-    const conversationResult = await AIConversation.findByIdAndDelete(id);
-    
-    if (!conversationResult) {
-      console.error(`[AI DELETE] Failed to delete conversation ${id} - not found in second query`);
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to delete conversation'
-      });
+  } catch (error) {
+    console.error('[AI Chat Controller] List trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve trash'
+    });
+  }
+};
+
+/**
+ * Restore a conversation from the trash
+ * POST /api/ai/conversations/:id/restore
+ */
+export const restoreConversation = async (req, res) => {
+  try {
+    const conversation = await trashService.restoreConversation(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Conversation restored',
+      conversation
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('[AI Chat Controller] Restore conversation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore conversation'
+    });
+  }
+};
 
-    console.log(`[AI DELETE] Successfully deleted conversation ${id} and its ${messagesResult.deletedCount} messages`);
+/**
+ * Permanently delete a conversation and its messages from the trash
+ * DELETE /api/ai/conversations/trash/:id
+ */
+export const deleteConversationPermanently = async (req, res) => {
+  try {
+    const deletedMessages = await trashService.deleteConversationForever(req.userId, req.params.id);
 
     res.json({
       success: true,
-      message: 'Conversation deleted successfully',
-      deletedMessages: messagesResult.deletedCount
+      message: 'Conversation permanently deleted',
+      deletedMessages
     });
 
   } catch (error) {
-    console.error('[AI DELETE] Delete conversation error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('[AI Chat Controller] Permanent delete error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to delete conversation',
-      details: error.message
+      error: 'Failed to delete conversation'
     });
   }
 };
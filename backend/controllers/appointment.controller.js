@@ -0,0 +1,174 @@
+import Appointment, { APPOINTMENT_STATUSES, SESSION_TYPES } from "../models/appointment.model.js";
+import mongoose from "mongoose";
+import appointmentService from "../services/appointment.service.js";
+
+const PARTICIPANT_FIELDS = "firstName lastName name avatarUrl counselorDetails.title counselorDetails.timezone";
+
+// Load an appointment the signed-in user takes part in, or answer 400/404
+const findParticipantAppointment = async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(400).json({ success: false, error: "Invalid appointment ID" });
+        return null;
+    }
+
+    const appointment = await Appointment.findOne({
+        _id: req.params.id,
+        $or: [{ studentId: req.userId }, { counselorId: req.userId }]
+    });
+    if (!appointment) {
+        res.status(404).json({ success: false, error: "Appointment not found" });
+        return null;
+    }
+
+    return appointment;
+};
+
+const withParticipants = (appointment) => appointment.populate([
+    { path: "counselorId", select: PARTICIPANT_FIELDS },
+    { path: "studentId", select: PARTICIPANT_FIELDS }
+]);
+
+const parseStartsAt = (value) => {
+    const startsAt = value ? new Date(value) : null;
+    return startsAt && !Number.isNaN(startsAt.getTime()) ? startsAt : null;
+};
+
+// POST /appointments - Book a slot with a counselor
+export const bookAppointment = async (req, res) => {
+    try {
+        const { counselorId, sessionType = "video", notes } = req.body;
+        const startsAt = parseStartsAt(req.body.startsAt);
+
+        if (!mongoose.isValidObjectId(counselorId)) {
+            return res.status(400).json({ success: false, error: "Invalid counselor ID" });
+        }
+        if (!startsAt) {
+            return res.status(400).json({ success: false, error: "A valid start time is required" });
+        }
+        if (!SESSION_TYPES.includes(sessionType)) {
+            return res.status(400).json({ success: false, error: `sessionType must be one of: ${SESSION_TYPES.join(", ")}` });
+        }
+
+        const appointment = await appointmentService.book({
+            studentId: req.userId,
+            counselorId,
+            startsAt,
+            sessionType,
+            notes
+        });
+
+        res.status(201).json({ success: true, data: await withParticipants(appointment) });
+    } catch (err) {
+        const status = err.statusCode || (err.name === "ValidationError" ? 400 : 500);
+        res.status(status).json({ success: false, error: err.message });
+    }
+};
+
+// GET /appointments?as=student|counselor&status=&from=&to=
+export const listAppointments = async (req, res) => {
+    try {
+        const { as, status, from, to, limit = 50 } = req.query;
+
+        const query = as === "student" ? { studentId: req.userId }
+            : as === "counselor" ? { counselorId: req.userId }
+            : { $or: [{ studentId: req.userId }, { counselorId: req.userId }] };
+
+        if (status) {
+            const statuses = String(status).split(",");
+            if (statuses.some(s => !APPOINTMENT_STATUSES.includes(s))) {
+                return res.status(400).json({ success: false, error: "Invalid status filter" });
+            }
+            query.status = { $in: statuses };
+        }
+        if (from || to) {
+            query.startsAt = {};
+            if (from) query.startsAt.$gte = new Date(from);
+            if (to) query.startsAt.$lt = new Date(to);
+        }
+
+        const appointments = await Appointment.find(query)
+            .populate("counselorId", PARTICIPANT_FIELDS)
+            .populate("studentId", PARTICIPANT_FIELDS)
+            .sort({ startsAt: 1 })
+            .limit(Math.min(Number(limit) || 50, 200));
+
+        res.json({ success: true, data: appointments });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /appointments/:id
+export const getAppointment = async (req, res) => {
+    try {
+        const appointment = await findParticipantAppointment(req, res);
+        if (!appointment) return;
+
+        res.json({ success: true, data: await withParticipants(appointment) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /appointments/:id - Reschedule to another open slot
+export const rescheduleAppointment = async (req, res) => {
+    try {
+        const startsAt = parseStartsAt(req.body.startsAt);
+        if (!startsAt) {
+            return res.status(400).json({ success: false, error: "A valid start time is required" });
+        }
+
+        const appointment = await findParticipantAppointment(req, res);
+        if (!appointment) return;
+
+        await appointmentService.reschedule(appointment, startsAt, req.userId);
+        res.json({ success: true, data: await withParticipants(appointment) });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /appointments/:id/cancel
+export const cancelAppointment = async (req, res) => {
+    try {
+        const { reason } = req.body || {};
+        if (reason && reason.length > 500) {
+            return res.status(400).json({ success: false, error: "Reason must be 500 characters or fewer" });
+        }
+
+        const appointment = await findParticipantAppointment(req, res);
+        if (!appointment) return;
+
+        await appointmentService.cancel(appointment, req.userId, reason);
+        res.json({ success: true, data: await withParticipants(appointment) });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /appointments/:id/status - Counselor records how a past session went
+export const updateAppointmentStatus = async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!["completed", "no_show"].includes(status)) {
+            return res.status(400).json({ success: false, error: "Status must be completed or no_show" });
+        }
+
+        const appointment = await findParticipantAppointment(req, res);
+        if (!appointment) return;
+
+        if (String(appointment.counselorId) !== String(req.userId)) {
+            return res.status(403).json({ success: false, error: "Only the counselor can update the session outcome" });
+        }
+        if (appointment.status === "cancelled" || appointment.startsAt > new Date()) {
+            return res.status(400).json({ success: false, error: "Only past, uncancelled sessions can be marked" });
+        }
+
+        appointment.status = status;
+        await appointment.save();
+
+        res.json({ success: true, data: await withParticipants(appointment) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
@@ -1,8 +1,13 @@
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import otpGenerator from "otp-generator";
 import User from "../models/user.model.js";
-import { sendVerificationEmail, sendWelcomeEmail } from "../services/email.service.js";
+import sessionService from "../services/session.service.js";
+import {
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    queueEmail
+} from "../services/email.service.js";
+import { resolveTimeZone } from "../services/timezone.service.js";
 
 // Helper function to generate OTP
 const generateOTP = () => {
@@ -17,7 +22,7 @@ const generateOTP = () => {
 // POST /auth/signup
 export const signup = async (req, res) => {
     try {
-        const { email, password, name, firstName, lastName, university, academicYear } = req.body;
+        const { email, password, name, firstName, lastName, university, academicYear, timezone } = req.body;
         
         // Check if user already exists
         const existing = await User.findOne({ email });
@@ -56,6 +61,7 @@ export const signup = async (req, res) => {
             lastName,
             university,
             academicYear,
+            timezone: resolveTimeZone(timezone),
             emailVerified: false,
             verificationOTP: otpHash,
             otpExpiry,
@@ -170,21 +176,12 @@ export const verifyOTP = async (req, res) => {
         await user.save();
 
         // Send welcome email (non-blocking)
-        sendWelcomeEmail(user.email, user.name).catch(err => 
-            console.error('Failed to send welcome email:', err)
+        queueEmail('sendWelcomeEmail', user.email, user.name).catch(err => 
+            console.error('Failed to queue welcome email:', err)
         );
 
-        // Generate tokens
-        const accessToken = jwt.sign(
-            { id: user._id, role: user.role }, 
-            process.env.JWT_ACCESS_SECRET, 
-            { expiresIn: "15m" }
-        );
-        const refreshToken = jwt.sign(
-            { id: user._id, role: user.role }, 
-            process.env.JWT_REFRESH_SECRET, 
-            { expiresIn: "7d" }
-        );
+        // Start a session and generate tokens
+        const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
         res.json({ 
             success: true,
@@ -197,6 +194,7 @@ export const verifyOTP = async (req, res) => {
                     email: user.email,
                     name: user.name,
                     role: user.role,
+                    timezone: user.timezone,
                     emailVerified: true
                 }
             } 
@@ -315,16 +313,7 @@ export const login = async (req, res) => {
             });
         }
 
-        const accessToken = jwt.sign(
-            { id: user._id, role: user.role }, 
-            process.env.JWT_ACCESS_SECRET, 
-            { expiresIn: "15m" }
-        );
-        const refreshToken = jwt.sign(
-            { id: user._id, role: user.role }, 
-            process.env.JWT_REFRESH_SECRET, 
-            { expiresIn: "7d" }
-        );
+        const { accessToken, refreshToken } = await sessionService.createSession(user, req);
 
         // Update last active
         await User.findByIdAndUpdate(user._id, { lastActive: new Date() });
@@ -339,7 +328,9 @@ export const login = async (req, res) => {
                     email: user.email,
                     name: user.name,
                     role: user.role,
-                    emailVerified: user.emailVerified
+                    timezone: user.timezone,
+                    emailVerified: user.emailVerified,
+                    deletionScheduledFor: user.deletionScheduledFor
                 }
             } 
         });
@@ -350,29 +341,186 @@ export const login = async (req, res) => {
 };
 
 // POST /auth/refresh
+// Rotates the refresh token on every call; replaying an old one revokes the session
 export const refresh = async (req, res) => {
     try {
         const { refreshToken } = req.body;
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-        const newAccess = jwt.sign(
-            { id: decoded.id, role: decoded.role }, 
-            process.env.JWT_ACCESS_SECRET, 
-            { expiresIn: "15m" }
-        );
-        res.json({ success: true, data: { accessToken: newAccess } });
-    } catch {
-        res.status(401).json({ success: false, error: "Invalid refresh token" }); 
+        if (!refreshToken) {
+            return res.status(401).json({ success: false, error: "Refresh token is required" });
+        }
+
+        const tokens = await sessionService.rotate(refreshToken, req);
+        res.json({ 
+            success: true, 
+            data: { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken } 
+        });
+    } catch (err) {
+        // A parallel refresh (e.g. another tab) rotated this token a moment ago; the session is fine
+        if (err.code === "REFRESH_RACED") {
+            return res.status(409).json({ success: false, error: err.message, code: err.code });
+        }
+        res.status(401).json({ 
+            success: false, 
+            error: "Invalid refresh token",
+            ...(err.code && { code: err.code })
+        }); 
+    }
+};
+
+// POST /auth/logout
+// Revokes the session behind the refresh token (or the current access token)
+export const logout = async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        const target = refreshToken
+            ? sessionService.decodeRefreshToken(refreshToken)
+            : (req.sessionId && { userId: req.userId, sessionId: req.sessionId });
+
+        if (target) {
+            await sessionService.revokeSession(target.sessionId, target.userId, 'logout');
+        }
+
+        res.json({ success: true, message: "Logged out successfully" });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ success: false, error: err.message });
     }
 };
 
 // POST /auth/request-password-reset
 export const requestPasswordReset = async (req, res) => {
-    res.json({ success: true, message: "Not implemented yet" });
+    // Security: Always return the same response so the endpoint can't be used to discover accounts
+    const genericResponse = {
+        success: true,
+        message: "If an account exists for that email, a password reset code has been sent."
+    };
+
+    try {
+        const { email } = req.body;
+
+        if (typeof email !== "string" || !email.trim()) {
+            return res.status(400).json({ 
+                success: false,
+                error: "Email is required" 
+            });
+        }
+
+        const user = await User.findOne({ email: email.trim().toLowerCase() })
+            .select('+lastPasswordResetSentAt');
+
+        if (!user || !user.emailVerified) {
+            return res.json(genericResponse);
+        }
+
+        // Rate limiting: Prevent sending reset codes too frequently (60 seconds)
+        if (user.lastPasswordResetSentAt) {
+            const timeSinceLastReset = Date.now() - user.lastPasswordResetSentAt.getTime();
+            if (timeSinceLastReset < 60 * 1000) {
+                return res.json(genericResponse);
+            }
+        }
+
+        // Generate reset OTP
+        const otp = generateOTP();
+        user.passwordResetOTP = await bcrypt.hash(otp, 10);
+        user.passwordResetExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
+        user.passwordResetAttempts = 0;
+        user.lastPasswordResetSentAt = new Date();
+        await user.save();
+
+        try {
+            await sendPasswordResetEmail(user.email, otp, user.name);
+        } catch (emailError) {
+            // Same answer as for unknown addresses, so a failed send doesn't reveal the account exists.
+            // Lift the cooldown so they can ask again straight away.
+            console.error('Failed to send password reset email:', emailError);
+            await User.updateOne({ _id: user._id }, { $unset: { lastPasswordResetSentAt: 1 } });
+        }
+
+        res.json(genericResponse);
+    } catch (err) {
+        console.error('Request password reset error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
 };
 
 // POST /auth/reset-password
 export const resetPassword = async (req, res) => {
-    res.json({ success: true, message: "Not implemented yet" });
+    try {
+        const { email, otp, newPassword } = req.body;
+
+        if (typeof email !== "string" || !email.trim()) {
+            return res.status(400).json({ success: false, error: "Email is required" });
+        }
+
+        const user = await User.findOne({ email: email.trim().toLowerCase() })
+            .select('+passwordResetOTP +passwordResetExpiry +passwordResetAttempts');
+
+        // Same error for unknown users and missing codes so accounts can't be probed
+        if (!user || !user.passwordResetOTP || !user.passwordResetExpiry) {
+            return res.status(400).json({ 
+                success: false,
+                error: "Invalid or expired reset code. Please request a new one." 
+            });
+        }
+
+        // Check if OTP expired
+        if (new Date() > user.passwordResetExpiry) {
+            return res.status(400).json({ 
+                success: false,
+                error: "Reset code has expired. Please request a new one.",
+                expired: true
+            });
+        }
+
+        // Use up one of the 5 attempts before checking the code, atomically, so parallel
+        // guesses can't get past the cap
+        const attempt = await User.findOneAndUpdate(
+            { _id: user._id, passwordResetOTP: user.passwordResetOTP, passwordResetAttempts: { $lt: 5 } },
+            { $inc: { passwordResetAttempts: 1 } },
+            { new: true }
+        ).select('+passwordResetAttempts');
+        if (!attempt) {
+            return res.status(429).json({ 
+                success: false,
+                error: "Too many failed attempts. Please request a new reset code." 
+            });
+        }
+
+        const isValidOTP = await bcrypt.compare(String(otp), user.passwordResetOTP);
+
+        if (!isValidOTP) {
+            return res.status(401).json({ 
+                success: false,
+                error: "Invalid reset code. Please try again.",
+                attemptsRemaining: 5 - attempt.passwordResetAttempts
+            });
+        }
+
+        // Code is valid - update password and consume the code
+        user.passwordHash = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        user.passwordResetOTP = undefined;
+        user.passwordResetExpiry = undefined;
+        user.passwordResetAttempts = 0;
+        await user.save();
+
+        // Sign out every device that was using the old password
+        await sessionService.revokeAllForUser(user._id, 'password_reset');
+
+        // Send confirmation email (non-blocking)
+        queueEmail('sendPasswordChangedEmail', user.email, user.name).catch(err => 
+            console.error('Failed to queue password changed email:', err)
+        );
+
+        res.json({ 
+            success: true,
+            message: "Password reset successfully. Please log in with your new password." 
+        });
+    } catch (err) {
+        console.error('Reset password error:', err);
+        res.status(500).json({ success: false, error: err.message });
+    }
 };
 
 // GET /auth/me
@@ -407,17 +555,8 @@ export const adminElevate = async (req, res) => {
             await user.save();
         }
 
-        // Issue fresh tokens with updated role
-        const accessToken = jwt.sign(
-            { id: user._id, role: user.role },
-            process.env.JWT_ACCESS_SECRET,
-            { expiresIn: '15m' }
-        );
-        const refreshToken = jwt.sign(
-            { id: user._id, role: user.role },
-            process.env.JWT_REFRESH_SECRET,
-            { expiresIn: '7d' }
-        );
+        // Issue fresh tokens with updated role within the current session
+        const { accessToken, refreshToken } = await sessionService.reissue(user, req.sessionId, req);
 
         res.json({
             success: true,
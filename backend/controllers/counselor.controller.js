@@ -0,0 +1,328 @@
+import User from "../models/user.model.js";
+import mongoose from "mongoose";
+import _ from "lodash";
+import appointmentService from "../services/appointment.service.js";
+import journalSharingService from "../services/journal-sharing.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SLOT_WINDOW_DAYS = 14;
+const MAX_SLOT_WINDOW_DAYS = 31;
+const PROFILE_FIELDS = ["title", "specialties", "languages", "sessionTypes", "bio", "experience"];
+
+// Public view of a counselor; contact details stay private
+const toCounselorResponse = (counselor) => {
+    const details = counselor.counselorDetails || {};
+    return {
+        id: counselor._id,
+        firstName: counselor.firstName,
+        lastName: counselor.lastName,
+        name: counselor.name,
+        avatarUrl: counselor.avatarUrl,
+        title: details.title,
+        specialties: details.specialties || [],
+        languages: details.languages || [],
+        sessionTypes: details.sessionTypes || [],
+        bio: details.bio,
+        experience: details.experience,
+        timezone: details.timezone || "UTC",
+        slotMinutes: details.slotMinutes || 50,
+        availabilitySlots: details.availabilitySlots || [],
+    };
+};
+
+// Case-insensitive exact match against an array field
+const matchesAny = (value) => new RegExp(`^${_.escapeRegExp(value)}$`, "i");
+
+// GET /counselors?specialty=&language=&sessionType=&q=
+export const listCounselors = async (req, res) => {
+    try {
+        const { specialty, language, sessionType, q } = req.query;
+        const query = { role: "counselor" };
+
+        if (specialty) query["counselorDetails.specialties"] = matchesAny(specialty);
+        if (language) query["counselorDetails.languages"] = matchesAny(language);
+        if (sessionType) query["counselorDetails.sessionTypes"] = sessionType;
+        if (q) {
+            const search = new RegExp(_.escapeRegExp(q), "i");
+            query.$or = [{ firstName: search }, { lastName: search }, { name: search }, { "counselorDetails.title": search }];
+        }
+
+        const [counselors, specialties, languages] = await Promise.all([
+            User.find(query).select("firstName lastName name avatarUrl counselorDetails").sort({ firstName: 1, lastName: 1 }),
+            User.distinct("counselorDetails.specialties", { role: "counselor" }),
+            User.distinct("counselorDetails.languages", { role: "counselor" }),
+        ]);
+
+        res.json({
+            success: true,
+            data: counselors.map(toCounselorResponse),
+            filters: { specialties: specialties.sort(), languages: languages.sort() }
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /counselors/me - The signed-in counselor's directory profile
+export const getMyCounselorProfile = async (req, res) => {
+    try {
+        const counselor = await User.findById(req.userId).select("firstName lastName name avatarUrl counselorDetails");
+        if (!counselor) {
+            return res.status(404).json({ success: false, error: "User not found" });
+        }
+
+        res.json({ success: true, data: toCounselorResponse(counselor) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /counselors/me
+export const updateMyCounselorProfile = async (req, res) => {
+    try {
+        const updateData = {};
+        for (const field of PROFILE_FIELDS) {
+            if (req.body[field] !== undefined) updateData[`counselorDetails.${field}`] = req.body[field];
+        }
+
+        const updated = await User.findByIdAndUpdate(req.userId, updateData, { new: true, runValidators: true })
+            .select("firstName lastName name avatarUrl counselorDetails");
+
+        res.json({ success: true, data: toCounselorResponse(updated) });
+    } catch (err) {
+        const status = err.name === "ValidationError" || err.name === "CastError" ? 400 : 500;
+        res.status(status).json({ success: false, error: err.message });
+    }
+};
+
+// PUT /counselors/me/availability - Replace the weekly bookable hours
+export const updateMyAvailability = async (req, res) => {
+    try {
+        const { timezone, slotMinutes = 50, availabilitySlots = [] } = req.body;
+        const settings = {
+            timezone,
+            slotMinutes: Number(slotMinutes),
+            availabilitySlots: Array.isArray(availabilitySlots)
+                ? availabilitySlots.map(slot => ({
+                    dayOfWeek: Number(slot?.dayOfWeek),
+                    startTime: slot?.startTime,
+                    endTime: slot?.endTime
+                }))
+                : availabilitySlots
+        };
+
+        const error = appointmentService.validateAvailability(settings);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        // Already-booked appointments keep their times; only new bookings follow the new hours
+        const updated = await User.findByIdAndUpdate(
+            req.userId,
+            {
+                "counselorDetails.timezone": settings.timezone,
+                "counselorDetails.slotMinutes": settings.slotMinutes,
+                "counselorDetails.availabilitySlots": settings.availabilitySlots
+            },
+            { new: true }
+        ).select("firstName lastName name avatarUrl counselorDetails");
+
+        res.json({ success: true, data: toCounselorResponse(updated) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /counselors/:id
+export const getCounselor = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid counselor ID" });
+        }
+
+        const counselor = await User.findOne({ _id: req.params.id, role: "counselor" })
+            .select("firstName lastName name avatarUrl counselorDetails");
+        if (!counselor) {
+            return res.status(404).json({ success: false, error: "Counselor not found" });
+        }
+
+        res.json({ success: true, data: toCounselorResponse(counselor) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /counselors/:id/slots?from=&to=&excludeAppointmentId= - Open slots in a date range
+export const getCounselorSlots = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid counselor ID" });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : new Date();
+        const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + DEFAULT_SLOT_WINDOW_DAYS * DAY_MS);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to <= from) {
+            return res.status(400).json({ success: false, error: "Invalid date range" });
+        }
+        if (to - from > MAX_SLOT_WINDOW_DAYS * DAY_MS) {
+            return res.status(400).json({ success: false, error: `Date range can't exceed ${MAX_SLOT_WINDOW_DAYS} days` });
+        }
+
+        const counselor = await User.findOne({ _id: req.params.id, role: "counselor" }).select("counselorDetails");
+        if (!counselor) {
+            return res.status(404).json({ success: false, error: "Counselor not found" });
+        }
+
+        const { excludeAppointmentId } = req.query;
+        const slots = await appointmentService.getAvailableSlots(counselor, from, to, {
+            excludeAppointmentId: mongoose.isValidObjectId(excludeAppointmentId) ? excludeAppointmentId : undefined
+        });
+
+        res.json({
+            success: true,
+            data: {
+                timezone: counselor.counselorDetails?.timezone || "UTC",
+                slotMinutes: counselor.counselorDetails?.slotMinutes || 50,
+                slots
+            }
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// Recorded with every read of a student's shared journal
+const accessMeta = (req) => ({ ipAddress: req.ip, userAgent: req.get("user-agent")?.substring(0, 300) });
+
+// GET /counselors/me/students - Students currently sharing journal entries with me
+export const listSharingStudents = async (req, res) => {
+    try {
+        const students = await journalSharingService.listSharingStudents(req.userId);
+        res.json({ success: true, data: students });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /counselors/me/shared-journals?studentId=&before= - Read-only; each entry returned is logged
+export const listSharedJournals = async (req, res) => {
+    try {
+        const { studentId, limit, before } = req.query;
+        if (!mongoose.isValidObjectId(studentId)) {
+            return res.status(400).json({ success: false, error: "Invalid student ID" });
+        }
+
+        const entries = await journalSharingService.getSharedEntries(req.userId, studentId, {
+            limit,
+            before,
+            meta: accessMeta(req)
+        });
+
+        res.json({ success: true, data: entries });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /counselors/me/shared-journals/:journalId
+export const getSharedJournal = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.journalId)) {
+            return res.status(400).json({ success: false, error: "Invalid journal ID" });
+        }
+
+        const entry = await journalSharingService.getSharedEntry(req.userId, req.params.journalId, { meta: accessMeta(req) });
+        if (!entry) {
+            // Same answer for missing and not-shared so entry IDs can't be probed
+            return res.status(404).json({ success: false, error: "Journal entry not found" });
+        }
+
+        res.json({ success: true, data: entry });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /counselors/me/shared-journals/:journalId/notes - My private notes on an entry
+export const listJournalNotes = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.journalId)) {
+            return res.status(400).json({ success: false, error: "Invalid journal ID" });
+        }
+
+        const notes = await journalSharingService.listNotes(req.userId, req.params.journalId);
+        if (!notes) {
+            return res.status(404).json({ success: false, error: "Journal entry not found" });
+        }
+
+        res.json({ success: true, data: notes });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /counselors/me/shared-journals/:journalId/notes
+export const addJournalNote = async (req, res) => {
+    try {
+        const { content } = req.body;
+        if (!mongoose.isValidObjectId(req.params.journalId)) {
+            return res.status(400).json({ success: false, error: "Invalid journal ID" });
+        }
+        if (!content || !content.trim()) {
+            return res.status(400).json({ success: false, error: "Note content is required" });
+        }
+        if (content.length > 5000) {
+            return res.status(400).json({ success: false, error: "Notes must be 5,000 characters or fewer" });
+        }
+
+        const note = await journalSharingService.addNote(req.userId, req.params.journalId, content);
+        if (!note) {
+            return res.status(404).json({ success: false, error: "Journal entry not found" });
+        }
+
+        res.status(201).json({ success: true, data: note });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /counselors/me/notes/:noteId
+export const updateJournalNote = async (req, res) => {
+    try {
+        const { content } = req.body;
+        if (!mongoose.isValidObjectId(req.params.noteId)) {
+            return res.status(400).json({ success: false, error: "Invalid note ID" });
+        }
+        if (!content || !content.trim()) {
+            return res.status(400).json({ success: false, error: "Note content is required" });
+        }
+
+        const note = await journalSharingService.updateNote(req.userId, req.params.noteId, content);
+        if (!note) {
+            return res.status(404).json({ success: false, error: "Note not found" });
+        }
+
+        res.json({ success: true, data: note });
+    } catch (err) {
+        const status = err.name === "ValidationError" ? 400 : 500;
+        res.status(status).json({ success: false, error: err.message });
+    }
+};
+
+// DELETE /counselors/me/notes/:noteId
+export const deleteJournalNote = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.noteId)) {
+            return res.status(400).json({ success: false, error: "Invalid note ID" });
+        }
+
+        const deleted = await journalSharingService.deleteNote(req.userId, req.params.noteId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, error: "Note not found" });
+        }
+
+        res.json({ success: true, message: "Note deleted" });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
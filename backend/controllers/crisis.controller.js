@@ -0,0 +1,240 @@
+import mongoose from "mongoose";
+import CrisisEvent, { CRISIS_STATUSES } from "../models/crisisEvent.model.js";
+import User from "../models/user.model.js";
+
+// Cases move forward one step at a time; any open case can be closed as resolved
+// (e.g. a false positive) and a resolved case can be reopened.
+const ALLOWED_TRANSITIONS = {
+    open: ["acknowledged", "resolved"],
+    acknowledged: ["contacted", "resolved"],
+    contacted: ["resolved"],
+    resolved: ["open"],
+};
+
+const ASSIGNABLE_ROLES = ["counselor", "moderator"];
+
+const populateCase = (query) => query
+    .populate("userId", "firstName lastName email")
+    .populate("assignedTo", "firstName lastName email role")
+    .populate("notes.authorId", "firstName lastName role")
+    .populate("auditTrail.actorId", "firstName lastName role");
+
+const isValidId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// GET /admin/crisis-events
+export const listCrisisEvents = async (req, res) => {
+    try {
+        const { status, riskLevel, source, assignedTo, cursor } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+        const query = {};
+        if (status && status !== "all") {
+            // "active" is shorthand for every unresolved case
+            query.status = status === "active" ? { $ne: "resolved" } : status;
+        }
+        if (riskLevel) query.riskLevel = riskLevel;
+        if (source) query.source = source;
+        if (assignedTo === "me") query.assignedTo = req.userId;
+        else if (assignedTo === "none") query.assignedTo = null;
+        else if (assignedTo && isValidId(assignedTo)) query.assignedTo = assignedTo;
+        if (cursor) {
+            if (!isValidId(cursor)) {
+                return res.status(400).json({ success: false, error: "Invalid cursor" });
+            }
+            query._id = { $lt: cursor };
+        }
+
+        const [events, statusCounts] = await Promise.all([
+            populateCase(CrisisEvent.find(query).sort({ _id: -1 }).limit(limit + 1))
+                .select("-notes -auditTrail"),
+            CrisisEvent.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+        ]);
+
+        const hasMore = events.length > limit;
+        const data = hasMore ? events.slice(0, limit) : events;
+
+        const counts = Object.fromEntries(CRISIS_STATUSES.map(s => [s, 0]));
+        statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+        res.json({
+            success: true,
+            data,
+            counts,
+            nextCursor: hasMore ? data[data.length - 1]._id : null,
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /admin/crisis-events/assignees - Staff who can own a crisis case
+export const listAssignees = async (req, res) => {
+    try {
+        const assignees = await User.find({ role: { $in: ASSIGNABLE_ROLES } })
+            .select("firstName lastName name email role")
+            .sort({ firstName: 1 });
+
+        res.json({ success: true, data: assignees });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /admin/crisis-events/:id
+export const getCrisisEvent = async (req, res) => {
+    try {
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid crisis event id" });
+        }
+
+        const event = await populateCase(CrisisEvent.findById(req.params.id));
+        if (!event) {
+            return res.status(404).json({ success: false, error: "Crisis event not found" });
+        }
+
+        res.json({ success: true, data: event });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /admin/crisis-events/:id/status
+export const updateCrisisStatus = async (req, res) => {
+    try {
+        const { status, resolution } = req.body;
+
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid crisis event id" });
+        }
+        if (!CRISIS_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: `Status must be one of: ${CRISIS_STATUSES.join(", ")}` });
+        }
+
+        const event = await CrisisEvent.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ success: false, error: "Crisis event not found" });
+        }
+
+        const fromStatus = event.status;
+        if (!ALLOWED_TRANSITIONS[fromStatus].includes(status)) {
+            return res.status(409).json({
+                success: false,
+                error: `Cannot move a case from ${fromStatus} to ${status}`,
+            });
+        }
+        if (status === "resolved" && !resolution?.trim()) {
+            return res.status(400).json({ success: false, error: "A resolution summary is required to resolve a case" });
+        }
+
+        const now = new Date();
+        event.status = status;
+        if (status === "acknowledged") event.acknowledgedAt = now;
+        if (status === "contacted") event.contactedAt = now;
+        if (status === "resolved") {
+            event.resolvedAt = now;
+            event.resolution = resolution.trim();
+        }
+        if (status === "open") {
+            event.resolvedAt = undefined;
+            event.resolution = undefined;
+        }
+
+        // Whoever picks up an unowned case becomes its owner if they can be assigned
+        if (status === "acknowledged" && !event.assignedTo && ASSIGNABLE_ROLES.includes(req.userRole)) {
+            event.assignedTo = req.userId;
+        }
+
+        event.auditTrail.push({
+            action: "status_changed",
+            actorId: req.userId,
+            fromStatus,
+            toStatus: status,
+            details: status === "resolved" ? resolution.trim() : undefined,
+        });
+        await event.save();
+
+        const updated = await populateCase(CrisisEvent.findById(event._id));
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /admin/crisis-events/:id/assign - Pass assigneeId: null to unassign
+export const assignCrisisEvent = async (req, res) => {
+    try {
+        const { assigneeId } = req.body;
+
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid crisis event id" });
+        }
+
+        const event = await CrisisEvent.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ success: false, error: "Crisis event not found" });
+        }
+
+        if (assigneeId) {
+            if (!isValidId(assigneeId)) {
+                return res.status(400).json({ success: false, error: "Invalid assignee id" });
+            }
+
+            const assignee = await User.findById(assigneeId).select("firstName lastName role");
+            if (!assignee || !ASSIGNABLE_ROLES.includes(assignee.role)) {
+                return res.status(400).json({ success: false, error: "Cases can only be assigned to counselors or moderators" });
+            }
+
+            event.assignedTo = assignee._id;
+            event.auditTrail.push({
+                action: "assigned",
+                actorId: req.userId,
+                details: `Assigned to ${assignee.firstName || ""} ${assignee.lastName || ""} (${assignee.role})`.replace(/\s+/g, " ").trim(),
+            });
+        } else {
+            if (!event.assignedTo) {
+                return res.status(400).json({ success: false, error: "Case is not assigned" });
+            }
+
+            event.assignedTo = undefined;
+            event.auditTrail.push({ action: "unassigned", actorId: req.userId });
+        }
+
+        await event.save();
+
+        const updated = await populateCase(CrisisEvent.findById(event._id));
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /admin/crisis-events/:id/notes
+export const addCrisisNote = async (req, res) => {
+    try {
+        const content = req.body.content?.trim();
+
+        if (!isValidId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid crisis event id" });
+        }
+        if (!content) {
+            return res.status(400).json({ success: false, error: "Note content is required" });
+        }
+        if (content.length > 2000) {
+            return res.status(400).json({ success: false, error: "Note must be 2000 characters or fewer" });
+        }
+
+        const event = await CrisisEvent.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({ success: false, error: "Crisis event not found" });
+        }
+
+        event.notes.push({ authorId: req.userId, content });
+        event.auditTrail.push({ action: "note_added", actorId: req.userId });
+        await event.save();
+
+        const updated = await populateCase(CrisisEvent.findById(event._id));
+        res.status(201).json({ success: true, data: updated });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
@@ -1,6 +1,14 @@
 import ForumPost from "../models/forumPost.model.js";
 import ForumComment from "../models/forumComment.model.js";
 import ForumReaction from "../models/forumReaction.model.js";
+import crisisDetectionService from "../services/crisis-detection.service.js";
+
+// Screen forum content for crisis signals without holding up the response
+const screenForCrisis = (text, userId, sourceId) => {
+  crisisDetectionService
+    .detectCrisis(text, userId, { source: "forum", sourceId })
+    .catch(err => console.error("[Forum] Crisis screening failed:", err.message));
+};
 
 // POST /forum/posts
 export const createPost = async (req, res) => {
@@ -25,6 +33,8 @@ export const createPost = async (req, res) => {
       console.log('[Socket.IO] Emitted forum:newPost event');
     }
     
+    screenForCrisis(`${title}\n${content}`, req.userId, post._id);
+
     res.status(201).json({ success: true, data: post });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
 };
@@ -184,6 +194,8 @@ export const addComment = async (req, res) => {
     
     // Populate user info before sending
     await comment.populate('userId', 'firstName lastName');
+
+    screenForCrisis(content, req.userId, comment._id);
     
     res.status(201).json({ success: true, data: comment });
   } catch (err) { res.status(500).json({ success: false, error: err.message }); }
@@ -0,0 +1,43 @@
+import jobQueueService from "../services/job-queue.service.js";
+
+// GET /admin/jobs?status=&type=&cursor=&limit= - Background jobs, newest first
+export const listJobs = async (req, res) => {
+    try {
+        const { jobs, counts, types, nextCursor } = await jobQueueService.list(req.query);
+        res.json({ success: true, data: jobs, counts, types, nextCursor });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /admin/jobs/:id - Includes the payload and recent failures
+export const getJob = async (req, res) => {
+    try {
+        const job = await jobQueueService.get(req.params.id);
+        res.json({ success: true, data: job });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /admin/jobs/:id/retry - Requeue a dead job with a fresh set of attempts
+export const retryJob = async (req, res) => {
+    try {
+        const job = await jobQueueService.retry(req.params.id);
+        console.log(`🧵 Job ${job._id} (${job.type}) requeued by admin ${req.userId}`);
+        res.json({ success: true, data: job });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /admin/jobs/retry-dead { type? } - Requeue every dead job, e.g. after an outage
+export const retryDeadJobs = async (req, res) => {
+    try {
+        const requeued = await jobQueueService.retryAll({ type: req.body?.type });
+        console.log(`🧵 ${requeued} dead job(s) requeued by admin ${req.userId}`);
+        res.json({ success: true, data: { requeued } });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
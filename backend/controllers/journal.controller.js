@@ -11,9 +11,14 @@
 
 import JournalEntry from '../models/journalEntry.model.js';
 import AnalyticsEvent from '../models/analysticsEvent.model.js';
-import AIConversation from '../models/aiConversation.model.js';
-import aiOrchestratorService from '../services/ai-orchestrator.service.js';
 import streamingService from '../services/streaming.service.js';
+import journalSharingService from '../services/journal-sharing.service.js';
+import journalAnalysisService from '../services/journal-analysis.service.js';
+import journalRevisionService from '../services/journal-revision.service.js';
+import journalEncryptionService from '../services/journal-encryption.service.js';
+import trashService from '../services/trash.service.js';
+import moodInsightsService from '../services/mood-insights.service.js';
+import { addDays, calendarDay, getUserTimeZone, startOfDay } from '../services/timezone.service.js';
 
 /**
  * Create a new journal entry
@@ -21,18 +26,21 @@ import streamingService from '../services/streaming.service.js';
  */
 export const createJournal = async (req, res) => {
   try {
-    const { content, mood, tags } = req.body;
+    const { content, e2e, mood, tags } = req.body;
     const userId = req.userId;
 
+    // End-to-end encrypted entries: ciphertext only, never analyzed on the server
+    const encrypted = e2e !== undefined ? await journalEncryptionService.checkEntryCiphertext(userId, e2e) : null;
+
     // Validation
-    if (!content || content.trim().length === 0) {
+    if (!encrypted && (!content || content.trim().length === 0)) {
       return res.status(400).json({
         success: false,
         error: 'Journal content is required'
       });
     }
 
-    if (content.length > 10000) {
+    if (!encrypted && content.length > 10000) {
       return res.status(400).json({
         success: false,
         error: 'Journal content too long (max 10,000 characters)'
@@ -51,10 +59,10 @@ export const createJournal = async (req, res) => {
     // Create journal entry
     const journal = await JournalEntry.create({
       userId,
-      content: content.trim(),
+      ...(encrypted ? { e2e: encrypted } : { content: content.trim() }),
       mood: mood || null,
       tags: tags || [],
-      status: 'analyzing',
+      status: encrypted ? 'draft' : 'analyzing',
       createdAt: new Date()
     });
 
@@ -68,15 +76,38 @@ export const createJournal = async (req, res) => {
         meta: {
           journalId: journal._id,
           mood: mood || null,
-          preview: content.trim().slice(0, 80)
+          preview: encrypted ? null : content.trim().slice(0, 80)
         }
       });
     } catch (e) {
       console.warn('[Journal Controller] Failed to log journal.created event', e?.message);
     }
 
-    // Start AI analysis in background (don't await)
-    analyzeJournalInBackground(journal._id, userId);
+    // An active date-range share may already cover the new entry
+    journalSharingService.refreshVisibility(userId).catch(e => {
+      console.warn('[Journal Controller] Failed to refresh journal visibility', e?.message);
+    });
+
+    if (encrypted) {
+      return res.status(201).json({
+        success: true,
+        message: 'Journal created successfully',
+        journal: {
+          _id: journal._id,
+          e2e: journal.e2e,
+          mood: journal.mood,
+          tags: journal.tags,
+          status: journal.status,
+          createdAt: journal.createdAt
+        },
+        analysisStatus: 'none'
+      });
+    }
+
+    // Queue AI analysis; if queueing fails the entry is picked up again on the next startup
+    journalAnalysisService.enqueue(journal._id, userId, req.userRole).catch(e => {
+      console.error('[Journal Controller] Failed to queue analysis: %s', journal._id, e);
+    });
 
     // Return immediately with journal
     res.status(201).json({
@@ -95,6 +126,9 @@ export const createJournal = async (req, res) => {
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('[Journal Controller] Create journal error:', error);
     res.status(500).json({
       success: false,
@@ -104,61 +138,6 @@ export const createJournal = async (req, res) => {
   }
 };
 
-/**
- * Background AI analysis function
- */
-/**
- * Analyze journal in background (async)
- */
-async function analyzeJournalInBackground(journalId, _userId) {
-  try {
-    console.log(`[Journal Controller] Starting background analysis: ${journalId}`);
-
-    // Perform AI analysis
-    const analysis = await aiOrchestratorService.analyzeJournal(journalId);
-
-    // Update journal with analysis results
-    await JournalEntry.findByIdAndUpdate(
-      journalId,
-      {
-        status: 'analyzed',
-        aiAnalysis: {
-          summary: analysis.summary,
-          insights: analysis.insights,
-          sentiment: analysis.sentiment,
-          riskAssessment: analysis.risk,
-          themes: analysis.risk.factors || [],
-          suggestedActions: analysis.suggestedActions,
-          processedAt: new Date(),
-          model: process.env.HUGGINGFACE_MODEL || 'zai-org/GLM-4.6'
-        }
-      },
-      { new: true }
-    );
-
-    console.log('[Journal Controller] Analysis complete: %s', journalId, {
-      sentiment: analysis.sentiment.label,
-      riskLevel: analysis.risk.level
-    });
-
-    // NO LONGER creating a separate conversation!
-    // Messages will be stored directly in the journal's reflectionMessages array
-    console.log(`[Journal Controller] Journal analysis complete - ready for reflection messages`);
-
-  } catch (error) {
-    console.error('[Journal Controller] Background analysis error: %s', journalId, error);
-
-    // Update journal status to error
-    await JournalEntry.findByIdAndUpdate(journalId, {
-      status: 'error',
-      aiAnalysis: {
-        error: error.message,
-        processedAt: new Date()
-      }
-    });
-  }
-}
-
 /**
  * Stream journal analysis progress (SSE)
  * GET /api/journals/:id/analyze-stream
@@ -169,7 +148,7 @@ export const streamJournalAnalysis = async (req, res) => {
     const userId = req.userId;
 
     // Verify journal ownership
-    const journal = await JournalEntry.findOne({ _id: id, userId });
+    const journal = await JournalEntry.findOne({ _id: id, userId, deletedAt: null });
 
     if (!journal) {
       return res.status(404).json({
@@ -178,6 +157,13 @@ export const streamJournalAnalysis = async (req, res) => {
       });
     }
 
+    if (journal.e2e?.ciphertext) {
+      return res.status(400).json({
+        success: false,
+        error: 'End-to-end encrypted entries are only analyzed on request'
+      });
+    }
+
     // Stream the analysis
     await streamingService.streamJournalAnalysis(res, id, userId);
 
@@ -220,10 +206,12 @@ export const getJournal = async (req, res) => {
       journal: {
         _id: journal._id,
         content: journal.content,
+        e2e: journal.e2e?.ciphertext ? journal.e2e : undefined,
         mood: journal.mood,
         tags: journal.tags,
         status: journal.status,
         aiAnalysis: journal.aiAnalysis,
+        version: journal.version,
         conversation: journal.conversationId,
         createdAt: journal.createdAt,
         updatedAt: journal.updatedAt
@@ -314,106 +302,187 @@ export const listJournals = async (req, res) => {
 };
 
 /**
- * Update journal entry (re-triggers analysis)
+ * Update journal entry (keeps the previous version, re-triggers analysis on meaningful changes)
  * PATCH /api/journals/:id
  */
 export const updateJournal = async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.userId;
-    const { content, mood, tags } = req.body;
+    const { content, e2e, mood, tags } = req.body;
 
-    const journal = await JournalEntry.findOne({ _id: id, userId, deletedAt: null });
+    const journal = await journalRevisionService.getOwnedEntry(id, userId);
+    const result = await journalRevisionService.edit(journal, { content, e2e, mood, tags }, { role: req.userRole });
 
-    if (!journal) {
-      return res.status(404).json({
-        success: false,
-        error: 'Journal not found'
-      });
-    }
+    res.json({
+      success: true,
+      message: result.revision ? 'Journal updated successfully' : 'No changes to save',
+      journal: result.journal,
+      revision: result.revision ? result.revision.version : null,
+      reanalysis: result.reanalysis
+    });
 
-    // Check if content changed
-    const contentChanged = content && content.trim() !== journal.content;
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('[Journal Controller] Update journal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update journal'
+    });
+  }
+};
 
-    // Update journal
-    const updateData = {
-      updatedAt: new Date()
-    };
+/**
+ * List earlier versions of a journal
+ * GET /api/journals/:id/revisions
+ */
+export const listJournalRevisions = async (req, res) => {
+  try {
+    const { currentVersion, revisions } = await journalRevisionService.list(req.params.id, req.userId);
 
-    if (content) updateData.content = content.trim();
-    if (mood !== undefined) updateData.mood = mood;
-    if (tags) updateData.tags = tags;
+    res.json({
+      success: true,
+      currentVersion,
+      revisions
+    });
 
-    // If content changed, re-trigger analysis
-    if (contentChanged) {
-      updateData.status = 'analyzing';
-      updateData.aiAnalysis = null; // Clear old analysis
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('[Journal Controller] List revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve revisions'
+    });
+  }
+};
 
-    const updatedJournal = await JournalEntry.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true }
-    );
-
-    // Re-analyze if content changed
-    if (contentChanged) {
-      analyzeJournalInBackground(id, userId);
-    }
+/**
+ * Restore an earlier version of a journal
+ * POST /api/journals/:id/revisions/:version/restore
+ */
+export const restoreJournalRevision = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const result = await journalRevisionService.restore(id, version, req.userId, req.userRole);
 
     res.json({
       success: true,
-      message: 'Journal updated successfully',
-      journal: updatedJournal,
-      reanalysis: contentChanged
+      message: result.revision ? `Restored version ${version}` : 'This version matches the current entry',
+      journal: result.journal,
+      revision: result.revision ? result.revision.version : null,
+      reanalysis: result.reanalysis
     });
 
   } catch (error) {
-    console.error('[Journal Controller] Update journal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('[Journal Controller] Restore revision error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update journal'
+      error: 'Failed to restore revision'
     });
   }
 };
 
 /**
- * Delete journal (soft delete)
+ * Delete journal (moves it to the trash)
  * DELETE /api/journals/:id
  */
 export const deleteJournal = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.userId;
+    const journal = await trashService.trashJournal(req.userId, req.params.id);
 
-    const journal = await JournalEntry.findOne({ _id: id, userId, deletedAt: null });
+    res.json({
+      success: true,
+      message: 'Journal moved to trash',
+      deletedAt: journal.deletedAt,
+      retentionDays: trashService.retentionDays
+    });
 
-    if (!journal) {
-      return res.status(404).json({
-        success: false,
-        error: 'Journal not found'
-      });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('[Journal Controller] Delete journal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete journal'
+    });
+  }
+};
 
-    // Soft delete
-    await JournalEntry.findByIdAndUpdate(id, {
-      deletedAt: new Date()
+/**
+ * List journals in the trash
+ * GET /api/journals/trash
+ */
+export const listJournalTrash = async (req, res) => {
+  try {
+    const { journals, retentionDays } = await trashService.listJournals(req.userId);
+
+    res.json({
+      success: true,
+      journals,
+      retentionDays
     });
 
-    // Also delete associated conversation (optional)
-    if (journal.conversationId) {
-      await AIConversation.findByIdAndUpdate(journal.conversationId, {
-        status: 'archived'
-      });
+  } catch (error) {
+    console.error('[Journal Controller] List trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve trash'
+    });
+  }
+};
+
+/**
+ * Restore a journal from the trash
+ * POST /api/journals/:id/restore
+ */
+export const restoreJournal = async (req, res) => {
+  try {
+    const journal = await trashService.restoreJournal(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Journal restored',
+      journal
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    console.error('[Journal Controller] Restore journal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore journal'
+    });
+  }
+};
+
+/**
+ * Permanently delete a journal from the trash
+ * DELETE /api/journals/trash/:id
+ */
+export const deleteJournalPermanently = async (req, res) => {
+  try {
+    await trashService.deleteJournalForever(req.userId, req.params.id);
 
     res.json({
       success: true,
-      message: 'Journal deleted successfully'
+      message: 'Journal permanently deleted'
     });
 
   } catch (error) {
-    console.error('[Journal Controller] Delete journal error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('[Journal Controller] Permanent delete error:', error);
     res.status(500).json({
       success: false,
       error: 'Failed to delete journal'
@@ -490,48 +559,11 @@ export const getJournalStats = async (req, res) => {
     const { timeRange = '30d' } = req.query;
 
     const days = parseInt(timeRange);
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    // Count whole days in the user's time zone, starting at their local midnight
+    const timeZone = await getUserTimeZone(userId);
+    const startDate = startOfDay(addDays(calendarDay(new Date(), timeZone), -days), timeZone);
 
-    const journals = await JournalEntry.find({
-      userId,
-      deletedAt: null,
-      createdAt: { $gte: startDate }
-    }).select('mood aiAnalysis createdAt');
-
-    // Calculate stats
-    const stats = {
-      total: journals.length,
-      avgMood: 0,
-      sentimentDistribution: { positive: 0, neutral: 0, negative: 0 },
-      riskDistribution: { low: 0, medium: 0, high: 0 },
-      journalingStreak: 0
-    };
-
-    // Average mood
-    const moodEntries = journals.filter(j => j.mood);
-    if (moodEntries.length > 0) {
-      stats.avgMood = (moodEntries.reduce((sum, j) => sum + j.mood, 0) / moodEntries.length).toFixed(1);
-    }
-
-    // Sentiment distribution
-    journals.forEach(j => {
-      const sentiment = j.aiAnalysis?.sentiment?.label;
-      if (sentiment && stats.sentimentDistribution[sentiment] !== undefined) {
-        stats.sentimentDistribution[sentiment]++;
-      }
-    });
-
-    // Risk distribution
-    journals.forEach(j => {
-      const risk = j.aiAnalysis?.riskAssessment?.level;
-      if (risk && stats.riskDistribution[risk] !== undefined) {
-        stats.riskDistribution[risk]++;
-      }
-    });
-
-    // Calculate journaling streak
-    stats.journalingStreak = await calculateJournalingStreak(userId);
+    const stats = await moodInsightsService.getJournalStats(userId, { from: startDate, timeZone });
 
     res.json({
       success: true,
@@ -548,40 +580,6 @@ export const getJournalStats = async (req, res) => {
   }
 };
 
-/**
- * Helper: Calculate journaling streak
- */
-async function calculateJournalingStreak(userId) {
-  const journals = await JournalEntry.find({ userId, deletedAt: null })
-    .sort({ createdAt: -1 })
-    .select('createdAt')
-    .lean();
-
-  if (journals.length === 0) return 0;
-
-  let streak = 1;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  for (let i = 0; i < journals.length - 1; i++) {
-    const current = new Date(journals[i].createdAt);
-    current.setHours(0, 0, 0, 0);
-
-    const next = new Date(journals[i + 1].createdAt);
-    next.setHours(0, 0, 0, 0);
-
-    const diffDays = Math.floor((current - next) / (1000 * 60 * 60 * 24));
-
-    if (diffDays === 1) {
-      streak++;
-    } else if (diffDays > 1) {
-      break;
-    }
-  }
-
-  return streak;
-}
-
 /**
  * Get reflection messages for a journal
  * GET /api/journals/:id/messages
@@ -648,6 +646,14 @@ export const sendJournalMessage = async (req, res) => {
       });
     }
 
+    // Reflections are stored with the entry, which would put its content back on the server
+    if (journal.e2e?.ciphertext) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reflection chat is not available for end-to-end encrypted entries'
+      });
+    }
+
     console.log(`[Journal Controller] Sending reflection message for journal: ${id}`);
 
     // Create user message
@@ -662,6 +668,8 @@ export const sendJournalMessage = async (req, res) => {
     
     // Get context: journal content + previous messages
     const context = {
+      userId,
+      journalId: journal._id,
       journalContent: journal.content,
       previousMessages: journal.reflectionMessages || []
     };
@@ -0,0 +1,94 @@
+import journalEncryptionService from "../services/journal-encryption.service.js";
+
+const handleError = (res, err, label) => {
+    if (err.statusCode) {
+        return res.status(err.statusCode).json({ success: false, error: err.message });
+    }
+    console.error(`[Journal Encryption] ${label} error:`, err);
+    res.status(500).json({ success: false, error: `Failed to ${label.toLowerCase()}` });
+};
+
+// GET /journals/encryption - Wrapped keys and KDF parameters for unlocking in the browser
+export const getEncryptionStatus = async (req, res) => {
+    try {
+        const status = await journalEncryptionService.getStatus(req.userId);
+        res.json({ success: true, data: status });
+    } catch (err) {
+        handleError(res, err, "Load encryption settings");
+    }
+};
+
+// POST /journals/encryption - Set up end-to-end encryption
+export const enableEncryption = async (req, res) => {
+    try {
+        const status = await journalEncryptionService.enable(req.userId, req.body);
+        res.status(201).json({ success: true, message: "Journal encryption is on", data: status });
+    } catch (err) {
+        handleError(res, err, "Set up encryption");
+    }
+};
+
+// PATCH /journals/encryption - Turn encryption of new entries on or off
+export const updateEncryption = async (req, res) => {
+    try {
+        if (typeof req.body.enabled !== "boolean") {
+            return res.status(400).json({ success: false, error: "enabled must be true or false" });
+        }
+        const status = await journalEncryptionService.setEnabled(req.userId, req.body.enabled);
+        res.json({ success: true, data: status });
+    } catch (err) {
+        handleError(res, err, "Update encryption settings");
+    }
+};
+
+// PUT /journals/encryption/keys - New passphrase or recovery code (same data keys, wrapped again)
+export const rewrapKeys = async (req, res) => {
+    try {
+        const status = await journalEncryptionService.rewrap(req.userId, req.body);
+        res.json({ success: true, message: "Journal keys updated", data: status });
+    } catch (err) {
+        handleError(res, err, "Update keys");
+    }
+};
+
+// POST /journals/encryption/rotate - Start using a new data key
+export const rotateKey = async (req, res) => {
+    try {
+        const status = await journalEncryptionService.rotate(req.userId, req.body);
+        res.json({ success: true, message: `Now using key version ${status.currentVersion}`, data: status });
+    } catch (err) {
+        handleError(res, err, "Rotate key");
+    }
+};
+
+// GET /journals/encryption/pending?includePlaintext=true - Next batch to (re-)encrypt
+export const listPendingEncryption = async (req, res) => {
+    try {
+        const pending = await journalEncryptionService.listPending(req.userId, {
+            includePlaintext: req.query.includePlaintext === "true"
+        });
+        res.json({ success: true, data: pending });
+    } catch (err) {
+        handleError(res, err, "Load entries to encrypt");
+    }
+};
+
+// POST /journals/encryption/reencrypt - Store a batch encrypted under the current key
+export const reencryptEntries = async (req, res) => {
+    try {
+        const result = await journalEncryptionService.reencrypt(req.userId, req.body);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        handleError(res, err, "Save encrypted entries");
+    }
+};
+
+// POST /journals/:id/analyze-transient - One-off analysis of an encrypted entry, with consent; nothing is stored
+export const analyzeTransient = async (req, res) => {
+    try {
+        const analysis = await journalEncryptionService.analyzeTransient(req.params.id, req.userId, req.userRole, req.body);
+        res.json({ success: true, data: analysis });
+    } catch (err) {
+        handleError(res, err, "Analyze entry");
+    }
+};
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import journalSharingService from "../services/journal-sharing.service.js";
+
+// POST /journals/shares - Share entries or a date range with a counselor
+export const createShare = async (req, res) => {
+    try {
+        const { counselorId, journalIds, from, to, expiresAt, expiresInDays, message } = req.body;
+
+        if (!mongoose.isValidObjectId(counselorId)) {
+            return res.status(400).json({ success: false, error: "Invalid counselor ID" });
+        }
+        if (journalIds !== undefined && (!Array.isArray(journalIds) || !journalIds.every(id => mongoose.isValidObjectId(id)))) {
+            return res.status(400).json({ success: false, error: "journalIds must be an array of journal IDs" });
+        }
+        if (message && message.length > 500) {
+            return res.status(400).json({ success: false, error: "Message must be 500 characters or fewer" });
+        }
+
+        const share = await journalSharingService.createShare(req.userId, {
+            counselorId,
+            journalIds,
+            from,
+            to,
+            expiresAt,
+            expiresInDays,
+            message
+        });
+
+        res.status(201).json({ success: true, data: share });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /journals/shares
+export const listShares = async (req, res) => {
+    try {
+        const shares = await journalSharingService.listShares(req.userId);
+        res.json({ success: true, data: shares });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// DELETE /journals/shares/:id - Revoke consent straight away
+export const revokeShare = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid share ID" });
+        }
+
+        const share = await journalSharingService.revokeShare(req.userId, req.params.id);
+        if (!share) {
+            return res.status(404).json({ success: false, error: "Share not found" });
+        }
+
+        res.json({ success: true, message: "Access revoked", data: share });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /journals/shares/access-log?counselorId=&before= - Every time a counselor read a shared entry
+export const getAccessLog = async (req, res) => {
+    try {
+        const { counselorId, limit, before } = req.query;
+        if (counselorId && !mongoose.isValidObjectId(counselorId)) {
+            return res.status(400).json({ success: false, error: "Invalid counselor ID" });
+        }
+
+        const entries = await journalSharingService.getAccessLog(req.userId, { counselorId, limit, before });
+        res.json({ success: true, data: entries });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
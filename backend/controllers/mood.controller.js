@@ -1,11 +1,13 @@
 import MoodLog from "../models/moodlog.model.js";
+import moodInsightsService from "../services/mood-insights.service.js";
+import { calendarDay, getUserTimeZone } from "../services/timezone.service.js";
 
 // PUT /moods/today
 export const upsertTodayMood = async (req, res) => {
   try {
     const { mood, notes } = req.body;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // "Today" is the student's calendar day, stored as UTC midnight of that date
+    const today = calendarDay(new Date(), await getUserTimeZone(req.userId));
 
     const entry = await MoodLog.findOneAndUpdate(
       { userId: req.userId, date: today },
@@ -19,7 +21,7 @@ export const upsertTodayMood = async (req, res) => {
   }
 };
 
-// GET /moods?from=&to=
+// GET /moods?from=&to= (YYYY-MM-DD calendar days)
 export const listMoods = async (req, res) => {
   try {
     const { from, to } = req.query;
@@ -37,3 +39,13 @@ export const listMoods = async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 };
+
+// GET /moods/insights?days=
+export const getMoodInsights = async (req, res) => {
+  try {
+    const insights = await moodInsightsService.getInsights(req.userId, { days: req.query.days });
+    res.json(insights);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
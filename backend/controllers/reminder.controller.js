@@ -0,0 +1,35 @@
+import reminderService from "../services/reminder.service.js";
+
+// GET /reminders
+export const getReminderSettings = async (req, res) => {
+    try {
+        const settings = await reminderService.getSettings(req.userId);
+        res.json({ success: true, data: settings });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// PATCH /reminders
+export const updateReminderSettings = async (req, res) => {
+    try {
+        const settings = await reminderService.updateSettings(req.userId, req.body || {});
+        res.json({ success: true, data: settings });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /reminders/unsubscribe - from the signed link in a reminder email, no login required
+export const unsubscribe = async (req, res) => {
+    try {
+        const kind = await reminderService.unsubscribe(req.body?.token);
+        res.json({
+            success: true,
+            message: kind === "all" ? "All reminders are turned off" : "This reminder is turned off",
+            data: { kind }
+        });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ success: false, error: err.message });
+    }
+};
@@ -1,6 +1,8 @@
 import { Resource } from "../models/resource.model.js";
 import AnalyticsEvent from "../models/analysticsEvent.model.js";
-import _ from "lodash";
+import resourceSearchService from "../services/resource-search.service.js";
+import resourceInteractionService from "../services/resource-interaction.service.js";
+import resourceRecommendationService from "../services/resource-recommendation.service.js";
 
 export const getFeaturedResources = async (req, res) => {
   try {
@@ -25,25 +27,24 @@ export const getFeaturedResources = async (req, res) => {
   }
 };
 
+// GET /resources/search?q=&type=&category=&language=&duration=&sort=&cursor=&limit=
+// Full-text search with facet counts; pass `nextCursor` back as `cursor` for the next page
 export const searchResources = async (req, res) => {
   try {
-    const { query } = req.query;
-    if (!query) {
-      return res.status(400).json({ success: false, error: 'Query parameter required' });
-    }
-    
-    // Search only by title and tags (case-insensitive)
-    const safeQuery = _.escapeRegExp(query);
-    const searchRegex = new RegExp(safeQuery, 'i');
-    
-    const resources = await Resource.find({
-      $or: [
-        { title: searchRegex },
-        { tags: searchRegex }
-      ],
-      isActive: true
-    }).sort({ isFeatured: -1, priority: -1, createdAt: -1 }).limit(20);
-    
+    const result = await resourceSearchService.search(req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// Personalised picks from the user's recent journal themes, emotions, chat topics
+// and helpful marks, each with the reason it was chosen
+export const getRecommendedResources = async (req, res) => {
+  try {
+    const resources = await resourceRecommendationService.getRecommendations(req.userId, {
+      limit: req.query.limit
+    });
     res.status(200).json({ success: true, data: resources });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -62,29 +63,26 @@ export const getResourceById = async (req, res) => {
   }
 };
 
+// POST /resources/:id/view
+// Signed-in opens count once per dedup window and go into the user's history;
+// anonymous opens don't count
 export const incrementViewCount = async (req, res) => {
   try {
-    const resource = await Resource.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { viewCount: 1 } },
-      { new: true }
-    );
-    if (!resource) {
-      return res.status(404).json({ success: false, error: 'Resource not found' });
-    }
-    
-    // Emit Socket.IO event for real-time update
-    const io = req.app.get('io');
-    if (io) {
-      io.to('resources').emit('resource:viewUpdate', {
-        resourceId: resource._id,
-        viewCount: resource.viewCount
-      });
-    }
-    
-    // Log analytics event for recent activity (if user is authenticated)
-    try {
-      if (req.userId) {
+    const { counted, viewCount } = await resourceInteractionService.recordView(req.params.id, req.userId);
+
+    if (counted) {
+      // Emit Socket.IO event for real-time update
+      const io = req.app.get('io');
+      if (io) {
+        io.to('resources').emit('resource:viewUpdate', {
+          resourceId: req.params.id,
+          viewCount
+        });
+      }
+
+      // Log analytics event for recent activity
+      try {
+        const resource = await Resource.findById(req.params.id).select('type title url').lean();
         await AnalyticsEvent.create({
           userId: req.userId,
           type: 'resource.viewed',
@@ -95,42 +93,97 @@ export const incrementViewCount = async (req, res) => {
             url: resource.url
           }
         });
+      } catch (e) {
+        console.warn('[Resource] Failed to log resource.viewed event', e?.message);
       }
-    } catch (e) {
-      console.warn('[Resource] Failed to log resource.viewed event', e?.message);
     }
-    
-    res.status(200).json({ success: true, data: resource });
+
+    res.status(200).json({ success: true, data: { counted, viewCount } });
   } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 };
 
+// POST /resources/:id/helpful  { helpful: true|false }
+// One vote per user; `action: 'like'|'unlike'` is still accepted from older clients
 export const markAsHelpful = async (req, res) => {
   try {
-    const { action } = req.body; // 'like' or 'unlike'
-    const increment = action === 'unlike' ? -1 : 1;
-    
-    const resource = await Resource.findByIdAndUpdate(
-      req.params.id,
-      { $inc: { helpfulCount: increment } },
-      { new: true }
-    );
-    if (!resource) {
-      return res.status(404).json({ success: false, error: 'Resource not found' });
-    }
-    
+    const { helpful, action } = req.body;
+    const vote = typeof helpful === 'boolean' ? helpful : action !== 'unlike';
+
+    const result = await resourceInteractionService.setHelpful(req.params.id, req.userId, vote);
+
     // Emit Socket.IO event for real-time update
     const io = req.app.get('io');
-    if (io) {
+    if (io && result.changed) {
       io.to('resources').emit('resource:likeUpdate', {
-        resourceId: resource._id,
-        helpfulCount: resource.helpfulCount,
-        action
+        resourceId: req.params.id,
+        helpfulCount: result.helpfulCount
       });
     }
-    
-    res.status(200).json({ success: true, data: resource });
+
+    res.status(200).json({ success: true, data: { helpful: result.helpful, helpfulCount: result.helpfulCount } });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// PUT /resources/:id/save  { saved, lists? }
+export const saveResource = async (req, res) => {
+  try {
+    const state = await resourceInteractionService.setSaved(req.params.id, req.userId, req.body);
+    res.status(200).json({ success: true, data: state });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// PUT /resources/:id/progress  { status?, progress? } - videos and audio only
+export const updateProgress = async (req, res) => {
+  try {
+    const state = await resourceInteractionService.setProgress(req.params.id, req.userId, req.body);
+    res.status(200).json({ success: true, data: state });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// GET /resources/interactions?ids=a,b,c - the user's votes, bookmarks and progress
+export const getInteractionStates = async (req, res) => {
+  try {
+    const ids = String(req.query.ids || '').split(',').filter(Boolean);
+    const states = await resourceInteractionService.getStates(req.userId, ids);
+    res.status(200).json({ success: true, data: states });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+// GET /resources/saved?list=&cursor=&limit=
+export const getSavedResources = async (req, res) => {
+  try {
+    const result = await resourceInteractionService.listSaved(req.userId, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// GET /resources/history?cursor=&limit=
+export const getResourceHistory = async (req, res) => {
+  try {
+    const result = await resourceInteractionService.listHistory(req.userId, req.query);
+    res.status(200).json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+};
+
+// DELETE /resources/history
+export const clearResourceHistory = async (req, res) => {
+  try {
+    const cleared = await resourceInteractionService.clearHistory(req.userId);
+    res.status(200).json({ success: true, data: { cleared } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
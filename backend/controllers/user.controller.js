@@ -1,5 +1,11 @@
 import User from "../models/user.model.js";
 import bcrypt from "bcrypt";
+import mongoose from "mongoose";
+import sessionService from "../services/session.service.js";
+import aiQuotaService from "../services/ai-quota.service.js";
+import dataExportService from "../services/data-export.service.js";
+import accountDeletionService from "../services/account-deletion.service.js";
+import { isValidTimeZone } from "../services/timezone.service.js";
 
 // GET /users/me
 export const getMe = async (req, res) => {
@@ -14,8 +20,15 @@ export const getMe = async (req, res) => {
 // PATCH /users/me
 export const updateMe = async (req, res) => {
     try {
-        const { name, avatarUrl, university, firstName, lastName, academicYear } = req.body;
+        const { name, avatarUrl, university, firstName, lastName, academicYear, timezone } = req.body;
         const updateData = {};
+
+        if (timezone !== undefined) {
+            if (!isValidTimeZone(timezone)) {
+                return res.status(400).json({ success: false, error: "Invalid time zone" });
+            }
+            updateData.timezone = timezone;
+        }
         
         if (name !== undefined) updateData.name = name;
         if (avatarUrl !== undefined) updateData.avatarUrl = avatarUrl;
@@ -36,6 +49,59 @@ export const updateMe = async (req, res) => {
     }
 };
 
+// DELETE /users/me - schedule account deletion after re-confirming the password
+export const deleteAccount = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        if (typeof password !== "string" || !password) {
+            return res.status(400).json({ success: false, error: "Password is required to delete your account" });
+        }
+
+        const user = await User.findById(req.userId).select("+passwordHash");
+        if (!user) {
+            return res.status(404).json({ success: false, error: "User not found" });
+        }
+
+        const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+        if (!isValidPassword) {
+            // 403 rather than 401 so clients don't mistake it for an expired session
+            return res.status(403).json({ success: false, error: "Password is incorrect" });
+        }
+
+        if (user.deletionScheduledFor) {
+            return res.status(409).json({
+                success: false,
+                error: "Account deletion is already scheduled",
+                data: { deletionScheduledFor: user.deletionScheduledFor }
+            });
+        }
+
+        const scheduledFor = await accountDeletionService.scheduleDeletion(user, req.sessionId);
+
+        res.json({
+            success: true,
+            message: `Your account will be permanently deleted on ${scheduledFor.toUTCString()}. You can cancel until then.`,
+            data: { deletionScheduledFor: scheduledFor }
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// POST /users/me/deletion/cancel
+export const cancelAccountDeletion = async (req, res) => {
+    try {
+        const cancelled = await accountDeletionService.cancelDeletion(req.userId);
+        if (!cancelled) {
+            return res.status(404).json({ success: false, error: "No account deletion is scheduled" });
+        }
+
+        res.json({ success: true, message: "Account deletion cancelled" });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
 // PUT /users/me/avatar
 export const updateAvatar = async (req, res) => {
     try {
@@ -102,3 +168,145 @@ export const changePassword = async (req, res) => {
         res.status(500).json({ success: false, error: err.message }); 
     }
 };
+
+// GET /users/me/sessions
+export const listSessions = async (req, res) => {
+    try {
+        const sessions = await sessionService.listActiveSessions(req.userId);
+
+        res.json({ 
+            success: true, 
+            data: sessions.map(s => ({
+                id: s._id,
+                userAgent: s.userAgent,
+                ipAddress: s.ipAddress,
+                createdAt: s.createdAt,
+                lastUsedAt: s.lastUsedAt,
+                expiresAt: s.expiresAt,
+                current: String(s._id) === String(req.sessionId)
+            }))
+        });
+    } catch (err) { 
+        res.status(500).json({ success: false, error: err.message }); 
+    }
+};
+
+// DELETE /users/me/sessions/:id
+export const revokeSession = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid session ID" });
+        }
+
+        const revoked = await sessionService.revokeSession(req.params.id, req.userId, 'user_revoked');
+        if (!revoked) {
+            return res.status(404).json({ success: false, error: "Session not found" });
+        }
+
+        res.json({ success: true, message: "Session revoked" });
+    } catch (err) { 
+        res.status(500).json({ success: false, error: err.message }); 
+    }
+};
+
+// DELETE /users/me/sessions - sign out everywhere except this device
+export const revokeOtherSessions = async (req, res) => {
+    try {
+        const count = await sessionService.revokeAllForUser(req.userId, 'user_revoked', req.sessionId);
+        res.json({ success: true, message: `Revoked ${count} other session(s)`, revokedCount: count });
+    } catch (err) { 
+        res.status(500).json({ success: false, error: err.message }); 
+    }
+};
+
+// GET /users/me/ai-usage - today's AI requests and tokens against the daily quota
+export const getAIUsage = async (req, res) => {
+    try {
+        const usage = await aiQuotaService.getUsage(req.userId, req.userRole);
+        res.json({ success: true, data: usage });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+const toExportResponse = (dataExport) => ({
+    id: dataExport._id,
+    status: dataExport.status,
+    fileName: dataExport.fileName,
+    sizeBytes: dataExport.sizeBytes,
+    recordCounts: dataExport.recordCounts,
+    error: dataExport.error,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    downloadUrl: dataExport.status === "ready" ? `/users/me/export/${dataExport._id}/download` : null
+});
+
+// POST /users/me/export - small accounts get the archive right away, larger ones are built in the background
+export const requestExport = async (req, res) => {
+    try {
+        const { dataExport, inProgress } = await dataExportService.requestExport(req.userId);
+
+        if (inProgress) {
+            return res.status(409).json({
+                success: false,
+                error: "An export is already being prepared",
+                data: toExportResponse(dataExport)
+            });
+        }
+
+        if (dataExport.status === "ready") {
+            return res.status(201).json({ success: true, data: toExportResponse(dataExport) });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: "Your export is being prepared. We'll notify you when it's ready.",
+            data: toExportResponse(dataExport)
+        });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /users/me/export - recent export requests and their status
+export const listExports = async (req, res) => {
+    try {
+        const exports = await dataExportService.listExports(req.userId);
+        res.json({ success: true, data: exports.map(toExportResponse) });
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
+
+// GET /users/me/export/:id/download
+export const downloadExport = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(400).json({ success: false, error: "Invalid export id" });
+        }
+
+        const download = await dataExportService.openDownload(req.userId, req.params.id);
+        if (!download) {
+            return res.status(404).json({ success: false, error: "Export not found or expired" });
+        }
+
+        res.set({
+            "Content-Type": "application/zip",
+            "Content-Length": String(download.dataExport.sizeBytes),
+            "Content-Disposition": `attachment; filename="${download.dataExport.fileName}"`
+        });
+
+        download.stream.on("error", (err) => {
+            console.error("Export download failed:", err);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, error: "Failed to read export" });
+            } else {
+                res.destroy(err);
+            }
+        });
+        download.stream.pipe(res);
+    } catch (err) {
+        res.status(500).json({ success: false, error: err.message });
+    }
+};
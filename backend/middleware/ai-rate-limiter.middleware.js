@@ -5,6 +5,8 @@
 
 import rateLimit from 'express-rate-limit';
 import AI_CONFIG from '../config/ai.config.js';
+import aiQuotaService from '../services/ai-quota.service.js';
+import crisisDetectionService from '../services/crisis-detection.service.js';
 
 // Rate limiter for AI chat requests
 export const aiChatLimiter = rateLimit({
@@ -48,72 +50,62 @@ export const journalAILimiter = rateLimit({
   },
 });
 
-// Daily limit tracker (in-memory, could be moved to Redis in production)
-const dailyUsageTracker = new Map();
-
 /**
- * Track and limit daily AI usage per user
+ * Enforce the persistent daily AI quota for a feature (see services/ai-quota.service.js).
+ * Sets X-RateLimit-* headers for the daily window; the burst limiters above keep the
+ * RateLimit-* headers for their own window.
+ * @param {string} feature - chat | stream | journal_analysis | journal_reflection
  */
-export const dailyAILimiter = (req, res, next) => {
-  const userId = req.userId;
-  
-  if (!userId) {
+export const dailyAIQuota = (feature) => async (req, res, next) => {
+  if (!req.userId) {
     return next();
   }
 
-  const today = new Date().toDateString();
-  const key = `${userId}:${today}`;
-  
-  const usage = dailyUsageTracker.get(key) || 0;
-  
-  if (usage >= AI_CONFIG.RATE_LIMIT.DAILY_LIMIT) {
-    return res.status(429).json({
-      error: 'Daily AI limit reached',
-      message: `You've reached your daily limit of ${AI_CONFIG.RATE_LIMIT.DAILY_LIMIT} AI interactions. This limit resets at midnight.`,
-      retryAfter: getSecondsUntilMidnight(),
-    });
-  }
+  try {
+    const quota = await aiQuotaService.consume(req.userId, req.userRole, feature);
+    setQuotaHeaders(res, quota);
 
-  // Increment usage
-  dailyUsageTracker.set(key, usage + 1);
-  
-  // Clean up old entries (run occasionally)
-  if (Math.random() < 0.01) { // 1% chance
-    cleanupOldDailyTracking();
-  }
+    if (!quota.allowed) {
+      // Never turn away someone reaching out in crisis
+      const message = req.body?.content || req.query?.content;
+      if (message && crisisDetectionService.detectCrisisKeywords(message).isCrisis) {
+        return next();
+      }
 
-  next();
-};
+      const retryAfter = Math.ceil((quota.resetsAt - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Daily AI limit reached',
+        message: `You've reached your daily limit of ${quota.limits.requests} AI interactions. It resets at midnight in your time zone.`,
+        retryAfter,
+        usage: quota,
+      });
+    }
 
-/**
- * Get seconds until midnight
- */
-function getSecondsUntilMidnight() {
-  const now = new Date();
-  const midnight = new Date(now);
-  midnight.setHours(24, 0, 0, 0);
-  return Math.floor((midnight - now) / 1000);
-}
+    next();
+  } catch (error) {
+    // Quota storage problems shouldn't take the AI features down with them
+    console.error('[AI Quota] Check failed:', error.message);
+    next();
+  }
+};
 
 /**
- * Clean up old daily tracking entries
+ * Daily quota headers, based on whichever of requests/tokens is closer to running out
  */
-function cleanupOldDailyTracking() {
-  const today = new Date().toDateString();
-  const keysToDelete = [];
-
-  for (const [key] of dailyUsageTracker) {
-    const [, date] = key.split(':');
-    if (date !== today) {
-      keysToDelete.push(key);
-    }
-  }
+export function setQuotaHeaders(res, quota) {
+  const tokensBound = quota.remaining.tokens / quota.limits.tokens < quota.remaining.requests / quota.limits.requests;
 
-  keysToDelete.forEach(key => dailyUsageTracker.delete(key));
+  res.set({
+    'X-RateLimit-Limit': String(tokensBound ? quota.limits.tokens : quota.limits.requests),
+    'X-RateLimit-Remaining': String(tokensBound ? quota.remaining.tokens : quota.remaining.requests),
+    'X-RateLimit-Reset': String(Math.floor(quota.resetsAt.getTime() / 1000)),
+    'X-RateLimit-Resource': tokensBound ? 'ai-tokens' : 'ai-requests',
+  });
 }
 
 export default {
   aiChatLimiter,
   journalAILimiter,
-  dailyAILimiter,
+  dailyAIQuota,
 };
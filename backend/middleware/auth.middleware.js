@@ -1,5 +1,22 @@
 import jwt from "jsonwebtoken";
 
+/**
+ * Verify an access token and return the identity it carries.
+ * Shared by the HTTP middlewares below and the Socket.IO handshake.
+ * Throws jsonwebtoken errors (TokenExpiredError, JsonWebTokenError) on failure.
+ * @returns {{ userId: string, role: string, sessionId: string }}
+ */
+export const verifyAccessToken = (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+    return { userId: decoded.id, role: decoded.role, sessionId: decoded.sid };
+};
+
+const attachIdentity = (req, identity) => {
+    req.userId = identity.userId;
+    req.userRole = identity.role;
+    req.sessionId = identity.sessionId;
+};
+
 /**
  * Authentication middleware - verifies JWT token and attaches user info to request
  * Usage: Add to routes that require authentication
@@ -15,9 +32,7 @@ export const authMiddleware = async (req, res, next) => {
         const token = authHeader.substring(7); // Remove "Bearer " prefix
         
         try {
-            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-            req.userId = decoded.id;
-            req.userRole = decoded.role;
+            attachIdentity(req, verifyAccessToken(token));
             next();
         } catch (err) {
             if (err.name === "TokenExpiredError") {
@@ -44,9 +59,7 @@ export const optionalAuth = async (req, res, next) => {
         const token = authHeader.substring(7);
         
         try {
-            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-            req.userId = decoded.id;
-            req.userRole = decoded.role;
+            attachIdentity(req, verifyAccessToken(token));
         } catch {
             // Token invalid or expired, but we don't fail - just continue without auth
         }
@@ -82,9 +95,7 @@ export const sseAuthMiddleware = async (req, res, next) => {
         }
 
         try {
-            const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-            req.userId = decoded.id;
-            req.userRole = decoded.role;
+            attachIdentity(req, verifyAccessToken(token));
             next();
         } catch (err) {
             if (err.name === "TokenExpiredError") {
@@ -100,6 +111,30 @@ export const sseAuthMiddleware = async (req, res, next) => {
     }
 };
 
+/**
+ * Socket.IO handshake authentication - client sends the access token as `auth.token`
+ * Connections without a token are allowed as guests (public rooms only); invalid or
+ * expired tokens are rejected so the client can refresh and reconnect.
+ */
+export const socketAuthMiddleware = (socket, next) => {
+    const token = socket.handshake.auth?.token;
+
+    if (!token) {
+        socket.data.user = null;
+        return next();
+    }
+
+    try {
+        socket.data.user = verifyAccessToken(token);
+        next();
+    } catch (err) {
+        const expired = err.name === "TokenExpiredError";
+        const error = new Error(expired ? "Token expired" : "Invalid token");
+        error.data = { code: expired ? "TOKEN_EXPIRED" : "INVALID_TOKEN" };
+        next(error);
+    }
+};
+
 /**
  * Role-based authorization middleware
  * Usage: requireRole("admin") or requireRole(["admin", "moderator"])
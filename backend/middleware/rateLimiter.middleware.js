@@ -45,8 +45,38 @@ export const signupLimiter = rateLimit({
     // Removed custom keyGenerator - using default IP-based key generation
 });
 
+// Rate limiter for password reset requests
+// Allows 3 reset emails per 15 minutes per IP
+export const passwordResetRequestLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 3, // Limit each IP to 3 reset requests per windowMs
+    message: {
+        success: false,
+        error: 'Too many password reset requests. Please try again after 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipSuccessfulRequests: false
+});
+
+// Rate limiter for password reset attempts
+// Allows 5 reset attempts per 15 minutes per IP
+export const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 5, // Limit each IP to 5 reset attempts per windowMs
+    message: {
+        success: false,
+        error: 'Too many password reset attempts. Please try again after 15 minutes.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    skipSuccessfulRequests: true // Don't count successful resets
+});
+
 export default {
     otpRequestLimiter,
     otpVerifyLimiter,
-    signupLimiter
+    signupLimiter,
+    passwordResetRequestLimiter,
+    passwordResetLimiter
 };
@@ -47,11 +47,37 @@ export const validateLogin = (req, res, next) => {
     next();
 };
 
+export const validatePasswordReset = (req, res, next) => {
+    const { email, otp, newPassword } = req.body;
+    const errors = [];
+
+    if (typeof email !== "string" || !email.trim()) {
+        errors.push("Email is required");
+    }
+
+    if (!otp || !/^\d{6}$/.test(String(otp))) {
+        errors.push("A valid 6-digit code is required");
+    }
+
+    if (typeof newPassword !== "string" || newPassword.length < 8) {
+        errors.push("Password must be at least 8 characters");
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Validation failed", errors });
+    }
+
+    next();
+};
+
 export const validateJournal = (req, res, next) => {
-    const { content } = req.body;
+    const { content, e2e } = req.body;
     const errors = [];
 
-    if (!content || !content.trim()) {
+    // End-to-end encrypted entries send ciphertext (checked by the controller) instead of content
+    if (e2e !== undefined) {
+        if (content !== undefined) errors.push("Send either content or encrypted content, not both");
+    } else if (!content || !content.trim()) {
         errors.push("Journal content is required");
     }
 
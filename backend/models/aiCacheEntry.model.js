@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
+
+// Cached LLM responses shared between backend instances (AI_CACHE_BACKEND=mongo)
+const AICacheEntrySchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true }, // SHA-256 of scope + provider + model + params + prompt
+    value: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true }, // Owner for user-scoped entries
+    hits: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true },
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// MongoDB removes entries once they expire
+AICacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Responses are derived from journal entries and chats, so they are as sensitive as those
+AICacheEntrySchema.plugin(encryptedFields, { model: "AICacheEntry", fields: ["value"] });
+
+export const AICacheEntry = mongoose.model("AICacheEntry", AICacheEntrySchema);
+export default AICacheEntry;
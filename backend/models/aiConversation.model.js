@@ -8,6 +8,7 @@ const AIConversationSchema = new mongoose.Schema(
       ref: "JournalEntry",
     },
     title: String,
+    deletedAt: Date, // In the trash until restored or purged (see trash.service)
   },
   {
     timestamps: true,
@@ -15,6 +16,8 @@ const AIConversationSchema = new mongoose.Schema(
 );
 
 AIConversationSchema.index({ userId: 1, createdAt: -1 });
+AIConversationSchema.index({ userId: 1, deletedAt: 1 });
+AIConversationSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
 
 export const AIConversation = mongoose.model(
   "AIConversation",
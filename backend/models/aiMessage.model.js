@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
 
 const AIMessageSchema = new mongoose.Schema({
     conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "AIConversation", index: true },
@@ -36,5 +37,7 @@ AIMessageSchema.index({ conversationId: 1, createdAt: 1 });
 AIMessageSchema.index({ "feedback.flagged": 1 });
 AIMessageSchema.index({ "metadata.riskLevel": 1 });
 
+AIMessageSchema.plugin(encryptedFields, { model: "AIMessage", fields: ["content"] });
+
 export const AIMessage = mongoose.model("AIMessage", AIMessageSchema);
 export default AIMessage;
\ No newline at end of file
@@ -0,0 +1,24 @@
+import mongoose from "mongoose";
+
+// Per-user AI usage for one calendar day in the user's time zone, enforced by services/ai-quota.service.js
+const AIUsageDailySchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    date: { type: Date, required: true }, // The user's local date, stored as UTC midnight
+    requests: { type: Number, default: 0 },
+    tokensUsed: { type: Number, default: 0 }, // Estimated prompt + completion tokens
+    byFeature: {
+        chat: { type: Number, default: 0 },
+        stream: { type: Number, default: 0 },
+        journal_analysis: { type: Number, default: 0 },
+        journal_reflection: { type: Number, default: 0 },
+    },
+}, {
+    timestamps: true
+});
+
+AIUsageDailySchema.index({ userId: 1, date: 1 }, { unique: true });
+// Usage older than 90 days is no longer needed
+AIUsageDailySchema.index({ date: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export const AIUsageDaily = mongoose.model("AIUsageDaily", AIUsageDailySchema);
+export default AIUsageDaily;
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
 
 const AnalyticsEventSchema = new mongoose.Schema(
   {
@@ -11,6 +12,9 @@ const AnalyticsEventSchema = new mongoose.Schema(
 
 AnalyticsEventSchema.index({ createdAt: 1 });
 
+// Journal events carry an excerpt of the entry
+AnalyticsEventSchema.plugin(encryptedFields, { model: "AnalyticsEvent", fields: ["meta.preview"] });
+
 export const AnalyticsEvent = mongoose.model(
   "AnalyticsEvent",
   AnalyticsEventSchema,
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const APPOINTMENT_STATUSES = ["scheduled", "cancelled", "completed", "no_show"];
+export const SESSION_TYPES = ["video", "in-person"];
+
+// Earlier times of a rescheduled appointment
+const RescheduleSchema = new mongoose.Schema({
+    fromStartsAt: Date,
+    toStartsAt: Date,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    changedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const AppointmentSchema = new mongoose.Schema({
+    counselorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    sessionType: { type: String, enum: SESSION_TYPES, required: true },
+    status: { type: String, enum: APPOINTMENT_STATUSES, default: "scheduled" },
+    notes: { type: String, trim: true, maxlength: 1000 }, // What the student would like to talk about
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancellationReason: { type: String, trim: true, maxlength: 500 },
+    cancelledAt: Date,
+    rescheduleHistory: [RescheduleSchema],
+    reminders: {
+        dayBeforeSentAt: Date,
+        hourBeforeSentAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+AppointmentSchema.index({ counselorId: 1, startsAt: 1 });
+AppointmentSchema.index({ studentId: 1, startsAt: 1 });
+AppointmentSchema.index({ status: 1, startsAt: 1 });
+// Last line of defence against two bookings racing for the same slot
+AppointmentSchema.index(
+    { counselorId: 1, startsAt: 1 },
+    { unique: true, partialFilterExpression: { status: "scheduled" }, name: "counselor_slot_unique" }
+);
+
+export const Appointment = mongoose.model("Appointment", AppointmentSchema);
+export default Appointment;
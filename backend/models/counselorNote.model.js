@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+
+// A counselor's private note on a shared journal entry; never shown to the student
+const CounselorNoteSchema = new mongoose.Schema({
+    counselorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    journalId: { type: mongoose.Schema.Types.ObjectId, ref: "JournalEntry", required: true },
+    content: { type: String, required: true, trim: true, maxlength: 5000 },
+}, {
+    timestamps: true
+});
+
+CounselorNoteSchema.index({ counselorId: 1, journalId: 1, createdAt: 1 });
+
+export const CounselorNote = mongoose.model("CounselorNote", CounselorNoteSchema);
+export default CounselorNote;
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
+
+export const CRISIS_STATUSES = ["open", "acknowledged", "contacted", "resolved"];
+
+const CrisisNoteSchema = new mongoose.Schema({
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    content: { type: String, required: true, trim: true, maxlength: 2000 },
+    createdAt: { type: Date, default: Date.now },
+});
+
+// Append-only record of every change made to the case
+const CrisisAuditSchema = new mongoose.Schema({
+    action: { type: String, enum: ["created", "alert_sent", "alert_failed", "escalated", "status_changed", "assigned", "unassigned", "note_added"], required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for system-created entries
+    fromStatus: { type: String, enum: CRISIS_STATUSES },
+    toStatus: { type: String, enum: CRISIS_STATUSES },
+    details: String,
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+const CrisisEventSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+    // Where the concerning text came from
+    source: { type: String, enum: ["chat", "journal", "forum"], required: true },
+    sourceId: { type: mongoose.Schema.Types.ObjectId }, // conversation, journal entry or forum post/comment
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: "Job" }, // Background job that found it, so its retries don't open another case
+
+    // Detection result
+    riskLevel: { type: String, enum: ["low", "medium", "high"], required: true },
+    keywords: [String],
+    aiAssessment: { type: String, enum: ["low", "medium", "high", null], default: null },
+    messagePreview: { type: String, maxlength: 200 },
+
+    // Case management
+    status: { type: String, enum: CRISIS_STATUSES, default: "open" },
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    acknowledgedAt: Date,
+    contactedAt: Date,
+    resolvedAt: Date,
+    alertedAt: Date, // Staff were alerted (high risk only)
+    escalatedAt: Date, // Alert went unacknowledged past the escalation window
+    resolution: { type: String, trim: true, maxlength: 1000 },
+    notes: [CrisisNoteSchema],
+    auditTrail: [CrisisAuditSchema],
+}, {
+    timestamps: true
+});
+
+CrisisEventSchema.index({ status: 1, riskLevel: 1, createdAt: -1 });
+CrisisEventSchema.index({ assignedTo: 1, status: 1 });
+CrisisEventSchema.index({ status: 1, alertedAt: 1, escalatedAt: 1 });
+CrisisEventSchema.index({ jobId: 1 }, { sparse: true });
+
+// The preview quotes the student's words
+CrisisEventSchema.plugin(encryptedFields, { model: "CrisisEvent", fields: ["messagePreview"] });
+
+export const CrisisEvent = mongoose.model("CrisisEvent", CrisisEventSchema);
+export default CrisisEvent;
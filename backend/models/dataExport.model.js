@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+export const DATA_EXPORT_STATUSES = ["pending", "processing", "ready", "failed"];
+
+// A requested copy of a user's data. The archive itself lives in the "dataExports" GridFS bucket.
+const DataExportSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    status: { type: String, enum: DATA_EXPORT_STATUSES, default: "pending" },
+    fileId: mongoose.Schema.Types.ObjectId, // GridFS file id once ready
+    fileName: String,
+    sizeBytes: Number,
+    recordCounts: Object, // { journals, moodLogs, conversations, ... }
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: Date, // Archive is deleted after this (see data-export.service cleanup)
+}, {
+    timestamps: true
+});
+
+DataExportSchema.index({ userId: 1, createdAt: -1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+export const DataExport = mongoose.model("DataExport", DataExportSchema);
+export default DataExport;
@@ -0,0 +1,50 @@
+import mongoose from "mongoose";
+
+// queued -> running -> completed, or back to queued for a retry; "dead" once out of attempts.
+// A job that would go back to queued while another with its dedupeKey is queued completes instead.
+export const JOB_STATUSES = ["queued", "running", "completed", "dead"];
+
+const JobFailureSchema = new mongoose.Schema({
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A unit of background work, run by the job queue (see job-queue.service)
+const JobSchema = new mongoose.Schema({
+    type: { type: String, required: true }, // e.g. "journal.analyze", "crisis.alert", "email.send"
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: { type: String, enum: JOB_STATUSES, default: "queued" },
+
+    // Jobs with the same key share one queued job instead of piling up
+    dedupeKey: String,
+
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    runAt: { type: Date, default: Date.now }, // Not picked up before this (backoff after a failure)
+
+    // Set while a worker holds the job; a lock older than the lock timeout is taken back
+    lockedBy: String,
+    lockedAt: Date,
+
+    lastError: String,
+    failures: { type: [JobFailureSchema], default: [] }, // Most recent attempts only
+    completedAt: Date,
+    deadAt: Date,
+    // Completed without running again because a newer job with its key was already queued
+    supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: "Job" },
+}, {
+    timestamps: true
+});
+
+JobSchema.index({ status: 1, type: 1, runAt: 1 });
+JobSchema.index({ status: 1, lockedAt: 1 });
+JobSchema.index({ dedupeKey: 1, status: 1 });
+// At most one queued job per key, even when two instances enqueue at the same moment
+JobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { status: "queued", dedupeKey: { $exists: true } } });
+JobSchema.index({ type: 1, status: 1, createdAt: -1 });
+// Finished jobs are kept for a week for inspection
+JobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export const Job = mongoose.model("Job", JobSchema);
+export default Job;
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+export const JOURNAL_ACCESS_ACTIONS = ["list", "view"];
+
+// One row per shared entry a counselor read; students can review their log at any time
+const JournalAccessLogSchema = new mongoose.Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    counselorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    journalId: { type: mongoose.Schema.Types.ObjectId, ref: "JournalEntry", required: true },
+    shareId: { type: mongoose.Schema.Types.ObjectId, ref: "JournalShare" },
+    action: { type: String, enum: JOURNAL_ACCESS_ACTIONS, required: true },
+    ipAddress: String,
+    userAgent: String,
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+JournalAccessLogSchema.index({ studentId: 1, createdAt: -1 });
+JournalAccessLogSchema.index({ counselorId: 1, createdAt: -1 });
+
+export const JournalAccessLog = mongoose.model("JournalAccessLog", JournalAccessLogSchema);
+export default JournalAccessLog;
@@ -1,8 +1,20 @@
 import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
+
+// Query clause for entries the server can read (not end-to-end encrypted)
+export const PLAINTEXT_ONLY = { "e2e.ciphertext": null };
 
 const JournalEntrySchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
-    content: { type: String, required: true },
+    content: { type: String, required: function () { return !this.e2e?.ciphertext; } },
+
+    // End-to-end encrypted entries: the browser encrypts the text with the student's
+    // journal key (see JournalKeyring) and `content` is never stored
+    e2e: {
+        ciphertext: String,
+        iv: String,
+        keyVersion: Number
+    },
     mood: { type: Number, min: 1, max: 10 },
     tags: [{ type: String, lowercase: true, trim: true }],
     
@@ -33,7 +45,10 @@ const JournalEntrySchema = new mongoose.Schema({
         processedAt: Date,
         model: String,
         tokensUsed: Number,
-        error: String
+        error: String,
+        // The entry was edited since this analysis ran; a new one is on the way
+        stale: Boolean,
+        staleSince: Date
     },
     
     // AI Reflection Messages (embedded in journal - NO separate conversation needed!)
@@ -53,6 +68,7 @@ const JournalEntrySchema = new mongoose.Schema({
     // conversationId: { type: mongoose.Schema.Types.ObjectId, ref: "AIConversation" },
     
     // Metadata
+    version: { type: Number, default: 1 }, // Bumped on every edit; earlier versions live in JournalRevision
     visibility: { type: String, enum: ["private", "shared"], default: "private" },
     deletedAt: Date,
 }, {
@@ -62,11 +78,15 @@ const JournalEntrySchema = new mongoose.Schema({
 // Indexes
 JournalEntrySchema.index({ userId: 1, createdAt: -1 });
 JournalEntrySchema.index({ userId: 1, deletedAt: 1 });
+JournalEntrySchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } }); // Trash purge
 JournalEntrySchema.index({ userId: 1, status: 1 });
+JournalEntrySchema.index({ userId: 1, "e2e.keyVersion": 1 });
 JournalEntrySchema.index({ tags: 1 });
 JournalEntrySchema.index({ "aiAnalysis.riskAssessment.level": 1, createdAt: -1 });
 JournalEntrySchema.index({ "aiAnalysis.sentiment.label": 1 });
 // Removed conversationId index - no longer needed
 
+JournalEntrySchema.plugin(encryptedFields, { model: "JournalEntry", fields: ["content", "reflectionMessages.content"] });
+
 export const JournalEntry = mongoose.model("JournalEntry", JournalEntrySchema);
 export default JournalEntry;
\ No newline at end of file
@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+export const KDF_ALGORITHMS = ["PBKDF2-SHA256"];
+export const MIN_KDF_ITERATIONS = 100000;
+
+// AES-GCM output from the browser, base64 encoded
+const SealedSchema = new mongoose.Schema({
+    iv: { type: String, required: true },
+    ciphertext: { type: String, required: true },
+}, { _id: false });
+
+// How the browser turns a passphrase or recovery code into a wrapping key
+const KdfSchema = new mongoose.Schema({
+    algorithm: { type: String, enum: KDF_ALGORITHMS, default: "PBKDF2-SHA256" },
+    salt: { type: String, required: true },
+    iterations: { type: Number, required: true, min: MIN_KDF_ITERATIONS },
+}, { _id: false });
+
+// One generation of the journal data key, wrapped twice: once under the passphrase
+// key and once under the recovery-code key. The server never sees it unwrapped.
+const KeyVersionSchema = new mongoose.Schema({
+    version: { type: Number, required: true },
+    wrappedKey: { type: SealedSchema, required: true },
+    recoveryWrappedKey: { type: SealedSchema, required: true },
+    createdAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// A student's end-to-end journal encryption keys (see journal-encryption.service)
+const JournalKeyringSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    enabled: { type: Boolean, default: true }, // Whether new entries are encrypted
+    currentVersion: { type: Number, required: true, default: 1 },
+    passphraseKdf: { type: KdfSchema, required: true },
+    recoveryKdf: { type: KdfSchema, required: true },
+    // Older versions stay until every entry has been re-encrypted under the current one
+    keys: { type: [KeyVersionSchema], default: [] },
+    rotatedAt: Date,
+    rewrappedAt: Date, // Passphrase changed or recovery code used
+}, {
+    timestamps: true
+});
+
+export const JournalKeyring = mongoose.model("JournalKeyring", JournalKeyringSchema);
+export default JournalKeyring;
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
+
+export const REVISION_REASONS = ["edit", "restore"];
+
+const DiffOpSchema = new mongoose.Schema({
+    op: { type: String, enum: ["equal", "insert", "delete"], required: true },
+    text: { type: String, default: "" },
+}, { _id: false });
+
+// A superseded version of a journal entry, saved when the entry is edited or restored
+const JournalRevisionSchema = new mongoose.Schema({
+    journalId: { type: mongoose.Schema.Types.ObjectId, ref: "JournalEntry", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    version: { type: Number, required: true }, // The entry's version before the change
+
+    // The entry as it was
+    content: { type: String, required: function () { return !this.e2e?.ciphertext; } },
+    e2e: { ciphertext: String, iv: String, keyVersion: Number }, // Instead of content for encrypted entries
+    mood: Number,
+    tags: [String],
+    status: String,
+    aiAnalysis: mongoose.Schema.Types.Mixed, // The analysis that applied to this version
+
+    // What the change did to the content, word by word
+    diff: { type: [DiffOpSchema], default: [] },
+    wordsAdded: { type: Number, default: 0 },
+    wordsRemoved: { type: Number, default: 0 },
+
+    reason: { type: String, enum: REVISION_REASONS, default: "edit" },
+    restoredFrom: Number, // Version brought back, when reason is "restore"
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One revision per version; a second save of the same version means two edits raced
+JournalRevisionSchema.index({ journalId: 1, version: -1 }, { unique: true });
+
+JournalRevisionSchema.plugin(encryptedFields, { model: "JournalRevision", fields: ["content", "diff.text"] });
+
+export const JournalRevision = mongoose.model("JournalRevision", JournalRevisionSchema);
+export default JournalRevision;
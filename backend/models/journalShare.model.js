@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+export const JOURNAL_SHARE_SCOPES = ["entries", "range"];
+
+// A student's consent for one counselor to read some of their journal entries until it expires or is revoked
+const JournalShareSchema = new mongoose.Schema({
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    counselorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    scope: { type: String, enum: JOURNAL_SHARE_SCOPES, required: true },
+    journalIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "JournalEntry" }], // scope "entries"
+    from: Date, // scope "range": entries written between from and to
+    to: Date,
+    message: { type: String, maxlength: 500 }, // Optional note to the counselor
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    endedAt: Date, // Set once revoked or expired; entry visibility has been recalculated
+}, {
+    timestamps: true
+});
+
+JournalShareSchema.index({ studentId: 1, createdAt: -1 });
+JournalShareSchema.index({ counselorId: 1, endedAt: 1, expiresAt: 1 });
+JournalShareSchema.index({ endedAt: 1, expiresAt: 1 });
+
+export const JournalShare = mongoose.model("JournalShare", JournalShareSchema);
+export default JournalShare;
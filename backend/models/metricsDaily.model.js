@@ -1,11 +1,32 @@
 import mongoose from "mongoose";
 
+// One document per UTC day, written by the nightly aggregation job (services/metrics.service.js).
+// Reruns for the same date overwrite the document in place.
 const MetricsDailySchema = new mongoose.Schema({
-  date: { type: Date, unique: true, index: true },
+  date: { type: Date, unique: true, index: true }, // UTC midnight
   dau: Number,
-  sessions: Number,
+  sessions: Number, // Logins (new sessions) started that day
   journalCount: Number,
+  moodLogCount: Number,
+  chat: {
+    conversations: Number, // Conversations with at least one message that day
+    userMessages: Number,
+    assistantMessages: Number,
+  },
+  forum: {
+    posts: Number,
+    comments: Number,
+    activeAuthors: Number,
+  },
+  crisis: {
+    total: Number,
+    high: Number,
+    medium: Number,
+    low: Number,
+  },
+  // { mood: { "1": n, ..., "10": n }, sentiment: { positive, neutral, negative } }
   distribution: Object,
+  computedAt: Date,
 });
 
 export const MetricsDaily = mongoose.model("MetricsDaily", MetricsDailySchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
 
 const MoodLogSchema = new mongoose.Schema(
   {
@@ -14,5 +15,7 @@ const MoodLogSchema = new mongoose.Schema(
 
 MoodLogSchema.index({ userId: 1, date: 1 }, { unique: true });
 
+MoodLogSchema.plugin(encryptedFields, { model: "MoodLog", fields: ["notes"] });
+
 export const MoodLog = mongoose.model("MoodLog", MoodLogSchema);
 export default MoodLog;
@@ -1,16 +1,163 @@
 import mongoose from "mongoose";
+import encryptedFields from "./plugins/encryptedFields.plugin.js";
 
+export const NOTIFICATION_TYPES = [
+  "crisis_alert",
+  "crisis_escalation",
+  "data_export_ready",
+  "appointment_booked",
+  "appointment_rescheduled",
+  "appointment_cancelled",
+  "appointment_reminder",
+  "journal_shared",
+  "reminder",
+  "weekly_digest",
+  "system",
+];
+export const NOTIFICATION_PRIORITIES = ["low", "normal", "high", "urgent"];
+
+// Shared fields; each type adds its own structured `payload` via a discriminator below
 const NotificationSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
-    type: String,
-    payload: mongoose.Schema.Types.Mixed,
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    priority: { type: String, enum: NOTIFICATION_PRIORITIES, default: "normal" },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    body: { type: String, trim: true, maxlength: 2000 },
+    link: String, // Frontend path to open when the notification is clicked
     readAt: Date,
   },
-  { timestamps: true },
+  { timestamps: true, discriminatorKey: "type" },
 );
 
 NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+// Crisis alerts quote the student's words (see CrisisPayloadSchema)
+NotificationSchema.plugin(encryptedFields, { model: "Notification", fields: ["payload.messagePreview"] });
 
 export const Notification = mongoose.model("Notification", NotificationSchema);
+
+// Crisis alerts and their escalations point at the crisis case admins need to act on
+const CrisisPayloadSchema = new mongoose.Schema(
+  {
+    crisisEventId: { type: mongoose.Schema.Types.ObjectId, ref: "CrisisEvent", required: true },
+    affectedUserId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    affectedUserName: String,
+    riskLevel: { type: String, enum: ["low", "medium", "high"], required: true },
+    source: { type: String, enum: ["chat", "journal", "forum"] },
+    keywords: [String],
+    messagePreview: String, // Already cut to 200 characters by the crisis case; stored encrypted, so no maxlength
+    escalationLevel: { type: Number, default: 0 },
+  },
+  { _id: false },
+);
+
+Notification.discriminator(
+  "crisis_alert",
+  new mongoose.Schema({ payload: { type: CrisisPayloadSchema, required: true } }),
+);
+Notification.discriminator(
+  "crisis_escalation",
+  new mongoose.Schema({ payload: { type: CrisisPayloadSchema, required: true } }),
+);
+// A requested data export finished and can be downloaded until it expires
+Notification.discriminator(
+  "data_export_ready",
+  new mongoose.Schema({
+    payload: {
+      type: new mongoose.Schema(
+        {
+          exportId: { type: mongoose.Schema.Types.ObjectId, ref: "DataExport", required: true },
+          fileName: String,
+          sizeBytes: Number,
+          expiresAt: Date,
+        },
+        { _id: false },
+      ),
+      required: true,
+    },
+  }),
+);
+// Booking changes and reminders, sent to both the student and the counselor
+const AppointmentPayloadSchema = new mongoose.Schema(
+  {
+    appointmentId: { type: mongoose.Schema.Types.ObjectId, ref: "Appointment", required: true },
+    counselorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    startsAt: { type: Date, required: true },
+    sessionType: { type: String, enum: ["video", "in-person"] },
+  },
+  { _id: false },
+);
+
+["appointment_booked", "appointment_rescheduled", "appointment_cancelled", "appointment_reminder"].forEach(type => {
+  Notification.discriminator(
+    type,
+    new mongoose.Schema({ payload: { type: AppointmentPayloadSchema, required: true } }),
+  );
+});
+
+// A student gave the counselor access to some of their journal entries
+Notification.discriminator(
+  "journal_shared",
+  new mongoose.Schema({
+    payload: {
+      type: new mongoose.Schema(
+        {
+          shareId: { type: mongoose.Schema.Types.ObjectId, ref: "JournalShare", required: true },
+          studentId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+          expiresAt: Date,
+        },
+        { _id: false },
+      ),
+      required: true,
+    },
+  }),
+);
+
+// Daily check-in, streak nudge or weekly reflection prompt the user opted into
+Notification.discriminator(
+  "reminder",
+  new mongoose.Schema({
+    payload: {
+      type: new mongoose.Schema(
+        {
+          kind: { type: String, enum: ["dailyCheckIn", "streakNudge", "weeklyReflection"], required: true },
+          streakDays: Number,
+        },
+        { _id: false },
+      ),
+      required: true,
+    },
+  }),
+);
+
+// In-app copy of the weekly wellbeing digest email; numbers and theme labels only, never journal text
+Notification.discriminator(
+  "weekly_digest",
+  new mongoose.Schema({
+    payload: {
+      type: new mongoose.Schema(
+        {
+          from: { type: String, required: true }, // YYYY-MM-DD, the user's local week
+          to: { type: String, required: true },
+          journals: { total: Number, avgMood: Number, sentimentDistribution: mongoose.Schema.Types.Mixed },
+          mood: { average: Number, previousAverage: Number, change: Number, daysLogged: Number },
+          themes: [{ _id: false, theme: String, count: Number }],
+          streakDays: Number,
+          resources: [{ _id: false, resourceId: { type: mongoose.Schema.Types.ObjectId, ref: "Resource" }, title: String, type: { type: String }, url: String }],
+        },
+        { _id: false },
+      ),
+      required: true,
+    },
+  }),
+);
+
+Notification.discriminator(
+  "system",
+  new mongoose.Schema({ payload: mongoose.Schema.Types.Mixed }),
+);
+
 export default Notification;
@@ -0,0 +1,247 @@
+import fieldEncryptionService from "../../services/field-encryption.service.js";
+
+/**
+ * Encrypts the given fields at rest (see services/field-encryption.service.js) and
+ * decrypts them transparently on read, for documents and lean queries alike.
+ *
+ * Options:
+ * - model: name bound to the ciphertext together with the field path
+ * - fields: paths to encrypt; may go through arrays and subdocuments ("reflectionMessages.content")
+ * - blindIndexes: { field: indexPath } for top-level fields that need equality search. The
+ *   index path is added to the schema and kept in sync; filters on the field are rewritten
+ *   to use it. Other filters on encrypted fields can only test for presence.
+ *
+ * Validators see the plaintext on save (Mongoose validates before any other save hook).
+ * `insertMany` encrypts before validating, so avoid length limits on fields written that way.
+ * `bulkWrite` and query cursors bypass middleware, so they see ciphertext.
+ */
+
+const QUERY_OPS = ["find", "findOne", "countDocuments", "distinct", "updateOne", "updateMany", "replaceOne", "deleteOne", "deleteMany", "findOneAndUpdate", "findOneAndReplace", "findOneAndDelete"];
+const RESULT_OPS = ["find", "findOne", "findOneAndUpdate", "findOneAndReplace", "findOneAndDelete"];
+const SET_OPS = ["$set", "$setOnInsert"];
+const ADD_OPS = ["$push", "$addToSet"];
+
+// Array positions in update paths: "messages.3.content", "messages.$.content", "messages.$[m].content"
+const POSITIONAL = /^(\d+|\$|\$\[\w*\])$/;
+const normalizePath = (path) => (path ? path.split(".").filter(segment => !POSITIONAL.test(segment)) : []);
+
+const startsWith = (segments, prefix) => prefix.length <= segments.length && prefix.every((segment, i) => segments[i] === segment);
+
+// Calls fn(container, key) wherever `segments` leads to a value, through arrays and subdocuments
+const visit = (target, segments, fn) => {
+    if (target == null || typeof target !== "object") return;
+    if (Array.isArray(target)) {
+        target.forEach(item => visit(item, segments, fn));
+        return;
+    }
+    const container = target.$__ ? target._doc : target;
+    const [head, ...rest] = segments;
+    if (rest.length > 0) visit(container[head], rest, fn);
+    else if (container[head] != null) fn(container, head);
+};
+
+// Copy of target with fn applied at `segments`; the caller's objects are left alone
+const rewrite = (target, segments, fn) => {
+    if (target == null || typeof target !== "object") return segments.length ? target : fn(target);
+    if (segments.length === 0) return fn(target);
+    if (Array.isArray(target)) return target.map(item => rewrite(item, segments, fn));
+    const source = target.$__ ? target.toObject() : target;
+    const [head, ...rest] = segments;
+    if (source[head] == null) return source;
+    return { ...source, [head]: rewrite(source[head], rest, fn) };
+};
+
+// Encrypted fields of every model using the plugin, by model name (for scripts/encrypt-fields.js)
+export const encryptedModels = new Map();
+
+const isPresenceCheck = (condition) => condition === null || (
+    typeof condition === "object" && !(condition instanceof RegExp) && Object.keys(condition).length > 0 &&
+    Object.entries(condition).every(([op, value]) => op === "$exists" || ((op === "$eq" || op === "$ne") && value === null))
+);
+
+export default function encryptedFields(schema, { model, fields, blindIndexes = {} }) {
+    encryptedModels.set(model, { fields, blindIndexes });
+    const scoped = (field) => `${model}.${field}`;
+    const paths = fields.map(field => ({ field, segments: field.split(".") }));
+
+    for (const [field, indexPath] of Object.entries(blindIndexes)) {
+        if (field.includes(".") || !fields.includes(field)) {
+            throw new Error(`Blind index "${indexPath}" must be for a top-level encrypted field, not "${field}"`);
+        }
+        schema.add({ [indexPath]: { type: String, select: false } });
+    }
+
+    const encryptValue = (field) => (value) => fieldEncryptionService.encrypt(value, scoped(field));
+    const decryptValue = (field) => (value) => fieldEncryptionService.decrypt(value, scoped(field));
+
+    // In place, on raw objects or on a document's _doc (so nothing is marked modified)
+    const transform = (target, makeFn) => {
+        for (const { field, segments } of paths) {
+            const fn = makeFn(field);
+            visit(target, segments, (container, key) => { container[key] = fn(container[key]); });
+        }
+    };
+    const decryptDocs = (result) => {
+        for (const doc of Array.isArray(result) ? result : [result]) {
+            if (doc && typeof doc === "object") transform(doc, decryptValue);
+        }
+    };
+
+    // Encrypted copy of a value written at `path` (a field, or an object containing fields)
+    const encryptAt = (path, value) => {
+        const segments = normalizePath(path);
+        for (const { field, segments: fieldSegments } of paths) {
+            if (startsWith(fieldSegments, segments)) {
+                value = rewrite(value, fieldSegments.slice(segments.length), encryptValue(field));
+            }
+        }
+        return value;
+    };
+    const encryptsAt = (path) => {
+        const segments = normalizePath(path);
+        return paths.some(({ segments: fieldSegments }) => startsWith(fieldSegments, segments));
+    };
+
+    const indexFilter = (field, condition) => {
+        const hash = (value) => fieldEncryptionService.blindIndex(value, scoped(field));
+        if (typeof condition === "string") return hash(condition);
+        if (condition && typeof condition === "object" && !(condition instanceof RegExp)) {
+            return Object.fromEntries(Object.entries(condition).map(([op, value]) => {
+                if (op === "$eq" || op === "$ne") return [op, value === null ? null : hash(value)];
+                if ((op === "$in" || op === "$nin") && Array.isArray(value)) return [op, value.map(v => (v === null ? null : hash(v)))];
+                throw new Error(`${scoped(field)} is encrypted and only supports equality queries (got ${op})`);
+            }));
+        }
+        throw new Error(`${scoped(field)} is encrypted and only supports equality queries`);
+    };
+
+    const rewriteFilter = (filter) => {
+        if (!filter || typeof filter !== "object") return filter;
+        const result = {};
+        for (const [key, condition] of Object.entries(filter)) {
+            if ((key === "$and" || key === "$or" || key === "$nor") && Array.isArray(condition)) {
+                result[key] = condition.map(rewriteFilter);
+                continue;
+            }
+            const field = normalizePath(key).join(".");
+            if (!fields.includes(field) || isPresenceCheck(condition)) {
+                result[key] = condition;
+            } else if (blindIndexes[field]) {
+                result[blindIndexes[field]] = indexFilter(field, condition);
+            } else {
+                throw new Error(`${scoped(field)} is encrypted and can't be searched`);
+            }
+        }
+        return result;
+    };
+
+    const rewriteUpdate = (update) => {
+        const result = { ...update };
+        const setIndexes = (target, source) => {
+            for (const [field, indexPath] of Object.entries(blindIndexes)) {
+                if (field in source) target[indexPath] = fieldEncryptionService.blindIndex(source[field], scoped(field));
+            }
+        };
+
+        // Plain keys are an implicit $set
+        for (const key of Object.keys(update)) {
+            if (!key.startsWith("$") && encryptsAt(key)) result[key] = encryptAt(key, update[key]);
+        }
+        setIndexes(result, update);
+
+        for (const op of SET_OPS) {
+            if (!update[op]) continue;
+            result[op] = { ...update[op] };
+            for (const key of Object.keys(update[op])) {
+                if (encryptsAt(key)) result[op][key] = encryptAt(key, update[op][key]);
+            }
+            setIndexes(result[op], update[op]);
+        }
+
+        for (const op of ADD_OPS) {
+            if (!update[op]) continue;
+            result[op] = { ...update[op] };
+            for (const [key, value] of Object.entries(update[op])) {
+                if (!encryptsAt(key)) continue;
+                result[op][key] = value && Array.isArray(value.$each)
+                    ? { ...value, $each: value.$each.map(item => encryptAt(key, [item])[0]) }
+                    : encryptAt(key, [value])[0];
+            }
+        }
+
+        if (update.$unset) {
+            result.$unset = { ...update.$unset };
+            for (const [field, indexPath] of Object.entries(blindIndexes)) {
+                if (field in update.$unset) result.$unset[indexPath] = 1;
+            }
+        }
+        return result;
+    };
+
+    const withIndexes = (doc) => {
+        const result = { ...doc };
+        for (const [field, indexPath] of Object.entries(blindIndexes)) {
+            result[indexPath] = fieldEncryptionService.blindIndex(doc[field], scoped(field));
+        }
+        return result;
+    };
+
+    // Stored documents are decrypted before Mongoose hydrates them
+    schema.pre("init", function (raw) {
+        transform(raw, decryptValue);
+    });
+
+    schema.pre("save", function () {
+        if (!fieldEncryptionService.isEnabled()) return;
+        for (const [field, indexPath] of Object.entries(blindIndexes)) {
+            if (this.isNew || this.isModified(field)) {
+                this.set(indexPath, fieldEncryptionService.blindIndex(this.get(field), scoped(field)));
+            }
+        }
+        transform(this._doc, encryptValue);
+    });
+    // The document keeps its plaintext once saved, whether or not the write succeeded
+    schema.post("save", function () {
+        transform(this._doc, decryptValue);
+    });
+    schema.post("save", function (error, doc, next) {
+        transform(doc._doc, decryptValue);
+        next(error);
+    });
+
+    schema.pre("insertMany", function (next, docs) {
+        if (!fieldEncryptionService.isEnabled()) return next();
+        docs.forEach((doc, i) => {
+            if (doc?.$__) {
+                Object.entries(blindIndexes).forEach(([field, indexPath]) => doc.set(indexPath, fieldEncryptionService.blindIndex(doc.get(field), scoped(field))));
+                transform(doc._doc, encryptValue); // Validated as ciphertext, see above
+            } else {
+                docs[i] = withIndexes(encryptAt("", doc));
+            }
+        });
+        next();
+    });
+    schema.post("insertMany", function (docs) {
+        decryptDocs(docs);
+    });
+
+    schema.pre(QUERY_OPS, { document: false, query: true }, function () {
+        if (!fieldEncryptionService.isEnabled()) return;
+        this.setQuery(rewriteFilter(this.getFilter()));
+
+        const update = this.getUpdate();
+        if (!update || Array.isArray(update)) return;
+        if (this.op === "replaceOne" || this.op === "findOneAndReplace") this.setUpdate(withIndexes(encryptAt("", update)));
+        else this.setUpdate(rewriteUpdate(update));
+    });
+
+    // Hydrated documents went through init; lean results are plain objects
+    schema.post(RESULT_OPS, { document: false, query: true }, function (result) {
+        if (!this.mongooseOptions().lean || !result) return;
+        decryptDocs(result.lastErrorObject ? result.value : result);
+    });
+
+    schema.post("aggregate", function (result) {
+        decryptDocs(result);
+    });
+}
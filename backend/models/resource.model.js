@@ -33,6 +33,11 @@ const resourceSchema = new mongoose.Schema({
     default: 'English'
   },
   duration: String,
+  // Parsed from `duration` so search can filter and facet by length
+  durationMinutes: {
+    type: Number,
+    default: null
+  },
   author: String,
   thumbnailUrl: String,
   embedData: {
@@ -70,6 +75,43 @@ resourceSchema.index({ title: 1 }); // For title search
 resourceSchema.index({ tags: 1 }); // For tag search
 resourceSchema.index({ type: 1, isFeatured: 1, priority: -1 });
 resourceSchema.index({ createdAt: -1 });
+// Full-text search, ranked title > tags > author > description. The `language` field holds
+// display names ("English"), so point the per-document language override elsewhere.
+resourceSchema.index(
+  { title: 'text', tags: 'text', author: 'text', description: 'text' },
+  {
+    name: 'resource_text_search',
+    weights: { title: 10, tags: 5, author: 3, description: 1 },
+    default_language: 'english',
+    language_override: 'textSearchLanguage'
+  }
+);
+resourceSchema.index({ isActive: 1, viewCount: -1 });
+resourceSchema.index({ isActive: 1, helpfulCount: -1 });
+
+/**
+ * Minutes in a free-text duration: "8 min read", "1 hr 20 min", "1h30m", "12:34"
+ * (mm:ss), "1:02:03" (h:mm:ss), "2 hours". Null when it can't be read.
+ */
+export const parseDurationMinutes = (duration) => {
+  if (!duration) return null;
+  const text = String(duration).toLowerCase().trim();
+
+  const clock = text.match(/^(\d+):(\d{1,2})(?::(\d{1,2}))?$/);
+  if (clock) {
+    const [a, b, c] = clock.slice(1).map(v => (v === undefined ? null : Number(v)));
+    const total = c === null ? a + b / 60 : a * 60 + b + c / 60;
+    return Math.round(total * 10) / 10;
+  }
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)(?![a-z])/);
+  const minutes = text.match(/(\d+(?:\.\d+)?)\s*(?:m|min|mins|minute|minutes)(?![a-z])/);
+  if (hours || minutes) {
+    return (hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseFloat(minutes[1]) : 0);
+  }
+
+  return null;
+};
 
 resourceSchema.methods.extractEmbedData = function() {
   const url = this.url;
@@ -99,4 +141,22 @@ resourceSchema.pre('save', function(next) {
   next();
 });
 
+// On validate rather than save so insertMany (used by the seed scripts) runs it too
+resourceSchema.pre('validate', function(next) {
+  if (this.isModified('duration')) {
+    this.durationMinutes = parseDurationMinutes(this.duration);
+  }
+  next();
+});
+
+// Admin edits go through findByIdAndUpdate, which skips save hooks
+resourceSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate();
+  const fields = update.$set || update;
+  if (Object.prototype.hasOwnProperty.call(fields, 'duration')) {
+    fields.durationMinutes = parseDurationMinutes(fields.duration);
+  }
+  next();
+});
+
 export const Resource = mongoose.model('Resource', resourceSchema);
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// One record per user per resource: their helpful vote, bookmark, progress and views.
+// Resource.helpfulCount and Resource.viewCount are totals over these records.
+const ResourceInteractionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    resourceId: { type: mongoose.Schema.Types.ObjectId, ref: "Resource", required: true, index: true },
+
+    helpful: { type: Boolean, default: false },
+    helpfulAt: Date,
+
+    saved: { type: Boolean, default: false },
+    savedAt: Date,
+    // Optional names for grouping saved resources ("exam week", "sleep")
+    lists: [{ type: String, trim: true, lowercase: true, maxlength: 40 }],
+
+    // Only tracked for videos and audio
+    completion: {
+        status: { type: String, enum: ["not_started", "in_progress", "completed"], default: "not_started" },
+        progress: { type: Number, min: 0, max: 1, default: 0 },
+        completedAt: Date,
+        updatedAt: Date
+    },
+
+    viewCount: { type: Number, default: 0 },
+    firstViewedAt: Date,
+    lastViewedAt: Date, // Every open; orders the history. Cleared when the user clears their history.
+    lastCountedViewAt: Date // Opens within the dedup window of this don't count as new views
+}, {
+    timestamps: true
+});
+
+ResourceInteractionSchema.index({ userId: 1, resourceId: 1 }, { unique: true });
+ResourceInteractionSchema.index({ userId: 1, saved: 1, savedAt: -1 });
+ResourceInteractionSchema.index({ userId: 1, lastViewedAt: -1 });
+
+export const ResourceInteraction = mongoose.model("ResourceInteraction", ResourceInteractionSchema);
+export default ResourceInteraction;
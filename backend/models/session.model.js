@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// One document per login. Every refresh rotates currentTokenHash; the session is the token family.
+const SessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    currentTokenHash: { type: String, required: true, select: false }, // SHA-256 of the live refresh token id
+    previousTokenHash: { type: String, select: false }, // The token it replaced, so a concurrent refresh isn't mistaken for reuse
+    rotatedAt: Date,
+    rotationCount: { type: Number, default: 0 },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: Date,
+    revokedReason: { type: String, enum: ["logout", "user_revoked", "password_reset", "token_reuse", "account_deletion"] },
+}, {
+    timestamps: true
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1, expiresAt: -1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", SessionSchema);
+export default Session;
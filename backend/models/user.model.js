@@ -18,13 +18,59 @@ const UserSchema = new mongoose.Schema({
     otpExpiry: { type: Date, select: false },
     otpAttempts: { type: Number, default: 0, select: false },
     lastOTPSentAt: Date,
+
+    // Password Reset Fields
+    passwordResetOTP: { type: String, select: false }, // Hashed OTP
+    passwordResetExpiry: { type: Date, select: false },
+    passwordResetAttempts: { type: Number, default: 0, select: false },
+    lastPasswordResetSentAt: { type: Date, select: false },
+    passwordChangedAt: Date,
+
+    // Account deletion: the account is purged once deletionScheduledFor passes unless the user cancels
+    deletionRequestedAt: Date,
+    deletionScheduledFor: { type: Date, index: true },
     
+    // IANA zone captured from the browser; day-bucketed features (moods, streaks, AI quota) use it
+    timezone: { type: String, default: "UTC" }, // e.g. "Asia/Kolkata"
+
     isAnonymous: { type: Boolean, default: false },
     lastActive: { type: Date, default: Date.now },
     preferences: {
         notifications: { type: Boolean, default: true },
         emailUpdates: { type: Boolean, default: true },
-        publicProfile: { type: Boolean, default: false }
+        publicProfile: { type: Boolean, default: false },
+        // Monday-morning summary of the past week, sent by services/digest.service.js
+        weeklyDigest: { type: Boolean, default: true },
+        // Opt-in reminders sent by services/reminder.service.js; times are in the user's timezone
+        reminders: {
+            dailyCheckIn: {
+                enabled: { type: Boolean, default: false },
+                time: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: "20:00" }
+            },
+            // Evening nudge when yesterday kept a journaling streak going but today has no entry yet
+            streakNudge: {
+                enabled: { type: Boolean, default: false },
+                time: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: "21:00" }
+            },
+            weeklyReflection: {
+                enabled: { type: Boolean, default: false },
+                dayOfWeek: { type: Number, min: 0, max: 6, default: 0 }, // 0 = Sunday
+                time: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: "18:00" }
+            },
+            // Nothing is sent in this window; it may wrap past midnight (22:00-08:00)
+            quietHours: {
+                enabled: { type: Boolean, default: false },
+                start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: "22:00" },
+                end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, default: "08:00" }
+            },
+            // Local calendar day (UTC midnight) each reminder or digest last went out, so it is sent once per day
+            lastSent: {
+                dailyCheckIn: Date,
+                streakNudge: Date,
+                weeklyReflection: Date,
+                weeklyDigest: Date
+            }
+        }
     },
     counselorDetails: {
         title: String,
@@ -33,7 +79,16 @@ const UserSchema = new mongoose.Schema({
         sessionTypes: [{ type: String, enum: ["video", "in-person"] }],
         availability: [String],
         bio: String,
-        experience: String
+        experience: String,
+        // Bookable weekly hours, written in the counselor's own time zone
+        timezone: { type: String, default: "UTC" }, // IANA zone, e.g. "America/New_York"
+        slotMinutes: { type: Number, default: 50, min: 15, max: 180 },
+        availabilitySlots: [{
+            _id: false,
+            dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+            startTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }, // "HH:MM"
+            endTime: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true }
+        }]
     }
 }, {
     timestamps: true
@@ -2,21 +2,48 @@ import express from "express";
 import { 
     listUsers, 
     metricsOverview, 
+    aiCacheStats,
     riskAlerts, 
     getReportedPosts,
     getAllPosts,
     deletePost, 
     dismissReports 
 } from "../controllers/admin.controller.js";
+import {
+    listCrisisEvents,
+    listAssignees,
+    getCrisisEvent,
+    updateCrisisStatus,
+    assignCrisisEvent,
+    addCrisisNote
+} from "../controllers/crisis.controller.js";
+import {
+    listJobs,
+    getJob,
+    retryJob,
+    retryDeadJobs
+} from "../controllers/job.controller.js";
 import authMiddleware, { requireRole } from "../middleware/auth.middleware.js";
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication
 router.use(authMiddleware);
+
+// Crisis case management is shared with the staff who follow up on cases
+const crisisStaff = requireRole(["admin", "counselor", "moderator"]);
+router.get("/crisis-events", crisisStaff, listCrisisEvents);
+router.get("/crisis-events/assignees", crisisStaff, listAssignees);
+router.get("/crisis-events/:id", crisisStaff, getCrisisEvent);
+router.patch("/crisis-events/:id/status", crisisStaff, updateCrisisStatus);
+router.patch("/crisis-events/:id/assign", crisisStaff, assignCrisisEvent);
+router.post("/crisis-events/:id/notes", crisisStaff, addCrisisNote);
+
+// Everything else is admin only
 router.use(requireRole("admin"));
 
 router.get("/metrics/overview", metricsOverview);
+router.get("/metrics/ai-cache", aiCacheStats);
 router.get("/risk-alerts", riskAlerts);
 router.get("/users", listUsers);
 
@@ -26,4 +53,10 @@ router.get("/forum/all-posts", getAllPosts);
 router.delete("/forum/posts/:id", deletePost);
 router.post("/forum/posts/:id/dismiss-reports", dismissReports);
 
+// Background job queue
+router.get("/jobs", listJobs);
+router.post("/jobs/retry-dead", retryDeadJobs);
+router.get("/jobs/:id", getJob);
+router.post("/jobs/:id/retry", retryJob);
+
 export default router;
\ No newline at end of file
@@ -3,38 +3,41 @@ import {
     cleanupConversations,
     createConversation,
     deleteConversation,
+    deleteConversationPermanently,
     getConversation, 
     getMessages,
     listConversations,
+    listConversationTrash,
     migrateConversationTypes,
     provideFeedback,
+    restoreConversation,
     sendMessage,
     sendMessageStream,
     updateConversation
 } from "../controllers/ai.controller.js";
 import authMiddleware from "../middleware/auth.middleware.js";
-import { aiChatLimiter, dailyAILimiter } from "../middleware/ai-rate-limiter.middleware.js";
+import { aiChatLimiter, dailyAIQuota } from "../middleware/ai-rate-limiter.middleware.js";
 
 const router = express.Router();
 
 // All AI routes require authentication
 router.use(authMiddleware);
 
-// Apply daily limit to all AI routes
-router.use(dailyAILimiter);
-
 // Conversation management
 router.post("/conversations", createConversation);
 router.get("/conversations", listConversations);
+router.get("/conversations/trash", listConversationTrash); // Must come before /conversations/:id
+router.delete("/conversations/trash/:id", deleteConversationPermanently);
 router.get("/conversations/:id", getConversation);
 router.patch("/conversations/:id", updateConversation);
 router.patch("/conversations/migrate-types", migrateConversationTypes); // Migration endpoint
-router.delete("/conversations/:id", deleteConversation);
+router.delete("/conversations/:id", deleteConversation); // Moves it to the trash
+router.post("/conversations/:id/restore", restoreConversation);
 router.delete("/conversations", cleanupConversations); // Cleanup endpoint (for testing)
 
-// Message operations (apply stricter rate limiting)
-router.post("/conversations/:id/messages", aiChatLimiter, sendMessage);
-router.get("/conversations/:id/messages/stream", aiChatLimiter, sendMessageStream); // SSE endpoint
+// Message operations (apply stricter rate limiting and the daily AI quota)
+router.post("/conversations/:id/messages", aiChatLimiter, dailyAIQuota("chat"), sendMessage);
+router.get("/conversations/:id/messages/stream", aiChatLimiter, dailyAIQuota("stream"), sendMessageStream); // SSE endpoint
 router.get("/conversations/:id/messages", getMessages);
 
 // Message feedback
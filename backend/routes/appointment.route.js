@@ -0,0 +1,24 @@
+import express from "express";
+import {
+    bookAppointment,
+    listAppointments,
+    getAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    updateAppointmentStatus
+} from "../controllers/appointment.controller.js";
+import authMiddleware, { requireRole } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All appointment routes require authentication
+router.use(authMiddleware);
+
+router.post("/", bookAppointment);
+router.get("/", listAppointments);
+router.get("/:id", getAppointment);
+router.patch("/:id", rescheduleAppointment);
+router.post("/:id/cancel", cancelAppointment);
+router.patch("/:id/status", requireRole("counselor"), updateAppointmentStatus);
+
+export default router;
@@ -2,6 +2,7 @@ import express from "express";
 import { 
     login, 
     refresh, 
+    logout,
     requestPasswordReset, 
     resetPassword, 
     signup,
@@ -10,9 +11,15 @@ import {
     getMe,
     adminElevate
 } from "../controllers/auth.controller.js";
-import { validateSignup, validateLogin } from "../middleware/validation.middleware.js";
-import authMiddleware from "../middleware/auth.middleware.js";
-import { signupLimiter, otpRequestLimiter, otpVerifyLimiter } from "../middleware/rateLimiter.middleware.js";
+import { validateSignup, validateLogin, validatePasswordReset } from "../middleware/validation.middleware.js";
+import authMiddleware, { optionalAuth } from "../middleware/auth.middleware.js";
+import { 
+    signupLimiter, 
+    otpRequestLimiter, 
+    otpVerifyLimiter,
+    passwordResetRequestLimiter,
+    passwordResetLimiter
+} from "../middleware/rateLimiter.middleware.js";
 
 const router = express.Router();
 
@@ -24,10 +31,11 @@ router.post("/resend-otp", otpRequestLimiter, resendOTP);
 // Login & Tokens
 router.post("/login", validateLogin, login);
 router.post("/refresh", refresh);
+router.post("/logout", optionalAuth, logout);
 
 // Password Reset
-router.post("/request-password-reset", requestPasswordReset);
-router.post("/reset-password", resetPassword);
+router.post("/request-password-reset", passwordResetRequestLimiter, requestPasswordReset);
+router.post("/reset-password", passwordResetLimiter, validatePasswordReset, resetPassword);
 
 // User Info
 router.get("/me", authMiddleware, getMe);
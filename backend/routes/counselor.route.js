@@ -0,0 +1,43 @@
+import express from "express";
+import {
+    listCounselors,
+    getMyCounselorProfile,
+    updateMyCounselorProfile,
+    updateMyAvailability,
+    getCounselor,
+    getCounselorSlots,
+    listSharingStudents,
+    listSharedJournals,
+    getSharedJournal,
+    listJournalNotes,
+    addJournalNote,
+    updateJournalNote,
+    deleteJournalNote
+} from "../controllers/counselor.controller.js";
+import authMiddleware, { requireRole } from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// All counselor routes require authentication
+router.use(authMiddleware);
+
+router.get("/", listCounselors);
+
+// The signed-in counselor's own profile (declared before /:id)
+router.get("/me", requireRole("counselor"), getMyCounselorProfile);
+router.patch("/me", requireRole("counselor"), updateMyCounselorProfile);
+router.put("/me/availability", requireRole("counselor"), updateMyAvailability);
+
+// Journal entries students have chosen to share; every read is logged for the student
+router.get("/me/students", requireRole("counselor"), listSharingStudents);
+router.get("/me/shared-journals", requireRole("counselor"), listSharedJournals);
+router.get("/me/shared-journals/:journalId", requireRole("counselor"), getSharedJournal);
+router.get("/me/shared-journals/:journalId/notes", requireRole("counselor"), listJournalNotes);
+router.post("/me/shared-journals/:journalId/notes", requireRole("counselor"), addJournalNote);
+router.patch("/me/notes/:noteId", requireRole("counselor"), updateJournalNote);
+router.delete("/me/notes/:noteId", requireRole("counselor"), deleteJournalNote);
+
+router.get("/:id", getCounselor);
+router.get("/:id/slots", getCounselorSlots);
+
+export default router;
@@ -2,18 +2,34 @@ import express from "express";
 import { 
     createJournal, 
     deleteJournal, 
+    deleteJournalPermanently,
     getJournal, 
     getJournalInsights,
     getJournalStats,
     getJournalMessages,
     listJournals, 
+    listJournalTrash,
+    listJournalRevisions,
+    restoreJournal,
+    restoreJournalRevision,
     sendJournalMessage,
     streamJournalAnalysis,
     updateJournal 
 } from "../controllers/journal.controller.js";
+import { createShare, listShares, revokeShare, getAccessLog } from "../controllers/journalShare.controller.js";
+import {
+    analyzeTransient,
+    enableEncryption,
+    getEncryptionStatus,
+    listPendingEncryption,
+    reencryptEntries,
+    rewrapKeys,
+    rotateKey,
+    updateEncryption
+} from "../controllers/journalEncryption.controller.js";
 import authMiddleware, { sseAuthMiddleware } from "../middleware/auth.middleware.js";
 import { validateJournal } from "../middleware/validation.middleware.js";
-import { journalAILimiter } from "../middleware/ai-rate-limiter.middleware.js";
+import { journalAILimiter, dailyAIQuota } from "../middleware/ai-rate-limiter.middleware.js";
 
 const router = express.Router();
 
@@ -21,15 +37,41 @@ const router = express.Router();
 router.post("/", authMiddleware, validateJournal, journalAILimiter, createJournal);
 router.get("/", authMiddleware, listJournals);
 router.get("/stats", authMiddleware, getJournalStats); // Must come before /:id
+
+// Consent-based sharing with counselors (also before /:id)
+router.post("/shares", authMiddleware, createShare);
+router.get("/shares", authMiddleware, listShares);
+router.get("/shares/access-log", authMiddleware, getAccessLog);
+router.delete("/shares/:id", authMiddleware, revokeShare);
+
+// Trash (also before /:id)
+router.get("/trash", authMiddleware, listJournalTrash);
+router.delete("/trash/:id", authMiddleware, deleteJournalPermanently);
+
+// End-to-end encryption keys (also before /:id)
+router.get("/encryption", authMiddleware, getEncryptionStatus);
+router.post("/encryption", authMiddleware, enableEncryption);
+router.patch("/encryption", authMiddleware, updateEncryption);
+router.put("/encryption/keys", authMiddleware, rewrapKeys);
+router.post("/encryption/rotate", authMiddleware, rotateKey);
+router.get("/encryption/pending", authMiddleware, listPendingEncryption);
+router.post("/encryption/reencrypt", authMiddleware, reencryptEntries);
+
 router.get("/:id", authMiddleware, getJournal);
 router.get("/:id/insights", authMiddleware, getJournalInsights);
-router.get("/:id/analyze-stream", sseAuthMiddleware, journalAILimiter, streamJournalAnalysis); // SSE endpoint - accepts token in query
+router.get("/:id/analyze-stream", sseAuthMiddleware, journalAILimiter, dailyAIQuota("journal_analysis"), streamJournalAnalysis); // SSE endpoint - accepts token in query
+router.post("/:id/analyze-transient", authMiddleware, journalAILimiter, analyzeTransient); // Encrypted entries, on request; quota counted in the service
 
 // Journal Reflection Messages (embedded in journal - NO separate conversation!)
 router.get("/:id/messages", authMiddleware, getJournalMessages);
-router.post("/:id/messages", authMiddleware, journalAILimiter, sendJournalMessage);
+router.post("/:id/messages", authMiddleware, journalAILimiter, dailyAIQuota("journal_reflection"), sendJournalMessage);
+
+// Edit history
+router.get("/:id/revisions", authMiddleware, listJournalRevisions);
+router.post("/:id/revisions/:version/restore", authMiddleware, journalAILimiter, restoreJournalRevision);
 
 router.patch("/:id", authMiddleware, journalAILimiter, updateJournal);
 router.delete("/:id", authMiddleware, deleteJournal);
+router.post("/:id/restore", authMiddleware, restoreJournal);
 
 export default router;
\ No newline at end of file
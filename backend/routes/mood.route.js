@@ -1,5 +1,5 @@
 import express from "express";
-import { listMoods, upsertTodayMood } from "../controllers/mood.controller.js";
+import { getMoodInsights, listMoods, upsertTodayMood } from "../controllers/mood.controller.js";
 import authMiddleware from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -9,5 +9,6 @@ router.use(authMiddleware);
 
 router.put("/today", upsertTodayMood);
 router.get("/", listMoods);
+router.get("/insights", getMoodInsights);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,17 @@
+import express from "express";
+import {
+    getReminderSettings,
+    updateReminderSettings,
+    unsubscribe
+} from "../controllers/reminder.controller.js";
+import authMiddleware from "../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Unsubscribe links in reminder emails carry a signed token instead of a login
+router.post("/unsubscribe", unsubscribe);
+
+router.get("/", authMiddleware, getReminderSettings);
+router.patch("/", authMiddleware, updateReminderSettings);
+
+export default router;
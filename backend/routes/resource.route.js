@@ -1,12 +1,19 @@
 import express from "express";
-import { optionalAuth } from "../middleware/auth.middleware.js";
+import { authMiddleware, optionalAuth } from "../middleware/auth.middleware.js";
 import rateLimit from "express-rate-limit";
 import {
   getFeaturedResources,
   searchResources,
+  getRecommendedResources,
   getResourceById,
   incrementViewCount,
   markAsHelpful,
+  saveResource,
+  updateProgress,
+  getInteractionStates,
+  getSavedResources,
+  getResourceHistory,
+  clearResourceHistory,
   createResource,
   updateResource,
   deleteResource,
@@ -25,9 +32,16 @@ const router = express.Router();
 router.get("/featured", getFeaturedResources);
 router.get("/search", searchResources);
 router.get("/all", getAllResources);
+router.get("/recommended", authMiddleware, getRecommendedResources);
+router.get("/interactions", authMiddleware, getInteractionStates);
+router.get("/saved", authMiddleware, getSavedResources);
+router.get("/history", authMiddleware, getResourceHistory);
+router.delete("/history", authMiddleware, clearResourceHistory);
 router.get("/:id", getResourceById);
 router.post("/:id/view", optionalAuth, incrementViewCount);
-router.post("/:id/helpful", markAsHelpful);
+router.post("/:id/helpful", authMiddleware, markAsHelpful);
+router.put("/:id/save", authMiddleware, saveResource);
+router.put("/:id/progress", authMiddleware, updateProgress);
 
 router.post("/admin/create", createResource);
 router.patch("/admin/:id", updateResource);
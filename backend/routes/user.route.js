@@ -1,5 +1,19 @@
 import express from "express";
-import { getMe, updateMe, updateAvatar, changePassword } from "../controllers/user.controller.js";
+import { 
+    getMe, 
+    updateMe, 
+    updateAvatar, 
+    changePassword,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getAIUsage,
+    requestExport,
+    listExports,
+    downloadExport,
+    deleteAccount,
+    cancelAccountDeletion
+} from "../controllers/user.controller.js";
 import authMiddleware from "../middleware/auth.middleware.js";
 
 const router = express.Router();
@@ -9,7 +23,22 @@ router.use(authMiddleware);
 
 router.get("/", getMe);
 router.patch("/", updateMe);
+router.delete("/", deleteAccount);
+router.post("/deletion/cancel", cancelAccountDeletion);
 router.put("/avatar", updateAvatar);
 router.post("/password", changePassword);
 
+// Session management
+router.get("/sessions", listSessions);
+router.delete("/sessions", revokeOtherSessions);
+router.delete("/sessions/:id", revokeSession);
+
+// Daily AI quota
+router.get("/ai-usage", getAIUsage);
+
+// Personal data export
+router.post("/export", requestExport);
+router.get("/export", listExports);
+router.get("/export/:id/download", downloadExport);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Backfill Daily Metrics Script
+ *
+ * Recomputes MetricsDaily for a range of UTC days. Existing documents for
+ * those days are overwritten, so it is safe to run repeatedly.
+ *
+ * Usage:
+ * node scripts/backfill-metrics.js [from] [to]
+ *
+ * Examples:
+ * node scripts/backfill-metrics.js                          # last 30 days
+ * node scripts/backfill-metrics.js 2025-01-01               # 2025-01-01 through yesterday
+ * node scripts/backfill-metrics.js 2025-01-01 2025-01-31
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import metricsService from '../services/metrics.service.js';
+
+dotenv.config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const backfillMetrics = async (from, to) => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zenly');
+    console.log('✅ Connected to MongoDB');
+
+    console.log(`\n📊 Aggregating ${from.toISOString().slice(0, 10)} → ${to.toISOString().slice(0, 10)}\n`);
+
+    const days = await metricsService.aggregateRange(from, to, (metrics) => {
+      console.log(
+        `   ${metrics.date.toISOString().slice(0, 10)}  DAU ${metrics.dau}  sessions ${metrics.sessions}  ` +
+        `journals ${metrics.journalCount}  chat ${metrics.chat.userMessages}  crisis ${metrics.crisis.total}`
+      );
+    });
+
+    console.log(`\n✅ Backfilled ${days} day(s)\n`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const yesterday = new Date(metricsService.startOfUTCDay(new Date()).getTime() - DAY_MS);
+const from = process.argv[2] ? parseDay(process.argv[2]) : new Date(yesterday.getTime() - 29 * DAY_MS);
+const to = process.argv[3] ? parseDay(process.argv[3]) : yesterday;
+
+if (!from || !to || from > to) {
+  console.log('❌ Please provide valid dates (YYYY-MM-DD) with from <= to');
+  console.log('\nUsage: node scripts/backfill-metrics.js [from] [to]');
+  console.log('Example: node scripts/backfill-metrics.js 2025-01-01 2025-01-31\n');
+  process.exit(1);
+}
+
+backfillMetrics(from, to);
@@ -0,0 +1,55 @@
+/**
+ * Backfill Resource Durations Script
+ *
+ * Fills in `durationMinutes` (used by the search duration filter and facet) from each
+ * resource's free-text `duration`, and builds the full-text search index. Resources
+ * saved since the field was added already have it; every run recomputes all of them,
+ * so it is safe to run repeatedly.
+ *
+ * Usage:
+ * node scripts/backfill-resource-durations.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { Resource, parseDurationMinutes } from '../models/resource.model.js';
+
+dotenv.config();
+
+const backfillResourceDurations = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zenly');
+    console.log('✅ Connected to MongoDB');
+
+    await Resource.syncIndexes();
+    console.log('🔎 Search indexes up to date\n');
+
+    const resources = await Resource.find({}).select('title duration durationMinutes').lean();
+    const unparsed = [];
+    const updates = [];
+
+    for (const resource of resources) {
+      const minutes = parseDurationMinutes(resource.duration);
+      if (resource.duration && minutes === null) unparsed.push(resource);
+      if (minutes !== (resource.durationMinutes ?? null)) {
+        updates.push({ updateOne: { filter: { _id: resource._id }, update: { $set: { durationMinutes: minutes } } } });
+      }
+    }
+
+    if (updates.length) await Resource.bulkWrite(updates);
+    console.log(`✅ Updated ${updates.length} of ${resources.length} resource(s)`);
+
+    if (unparsed.length) {
+      console.log(`\n⚠️  ${unparsed.length} duration(s) couldn't be read and will show as "Not specified":`);
+      unparsed.forEach(r => console.log(`   "${r.duration}"  ${r.title}`));
+    }
+
+    console.log('');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+backfillResourceDurations();
@@ -0,0 +1,240 @@
+/**
+ * Field Encryption Script
+ *
+ * Manages the keyring for encryption at rest (see services/field-encryption.service.js)
+ * and brings stored data in line with it:
+ *
+ * - init              create the keyring file named by FIELD_ENCRYPTION_KEYRING
+ * - add-key [keyId]   add a new key and make it the active one (key rotation)
+ * - migrate           encrypt plaintext values, re-encrypt values under older keys with the
+ *                     active key and fill in blind indexes (the default; safe to run repeatedly)
+ * - status            how many values are plaintext or under each key
+ * - retire-key <id>   remove a key from the keyring once no value uses it
+ *
+ * To rotate: add-key, copy the keyring to every server and restart them (so they can read
+ * values under the new key), run migrate, then retire-key the old one.
+ *
+ * Usage:
+ * node scripts/encrypt-fields.js [init | add-key [keyId] | migrate [--dry-run] | status | retire-key <keyId>]
+ *
+ * Examples:
+ * FIELD_ENCRYPTION_KEYRING=./field-keyring.json node scripts/encrypt-fields.js init
+ * node scripts/encrypt-fields.js migrate --dry-run
+ * node scripts/encrypt-fields.js add-key k2
+ * node scripts/encrypt-fields.js retire-key k1
+ */
+
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import '../models/journalEntry.model.js';
+import '../models/journalRevision.model.js';
+import '../models/aiMessage.model.js';
+import '../models/moodlog.model.js';
+import '../models/crisisEvent.model.js';
+import '../models/notification.model.js';
+import '../models/analysticsEvent.model.js';
+import '../models/aiCacheEntry.model.js';
+import { encryptedModels } from '../models/plugins/encryptedFields.plugin.js';
+import fieldEncryptionService, { parseKeyring } from '../services/field-encryption.service.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const keyringFile = () => {
+  if (!process.env.FIELD_ENCRYPTION_KEYRING) {
+    throw new Error('Set FIELD_ENCRYPTION_KEYRING to the keyring file path (e.g. in backend/.env)');
+  }
+  return path.resolve(process.env.FIELD_ENCRYPTION_KEYRING);
+};
+
+const readKeyring = () => JSON.parse(fs.readFileSync(keyringFile(), 'utf8'));
+
+// Checked before writing, and written to a temp file first so a crash can't leave half a keyring
+const writeKeyring = (data) => {
+  parseKeyring(data);
+  const file = keyringFile();
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  fs.renameSync(`${file}.tmp`, file);
+  fieldEncryptionService.setKeyring(data);
+};
+
+// Every stored string at a field path, with its concrete path ("reflectionMessages.2.content")
+const leaves = (target, segments, prefix = []) => {
+  if (target == null || typeof target !== 'object') return [];
+  if (Array.isArray(target)) return target.flatMap((item, i) => leaves(item, segments, [...prefix, i]));
+  const [head, ...rest] = segments;
+  if (rest.length > 0) return leaves(target[head], rest, [...prefix, head]);
+  return typeof target[head] === 'string' ? [{ path: [...prefix, head].join('.'), value: target[head] }] : [];
+};
+
+const valuesOf = (fields, doc) => fields.flatMap(field => leaves(doc, field.split('.')).map(leaf => ({ field, ...leaf })));
+
+// Raw documents (no middleware, so values stay as stored) with just the encrypted fields
+const documents = (name, { fields, blindIndexes }) => {
+  const roots = [...new Set(fields.map(field => field.split('.')[0]))];
+  const projection = Object.fromEntries([...roots, ...Object.values(blindIndexes)].map(p => [p, 1]));
+  return mongoose.model(name).collection.find({}, { projection });
+};
+
+const connect = async () => {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zenly');
+  console.log('✅ Connected to MongoDB');
+};
+
+const init = () => {
+  if (fs.existsSync(keyringFile())) throw new Error(`${keyringFile()} already exists`);
+  writeKeyring({
+    activeKeyId: 'k1',
+    keys: { k1: fieldEncryptionService.generateKey() },
+    indexKey: fieldEncryptionService.generateKey(),
+  });
+  console.log(`✅ Created ${keyringFile()} with key k1`);
+  console.log('   Keep it out of version control and back it up: data encrypted with it is lost without it.');
+  console.log('   Restart the server, then run: node scripts/encrypt-fields.js migrate\n');
+};
+
+const nextKeyId = (keys) => {
+  let n = Object.keys(keys).length + 1;
+  while (keys[`k${n}`]) n++;
+  return `k${n}`;
+};
+
+const addKey = (keyId) => {
+  const keyring = readKeyring();
+  const id = keyId || nextKeyId(keyring.keys);
+  if (keyring.keys[id]) throw new Error(`Key ${id} already exists`);
+
+  writeKeyring({ ...keyring, activeKeyId: id, keys: { ...keyring.keys, [id]: fieldEncryptionService.generateKey() } });
+  console.log(`✅ Added key ${id}; new values are encrypted with it`);
+  console.log('   Copy the keyring to every server and restart them, then run: node scripts/encrypt-fields.js migrate\n');
+};
+
+const migrate = async (dryRun) => {
+  if (!fieldEncryptionService.isEnabled()) throw new Error('FIELD_ENCRYPTION_KEYRING is not set');
+  await connect();
+  console.log(`\n🔐 Encrypting with key ${fieldEncryptionService.getKeyring().activeKeyId}${dryRun ? ' (dry run)' : ''}\n`);
+
+  for (const [name, options] of encryptedModels) {
+    let documentCount = 0;
+    let updated = 0;
+    let skipped = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length > 0 && !dryRun) {
+        const result = await mongoose.model(name).collection.bulkWrite(batch, { ordered: false });
+        // Values changed since they were read (e.g. an edit) no longer match; the next run gets them
+        skipped += batch.length - result.matchedCount;
+      }
+      batch = [];
+    };
+
+    for await (const doc of documents(name, options)) {
+      documentCount++;
+      const $set = {};
+      const filter = { _id: doc._id };
+
+      for (const { field, path: valuePath, value } of valuesOf(options.fields, doc)) {
+        const scope = `${name}.${field}`;
+        const plaintext = fieldEncryptionService.decrypt(value, scope);
+        if (fieldEncryptionService.needsRotation(value)) {
+          $set[valuePath] = fieldEncryptionService.encrypt(plaintext, scope);
+          filter[valuePath] = value;
+        }
+        const indexPath = options.blindIndexes[field];
+        const index = indexPath && fieldEncryptionService.blindIndex(plaintext, scope);
+        if (indexPath && doc[indexPath] !== index) $set[indexPath] = index;
+      }
+
+      if (Object.keys($set).length === 0) continue;
+      updated++;
+      batch.push({ updateOne: { filter, update: { $set } } });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`   ${name}: ${updated} of ${documentCount} document(s) ${dryRun ? 'to update' : 'updated'}` +
+      (skipped ? `, ${skipped} changed meanwhile (run again)` : ''));
+  }
+
+  console.log(`\n✅ ${dryRun ? 'Dry run finished' : 'Done'}\n`);
+};
+
+// { model.field: { plaintext, [keyId]: count } }
+const countValues = async () => {
+  const counts = {};
+  for (const [name, options] of encryptedModels) {
+    for await (const doc of documents(name, options)) {
+      for (const { field, value } of valuesOf(options.fields, doc)) {
+        const scope = `${name}.${field}`;
+        const keyId = fieldEncryptionService.keyIdOf(value) || 'plaintext';
+        counts[scope] = counts[scope] || {};
+        counts[scope][keyId] = (counts[scope][keyId] || 0) + 1;
+      }
+    }
+  }
+  return counts;
+};
+
+const status = async () => {
+  await connect();
+  const keyring = fieldEncryptionService.getKeyring();
+  console.log(keyring
+    ? `\n🔐 Active key: ${keyring.activeKeyId} (keyring: ${[...keyring.keys.keys()].join(', ')})\n`
+    : '\n⚠️  FIELD_ENCRYPTION_KEYRING not set; new values are stored unencrypted\n');
+
+  const counts = await countValues();
+  for (const [scope, byKey] of Object.entries(counts)) {
+    console.log(`   ${scope}: ${Object.entries(byKey).map(([keyId, n]) => `${n} ${keyId}`).join(', ')}`);
+  }
+  console.log('');
+};
+
+const retireKey = async (keyId) => {
+  const keyring = readKeyring();
+  if (!keyring.keys[keyId]) throw new Error(`Key ${keyId} is not in the keyring`);
+  if (keyring.activeKeyId === keyId) throw new Error(`Key ${keyId} is the active key; add a new one first`);
+
+  await connect();
+  const inUse = Object.entries(await countValues()).filter(([, byKey]) => byKey[keyId]);
+  if (inUse.length > 0) {
+    inUse.forEach(([scope, byKey]) => console.log(`   ${scope}: ${byKey[keyId]} value(s)`));
+    throw new Error(`Key ${keyId} is still in use; run migrate first`);
+  }
+
+  const keys = { ...keyring.keys };
+  delete keys[keyId];
+  writeKeyring({ ...keyring, keys });
+  console.log(`✅ Removed key ${keyId}\n`);
+};
+
+const [command = 'migrate', ...args] = process.argv.slice(2);
+const value = args.find(arg => !arg.startsWith('--'));
+
+const commands = {
+  init: () => init(),
+  'add-key': () => addKey(value),
+  migrate: () => migrate(args.includes('--dry-run')),
+  status: () => status(),
+  'retire-key': () => {
+    if (!value) throw new Error('Usage: node scripts/encrypt-fields.js retire-key <keyId>');
+    return retireKey(value);
+  },
+};
+
+if (!commands[command]) {
+  console.log(`❌ Unknown command: ${command}`);
+  console.log('\nUsage: node scripts/encrypt-fields.js [init | add-key [keyId] | migrate [--dry-run] | status | retire-key <keyId>]\n');
+  process.exit(1);
+}
+
+Promise.resolve()
+  .then(commands[command])
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  });
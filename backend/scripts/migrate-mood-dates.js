@@ -0,0 +1,97 @@
+/**
+ * Migrate Mood Log Dates Script
+ *
+ * Mood logs used to be keyed by midnight in the server's time zone. They are now keyed
+ * by the calendar day itself, stored as UTC midnight (see services/timezone.service.js).
+ * This rewrites each old date to the server-local day it stood for, so existing entries
+ * stay on the day they were logged.
+ *
+ * Logs already at UTC midnight are left alone, so it is safe to run repeatedly.
+ *
+ * Usage:
+ * node scripts/migrate-mood-dates.js [serverTimeZone] [--dry-run]
+ *
+ * Examples:
+ * node scripts/migrate-mood-dates.js                          # the zone this machine runs in
+ * node scripts/migrate-mood-dates.js Asia/Kolkata
+ * node scripts/migrate-mood-dates.js America/New_York --dry-run
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import MoodLog from '../models/moodlog.model.js';
+import { calendarDay, dayKey, isValidTimeZone } from '../services/timezone.service.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const isUTCMidnight = (date) => date.getTime() % (24 * 60 * 60 * 1000) === 0;
+
+const migrateMoodDates = async (serverTimeZone, dryRun) => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zenly');
+    console.log('✅ Connected to MongoDB');
+    console.log(`\n🕒 Converting mood log dates written in ${serverTimeZone}${dryRun ? ' (dry run)' : ''}\n`);
+
+    let migrated = 0;
+    let skipped = 0;
+    let conflicts = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0 || dryRun) {
+        batch = [];
+        return;
+      }
+      try {
+        const result = await MoodLog.bulkWrite(batch, { ordered: false });
+        migrated += result.modifiedCount;
+      } catch (error) {
+        // Duplicate key: the user already has a log on that day; keep both and report it
+        if (!error.writeErrors) throw error;
+        migrated += error.result?.modifiedCount ?? error.result?.nModified ?? 0;
+        conflicts += error.writeErrors.length;
+        error.writeErrors.forEach(e => console.log(`   ⚠️  Skipped ${batch[e.index].updateOne.filter._id}: another log already exists on that day`));
+      }
+      batch = [];
+    };
+
+    const cursor = MoodLog.find({}).select('userId date').lean().cursor();
+    for await (const log of cursor) {
+      if (!log.date || isUTCMidnight(log.date)) {
+        skipped++;
+        continue;
+      }
+
+      const day = calendarDay(log.date, serverTimeZone);
+      if (dryRun) {
+        console.log(`   ${log._id}  ${log.date.toISOString()} → ${dayKey(day)}`);
+        migrated++;
+      }
+      batch.push({ updateOne: { filter: { _id: log._id }, update: { $set: { date: day } } } });
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`\n✅ ${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} log(s), ${skipped} already up to date` +
+      (conflicts ? `, ${conflicts} conflict(s)` : '') + '\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const serverTimeZone = args.find(arg => !arg.startsWith('--')) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+if (!isValidTimeZone(serverTimeZone)) {
+  console.log(`❌ Unknown time zone: ${serverTimeZone}`);
+  console.log('\nUsage: node scripts/migrate-mood-dates.js [serverTimeZone] [--dry-run]');
+  console.log('Example: node scripts/migrate-mood-dates.js Asia/Kolkata\n');
+  process.exit(1);
+}
+
+migrateMoodDates(serverTimeZone, dryRun);
@@ -0,0 +1,34 @@
+/**
+ * Recount Resource Stats Script
+ *
+ * Resets every resource's `helpfulCount` and `viewCount` to the totals over the
+ * per-user interaction records. Counts from before those records existed (anonymous
+ * views, unauthenticated helpful clicks) can't be traced to anyone and are dropped,
+ * so run this once after deploying and again whenever the totals look off.
+ *
+ * Usage:
+ * node scripts/recount-resource-stats.js
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import resourceInteractionService from '../services/resource-interaction.service.js';
+
+dotenv.config();
+
+const recountResourceStats = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/zenly');
+    console.log('✅ Connected to MongoDB');
+
+    const updated = await resourceInteractionService.recount();
+    console.log(`✅ Recounted totals; ${updated} resource(s) changed\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+recountResourceStats();
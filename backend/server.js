@@ -8,6 +8,7 @@ import { Server } from 'socket.io';
 import cors from 'cors';
 import { connectDB } from './config/db.js';
 import { errorHandler, notFoundHandler } from './middleware/error.middleware.js';
+import { socketAuthMiddleware, verifyAccessToken } from './middleware/auth.middleware.js';
 
 import authRoutes from './routes/auth.route.js';
 import userRoutes from './routes/user.route.js';
@@ -19,6 +20,22 @@ import resourceRoutes from './routes/resource.route.js';
 import adminRoutes from './routes/admin.route.js';
 import notificationRoutes from './routes/notification.route.js';
 import activityRoutes from './routes/activity.route.js';
+import counselorRoutes from './routes/counselor.route.js';
+import appointmentRoutes from './routes/appointment.route.js';
+import reminderRoutes from './routes/reminder.route.js';
+import realtimeService from './services/realtime.service.js';
+import crisisDetectionService from './services/crisis-detection.service.js';
+import metricsService from './services/metrics.service.js';
+import dataExportService from './services/data-export.service.js';
+import accountDeletionService from './services/account-deletion.service.js';
+import appointmentService from './services/appointment.service.js';
+import journalSharingService from './services/journal-sharing.service.js';
+import reminderService from './services/reminder.service.js';
+import digestService from './services/digest.service.js';
+import jobQueueService from './services/job-queue.service.js';
+import journalAnalysisService from './services/journal-analysis.service.js';
+import trashService from './services/trash.service.js';
+import fieldEncryptionService from './services/field-encryption.service.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -34,12 +51,41 @@ const io = new Server(httpServer, {
     transports: ['websocket', 'polling']
 });
 
-// Make io accessible to routes
+// Make io accessible to routes and background services
 app.set('io', io);
+realtimeService.attach(io);
+
+// Authenticate the handshake; signed-in users get private user and role rooms
+io.use(socketAuthMiddleware);
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-    console.log(`[Socket.IO] Client connected: ${socket.id}`);
+    const identity = socket.data.user;
+    if (identity) {
+        realtimeService.joinIdentityRooms(socket, identity);
+        console.log(`[Socket.IO] Client connected: ${socket.id} (user ${identity.userId}, ${identity.role})`);
+    } else {
+        console.log(`[Socket.IO] Client connected: ${socket.id} (guest)`);
+    }
+
+    // Swap in a refreshed access token without reconnecting
+    socket.on('auth:refresh', (token, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            const refreshed = verifyAccessToken(token);
+            if (socket.data.user) {
+                realtimeService.leaveIdentityRooms(socket, socket.data.user);
+            }
+            socket.data.user = refreshed;
+            realtimeService.joinIdentityRooms(socket, refreshed);
+            reply({ success: true });
+        } catch (err) {
+            reply({
+                success: false,
+                code: err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+            });
+        }
+    });
 
     // Join forum room for real-time updates
     socket.on('forum:join', () => {
@@ -79,7 +125,8 @@ const corsOptions = {
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-RateLimit-Resource', 'Content-Disposition']
 };
 
 app.use(cors(corsOptions));
@@ -105,7 +152,10 @@ app.get('/', (req, res) => {
             forum: '/forum',
             resources: '/resources',
             admin: '/admin',
-            notifications: '/notifications'
+            notifications: '/notifications',
+            counselors: '/counselors',
+            appointments: '/appointments',
+            reminders: '/reminders'
         }
     });
 });
@@ -122,6 +172,9 @@ app.use('/resources', resourceRoutes);
 app.use('/admin', adminRoutes);
 app.use('/notifications', notificationRoutes);
 app.use('/activity', activityRoutes);
+app.use('/counselors', counselorRoutes);
+app.use('/appointments', appointmentRoutes);
+app.use('/reminders', reminderRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -131,6 +184,18 @@ app.use(errorHandler);
 
 httpServer.listen(PORT, () => {
     connectDB();
+    fieldEncryptionService.checkConfiguration();
+    jobQueueService.start();
+    journalAnalysisService.recoverStuckEntries();
+    crisisDetectionService.startEscalationMonitor();
+    metricsService.startNightlyJob();
+    dataExportService.startCleanupJob();
+    accountDeletionService.startPurgeJob();
+    appointmentService.startReminderJob();
+    journalSharingService.startExpiryJob();
+    reminderService.startReminderJob();
+    digestService.startDigestJob();
+    trashService.startPurgeJob();
     console.log(`🚀 Server is running on http://localhost:${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔌 Socket.IO enabled for real-time updates`);
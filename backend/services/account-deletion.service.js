@@ -0,0 +1,213 @@
+/**
+ * Account Deletion Service
+ * Users request deletion, then have a grace period (ACCOUNT_DELETION_GRACE_DAYS,
+ * default 14) to cancel. Once it passes, the purge job erases their data.
+ * Forum posts and comments are anonymised rather than deleted so threads stay readable.
+ */
+
+import mongoose from 'mongoose';
+import User from '../models/user.model.js';
+import Session from '../models/session.model.js';
+import JournalEntry from '../models/journalEntry.model.js';
+import JournalRevision from '../models/journalRevision.model.js';
+import JournalKeyring from '../models/journalKeyring.model.js';
+import MoodLog from '../models/moodlog.model.js';
+import AIConversation from '../models/aiConversation.model.js';
+import AIMessage from '../models/aiMessage.model.js';
+import AIUsageDaily from '../models/aiUsageDaily.model.js';
+import ForumPost from '../models/forumPost.model.js';
+import ForumComment from '../models/forumComment.model.js';
+import ForumReaction from '../models/forumReaction.model.js';
+import Notification from '../models/notification.model.js';
+import AnalyticsEvent from '../models/analysticsEvent.model.js';
+import CrisisEvent from '../models/crisisEvent.model.js';
+import Appointment from '../models/appointment.model.js';
+import JournalShare from '../models/journalShare.model.js';
+import JournalAccessLog from '../models/journalAccessLog.model.js';
+import CounselorNote from '../models/counselorNote.model.js';
+import Job from '../models/job.model.js';
+import sessionService from './session.service.js';
+import dataExportService from './data-export.service.js';
+import resourceInteractionService from './resource-interaction.service.js';
+import appointmentService from './appointment.service.js';
+import aiCache from './cache/ai-cache.service.js';
+import { queueEmail } from './email.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_GRACE_DAYS = 14;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Anonymised forum content points here; it matches no user, so author lookups come back empty
+export const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+// likesCount - 1, never below zero
+const decrementLikes = [{ $set: { likesCount: { $max: [0, { $subtract: ['$likesCount', 1] }] } } }];
+
+class AccountDeletionService {
+  getGraceDays() {
+    const days = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+    return Number.isNaN(days) || days < 0 ? DEFAULT_GRACE_DAYS : days;
+  }
+
+  /**
+   * Schedule a user's account for deletion and sign out their other devices
+   * @param {object} user - User document
+   * @param {string} currentSessionId - Session kept alive so the user can still cancel
+   * @returns {Promise<Date>} - When the account will be purged
+   */
+  async scheduleDeletion(user, currentSessionId) {
+    const now = new Date();
+    const scheduledFor = new Date(now.getTime() + this.getGraceDays() * DAY_MS);
+
+    await User.updateOne(
+      { _id: user._id },
+      { deletionRequestedAt: now, deletionScheduledFor: scheduledFor }
+    );
+    await sessionService.revokeAllForUser(user._id, 'account_deletion', currentSessionId);
+
+    queueEmail('sendAccountDeletionScheduledEmail', user.email, user.firstName || user.name, scheduledFor)
+      .catch(error => console.error('Failed to queue account deletion email:', error));
+    console.log(`🗑️ Account deletion scheduled for user ${user._id} on ${scheduledFor.toISOString()}`);
+
+    return scheduledFor;
+  }
+
+  /**
+   * Cancel a pending deletion
+   * @returns {Promise<boolean>} - false if no deletion was pending
+   */
+  async cancelDeletion(userId) {
+    const result = await User.updateOne(
+      { _id: userId, deletionScheduledFor: { $ne: null } },
+      { $unset: { deletionRequestedAt: 1, deletionScheduledFor: 1 } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Permanently erase a user's data
+   * @returns {Promise<object>} - Counts of deleted/anonymised records
+   */
+  async purgeUser(userId) {
+    const conversationIds = await AIConversation.distinct('_id', { userId });
+
+    // Tell the other side their upcoming sessions are off while both names can still be looked up
+    const upcomingSessions = await Appointment.find({
+      $or: [{ studentId: userId }, { counselorId: userId }],
+      status: 'scheduled',
+      startsAt: { $gt: new Date() },
+    });
+    for (const appointment of upcomingSessions) {
+      await appointmentService.cancel(appointment, userId, 'The account was closed');
+    }
+
+    // Take back the user's likes before their reactions go
+    const likes = await ForumReaction.find({ userId, type: 'like' }).select('postId commentId').lean();
+    const likedPostIds = likes.filter(r => r.postId).map(r => r.postId);
+    const likedCommentIds = likes.filter(r => r.commentId).map(r => r.commentId);
+    if (likedPostIds.length) await ForumPost.updateMany({ _id: { $in: likedPostIds } }, decrementLikes);
+    if (likedCommentIds.length) await ForumComment.updateMany({ _id: { $in: likedCommentIds } }, decrementLikes);
+
+    // Same for resource helpful votes and views
+    const resourceInteractions = await resourceInteractionService.removeForUser(userId);
+
+    const [journals, journalRevisions, , moodLogs, messages, conversations, reactions, notifications, analyticsEvents] = await Promise.all([
+      JournalEntry.deleteMany({ userId }),
+      JournalRevision.deleteMany({ userId }),
+      JournalKeyring.deleteMany({ userId }),
+      MoodLog.deleteMany({ userId }),
+      AIMessage.deleteMany({ $or: [{ conversationId: { $in: conversationIds } }, { userId }] }),
+      AIConversation.deleteMany({ userId }),
+      ForumReaction.deleteMany({ userId }),
+      Notification.deleteMany({ userId }),
+      AnalyticsEvent.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      AIUsageDaily.deleteMany({ userId }),
+      Appointment.deleteMany({ studentId: userId }),
+      JournalShare.deleteMany({ $or: [{ studentId: userId }, { counselorId: userId }] }),
+      JournalAccessLog.deleteMany({ studentId: userId }),
+      CounselorNote.deleteMany({ $or: [{ studentId: userId }, { counselorId: userId }] }),
+      Job.deleteMany({ 'payload.userId': String(userId) }),
+    ]);
+
+    await dataExportService.deleteForUser(userId);
+    await aiCache.invalidateUser(userId);
+
+    // Keep forum threads intact, minus the author
+    const [posts, comments] = await Promise.all([
+      ForumPost.updateMany({ userId }, { userId: DELETED_USER_ID, isAnonymous: true }),
+      ForumComment.updateMany({ userId }, { userId: DELETED_USER_ID, isAnonymous: true }),
+      ForumPost.updateMany(
+        { 'reports.userId': userId },
+        { $set: { 'reports.$[report].userId': DELETED_USER_ID } },
+        { arrayFilters: [{ 'report.userId': userId }] }
+      ),
+    ]);
+
+    // Crisis case records stay for staff follow-up history, without the user's words
+    await CrisisEvent.updateMany({ userId }, { $unset: { messagePreview: 1, aiAssessment: 1 } });
+
+    await User.deleteOne({ _id: userId });
+
+    const summary = {
+      journals: journals.deletedCount,
+      journalRevisions: journalRevisions.deletedCount,
+      moodLogs: moodLogs.deletedCount,
+      conversations: conversations.deletedCount,
+      messages: messages.deletedCount,
+      reactions: reactions.deletedCount,
+      notifications: notifications.deletedCount,
+      analyticsEvents: analyticsEvents.deletedCount,
+      resourceInteractions,
+      anonymisedPosts: posts.modifiedCount,
+      anonymisedComments: comments.modifiedCount,
+    };
+    console.log(`🗑️ Purged account ${userId}`, summary);
+    return summary;
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {Promise<number>} - Accounts purged
+   */
+  async purgeDueAccounts() {
+    const due = await User.find({ deletionScheduledFor: { $lte: new Date() } }).select('_id').lean();
+    let purged = 0;
+
+    for (const { _id } of due) {
+      try {
+        await this.purgeUser(_id);
+        purged += 1;
+      } catch (error) {
+        // Left scheduled; the next run retries
+        console.error('Account purge failed for user %s:', _id, error);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Run the purge shortly after startup and then every hour
+   * @returns {object} - { stop() }
+   */
+  startPurgeJob() {
+    const run = async () => {
+      try {
+        const purged = await this.purgeDueAccounts();
+        if (purged) console.log(`🗑️ Purged ${purged} account(s) past their deletion grace period`);
+      } catch (error) {
+        console.error('Account purge job failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_MS);
+    timer.unref();
+
+    console.log('🗑️ Account deletion purge job scheduled');
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new AccountDeletionService();
@@ -9,25 +9,24 @@
  * - Caching and performance optimization
  */
 
-import huggingfaceService from './huggingface.service.js';
+import llmService from './llm.service.js';
 import promptsService from './prompts.service.js';
 import crisisDetectionService from './crisis-detection.service.js';
 import contextBuilderService from './context-builder.service.js';
 import JournalEntry from '../models/journalEntry.model.js';
 import AIConversation from '../models/aiConversation.model.js';
+import aiCache from './cache/ai-cache.service.js';
 
 class AIOrchestrator {
-  constructor() {
-    this.cache = new Map(); // In-memory cache (move to Redis in production)
-    this.CACHE_TTL = 15 * 60 * 1000; // 15 minutes
-  }
 
   /**
    * Analyze journal entry with parallel execution
    * @param {string} journalId - Journal entry ID
+   * @param {object} options - { jobId }: the queued job doing the analysis, so a retry
+   *   reuses the crisis case an earlier attempt opened
    * @returns {Promise<Object>} Analysis results
    */
-  async analyzeJournal(journalId) {
+  async analyzeJournal(journalId, { jobId } = {}) {
     try {
       console.log(`[AI Orchestrator] Starting journal analysis: ${journalId}`);
       
@@ -36,44 +35,11 @@ class AIOrchestrator {
       if (!journal) {
         throw new Error('Journal not found');
       }
+      if (!journal.content) {
+        throw new Error('Journal is end-to-end encrypted');
+      }
 
-      // Build user context
-      const context = await contextBuilderService.buildContext(journal.userId, {
-        includeJournals: true,
-        includeConversations: false,
-        maxJournals: 3,
-        timeRange: '30d'
-      });
-
-      // Execute all analysis tasks in parallel for speed
-      const [sentimentResult, insightsResult, summaryResult, riskResult] = await Promise.allSettled([
-        this.analyzeSentiment(journal.content, context),
-        this.generateInsights(journal.content, context),
-        this.generateSummary(journal.content),
-        this.assessRisk(journal.content, journal.userId) // Pass userId, not context
-      ]);
-
-      // Extract results with fallbacks
-      const analysis = {
-        sentiment: sentimentResult.status === 'fulfilled' 
-          ? sentimentResult.value 
-          : this.getFallbackSentiment(journal.content),
-        
-        insights: insightsResult.status === 'fulfilled'
-          ? insightsResult.value
-          : ['Unable to generate insights at this time'],
-        
-        summary: summaryResult.status === 'fulfilled'
-          ? summaryResult.value
-          : journal.content.substring(0, 100) + '...',
-        
-        risk: riskResult.status === 'fulfilled'
-          ? riskResult.value
-          : { level: 'low', factors: [], confidence: 0 }
-      };
-
-      // Generate suggested actions based on analysis
-      analysis.suggestedActions = this.generateSuggestedActions(analysis);
+      const analysis = await this.analyzeContent(journal.content, journal.userId, journal._id, { jobId });
 
       console.log('[AI Orchestrator] Journal analysis complete: %s', journalId, {
         sentimentScore: analysis.sentiment.score,
@@ -89,10 +55,63 @@ class AIOrchestrator {
     }
   }
 
+  /**
+   * Analyze journal text
+   * @param {string} content - Journal text
+   * @param {string} userId
+   * @param {string} journalId
+   * @param {object} options - { transient }: nothing derived from the text is cached or
+   *   kept (used for end-to-end encrypted entries, whose text the server never stores);
+   *   { jobId }: see analyzeJournal
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyzeContent(content, userId, journalId, { transient = false, jobId } = {}) {
+    // Build user context
+    const context = await contextBuilderService.buildContext(userId, {
+      includeJournals: true,
+      includeConversations: false,
+      maxJournals: 3,
+      timeRange: '30d'
+    });
+
+    // Execute all analysis tasks in parallel for speed
+    const [sentimentResult, insightsResult, summaryResult, riskResult] = await Promise.allSettled([
+      this.analyzeSentiment(content, context, userId, { transient }),
+      this.generateInsights(content, context, userId, { transient }),
+      this.generateSummary(content, userId, { transient }),
+      this.assessRisk(content, userId, journalId, { transient, jobId }) // Pass userId, not context
+    ]);
+
+    // Extract results with fallbacks
+    const analysis = {
+      sentiment: sentimentResult.status === 'fulfilled' 
+        ? sentimentResult.value 
+        : this.getFallbackSentiment(content),
+      
+      insights: insightsResult.status === 'fulfilled'
+        ? insightsResult.value
+        : ['Unable to generate insights at this time'],
+      
+      summary: summaryResult.status === 'fulfilled'
+        ? summaryResult.value
+        : content.substring(0, 100) + '...',
+      
+      risk: riskResult.status === 'fulfilled'
+        ? riskResult.value
+        : { level: 'low', factors: [], confidence: 0 }
+    };
+
+    // Generate suggested actions based on analysis
+    analysis.suggestedActions = this.generateSuggestedActions(analysis);
+
+    return analysis;
+  }
+
   /**
    * Analyze sentiment with AI
+   * Responses are cached per user, so re-analysing unchanged content skips the model call
    */
-  async analyzeSentiment(content, context) {
+  async analyzeSentiment(content, context, userId, { transient = false } = {}) {
     const prompt = `Analyze the emotional sentiment of this journal entry. Consider the user's context and history.
 
 User Context:
@@ -112,9 +131,11 @@ Provide sentiment analysis in JSON format:
 }`;
 
     try {
-      const response = await huggingfaceService.generateText(prompt, {
+      const response = await llmService.generateText(prompt, {
         temperature: 0.3,
-        maxTokens: 200
+        maxTokens: 200,
+        cache: transient ? undefined : { userId },
+        userId
       });
 
       const parsed = this.parseJSONResponse(response);
@@ -136,13 +157,15 @@ Provide sentiment analysis in JSON format:
   /**
    * Generate insights from journal
    */
-  async generateInsights(content, context) {
+  async generateInsights(content, context, userId, { transient = false } = {}) {
     const prompt = promptsService.buildJournalAnalysisPrompt(content, context);
 
     try {
-      const response = await huggingfaceService.generateText(prompt, {
+      const response = await llmService.generateText(prompt, {
         temperature: 0.7,
-        maxTokens: 300
+        maxTokens: 300,
+        cache: transient ? undefined : { userId },
+        userId
       });
 
       const parsed = this.parseJSONResponse(response);
@@ -161,7 +184,7 @@ Provide sentiment analysis in JSON format:
   /**
    * Generate summary
    */
-  async generateSummary(content) {
+  async generateSummary(content, userId, { transient = false } = {}) {
     const prompt = `Summarize this journal entry in 1-2 concise sentences:
 
 "${content}"
@@ -169,9 +192,11 @@ Provide sentiment analysis in JSON format:
 Summary:`;
 
     try {
-      const response = await huggingfaceService.generateText(prompt, {
+      const response = await llmService.generateText(prompt, {
         temperature: 0.5,
-        maxTokens: 100
+        maxTokens: 100,
+        cache: transient ? undefined : { userId },
+        userId
       });
 
       return response.trim();
@@ -185,9 +210,15 @@ Summary:`;
   /**
    * Assess risk level
    */
-  async assessRisk(content, userId) {
+  async assessRisk(content, userId, journalId, { transient = false, jobId } = {}) {
     try {
-      const crisisResult = await crisisDetectionService.detectCrisis(content, userId);
+      // A crisis in a transient analysis still opens a case, just without the text
+      const crisisResult = await crisisDetectionService.detectCrisis(content, userId, {
+        source: 'journal',
+        sourceId: journalId,
+        omitPreview: transient,
+        jobId
+      });
       
       return {
         level: crisisResult.riskLevel,
@@ -224,13 +255,16 @@ Summary:`;
       const context = await contextBuilderService.buildConversationContext(conversation);
 
       // PRIORITY 1: Crisis detection (pass userId, not context)
-      const crisisCheck = await crisisDetectionService.detectCrisis(userMessage, conversation.userId);
+      const crisisCheck = await crisisDetectionService.detectCrisis(userMessage, conversation.userId, {
+        source: 'chat',
+        sourceId: conversation._id
+      });
       
       let responseText;
       let metadata = {
         isCrisis: crisisCheck.isCrisis,
         riskLevel: crisisCheck.riskLevel,
-        model: process.env.HUGGINGFACE_MODEL || 'zai-org/GLM-4.6'
+        model: llmService.getModelName()
       };
 
       // If crisis detected, use crisis response
@@ -253,15 +287,6 @@ Summary:`;
           crisisTimestamp: new Date()
         });
 
-        // Alert admins if high risk
-        if (crisisCheck.riskLevel === 'high') {
-          await crisisDetectionService.alertAdmins(
-            conversation.userId,
-            userMessage,
-            crisisCheck
-          );
-        }
-
       } else {
         // Normal response with context
         const promptType = conversation.type === 'journal-reflection' 
@@ -279,9 +304,10 @@ Summary:`;
           journalContext
         );
 
-        responseText = await huggingfaceService.generateText(prompt, {
+        responseText = await llmService.generateText(prompt, {
           temperature: 0.8,
-          maxTokens: 400
+          maxTokens: 400,
+          userId: conversation.userId
         });
 
         metadata.hasJournalContext = !!conversation.journalEntryId;
@@ -325,7 +351,10 @@ Summary:`;
       const context = await contextBuilderService.buildConversationContext(conversation);
 
       // Crisis detection first (pass userId, not context)
-      const crisisCheck = await crisisDetectionService.detectCrisis(userMessage, conversation.userId);
+      const crisisCheck = await crisisDetectionService.detectCrisis(userMessage, conversation.userId, {
+        source: 'chat',
+        sourceId: conversation._id
+      });
 
       if (crisisCheck.isCrisis) {
         // Send crisis event
@@ -362,9 +391,10 @@ Summary:`;
         journalContext
       );
 
-      const stream = huggingfaceService.generateTextStream(prompt, {
+      const stream = llmService.generateTextStream(prompt, {
         temperature: 0.8,
-        maxTokens: 400
+        maxTokens: 400,
+        userId: conversation.userId
       });
 
       let fullResponse = '';
@@ -528,7 +558,10 @@ Provide empathetic, supportive responses that:
 - Watch for signs of crisis and provide resources if needed`;
 
       // Crisis detection
-      const crisisCheck = await crisisDetectionService.detectCrisis(userMessage);
+      const crisisCheck = await crisisDetectionService.detectCrisis(userMessage, context.userId, {
+        source: 'journal',
+        sourceId: context.journalId
+      });
 
       if (crisisCheck.isCrisis) {
         const crisisResponse = await crisisDetectionService.generateCrisisResponse(
@@ -553,10 +586,11 @@ Provide empathetic, supportive responses that:
         { role: 'user', content: userMessage }
       ];
 
-      const responseText = await huggingfaceService.generateText(messages, {
+      const responseText = await llmService.generateText(messages, {
         temperature: 0.8,
         maxTokens: 500,
-        systemRole: 'journal-companion'
+        systemRole: 'journal-companion',
+        userId: context.userId
       });
 
       return {
@@ -564,7 +598,7 @@ Provide empathetic, supportive responses that:
         metadata: {
           isCrisis: false,
           riskLevel: 'low',
-          model: 'glm-4.6'
+          model: llmService.getModelName()
         }
       };
 
@@ -597,8 +631,8 @@ Provide empathetic, supportive responses that:
   /**
    * Clear cache (for testing/debugging)
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await aiCache.clear();
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * AI Quota Service
+ * Durable per-user daily limits on AI requests and tokens, shared by every backend instance.
+ * Days follow the user's own time zone, so limits reset at their local midnight;
+ * counters live in AIUsageDaily (one document per user per calendar day).
+ */
+
+import AIUsageDaily from '../models/aiUsageDaily.model.js';
+import AI_CONFIG from '../config/ai.config.js';
+import { addDays, calendarDay, getUserTimeZone, startOfDay } from './timezone.service.js';
+
+class AIQuotaService {
+  /**
+   * The user's current quota day and the instant it ends
+   * @param {string} userId
+   * @returns {Promise<{ date: Date, resetsAt: Date }>}
+   */
+  async currentDay(userId, now = new Date()) {
+    const timeZone = await getUserTimeZone(userId);
+    const date = calendarDay(now, timeZone);
+    return { date, resetsAt: startOfDay(addDays(date, 1), timeZone) };
+  }
+
+  /**
+   * Daily limits for a role, falling back to the defaults
+   * @param {string} role
+   * @returns {{ requests: number, tokens: number }}
+   */
+  getLimits(role) {
+    const override = AI_CONFIG.RATE_LIMIT.ROLE_OVERRIDES[role] || {};
+    return {
+      requests: override.DAILY_LIMIT ?? AI_CONFIG.RATE_LIMIT.DAILY_LIMIT,
+      tokens: override.DAILY_TOKEN_LIMIT ?? AI_CONFIG.RATE_LIMIT.DAILY_TOKEN_LIMIT,
+    };
+  }
+
+  /**
+   * Count one AI request against today's quota if the user still has room.
+   * The check and the increment are a single atomic update, so concurrent
+   * requests across instances can't overshoot the limit.
+   * @param {string} userId
+   * @param {string} role
+   * @param {string} feature - chat | stream | journal_analysis | journal_reflection
+   * @returns {Promise<object>} - Usage summary with `allowed`
+   */
+  async consume(userId, role, feature) {
+    const day = await this.currentDay(userId);
+    const { date } = day;
+    const limits = this.getLimits(role);
+    const filter = {
+      userId,
+      date,
+      requests: { $lt: limits.requests },
+      tokensUsed: { $lt: limits.tokens },
+    };
+    const update = { $inc: { requests: 1, [`byFeature.${feature}`]: 1 } };
+
+    let usage;
+    try {
+      usage = await AIUsageDaily.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+      // Duplicate key: today's document exists but didn't match the filter (over quota),
+      // or another request created it first. Retry without upsert to tell the two apart.
+      if (error.code !== 11000) throw error;
+      usage = await AIUsageDaily.findOneAndUpdate(filter, update, { new: true });
+    }
+
+    if (usage) {
+      return { allowed: true, ...this.summarize(usage, limits, day) };
+    }
+
+    const current = await AIUsageDaily.findOne({ userId, date }).lean();
+    return { allowed: false, ...this.summarize(current, limits, day) };
+  }
+
+  /**
+   * Add estimated tokens for a completed AI call to today's usage
+   * @param {string} userId
+   * @param {number} tokens
+   */
+  async recordTokens(userId, tokens) {
+    if (!userId || !tokens) return;
+    const { date } = await this.currentDay(userId);
+    await AIUsageDaily.updateOne(
+      { userId, date },
+      { $inc: { tokensUsed: tokens } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Today's usage for a user without consuming anything
+   * @returns {Promise<object>}
+   */
+  async getUsage(userId, role) {
+    const day = await this.currentDay(userId);
+    const usage = await AIUsageDaily.findOne({ userId, date: day.date }).lean();
+    return this.summarize(usage, this.getLimits(role), day);
+  }
+
+  summarize(usage, limits, { date, resetsAt }) {
+    const requests = usage?.requests || 0;
+    const tokensUsed = usage?.tokensUsed || 0;
+
+    return {
+      date,
+      requests,
+      tokensUsed,
+      byFeature: {
+        chat: usage?.byFeature?.chat || 0,
+        stream: usage?.byFeature?.stream || 0,
+        journal_analysis: usage?.byFeature?.journal_analysis || 0,
+        journal_reflection: usage?.byFeature?.journal_reflection || 0,
+      },
+      limits,
+      remaining: {
+        requests: Math.max(0, limits.requests - requests),
+        tokens: Math.max(0, limits.tokens - tokensUsed),
+      },
+      resetsAt,
+    };
+  }
+}
+
+export default new AIQuotaService();
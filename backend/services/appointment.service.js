@@ -0,0 +1,397 @@
+/**
+ * Appointment Service
+ * Turns counselors' weekly availability into bookable slots, books/reschedules/cancels
+ * appointments with conflict checks, and notifies both participants (in-app + email),
+ * including reminders a day and an hour before each session.
+ */
+
+import Appointment from '../models/appointment.model.js';
+import User from '../models/user.model.js';
+import notificationService from './notification.service.js';
+import { queueEmail } from './email.service.js';
+import { isValidTimeZone, resolveTimeZone, zonedParts, zonedTimeToUtc } from './timezone.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const MIN_NOTICE_MINUTES = 60; // Slots starting sooner than this can't be booked
+const MAX_UPCOMING_PER_STUDENT = 3;
+const MAX_AVAILABILITY_WINDOWS = 50;
+const REMINDER_CHECK_INTERVAL_MS = 5 * MINUTE_MS;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const REMINDERS = [
+  // Checked first; for late bookings it also stands in for the day-before reminder
+  { field: 'hourBeforeSentAt', leadMs: HOUR_MS, alsoMarks: ['dayBeforeSentAt'] },
+  { field: 'dayBeforeSentAt', leadMs: DAY_MS, alsoMarks: [] },
+];
+
+const NOTIFICATION_COPY = {
+  appointment_booked: {
+    title: 'Appointment booked',
+    heading: (withName) => `Your appointment with ${withName} is booked.`,
+  },
+  appointment_rescheduled: {
+    title: 'Appointment rescheduled',
+    heading: (withName) => `Your appointment with ${withName} has a new time.`,
+  },
+  appointment_cancelled: {
+    title: 'Appointment cancelled',
+    heading: (withName) => `Your appointment with ${withName} was cancelled.`,
+  },
+  appointment_reminder: {
+    title: 'Upcoming appointment',
+    heading: (withName) => `Reminder: your appointment with ${withName} is coming up.`,
+  },
+};
+
+const appointmentError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const displayName = (user) => {
+  if (!user) return 'a former Zenly user';
+  return [user.firstName, user.lastName].filter(Boolean).join(' ') || user.name;
+};
+
+class AppointmentService {
+  /**
+   * Check a counselor's availability settings
+   * @param {object} settings - { timezone, slotMinutes, availabilitySlots }
+   * @returns {string|null} - Error message, or null when valid
+   */
+  validateAvailability({ timezone, slotMinutes, availabilitySlots }) {
+    if (!timezone || !isValidTimeZone(timezone)) return 'Invalid time zone';
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 15 || slotMinutes > 180) {
+      return 'Session length must be between 15 and 180 minutes';
+    }
+    if (!Array.isArray(availabilitySlots)) return 'availabilitySlots must be an array';
+    if (availabilitySlots.length > MAX_AVAILABILITY_WINDOWS) {
+      return `At most ${MAX_AVAILABILITY_WINDOWS} availability windows are allowed`;
+    }
+
+    for (const slot of availabilitySlots) {
+      if (!Number.isInteger(slot.dayOfWeek) || slot.dayOfWeek < 0 || slot.dayOfWeek > 6) {
+        return 'dayOfWeek must be 0 (Sunday) to 6 (Saturday)';
+      }
+      if (!TIME_PATTERN.test(slot.startTime) || !TIME_PATTERN.test(slot.endTime)) {
+        return 'Times must use the HH:MM format';
+      }
+      if (toMinutes(slot.endTime) - toMinutes(slot.startTime) < slotMinutes) {
+        return `Each window must fit at least one ${slotMinutes}-minute session`;
+      }
+    }
+
+    const overlaps = availabilitySlots.some((a, i) => availabilitySlots.some((b, j) => i !== j &&
+      a.dayOfWeek === b.dayOfWeek &&
+      toMinutes(a.startTime) < toMinutes(b.endTime) &&
+      toMinutes(b.startTime) < toMinutes(a.endTime)));
+    if (overlaps) return 'Availability windows on the same day must not overlap';
+
+    return null;
+  }
+
+  /**
+   * Every slot a counselor's weekly availability offers in [from, to), ignoring bookings
+   * @returns {Array<{ startsAt: Date, endsAt: Date }>}
+   */
+  generateSlots(counselor, from, to) {
+    const details = counselor.counselorDetails || {};
+    const windows = details.availabilitySlots || [];
+    const timeZone = details.timezone || 'UTC';
+    const slotMs = (details.slotMinutes || 50) * MINUTE_MS;
+    if (!windows.length) return [];
+
+    const slots = [];
+    const first = zonedParts(from, timeZone);
+
+    // Walk calendar days in the counselor's zone
+    for (let cursor = Date.UTC(first.year, first.month - 1, first.day); ; cursor += DAY_MS) {
+      const day = new Date(cursor);
+      const [year, month, date] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+      if (zonedTimeToUtc(year, month, date, 0, timeZone) >= to) break;
+
+      for (const window of windows.filter(w => w.dayOfWeek === day.getUTCDay())) {
+        const end = toMinutes(window.endTime);
+        for (let minute = toMinutes(window.startTime); minute * MINUTE_MS + slotMs <= end * MINUTE_MS; minute += slotMs / MINUTE_MS) {
+          const startsAt = zonedTimeToUtc(year, month, date, minute, timeZone);
+          if (startsAt >= from && startsAt < to) {
+            slots.push({ startsAt, endsAt: new Date(startsAt.getTime() + slotMs) });
+          }
+        }
+      }
+    }
+
+    return slots.sort((a, b) => a.startsAt - b.startsAt);
+  }
+
+  /**
+   * Open slots for a counselor between two dates
+   * @param {object} options - { excludeAppointmentId } treat this appointment's slot as free (rescheduling)
+   */
+  async getAvailableSlots(counselor, from, to, { excludeAppointmentId } = {}) {
+    const earliest = new Date(Date.now() + MIN_NOTICE_MINUTES * MINUTE_MS);
+    const slots = this.generateSlots(counselor, from < earliest ? earliest : from, to);
+    if (!slots.length) return [];
+
+    const booked = await Appointment.find({
+      counselorId: counselor._id,
+      status: 'scheduled',
+      startsAt: { $lt: to },
+      endsAt: { $gt: from },
+      ...(excludeAppointmentId && { _id: { $ne: excludeAppointmentId } }),
+    }).select('startsAt endsAt').lean();
+
+    return slots.filter(slot => !booked.some(b => b.startsAt < slot.endsAt && b.endsAt > slot.startsAt));
+  }
+
+  /**
+   * Make sure a start time is one of the counselor's slots and neither side is busy then
+   * @returns {Promise<{ startsAt: Date, endsAt: Date }>}
+   */
+  async assertBookable(counselor, startsAt, { studentId, excludeAppointmentId } = {}) {
+    if (startsAt.getTime() < Date.now() + MIN_NOTICE_MINUTES * MINUTE_MS) {
+      throw appointmentError(400, `Appointments must be booked at least ${MIN_NOTICE_MINUTES} minutes ahead`);
+    }
+
+    const slot = this.generateSlots(counselor, startsAt, new Date(startsAt.getTime() + 1))
+      .find(s => s.startsAt.getTime() === startsAt.getTime());
+    if (!slot) {
+      throw appointmentError(400, "That time is outside the counselor's availability");
+    }
+
+    const overlapping = {
+      status: 'scheduled',
+      startsAt: { $lt: slot.endsAt },
+      endsAt: { $gt: slot.startsAt },
+      ...(excludeAppointmentId && { _id: { $ne: excludeAppointmentId } }),
+    };
+    const [counselorBusy, studentBusy] = await Promise.all([
+      Appointment.exists({ ...overlapping, counselorId: counselor._id }),
+      Appointment.exists({ ...overlapping, studentId }),
+    ]);
+    if (counselorBusy) throw appointmentError(409, 'That slot is no longer available. Please pick another time.');
+    if (studentBusy) throw appointmentError(409, 'You already have an appointment at that time');
+
+    return slot;
+  }
+
+  /**
+   * Reminders already covered when a session is booked close to its start time
+   */
+  initialReminders(startsAt) {
+    const lead = startsAt.getTime() - Date.now();
+    const now = new Date();
+    return {
+      dayBeforeSentAt: lead <= DAY_MS ? now : null,
+      hourBeforeSentAt: lead <= HOUR_MS ? now : null,
+    };
+  }
+
+  /**
+   * Book a slot for a student
+   * @returns {Promise<object>} - The new appointment
+   */
+  async book({ studentId, counselorId, startsAt, sessionType, notes }) {
+    if (String(studentId) === String(counselorId)) {
+      throw appointmentError(400, "You can't book an appointment with yourself");
+    }
+
+    const counselor = await User.findOne({ _id: counselorId, role: 'counselor' });
+    if (!counselor) throw appointmentError(404, 'Counselor not found');
+
+    const offered = counselor.counselorDetails?.sessionTypes || [];
+    if (offered.length && !offered.includes(sessionType)) {
+      throw appointmentError(400, `This counselor offers ${offered.join(' and ')} sessions only`);
+    }
+
+    const upcoming = await Appointment.countDocuments({ studentId, status: 'scheduled', startsAt: { $gt: new Date() } });
+    if (upcoming >= MAX_UPCOMING_PER_STUDENT) {
+      throw appointmentError(400, `You can have at most ${MAX_UPCOMING_PER_STUDENT} upcoming appointments`);
+    }
+
+    const slot = await this.assertBookable(counselor, startsAt, { studentId });
+
+    let appointment;
+    try {
+      appointment = await Appointment.create({
+        counselorId,
+        studentId,
+        startsAt: slot.startsAt,
+        endsAt: slot.endsAt,
+        sessionType,
+        notes,
+        reminders: this.initialReminders(slot.startsAt),
+      });
+    } catch (error) {
+      // Another booking won the race for this slot
+      if (error.code === 11000) throw appointmentError(409, 'That slot is no longer available. Please pick another time.');
+      throw error;
+    }
+
+    await this.notifyParticipants(appointment, 'appointment_booked');
+    return appointment;
+  }
+
+  /**
+   * Move a scheduled appointment to another slot of the same counselor
+   */
+  async reschedule(appointment, startsAt, actorId) {
+    if (appointment.status !== 'scheduled' || appointment.startsAt <= new Date()) {
+      throw appointmentError(400, 'Only upcoming appointments can be rescheduled');
+    }
+
+    const counselor = await User.findOne({ _id: appointment.counselorId, role: 'counselor' });
+    if (!counselor) throw appointmentError(400, 'This counselor is no longer available');
+
+    const slot = await this.assertBookable(counselor, startsAt, {
+      studentId: appointment.studentId,
+      excludeAppointmentId: appointment._id,
+    });
+
+    appointment.rescheduleHistory.push({ fromStartsAt: appointment.startsAt, toStartsAt: slot.startsAt, changedBy: actorId });
+    appointment.startsAt = slot.startsAt;
+    appointment.endsAt = slot.endsAt;
+    appointment.reminders = this.initialReminders(slot.startsAt);
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      if (error.code === 11000) throw appointmentError(409, 'That slot is no longer available. Please pick another time.');
+      throw error;
+    }
+
+    await this.notifyParticipants(appointment, 'appointment_rescheduled');
+    return appointment;
+  }
+
+  /**
+   * Cancel a scheduled appointment
+   */
+  async cancel(appointment, actorId, reason) {
+    if (appointment.status !== 'scheduled') {
+      throw appointmentError(400, 'Only scheduled appointments can be cancelled');
+    }
+
+    appointment.status = 'cancelled';
+    appointment.cancelledBy = actorId;
+    appointment.cancelledAt = new Date();
+    appointment.cancellationReason = reason;
+    await appointment.save();
+
+    await this.notifyParticipants(appointment, 'appointment_cancelled', { reason });
+    return appointment;
+  }
+
+  /**
+   * Send the same in-app notification and email to the student and the counselor
+   */
+  async notifyParticipants(appointment, type, { reason } = {}) {
+    const [counselor, student] = await Promise.all([
+      User.findById(appointment.counselorId).select('firstName lastName name email timezone counselorDetails.timezone'),
+      User.findById(appointment.studentId).select('firstName lastName name email timezone'),
+    ]);
+
+    const copy = NOTIFICATION_COPY[type];
+    const payload = {
+      appointmentId: appointment._id,
+      counselorId: appointment.counselorId,
+      studentId: appointment.studentId,
+      startsAt: appointment.startsAt,
+      sessionType: appointment.sessionType,
+    };
+
+    const recipients = [
+      { user: student, other: counselor, link: '/counselors' },
+      { user: counselor, other: student, link: '/counselor' },
+    ].filter(r => r.user);
+
+    await Promise.all(recipients.map(async ({ user, other, link }) => {
+      const withName = displayName(other);
+      // Each participant sees the time in their own zone
+      const timeZone = resolveTimeZone(user.timezone || user.counselorDetails?.timezone);
+      const when = appointment.startsAt.toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+
+      await notificationService.notifyUser(user._id, {
+        type,
+        priority: type === 'appointment_cancelled' ? 'high' : 'normal',
+        title: copy.title,
+        body: `${copy.heading(withName)} ${when} (${timeZone}).`,
+        link,
+        payload,
+      });
+
+      queueEmail('sendAppointmentEmail', user.email, user.firstName || user.name, {
+        subject: `${copy.title} - Zenly`,
+        heading: copy.heading(withName),
+        withName,
+        startsAt: appointment.startsAt,
+        timeZone,
+        sessionType: appointment.sessionType,
+        reason,
+      }).catch(error => console.error('Failed to queue appointment email:', error));
+    }));
+  }
+
+  /**
+   * Send reminders for sessions starting within the next day / hour
+   * @returns {Promise<number>} - Reminders sent
+   */
+  async sendDueReminders() {
+    let sent = 0;
+
+    for (const { field, leadMs, alsoMarks } of REMINDERS) {
+      const marks = Object.fromEntries(alsoMarks.map(other => [
+        `reminders.${other}`,
+        { $ifNull: [`$reminders.${other}`, '$$NOW'] },
+      ]));
+
+      // Claim one appointment at a time so several instances never send the same reminder
+      for (;;) {
+        const now = Date.now();
+        const appointment = await Appointment.findOneAndUpdate(
+          {
+            status: 'scheduled',
+            startsAt: { $gt: new Date(now), $lte: new Date(now + leadMs) },
+            [`reminders.${field}`]: null,
+          },
+          [{ $set: { [`reminders.${field}`]: '$$NOW', ...marks } }],
+          { new: true }
+        );
+        if (!appointment) break;
+
+        await this.notifyParticipants(appointment, 'appointment_reminder');
+        sent += 1;
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Check for due reminders every few minutes
+   * @returns {object} - { stop() }
+   */
+  startReminderJob() {
+    const run = async () => {
+      try {
+        const sent = await this.sendDueReminders();
+        if (sent) console.log(`📅 Sent ${sent} appointment reminder(s)`);
+      } catch (error) {
+        console.error('Appointment reminder job failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, REMINDER_CHECK_INTERVAL_MS);
+    timer.unref();
+
+    console.log('📅 Appointment reminders scheduled');
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new AppointmentService();
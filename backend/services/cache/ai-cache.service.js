@@ -0,0 +1,141 @@
+/**
+ * AI Response Cache
+ * Caches LLM completions behind a pluggable backend selected by AI_CONFIG.CACHE.BACKEND.
+ *
+ * Keys are a SHA-256 hash of the scope, provider, model, sampling params and prompt.
+ * Every entry belongs to a scope: prompts built from a user's own content are scoped
+ * to that user, so identical text from two users never resolves to the same entry.
+ * Only prompts without user-identifying content may use the shared scope.
+ */
+
+import crypto from 'crypto';
+import AI_CONFIG from '../../config/ai.config.js';
+import { MemoryCache } from './memory.cache.js';
+import { MongoCache } from './mongo.cache.js';
+
+const BACKENDS = {
+  memory: () => new MemoryCache(AI_CONFIG.CACHE.MAX_CACHE_SIZE),
+  mongo: () => new MongoCache(),
+};
+
+class AICacheService {
+  constructor() {
+    // Resolved on first use so env vars loaded by dotenv are honoured
+    this.backend = null;
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  }
+
+  /**
+   * Active backend instance
+   */
+  getBackend() {
+    if (!this.backend) {
+      const name = AI_CONFIG.CACHE.BACKEND.toLowerCase();
+      const create = BACKENDS[name];
+      if (!create) {
+        throw new Error(`Unknown AI_CACHE_BACKEND "${name}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+      }
+      this.backend = create();
+      console.log(`[AI Cache] Using ${this.backend.name} backend`);
+    }
+    return this.backend;
+  }
+
+  isEnabled() {
+    return AI_CONFIG.CACHE.ENABLED;
+  }
+
+  /**
+   * Resolve a caller's cache option to a scope
+   * @param {object} cache - { userId } for user content, { shared: true } for prompts with none
+   * @returns {{ scope: string, userId: string|null }|null} - null when the call must not be cached
+   */
+  resolveScope(cache) {
+    if (!cache) return null;
+    if (cache.userId) return { scope: `user:${cache.userId}`, userId: String(cache.userId) };
+    if (cache.shared === true) return { scope: 'shared', userId: null };
+    return null;
+  }
+
+  /**
+   * Hash the inputs that determine a completion
+   * @returns {string}
+   */
+  buildKey({ scope, provider, model, temperature, maxTokens, messages }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ scope, provider, model, temperature, maxTokens, messages }))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached completion. Backend failures count as misses.
+   * @returns {Promise<string|null>}
+   */
+  async get(key) {
+    try {
+      const value = await this.getBackend().get(key);
+      if (value === null) {
+        this.stats.misses += 1;
+      } else {
+        this.stats.hits += 1;
+      }
+      return value;
+    } catch (error) {
+      this.stats.errors += 1;
+      this.stats.misses += 1;
+      console.error('[AI Cache] Read failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store a completion. Failures are logged and never reach the caller.
+   */
+  async set(key, value, { userId = null, ttlSeconds = AI_CONFIG.CACHE.TTL_SECONDS } = {}) {
+    try {
+      await this.getBackend().set(key, value, ttlSeconds, { userId });
+      this.stats.writes += 1;
+    } catch (error) {
+      this.stats.errors += 1;
+      console.error('[AI Cache] Write failed:', error.message);
+    }
+  }
+
+  /**
+   * Drop every entry scoped to a user (e.g. when their data is deleted)
+   * @returns {Promise<number>} - Entries removed
+   */
+  async invalidateUser(userId) {
+    return this.getBackend().deleteForUser(userId);
+  }
+
+  async clear() {
+    await this.getBackend().clear();
+    this.stats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+  }
+
+  /**
+   * Hit/miss counters for this instance plus the current backend size
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    let size = null;
+    try {
+      size = await this.getBackend().size();
+    } catch (error) {
+      console.error('[AI Cache] Size lookup failed:', error.message);
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      backend: AI_CONFIG.CACHE.BACKEND,
+      ttlSeconds: AI_CONFIG.CACHE.TTL_SECONDS,
+      ...this.stats,
+      hitRate: lookups ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : 0,
+      size,
+    };
+  }
+}
+
+export default new AICacheService();
@@ -0,0 +1,61 @@
+/**
+ * In-memory LRU cache backend with per-entry TTL.
+ * Per-process only: entries are lost on restart and not shared between instances.
+ */
+
+export class MemoryCache {
+  /**
+   * @param {number} maxSize - Entries kept before the least recently used is evicted
+   */
+  constructor(maxSize) {
+    this.name = 'memory';
+    this.maxSize = maxSize;
+    this.entries = new Map(); // Map iteration order doubles as recency order
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds, meta = {}) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, userId: meta.userId ? String(meta.userId) : null, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async deleteForUser(userId) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.userId === String(userId)) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+export default MemoryCache;
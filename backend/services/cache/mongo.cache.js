@@ -0,0 +1,52 @@
+/**
+ * MongoDB cache backend. Shared by every backend instance and survives deploys;
+ * expiry is handled by a TTL index on the collection.
+ */
+
+import AICacheEntry from '../../models/aiCacheEntry.model.js';
+
+export class MongoCache {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  async get(key) {
+    // The TTL monitor runs about once a minute, so filter out entries that expired in between
+    const entry = await AICacheEntry.findOneAndUpdate(
+      { key, expiresAt: { $gt: new Date() } },
+      { $inc: { hits: 1 } },
+      { projection: { value: 1 } }
+    ).lean();
+    return entry ? entry.value : null;
+  }
+
+  async set(key, value, ttlSeconds, meta = {}) {
+    await AICacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          value,
+          userId: meta.userId || null,
+          expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+        },
+        $setOnInsert: { hits: 0 },
+      },
+      { upsert: true }
+    );
+  }
+
+  async deleteForUser(userId) {
+    const result = await AICacheEntry.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  async clear() {
+    await AICacheEntry.deleteMany({});
+  }
+
+  async size() {
+    return AICacheEntry.estimatedDocumentCount();
+  }
+}
+
+export default MongoCache;
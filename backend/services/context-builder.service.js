@@ -9,7 +9,7 @@
  * - Risk indicators
  */
 
-import JournalEntry from '../models/journalEntry.model.js';
+import JournalEntry, { PLAINTEXT_ONLY } from '../models/journalEntry.model.js';
 import AIConversation from '../models/aiConversation.model.js';
 import AIMessage from '../models/aiMessage.model.js';
 import User from '../models/user.model.js';
@@ -143,8 +143,8 @@ class ContextBuilder {
       // If journal-based conversation, include the journal
       if (conversation.journalEntryId) {
         try {
-          const journal = await JournalEntry.findById(conversation.journalEntryId).lean();
-          if (journal) {
+          const journal = await JournalEntry.findOne({ _id: conversation.journalEntryId, deletedAt: null }).lean();
+          if (journal?.content) {
             context.currentJournal = {
               content: journal.content,
               mood: journal.mood,
@@ -193,7 +193,8 @@ class ContextBuilder {
     const journals = await JournalEntry.find({
       userId,
       createdAt: { $gte: startDate },
-      deletedAt: null
+      deletedAt: null,
+      ...PLAINTEXT_ONLY
     })
     .sort({ createdAt: -1 })
     .limit(limit)
@@ -214,7 +215,7 @@ class ContextBuilder {
    */
   async getRecentMessages(userId, limit = 10) {
     // Get user's conversations
-    const conversations = await AIConversation.find({ userId })
+    const conversations = await AIConversation.find({ userId, deletedAt: null })
       .select('_id')
       .lean();
 
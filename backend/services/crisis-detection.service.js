@@ -4,19 +4,36 @@
  */
 
 import AI_CONFIG from '../config/ai.config.js';
-import huggingFaceService from './huggingface.service.js';
+import llmService from './llm.service.js';
 import promptsService from './prompts.service.js';
-import Notification from '../models/notification.model.js';
 import User from '../models/user.model.js';
+import CrisisEvent from '../models/crisisEvent.model.js';
+import notificationService from './notification.service.js';
+import realtimeService from './realtime.service.js';
+import { queueEmail } from './email.service.js';
+import jobQueueService from './job-queue.service.js';
+
+const ALERT_JOB = 'crisis.alert';
 
 class CrisisDetectionService {
+  constructor() {
+    // Alerts go through the job queue so a failed delivery is retried rather than lost
+    jobQueueService.define(ALERT_JOB, ({ crisisEventId }) => this.alertAdmins(crisisEventId), {
+      concurrency: 2,
+      maxAttempts: 6,
+      backoffMs: 5 * 1000,
+      onDead: ({ crisisEventId }, job) => this.handleFailedAlert(crisisEventId, job.lastError),
+    });
+  }
+
   /**
    * Detect crisis from text using multi-layer approach
    * @param {string} text - Text to analyze
    * @param {string} userId - User ID for tracking
-   * @returns {Promise<object>} - { isCrisis, riskLevel, keywords, aiAssessment, resources }
+   * @param {object} origin - { source: 'chat'|'journal'|'forum', sourceId, omitPreview, jobId } for the crisis case
+   * @returns {Promise<object>} - { isCrisis, riskLevel, keywords, aiAssessment, resources, crisisEventId }
    */
-  async detectCrisis(text, userId) {
+  async detectCrisis(text, userId, origin = {}) {
     const result = {
       isCrisis: false,
       riskLevel: 'low',
@@ -24,6 +41,7 @@ class CrisisDetectionService {
       aiAssessment: null,
       resources: null,
       requiresAdminAlert: false,
+      crisisEventId: null,
     };
 
     // Layer 1: Keyword Detection (Instant)
@@ -42,23 +60,26 @@ class CrisisDetectionService {
         // If AI confirms high risk, escalate
         if (aiRiskLevel === 'high') {
           result.riskLevel = 'high';
-          result.requiresAdminAlert = true;
         }
       } catch (error) {
         console.error('AI risk assessment failed:', error);
         // Fall back to keyword-based assessment
       }
 
+      // Any high-risk result reaches staff, whether flagged by keywords or the AI
+      result.requiresAdminAlert = result.riskLevel === 'high';
+
       // Layer 3: Get appropriate resources
       result.resources = this.getCrisisResources(result.riskLevel);
 
+      // Open a crisis case first so the alert can point at it
+      const crisisEvent = await this.logCrisisEvent(userId, text, result, origin);
+      result.crisisEventId = crisisEvent?._id || null;
+
       // Alert admins for high-risk situations
       if (result.requiresAdminAlert) {
-        await this.alertAdmins(userId, text, result);
+        await this.queueAlert(userId, crisisEvent);
       }
-
-      // Log crisis event
-      await this.logCrisisEvent(userId, text, result);
     }
 
     return result;
@@ -108,7 +129,7 @@ class CrisisDetectionService {
   async getAIRiskAssessment(text) {
     try {
       const prompt = promptsService.buildRiskAssessmentPrompt(text);
-      const response = await huggingFaceService.generateText(prompt, {
+      const response = await llmService.generateText(prompt, {
         max_new_tokens: 10,
         temperature: 0.3, // Lower temperature for more consistent classification
       });
@@ -180,78 +201,254 @@ class CrisisDetectionService {
   }
 
   /**
-   * Alert administrators about high-risk situation
+   * Queue the staff alert for a new high-risk case. If the queue can't be reached
+   * the alert is sent straight away instead.
    * @param {string} userId
-   * @param {string} text
-   * @param {object} crisisResult
+   * @param {object} crisisEvent - Case opened by logCrisisEvent
    */
-  async alertAdmins(userId, text, crisisResult) {
+  async queueAlert(userId, crisisEvent) {
+    if (!crisisEvent) {
+      console.warn(`🚨 CRISIS ALERT not sent for user ${userId}: no crisis case was recorded`);
+      return;
+    }
+
     try {
-      // Get user info
-      const user = await User.findById(userId).select('firstName lastName email');
-      
-      // Find all admins
-      const admins = await User.find({ role: 'admin' }).select('_id');
-
-      // Create notifications for all admins
-      const notifications = admins.map(admin => ({
-        userId: admin._id,
-        type: 'crisis_alert',
-        title: '🆘 CRISIS ALERT - Immediate Attention Required',
-        message: `User ${user.firstName} ${user.lastName} (${user.email}) may be in crisis. Risk Level: ${crisisResult.riskLevel.toUpperCase()}`,
-        metadata: {
-          affectedUserId: userId,
-          affectedUserName: `${user.firstName} ${user.lastName}`,
-          affectedUserEmail: user.email,
-          riskLevel: crisisResult.riskLevel,
-          keywords: crisisResult.keywords,
-          timestamp: new Date(),
-          messagePreview: text.substring(0, 200),
+      await jobQueueService.enqueue(ALERT_JOB, { crisisEventId: String(crisisEvent._id) }, {
+        dedupeKey: `${ALERT_JOB}:${crisisEvent._id}`,
+      });
+    } catch (error) {
+      console.error('Failed to queue crisis alert, sending directly:', error);
+      await this.alertAdmins(crisisEvent._id).catch(e => console.error('Failed to alert admins:', e));
+    }
+  }
+
+  /**
+   * Alert administrators about high-risk situation: in-app notification,
+   * real-time event to connected admins and email. Runs as a queued job;
+   * throws so the job is retried.
+   * @param {string} crisisEventId
+   */
+  async alertAdmins(crisisEventId) {
+    const crisisEvent = await CrisisEvent.findById(crisisEventId);
+    // Already alerted (e.g. a retry after the alert went out) or the case was removed
+    if (!crisisEvent || crisisEvent.alertedAt) return;
+
+    const [user, admins] = await Promise.all([
+      User.findById(crisisEvent.userId).select('firstName lastName name email'),
+      User.find({ role: 'admin' }).select('_id email'),
+    ]);
+
+    const payload = this.buildAlertPayload(crisisEvent, user);
+
+    await this.deliverAlert({
+      recipients: admins,
+      type: 'crisis_alert',
+      title: '🆘 CRISIS ALERT - Immediate Attention Required',
+      body: `${payload.affectedUserName} may be in crisis. Risk Level: ${crisisEvent.riskLevel.toUpperCase()}`,
+      payload,
+      event: 'crisis:alert',
+    });
+
+    await CrisisEvent.updateOne(
+      { _id: crisisEvent._id },
+      {
+        alertedAt: new Date(),
+        $push: { auditTrail: { action: 'alert_sent', details: `Alerted ${admins.length} admin(s)` } },
+      }
+    );
+
+    console.log(`🚨 CRISIS ALERT: User ${crisisEvent.userId} - Risk Level: ${crisisEvent.riskLevel}`);
+  }
+
+  /**
+   * The alert ran out of attempts: date it back by the escalation window so the
+   * escalation monitor re-alerts the wider staff list on its next check
+   */
+  async handleFailedAlert(crisisEventId, message) {
+    const windowMs = AI_CONFIG.CRISIS.ESCALATION.WINDOW_MINUTES * 60 * 1000;
+    await CrisisEvent.updateOne(
+      { _id: crisisEventId, alertedAt: null },
+      {
+        alertedAt: new Date(Date.now() - windowMs),
+        $push: { auditTrail: { action: 'alert_failed', details: `Alert delivery failed (${message}); escalating` } },
+      }
+    );
+    console.error(`🚨 CRISIS ALERT delivery failed for case ${crisisEventId}, handing over to escalation`);
+  }
+
+  /**
+   * Re-alert a wider audience (admins, counselors, moderators and the on-call list)
+   * for high-risk cases nobody acknowledged within the escalation window
+   * @returns {Promise<number>} - Number of cases escalated
+   */
+  async escalateUnacknowledgedAlerts() {
+    const cutoff = new Date(Date.now() - AI_CONFIG.CRISIS.ESCALATION.WINDOW_MINUTES * 60 * 1000);
+    let escalated = 0;
+
+    const candidates = await CrisisEvent.find({
+      status: 'open',
+      alertedAt: { $lte: cutoff },
+      escalatedAt: null,
+    }).select('_id');
+
+    for (const { _id } of candidates) {
+      // Claim the case atomically so parallel instances don't escalate it twice
+      const crisisEvent = await CrisisEvent.findOneAndUpdate(
+        { _id, status: 'open', escalatedAt: null },
+        {
+          escalatedAt: new Date(),
+          $push: {
+            auditTrail: {
+              action: 'escalated',
+              details: `Unacknowledged after ${AI_CONFIG.CRISIS.ESCALATION.WINDOW_MINUTES} minutes`,
+            },
+          },
         },
-        priority: 'high',
-      }));
+        { new: true }
+      );
+      if (!crisisEvent) continue;
 
-      await Notification.insertMany(notifications);
+      try {
+        const [user, staff] = await Promise.all([
+          User.findById(crisisEvent.userId).select('firstName lastName name email'),
+          User.find({ role: { $in: ['admin', 'counselor', 'moderator'] } }).select('_id email'),
+        ]);
 
-      console.log(`🚨 CRISIS ALERT: User ${userId} - Risk Level: ${crisisResult.riskLevel}`);
-    } catch (error) {
-      console.error('Failed to alert admins:', error);
+        const payload = { ...this.buildAlertPayload(crisisEvent, user), escalationLevel: 1 };
+
+        await this.deliverAlert({
+          recipients: staff,
+          roles: ['admin', 'counselor', 'moderator'],
+          extraEmails: AI_CONFIG.CRISIS.ESCALATION.EMAILS,
+          type: 'crisis_escalation',
+          title: '🆘 ESCALATED: Crisis alert still unacknowledged',
+          body: `${payload.affectedUserName} was flagged as ${crisisEvent.riskLevel.toUpperCase()} risk ` +
+            `${AI_CONFIG.CRISIS.ESCALATION.WINDOW_MINUTES}+ minutes ago and no one has acknowledged the case.`,
+          payload,
+          event: 'crisis:escalated',
+          escalated: true,
+        });
+
+        escalated += 1;
+        console.warn(`🚨 CRISIS ESCALATION: Case ${crisisEvent._id} unacknowledged, alerted ${staff.length} staff`);
+      } catch (error) {
+        console.error(`Failed to escalate crisis case ${crisisEvent._id}:`, error);
+      }
     }
+
+    return escalated;
+  }
+
+  /**
+   * Periodically check for alerts that need escalating
+   * @returns {NodeJS.Timeout}
+   */
+  startEscalationMonitor() {
+    const timer = setInterval(() => {
+      this.escalateUnacknowledgedAlerts().catch(error => {
+        console.error('Crisis escalation check failed:', error);
+      });
+    }, AI_CONFIG.CRISIS.ESCALATION.CHECK_INTERVAL_MS);
+    timer.unref();
+
+    console.log(`🚨 Crisis escalation monitor running (window: ${AI_CONFIG.CRISIS.ESCALATION.WINDOW_MINUTES} min)`);
+    return timer;
   }
 
   /**
-   * Log crisis event for tracking and analysis
+   * Structured notification payload for a crisis case
+   */
+  buildAlertPayload(crisisEvent, user) {
+    const affectedUserName = user
+      ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.name
+      : 'Unknown user';
+
+    return {
+      crisisEventId: crisisEvent._id,
+      affectedUserId: crisisEvent.userId,
+      affectedUserName,
+      riskLevel: crisisEvent.riskLevel,
+      source: crisisEvent.source,
+      keywords: crisisEvent.keywords,
+      messagePreview: crisisEvent.messagePreview,
+    };
+  }
+
+  /**
+   * Send one crisis alert over every channel. Each channel fails independently.
+   */
+  async deliverAlert({ recipients, roles = ['admin'], extraEmails = [], type, title, body, payload, event, escalated = false }) {
+    const notifications = await notificationService.notifyUsers(
+      recipients.map(r => r._id),
+      { type, priority: 'urgent', title, body, link: '/admin', payload }
+    ).catch(error => {
+      console.error('Failed to create crisis notifications:', error);
+      return [];
+    });
+
+    realtimeService.emitToRole(roles, event, {
+      ...payload,
+      title,
+      body,
+      createdAt: new Date(),
+      notificationIds: notifications.map(n => n._id),
+    });
+
+    // The queued email only carries what the email shows, never the user's words
+    const emails = [...new Set([...recipients.map(r => r.email), ...extraEmails].filter(Boolean))];
+    if (emails.length > 0) {
+      const { crisisEventId, affectedUserName, riskLevel, source } = payload;
+      await queueEmail('sendCrisisAlertEmail', emails, {
+        crisisEventId: String(crisisEventId), affectedUserName, riskLevel, source, escalated,
+      }).catch(error => console.error('Failed to queue crisis alert email:', error));
+    }
+  }
+
+  /**
+   * Open a crisis case for follow-up by counselors and moderators
    * @param {string} userId
    * @param {string} text
    * @param {object} crisisResult
+   * @param {object} origin - { source, sourceId, omitPreview (don't keep the text),
+   *   jobId (the queued job that found it; a retry of that job gets the same case back) }
+   * @returns {Promise<object|null>} - Created CrisisEvent, or null if it could not be recorded
    */
-  async logCrisisEvent(userId, text, crisisResult) {
+  async logCrisisEvent(userId, text, crisisResult, origin = {}) {
+    if (!userId) {
+      console.warn('[Crisis] Crisis detected without a user id - case not recorded');
+      return null;
+    }
+
     try {
-      // TODO: Create a CrisisEvent model for better tracking
-      console.log('Crisis Event Log:', {
+      if (origin.jobId) {
+        const existing = await CrisisEvent.findOne({ jobId: origin.jobId });
+        if (existing) {
+          console.log(`[Crisis] Case ${existing._id} already opened by job ${origin.jobId}`);
+          return existing;
+        }
+      }
+
+      const crisisEvent = await CrisisEvent.create({
         userId,
-        timestamp: new Date(),
+        source: origin.source || 'chat',
+        sourceId: origin.sourceId,
+        jobId: origin.jobId,
         riskLevel: crisisResult.riskLevel,
         keywords: crisisResult.keywords,
         aiAssessment: crisisResult.aiAssessment,
-        textPreview: text.substring(0, 100),
+        messagePreview: origin.omitPreview ? undefined : text.substring(0, 200),
+        auditTrail: [{
+          action: 'created',
+          toStatus: 'open',
+          details: `Detected in ${origin.source || 'chat'} (${crisisResult.riskLevel} risk)`,
+        }],
       });
 
-      // For now, we'll use the analytics events model
-      const { default: AnalyticsEvent } = await import('../models/analysticsEvent.model.js');
-      
-      await AnalyticsEvent.create({
-        userId,
-        eventType: 'crisis_detected',
-        eventData: {
-          riskLevel: crisisResult.riskLevel,
-          keywords: crisisResult.keywords,
-          aiAssessment: crisisResult.aiAssessment,
-          timestamp: new Date(),
-        },
-      });
+      console.log(`[Crisis] Case ${crisisEvent._id} opened for user ${userId} - Risk Level: ${crisisResult.riskLevel}`);
+      return crisisEvent;
     } catch (error) {
       console.error('Failed to log crisis event:', error);
+      return null;
     }
   }
 
@@ -265,7 +462,7 @@ class CrisisDetectionService {
     try {
       // Get AI-generated empathetic response
       const prompt = promptsService.buildCrisisResponsePrompt(userMessage, crisisResult.riskLevel);
-      const aiResponse = await huggingFaceService.generateText(prompt, {
+      const aiResponse = await llmService.generateText(prompt, {
         max_new_tokens: 200,
         temperature: 0.7,
       });
@@ -0,0 +1,350 @@
+/**
+ * Data Export Service
+ * Builds a downloadable archive of everything Zenly holds about a user:
+ * data.json (machine-readable) plus zenly-export.md and zenly-export.html.
+ *
+ * Small exports are built while the request waits; larger ones are built in the
+ * background and the user gets a notification when the archive is ready.
+ * Archives are stored in GridFS so any backend instance can serve the download.
+ */
+
+import mongoose from 'mongoose';
+import DataExport from '../models/dataExport.model.js';
+import User from '../models/user.model.js';
+import JournalEntry from '../models/journalEntry.model.js';
+import JournalRevision from '../models/journalRevision.model.js';
+import JournalKeyring from '../models/journalKeyring.model.js';
+import MoodLog from '../models/moodlog.model.js';
+import AIConversation from '../models/aiConversation.model.js';
+import AIMessage from '../models/aiMessage.model.js';
+import ForumPost from '../models/forumPost.model.js';
+import ForumComment from '../models/forumComment.model.js';
+import Notification from '../models/notification.model.js';
+import AnalyticsEvent from '../models/analysticsEvent.model.js';
+import Appointment from '../models/appointment.model.js';
+import JournalShare from '../models/journalShare.model.js';
+import JournalAccessLog from '../models/journalAccessLog.model.js';
+import ResourceInteraction from '../models/resourceInteraction.model.js';
+import notificationService from './notification.service.js';
+import { createZip } from './export/zip-writer.js';
+import { renderMarkdown, renderHtml } from './export/renderers.js';
+
+const BUCKET_NAME = 'dataExports';
+const SYNC_RECORD_LIMIT = 500; // Exports with more records than this are built in the background
+const ARCHIVE_TTL_DAYS = 7;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const STALE_PROCESSING_MS = 30 * 60 * 1000; // Exports stuck this long were interrupted by a restart
+
+class DataExportService {
+  bucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+  }
+
+  /**
+   * Count the records an export would contain
+   * @returns {Promise<number>}
+   */
+  async countRecords(userId) {
+    const conversationIds = await AIConversation.distinct('_id', { userId });
+    const counts = await Promise.all([
+      JournalEntry.countDocuments({ userId }),
+      JournalRevision.countDocuments({ userId }),
+      MoodLog.countDocuments({ userId }),
+      AIMessage.countDocuments({ conversationId: { $in: conversationIds } }),
+      ForumPost.countDocuments({ userId }),
+      ForumComment.countDocuments({ userId }),
+      Notification.countDocuments({ userId }),
+      AnalyticsEvent.countDocuments({ userId }),
+      Appointment.countDocuments({ $or: [{ studentId: userId }, { counselorId: userId }] }),
+      JournalShare.countDocuments({ studentId: userId }),
+      JournalAccessLog.countDocuments({ studentId: userId }),
+      ResourceInteraction.countDocuments({ userId }),
+    ]);
+    return conversationIds.length + counts.reduce((sum, count) => sum + count, 0);
+  }
+
+  /**
+   * Gather every record belonging to a user
+   * @returns {Promise<object>}
+   */
+  async collectUserData(userId) {
+    const [
+      profile, journals, journalRevisions, journalKeyring, moodLogs, conversations, posts, comments, notifications, analyticsEvents,
+      appointments, journalShares, journalAccessLog, resourceInteractions,
+    ] = await Promise.all([
+      User.findById(userId).lean(), // Secrets are select: false and never leave the database
+      JournalEntry.find({ userId }).sort({ createdAt: 1 }).lean(),
+      JournalRevision.find({ userId }).select('-diff').sort({ journalId: 1, version: 1 }).lean(), // Diffs can be rebuilt from the versions
+      JournalKeyring.findOne({ userId }).lean(), // Wrapped keys, so encrypted entries can still be opened with the passphrase
+      MoodLog.find({ userId }).sort({ date: 1 }).lean(),
+      AIConversation.find({ userId }).sort({ createdAt: 1 }).lean(),
+      ForumPost.find({ userId }).select('-reports').sort({ createdAt: 1 }).lean(),
+      ForumComment.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Notification.find({ userId }).sort({ createdAt: 1 }).lean(),
+      AnalyticsEvent.find({ userId }).sort({ createdAt: 1 }).lean(),
+      Appointment.find({ $or: [{ studentId: userId }, { counselorId: userId }] })
+        .populate('counselorId', 'firstName lastName name')
+        .populate('studentId', 'firstName lastName name')
+        .sort({ startsAt: 1 })
+        .lean(),
+      JournalShare.find({ studentId: userId }).populate('counselorId', 'firstName lastName name').sort({ createdAt: 1 }).lean(),
+      JournalAccessLog.find({ studentId: userId }).populate('counselorId', 'firstName lastName name').sort({ createdAt: 1 }).lean(),
+      ResourceInteraction.find({ userId }).populate('resourceId', 'title url type').sort({ createdAt: 1 }).lean(),
+    ]);
+
+    if (!profile) {
+      throw new Error('User not found');
+    }
+
+    // Messages are stored per conversation; user-sent messages don't carry a userId
+    const messages = await AIMessage.find({ conversationId: { $in: conversations.map(c => c._id) } })
+      .select('-feedback.flagReason')
+      .sort({ createdAt: 1 })
+      .lean();
+    const messagesByConversation = new Map(conversations.map(c => [String(c._id), []]));
+    messages.forEach(m => messagesByConversation.get(String(m.conversationId))?.push(m));
+
+    // Give comments the title of the post they were left on for context
+    const commentedPosts = await ForumPost.find({ _id: { $in: comments.map(c => c.postId) } })
+      .select('title')
+      .lean();
+    const postTitles = new Map(commentedPosts.map(p => [String(p._id), p.title]));
+
+    return {
+      exportedAt: new Date(),
+      profile,
+      journals,
+      journalRevisions,
+      journalKeyring,
+      moodLogs,
+      conversations: conversations.map(c => ({ ...c, messages: messagesByConversation.get(String(c._id)) })),
+      forum: {
+        posts,
+        comments: comments.map(c => ({ ...c, postTitle: postTitles.get(String(c.postId)) || null })),
+      },
+      appointments,
+      journalSharing: { shares: journalShares, accessLog: journalAccessLog },
+      resources: resourceInteractions,
+      notifications,
+      analyticsEvents,
+    };
+  }
+
+  /**
+   * Build the ZIP archive for collected data
+   * @returns {Buffer}
+   */
+  buildArchive(data) {
+    return createZip([
+      { name: 'data.json', data: JSON.stringify(data, null, 2) },
+      { name: 'zenly-export.md', data: renderMarkdown(data) },
+      { name: 'zenly-export.html', data: renderHtml(data) },
+    ], data.exportedAt);
+  }
+
+  /**
+   * Start an export for a user. Returns the export once ready (small accounts)
+   * or while still pending (large accounts, built in the background).
+   * @returns {Promise<{ dataExport: object, inProgress: boolean }>}
+   */
+  async requestExport(userId) {
+    const active = await DataExport.findOne({ userId, status: { $in: ['pending', 'processing'] } });
+    if (active) {
+      return { dataExport: active, inProgress: true };
+    }
+
+    const dataExport = await DataExport.create({ userId });
+    const recordCount = await this.countRecords(userId);
+
+    if (recordCount <= SYNC_RECORD_LIMIT) {
+      return { dataExport: await this.processExport(dataExport._id, { notify: false }), inProgress: false };
+    }
+
+    this.processExport(dataExport._id, { notify: true }).catch(error => {
+      console.error('[Data Export] Background export failed: %s', dataExport._id, error);
+    });
+    return { dataExport, inProgress: false };
+  }
+
+  /**
+   * Build and store the archive for an export
+   * @param {string} exportId
+   * @param {object} options - { notify } send an in-app notification when done
+   * @returns {Promise<object>} - The updated DataExport
+   */
+  async processExport(exportId, { notify = true } = {}) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'pending' },
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    );
+    if (!dataExport) return DataExport.findById(exportId);
+
+    try {
+      const data = await this.collectUserData(dataExport.userId);
+      const archive = this.buildArchive(data);
+      const fileName = `zenly-export-${data.exportedAt.toISOString().slice(0, 10)}.zip`;
+
+      const upload = this.bucket().openUploadStream(fileName, {
+        contentType: 'application/zip',
+        metadata: { userId: dataExport.userId, exportId: dataExport._id },
+      });
+      await new Promise((resolve, reject) => {
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(archive);
+      });
+
+      dataExport.set({
+        status: 'ready',
+        fileId: upload.id,
+        fileName,
+        sizeBytes: archive.length,
+        recordCounts: {
+          journals: data.journals.length,
+          journalRevisions: data.journalRevisions.length,
+          moodLogs: data.moodLogs.length,
+          conversations: data.conversations.length,
+          messages: data.conversations.reduce((sum, c) => sum + c.messages.length, 0),
+          forumPosts: data.forum.posts.length,
+          forumComments: data.forum.comments.length,
+          appointments: data.appointments.length,
+          journalShares: data.journalSharing.shares.length,
+          journalAccessLog: data.journalSharing.accessLog.length,
+          resourceInteractions: data.resources.length,
+          notifications: data.notifications.length,
+          analyticsEvents: data.analyticsEvents.length,
+        },
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + ARCHIVE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      });
+      await dataExport.save();
+
+      console.log(`📦 Data export ready for user ${dataExport.userId} (${archive.length} bytes)`);
+
+      if (notify) {
+        await notificationService.notifyUser(dataExport.userId, {
+          type: 'data_export_ready',
+          title: 'Your data export is ready',
+          body: `Your archive is available to download for ${ARCHIVE_TTL_DAYS} days.`,
+          link: '/profile',
+          payload: {
+            exportId: dataExport._id,
+            fileName,
+            sizeBytes: archive.length,
+            expiresAt: dataExport.expiresAt,
+          },
+        });
+      }
+
+      return dataExport;
+    } catch (error) {
+      dataExport.set({ status: 'failed', error: error.message, completedAt: new Date() });
+      await dataExport.save();
+
+      if (notify) {
+        await notificationService.notifyUser(dataExport.userId, {
+          type: 'system',
+          title: 'Your data export failed',
+          body: 'Something went wrong while preparing your archive. Please request a new export.',
+          link: '/profile',
+        });
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Recent exports for a user, newest first
+   */
+  async listExports(userId) {
+    return DataExport.find({ userId }).sort({ createdAt: -1 }).limit(10).lean();
+  }
+
+  /**
+   * Open the archive of a ready, unexpired export owned by the user
+   * @returns {Promise<{ dataExport: object, stream: ReadableStream }|null>}
+   */
+  async openDownload(userId, exportId) {
+    const dataExport = await DataExport.findOne({
+      _id: exportId,
+      userId,
+      status: 'ready',
+      expiresAt: { $gt: new Date() },
+    }).lean();
+    if (!dataExport) return null;
+
+    return { dataExport, stream: this.bucket().openDownloadStream(dataExport.fileId) };
+  }
+
+  /**
+   * Remove every export and archive belonging to a user
+   * @returns {Promise<number>} - Number of exports removed
+   */
+  async deleteForUser(userId) {
+    const exports = await DataExport.find({ userId }).select('fileId').lean();
+    const bucket = this.bucket();
+
+    for (const dataExport of exports) {
+      if (!dataExport.fileId) continue;
+      try {
+        await bucket.delete(dataExport.fileId);
+      } catch (error) {
+        console.warn('[Data Export] Archive file missing: %s', dataExport.fileId, error.message);
+      }
+    }
+
+    await DataExport.deleteMany({ userId });
+    return exports.length;
+  }
+
+  /**
+   * Delete expired archives and fail exports interrupted by a restart
+   * @returns {Promise<number>} - Number of archives removed
+   */
+  async cleanupExpired() {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } });
+    const bucket = this.bucket();
+
+    for (const dataExport of expired) {
+      try {
+        await bucket.delete(dataExport.fileId);
+      } catch (error) {
+        // Already gone; still drop the record
+        console.warn('[Data Export] Archive file missing: %s', dataExport.fileId, error.message);
+      }
+      await dataExport.deleteOne();
+    }
+
+    await DataExport.updateMany(
+      { status: { $in: ['pending', 'processing'] }, createdAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+      { status: 'failed', error: 'Export was interrupted', completedAt: new Date() }
+    );
+
+    return expired.length;
+  }
+
+  /**
+   * Periodically remove expired archives
+   * @returns {object} - { stop() }
+   */
+  startCleanupJob() {
+    const run = async () => {
+      try {
+        const removed = await this.cleanupExpired();
+        if (removed) console.log(`📦 Removed ${removed} expired data export(s)`);
+      } catch (error) {
+        console.error('Data export cleanup failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, CLEANUP_INTERVAL_MS);
+    timer.unref();
+
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new DataExportService();
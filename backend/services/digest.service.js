@@ -0,0 +1,237 @@
+/**
+ * Weekly Digest Service
+ * Every Monday morning (in each student's own time zone) sums up the week before:
+ * journal stats, how mood moved compared with the week prior, recurring AI-detected
+ * themes, the current streak, and a few resources matched to those themes. Sent as an
+ * email plus an in-app copy. Only numbers, theme labels and resource titles go into
+ * the digest; journal text never leaves the journal.
+ */
+
+import User from '../models/user.model.js';
+import MoodLog from '../models/moodlog.model.js';
+import JournalEntry from '../models/journalEntry.model.js';
+import notificationService from './notification.service.js';
+import moodInsightsService from './mood-insights.service.js';
+import reminderService from './reminder.service.js';
+import resourceRecommendationService from './resource-recommendation.service.js';
+import { queueEmail } from './email.service.js';
+import { addDays, calendarDay, dayKey, resolveTimeZone, startOfDay, zonedParts } from './timezone.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const CHECK_INTERVAL_MS = 15 * MINUTE_MS;
+const DIGEST_WEEKDAY = 1; // Monday
+const DIGEST_MINUTE_OF_DAY = 8 * 60; // 08:00 local
+const TOP_THEMES = 5;
+const MAX_RESOURCES = 3;
+
+const round = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+class DigestService {
+  /**
+   * Summary of the seven local days before `now`'s day
+   * @param {string} userId
+   * @param {object} options - { timeZone, now }
+   * @returns {Promise<object>}
+   */
+  async buildDigest(userId, { timeZone, now = new Date() }) {
+    const today = calendarDay(now, timeZone);
+    const weekStart = addDays(today, -7);
+    const previousWeekStart = addDays(today, -14);
+    const from = startOfDay(weekStart, timeZone);
+    const to = startOfDay(today, timeZone);
+
+    const [journalStats, moodLogs, themedEntries] = await Promise.all([
+      moodInsightsService.getJournalStats(userId, { from, to, timeZone }),
+      MoodLog.find({ userId, date: { $gte: previousWeekStart, $lt: today }, mood: { $ne: null } })
+        .select('date mood')
+        .lean(),
+      JournalEntry.find({ userId, deletedAt: null, createdAt: { $gte: from, $lt: to } })
+        .select('aiAnalysis.themes')
+        .lean(),
+    ]);
+
+    const thisWeek = moodLogs.filter(log => log.date >= weekStart).map(log => log.mood);
+    const previousWeek = moodLogs.filter(log => log.date < weekStart).map(log => log.mood);
+    const average = mean(thisWeek);
+    const previousAverage = mean(previousWeek);
+
+    const themes = this.countThemes(themedEntries);
+
+    return {
+      from: dayKey(weekStart),
+      to: dayKey(addDays(today, -1)),
+      journals: {
+        total: journalStats.total,
+        avgMood: journalStats.total ? Number(journalStats.avgMood) || null : null,
+        sentimentDistribution: journalStats.sentimentDistribution,
+      },
+      mood: {
+        average: round(average),
+        previousAverage: round(previousAverage),
+        change: average != null && previousAverage != null ? round(average - previousAverage) : null,
+        daysLogged: thisWeek.length,
+      },
+      themes,
+      streakDays: journalStats.journalingStreak,
+      resources: await this.matchResources(themes.map(t => t.theme)),
+    };
+  }
+
+  /**
+   * Most frequent AI-detected themes, counted once per entry
+   * @returns {Array<{ theme: string, count: number }>}
+   */
+  countThemes(entries) {
+    const counts = new Map();
+    entries.forEach(entry => {
+      new Set((entry.aiAnalysis?.themes || []).map(t => t.toLowerCase().trim()).filter(Boolean)).forEach(theme => {
+        counts.set(theme, (counts.get(theme) || 0) + 1);
+      });
+    });
+
+    return [...counts]
+      .map(([theme, count]) => ({ theme, count }))
+      .sort((a, b) => b.count - a.count || a.theme.localeCompare(b.theme))
+      .slice(0, TOP_THEMES);
+  }
+
+  /**
+   * Resources matched to the week's themes, best match first; featured resources
+   * when nothing matches
+   * @param {string[]} themes
+   * @returns {Promise<Array<{ resourceId, title, type, url }>>}
+   */
+  async matchResources(themes) {
+    const signals = resourceRecommendationService.mergeSignals(themes.map(label => ({ source: 'theme', label })));
+    let resources = await resourceRecommendationService.matchSignals(signals, { limit: MAX_RESOURCES });
+    if (resources.length === 0) {
+      resources = await resourceRecommendationService.getFeatured(MAX_RESOURCES);
+    }
+
+    return resources.map(r => ({ resourceId: r._id, title: r.title, type: r.type, url: r.url }));
+  }
+
+  hasActivity(digest) {
+    return digest.journals.total > 0 || digest.mood.daysLogged > 0;
+  }
+
+  /**
+   * One-line version for the in-app notification
+   * @returns {string}
+   */
+  summarize(digest) {
+    const parts = [`${digest.journals.total} journal ${digest.journals.total === 1 ? 'entry' : 'entries'}`];
+    if (digest.mood.average != null) {
+      const change = digest.mood.change;
+      parts.push(`average mood ${digest.mood.average}/10` +
+        (change ? ` (${change > 0 ? '+' : ''}${change} on the week before)` : ''));
+    }
+    if (digest.streakDays) parts.push(`${digest.streakDays}-day streak`);
+    if (digest.themes.length) parts.push(`recurring themes: ${digest.themes.map(t => t.theme).join(', ')}`);
+    return `Your week: ${parts.join(', ')}.`;
+  }
+
+  /**
+   * Send a user's digest in-app and by email, per their channel preferences
+   */
+  async deliver(user, digest) {
+    const title = 'Your weekly wellbeing digest';
+
+    if (user.preferences.notifications) {
+      await notificationService.notifyUser(user._id, {
+        type: 'weekly_digest',
+        priority: 'low',
+        title,
+        body: this.summarize(digest),
+        link: '/dashboard',
+        payload: digest,
+      });
+    }
+
+    if (user.preferences.emailUpdates) {
+      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+      const token = reminderService.createUnsubscribeToken(user._id, 'weeklyDigest');
+      queueEmail('sendWeeklyDigestEmail', user.email, user.firstName || user.name, digest, {
+        subject: `${title} - Zenly`,
+        dashboardUrl: `${frontendUrl}/dashboard`,
+        unsubscribeUrl: `${frontendUrl}/unsubscribe?token=${encodeURIComponent(token)}`,
+      }).catch(error => console.error('Failed to queue weekly digest email:', error));
+    }
+  }
+
+  /**
+   * Send digests to everyone whose Monday morning has arrived and who hasn't had this week's yet
+   * @returns {Promise<number>} - Digests sent
+   */
+  async sendDueDigests(now = new Date()) {
+    const cursor = User.find({
+      emailVerified: true,
+      deletionScheduledFor: null,
+      'preferences.weeklyDigest': { $ne: false },
+      // A digest needs activity in the past week, so skip anyone who hasn't been around since
+      lastActive: { $gte: new Date(now.getTime() - 8 * DAY_MS) },
+    })
+      .select('email name firstName timezone preferences')
+      .cursor();
+
+    let sent = 0;
+    for await (const user of cursor) {
+      if (!user.preferences.notifications && !user.preferences.emailUpdates) continue;
+
+      try {
+        const timeZone = resolveTimeZone(user.timezone);
+        const local = zonedParts(now, timeZone);
+        const minuteOfDay = local.hour * 60 + local.minute;
+        const today = calendarDay(now, timeZone);
+
+        if (today.getUTCDay() !== DIGEST_WEEKDAY || minuteOfDay < DIGEST_MINUTE_OF_DAY) continue;
+        if (reminderService.isQuietTime(minuteOfDay, user.preferences.reminders?.quietHours)) continue;
+        if (user.preferences.reminders?.lastSent?.weeklyDigest?.getTime() === today.getTime()) continue;
+
+        // Claim this week's digest first so several instances never send it twice
+        const claimed = await User.updateOne(
+          { _id: user._id, 'preferences.reminders.lastSent.weeklyDigest': { $ne: today } },
+          { $set: { 'preferences.reminders.lastSent.weeklyDigest': today } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+
+        const digest = await this.buildDigest(user._id, { timeZone, now });
+        if (!this.hasActivity(digest)) continue;
+
+        await this.deliver(user, digest);
+        sent++;
+      } catch (error) {
+        console.error(`[Digest] Failed for user ${user._id}:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Check for due digests every 15 minutes
+   * @returns {{ stop: Function }}
+   */
+  startDigestJob() {
+    const run = async () => {
+      try {
+        const sent = await this.sendDueDigests();
+        if (sent) console.log(`📬 Sent ${sent} weekly digest(s)`);
+      } catch (error) {
+        console.error('Weekly digest job failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    timer.unref();
+
+    console.log('📬 Weekly digests scheduled');
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new DigestService();
@@ -1,4 +1,5 @@
 import { createTransport } from 'nodemailer';
+import jobQueueService from './job-queue.service.js';
 
 // Create transporter for sending emails
 // Using Gmail for development (you can switch to Mailjet or other services later)
@@ -287,7 +288,540 @@ export const sendWelcomeEmail = async (email, userName) => {
     }
 };
 
-export default {
+/**
+ * Send password reset code email
+ * @param {string} email - Recipient email address
+ * @param {string} otp - 6-digit reset code
+ * @param {string} userName - User's name
+ */
+export const sendPasswordResetEmail = async (email, otp, userName = 'there') => {
+    try {
+        const transporter = createTransporter();
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: 'Your Zenly Password Reset Code',
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="utf-8">
+                    <style>
+                        body {
+                            font-family: Arial, sans-serif;
+                            line-height: 1.6;
+                            color: #333;
+                            max-width: 600px;
+                            margin: 0 auto;
+                            padding: 20px;
+                        }
+                        .container {
+                            background-color: #f9f9f9;
+                            border-radius: 10px;
+                            padding: 30px;
+                            border: 1px solid #e0e0e0;
+                        }
+                        .header {
+                            text-align: center;
+                            margin-bottom: 30px;
+                        }
+                        .logo {
+                            font-size: 32px;
+                            font-weight: bold;
+                            color: #7c3aed;
+                            margin-bottom: 10px;
+                        }
+                        .otp-box {
+                            background-color: #ffffff;
+                            border: 2px dashed #7c3aed;
+                            border-radius: 8px;
+                            padding: 20px;
+                            text-align: center;
+                            margin: 25px 0;
+                        }
+                        .otp-code {
+                            font-size: 36px;
+                            font-weight: bold;
+                            color: #7c3aed;
+                            letter-spacing: 8px;
+                            font-family: 'Courier New', monospace;
+                        }
+                        .warning {
+                            background-color: #fff3cd;
+                            border-left: 4px solid #ffc107;
+                            padding: 12px;
+                            margin: 20px 0;
+                            border-radius: 4px;
+                        }
+                        .footer {
+                            margin-top: 30px;
+                            padding-top: 20px;
+                            border-top: 1px solid #e0e0e0;
+                            text-align: center;
+                            font-size: 14px;
+                            color: #666;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <div class="logo">❤️ Zenly</div>
+                            <h2 style="color: #333; margin: 0;">Password Reset</h2>
+                        </div>
+
+                        <p>Hi ${userName},</p>
+
+                        <p>We received a request to reset the password for your Zenly account.</p>
+
+                        <p><strong>Your password reset code is:</strong></p>
+
+                        <div class="otp-box">
+                            <div class="otp-code">${otp}</div>
+                        </div>
+
+                        <p>Enter this code in the app along with your new password.</p>
+
+                        <div class="warning">
+                            <strong>⏰ Important:</strong> This code will expire in <strong>10 minutes</strong> and can only be used once.
+                        </div>
+
+                        <p>If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+
+                        <div class="footer">
+                            <p><strong>Zenly - Mental Health Support Platform</strong></p>
+                            <p style="font-size: 12px; color: #999;">This is an automated email, please do not reply.</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+            text: `
+Hi ${userName},
+
+We received a request to reset the password for your Zenly account.
+
+Your password reset code is: ${otp}
+
+Enter this code in the app along with your new password.
+This code will expire in 10 minutes and can only be used once.
+
+If you didn't request a password reset, you can safely ignore this email.
+
+Zenly - Mental Health Support Platform
+            `.trim()
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Password reset email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending password reset email:', error);
+        throw new Error('Failed to send password reset email');
+    }
+};
+
+/**
+ * Send confirmation that the account password was changed
+ * @param {string} email - Recipient email address
+ * @param {string} userName - User's name
+ */
+export const sendPasswordChangedEmail = async (email, userName = 'there') => {
+    try {
+        const transporter = createTransporter();
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: 'Your Zenly password was changed',
+            text: `
+Hi ${userName},
+
+The password for your Zenly account was just changed, and you have been signed out on all devices.
+
+If you made this change, no further action is needed.
+If you didn't, please reset your password immediately and contact support.
+
+Zenly - Mental Health Support Platform
+            `.trim()
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Password changed email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending password changed email:', error);
+        // Don't throw error for confirmation email - it's not critical
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Send a crisis alert to staff. The user's own words are deliberately left out of the email;
+ * staff read them in the admin dashboard.
+ * @param {string|string[]} recipients - Staff email address(es)
+ * @param {object} alert - { crisisEventId, affectedUserName, riskLevel, source, escalated }
+ */
+export const sendCrisisAlertEmail = async (recipients, alert) => {
+    try {
+        const transporter = createTransporter();
+        const dashboardUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin`;
+        const heading = alert.escalated
+            ? 'ESCALATED: crisis alert still unacknowledged'
+            : 'Crisis alert - immediate attention required';
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            // Staff shouldn't see each other's addresses
+            bcc: recipients,
+            subject: `🆘 ${heading}`,
+            text: `
+${heading}
+
+A ${alert.riskLevel.toUpperCase()} risk crisis signal was detected for ${alert.affectedUserName} (source: ${alert.source}).
+${alert.escalated ? '\nNo one has acknowledged this case yet. Please review it now.\n' : ''}
+Case ID: ${alert.crisisEventId}
+Review and acknowledge the case: ${dashboardUrl}
+
+Zenly - Mental Health Support Platform
+            `.trim()
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Crisis alert email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending crisis alert email:', error);
+        // Real-time and in-app alerts still go out if email fails
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Confirm that account deletion was requested and explain how to cancel
+ * @param {string} email - Recipient email address
+ * @param {string} userName - User's name
+ * @param {Date|string} scheduledFor - When the account will be permanently deleted
+ */
+export const sendAccountDeletionScheduledEmail = async (email, userName = 'there', scheduledFor) => {
+    try {
+        const transporter = createTransporter();
+        const profileUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/profile`;
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: 'Your Zenly account is scheduled for deletion',
+            text: `
+Hi ${userName},
+
+We received a request to delete your Zenly account. Your account and its data will be permanently deleted on ${new Date(scheduledFor).toUTCString()}.
+
+Changed your mind? Log in before then and cancel the deletion from your profile: ${profileUrl}
+
+Forum posts and comments you wrote will stay up without your name so conversations remain readable.
+Everything else (journals, mood logs, AI conversations, notifications) will be erased.
+
+If you didn't request this, log in, cancel the deletion and change your password.
+
+Zenly - Mental Health Support Platform
+            `.trim()
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Account deletion email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending account deletion email:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Appointment confirmation, change, cancellation or reminder
+ * @param {string} email - Recipient email address
+ * @param {string} userName - Recipient's name
+ * @param {object} details - { subject, heading, withName, startsAt, timeZone, sessionType, reason }
+ */
+export const sendAppointmentEmail = async (email, userName = 'there', details) => {
+    try {
+        const transporter = createTransporter();
+        const appointmentsUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/counselors`;
+        const when = new Date(details.startsAt).toLocaleString('en-US', {
+            timeZone: details.timeZone || 'UTC',
+            dateStyle: 'full',
+            timeStyle: 'short'
+        });
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: details.subject,
+            text: `
+Hi ${userName},
+
+${details.heading}
+
+With: ${details.withName}
+When: ${when} (${details.timeZone || 'UTC'})
+Session: ${details.sessionType === 'video' ? 'Video call' : 'In person'}
+${details.reason ? `Reason: ${details.reason}\n` : ''}
+Manage your appointments: ${appointmentsUrl}
+
+Zenly - Mental Health Support Platform
+            `.trim()
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Appointment email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending appointment email:', error);
+        // In-app notifications still go out if email fails
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Opt-in reminder (daily check-in, streak nudge, weekly reflection)
+ * @param {string} email - Recipient email address
+ * @param {string} userName - Recipient's name
+ * @param {object} details - { subject, heading, body, actionUrl, unsubscribeUrl }
+ */
+export const sendReminderEmail = async (email, userName = 'there', details) => {
+    try {
+        const transporter = createTransporter();
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: details.subject,
+            headers: {
+                'List-Unsubscribe': `<${details.unsubscribeUrl}>`
+            },
+            text: `
+Hi ${userName},
+
+${details.heading}
+
+${details.body}
+
+Open Zenly: ${details.actionUrl}
+
+You're receiving this because you turned on this reminder in your Zenly profile.
+Stop these emails: ${details.unsubscribeUrl}
+
+Zenly - Mental Health Support Platform
+            `.trim()
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Reminder email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending reminder email:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const formatDigestDay = (key) => new Date(`${key}T00:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC', month: 'short', day: 'numeric'
+});
+
+/**
+ * Weekly wellbeing digest: stats, mood trend, themes, streak and suggested resources.
+ * Built from numbers and labels only; no journal text goes in.
+ * @param {string} email - Recipient email address
+ * @param {string} userName - Recipient's name
+ * @param {object} digest - From digestService.buildDigest()
+ * @param {object} links - { subject, dashboardUrl, unsubscribeUrl }
+ */
+export const sendWeeklyDigestEmail = async (email, userName = 'there', digest, links) => {
+    try {
+        const transporter = createTransporter();
+        const week = `${formatDigestDay(digest.from)} - ${formatDigestDay(digest.to)}`;
+        const { journals, mood, themes, streakDays, resources } = digest;
+
+        const moodLine = mood.average != null
+            ? `${mood.average}/10 across ${mood.daysLogged} check-in${mood.daysLogged === 1 ? '' : 's'}` +
+              (mood.change != null ? ` (${mood.change > 0 ? '+' : ''}${mood.change} on the week before)` : '')
+            : 'No mood check-ins this week';
+        const sentimentLine = ['positive', 'neutral', 'negative']
+            .map(label => `${journals.sentimentDistribution?.[label] || 0} ${label}`)
+            .join(', ');
+
+        const text = `
+Hi ${userName},
+
+Here's your week on Zenly (${week}).
+
+Journal entries: ${journals.total}${journals.avgMood != null ? ` (average mood ${journals.avgMood}/10)` : ''}
+Entry tone: ${sentimentLine}
+Mood: ${moodLine}
+Journaling streak: ${streakDays ? `${streakDays} day${streakDays === 1 ? '' : 's'}` : 'Start a new one today'}
+${themes.length ? `\nWhat came up most:\n${themes.map(t => `- ${t.theme} (${t.count}x)`).join('\n')}\n` : ''}${resources.length ? `\nYou might find these helpful:\n${resources.map(r => `- ${r.title}: ${r.url}`).join('\n')}\n` : ''}
+See more on your dashboard: ${links.dashboardUrl}
+
+Stop weekly digests: ${links.unsubscribeUrl}
+
+Zenly - Mental Health Support Platform
+        `.trim();
+
+        const mailOptions = {
+            from: `"Zenly - Mental Health Support" <${process.env.EMAIL_USER}>`,
+            to: email,
+            subject: links.subject,
+            headers: {
+                'List-Unsubscribe': `<${links.unsubscribeUrl}>`
+            },
+            text,
+            html: `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <meta charset="utf-8">
+                    <style>
+                        body {
+                            font-family: Arial, sans-serif;
+                            line-height: 1.6;
+                            color: #333;
+                            max-width: 600px;
+                            margin: 0 auto;
+                            padding: 20px;
+                        }
+                        .container {
+                            background-color: #f9f9f9;
+                            border-radius: 10px;
+                            padding: 30px;
+                            border: 1px solid #e0e0e0;
+                        }
+                        .header {
+                            text-align: center;
+                            margin-bottom: 30px;
+                        }
+                        .logo {
+                            font-size: 32px;
+                            font-weight: bold;
+                            color: #7c3aed;
+                            margin-bottom: 10px;
+                        }
+                        .stat {
+                            background-color: #ffffff;
+                            padding: 15px;
+                            margin: 10px 0;
+                            border-radius: 8px;
+                            border-left: 4px solid #7c3aed;
+                        }
+                        .button {
+                            display: inline-block;
+                            background-color: #7c3aed;
+                            color: #ffffff !important;
+                            padding: 12px 24px;
+                            border-radius: 8px;
+                            text-decoration: none;
+                        }
+                        .footer {
+                            margin-top: 30px;
+                            padding-top: 20px;
+                            border-top: 1px solid #e0e0e0;
+                            text-align: center;
+                            font-size: 14px;
+                            color: #666;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <div class="logo">❤️ Zenly</div>
+                            <h2 style="color: #333; margin: 0;">Your Week in Review</h2>
+                            <p style="color: #666; margin: 5px 0 0;">${escapeHtml(week)}</p>
+                        </div>
+
+                        <p>Hi ${escapeHtml(userName)},</p>
+
+                        <div class="stat">
+                            <strong>📝 Journal entries:</strong> ${journals.total}${journals.avgMood != null ? ` (average mood ${journals.avgMood}/10)` : ''}<br>
+                            <span style="color: #666;">Tone: ${escapeHtml(sentimentLine)}</span>
+                        </div>
+
+                        <div class="stat">
+                            <strong>🌤️ Mood:</strong> ${escapeHtml(moodLine)}
+                        </div>
+
+                        <div class="stat">
+                            <strong>🔥 Journaling streak:</strong> ${streakDays ? `${streakDays} day${streakDays === 1 ? '' : 's'}` : 'Start a new one today'}
+                        </div>
+
+                        ${themes.length ? `
+                        <h3>What came up most</h3>
+                        <ul>
+                            ${themes.map(t => `<li>${escapeHtml(t.theme)} <span style="color: #666;">(${t.count}x)</span></li>`).join('')}
+                        </ul>` : ''}
+
+                        ${resources.length ? `
+                        <h3>You might find these helpful</h3>
+                        <ul>
+                            ${resources.map(r => `<li><a href="${escapeHtml(r.url)}">${escapeHtml(r.title)}</a> <span style="color: #666;">(${escapeHtml(r.type)})</span></li>`).join('')}
+                        </ul>` : ''}
+
+                        <p style="text-align: center; margin-top: 30px;">
+                            <a class="button" href="${escapeHtml(links.dashboardUrl)}">Open your dashboard</a>
+                        </p>
+
+                        <div class="footer">
+                            <p><strong>Zenly - Mental Health Support Platform</strong></p>
+                            <p>You get this digest every Monday. <a href="${escapeHtml(links.unsubscribeUrl)}">Stop weekly digests</a></p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        console.log('✅ Weekly digest email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending weekly digest email:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+const templates = {
     sendVerificationEmail,
-    sendWelcomeEmail
+    sendWelcomeEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail,
+    sendCrisisAlertEmail,
+    sendAccountDeletionScheduledEmail,
+    sendAppointmentEmail,
+    sendReminderEmail,
+    sendWeeklyDigestEmail
 };
+
+// The send functions report failure instead of throwing; throw so the job is retried
+jobQueueService.define('email.send', async ({ template, args }) => {
+    const send = templates[template];
+    if (!send) throw new Error(`Unknown email template: ${template}`);
+
+    const result = await send(...args);
+    if (!result?.success) throw new Error(result?.error || 'Email not sent');
+}, { concurrency: 3, maxAttempts: 5, backoffMs: 60 * 1000 });
+
+/**
+ * Send an email in the background through the job queue, retrying if the mail server fails.
+ * Arguments are stored with the job, so dates arrive as strings.
+ * @param {string} template - Name of one of the send*Email functions
+ * @param {...any} args - Its arguments
+ * @returns {Promise<object>} - The queued job
+ */
+export const queueEmail = (template, ...args) =>
+    jobQueueService.enqueue('email.send', { template, args });
+
+export default templates;
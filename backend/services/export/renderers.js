@@ -0,0 +1,274 @@
+/**
+ * Human-readable renderings of a user data export.
+ * Both formats are produced from the same section outline so they always list the same records.
+ */
+
+const formatDate = (value) => (value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '');
+
+const personName = (person) => (person ? [person.firstName, person.lastName].filter(Boolean).join(' ') || person.name : 'Deleted user');
+
+/**
+ * Turn collected export data into an ordered list of sections:
+ * [{ title, intro, items: [{ heading, fields: [[label, value]], body, thread }] }]
+ */
+export function buildOutline(data) {
+  const { profile } = data;
+
+  return [
+    {
+      title: 'Profile',
+      items: [{
+        heading: profile.name,
+        fields: [
+          ['Email', profile.email],
+          ['First name', profile.firstName],
+          ['Last name', profile.lastName],
+          ['University', profile.university],
+          ['Academic year', profile.academicYear],
+          ['Role', profile.role],
+          ['Time zone', profile.timezone],
+          ['Email verified', profile.emailVerified ? 'Yes' : 'No'],
+          ['Member since', formatDate(profile.createdAt)],
+          ['Last active', formatDate(profile.lastActive)],
+        ],
+      }],
+    },
+    {
+      title: 'Journal Entries',
+      items: data.journals.map(journal => ({
+        heading: formatDate(journal.createdAt),
+        fields: [
+          ['Mood', journal.mood ? `${journal.mood}/10` : null],
+          ['Tags', journal.tags?.join(', ')],
+          ['AI summary', journal.aiAnalysis?.summary],
+          ['Sentiment', journal.aiAnalysis?.sentiment?.label],
+          ['Insights', journal.aiAnalysis?.insights?.join('; ')],
+          ['Suggested actions', journal.aiAnalysis?.suggestedActions?.join('; ')],
+        ],
+        body: journal.content ?? '[End-to-end encrypted — open it in the app or with your journal passphrase]',
+        thread: (journal.reflectionMessages || []).map(m => ({ role: m.role, content: m.content, createdAt: m.createdAt })),
+      })),
+    },
+    {
+      title: 'Journal Edit History',
+      intro: 'Earlier versions of journal entries you edited.',
+      items: (data.journalRevisions || []).map(revision => ({
+        heading: `Entry ${String(revision.journalId)}, version ${revision.version} — replaced ${formatDate(revision.createdAt)}`,
+        fields: [
+          ['Mood', revision.mood ? `${revision.mood}/10` : null],
+          ['Tags', revision.tags?.join(', ')],
+          ['AI summary', revision.aiAnalysis?.summary],
+          ['Replaced by', revision.reason === 'restore' ? `Restoring version ${revision.restoredFrom}` : null],
+        ],
+        body: revision.content ?? '[End-to-end encrypted]',
+      })),
+    },
+    {
+      title: 'Mood Logs',
+      items: data.moodLogs.map(log => ({
+        heading: new Date(log.date).toISOString().slice(0, 10), // A calendar day, not an instant
+        fields: [['Mood', log.mood ? `${log.mood}/10` : null]],
+        body: log.notes,
+      })),
+    },
+    {
+      title: 'AI Conversations',
+      items: data.conversations.map(conversation => ({
+        heading: conversation.title || 'Untitled conversation',
+        fields: [['Started', formatDate(conversation.createdAt)]],
+        thread: conversation.messages.map(m => ({ role: m.role, content: m.content, createdAt: m.createdAt })),
+      })),
+    },
+    {
+      title: 'Forum Posts',
+      items: data.forum.posts.map(post => ({
+        heading: post.title,
+        fields: [
+          ['Posted', formatDate(post.createdAt)],
+          ['Category', post.category],
+          ['Anonymous', post.isAnonymous ? 'Yes' : 'No'],
+          ['Deleted', post.deletedAt ? formatDate(post.deletedAt) : null],
+        ],
+        body: post.content,
+      })),
+    },
+    {
+      title: 'Forum Comments',
+      items: data.forum.comments.map(comment => ({
+        heading: formatDate(comment.createdAt),
+        fields: [
+          ['On post', comment.postTitle],
+          ['Anonymous', comment.isAnonymous ? 'Yes' : 'No'],
+        ],
+        body: comment.content,
+      })),
+    },
+    {
+      title: 'Appointments',
+      items: (data.appointments || []).map(appointment => {
+        const asStudent = String(appointment.studentId?._id || appointment.studentId) === String(profile._id);
+        return {
+          heading: `${formatDate(appointment.startsAt)} — ${appointment.status}`,
+          fields: [
+            [asStudent ? 'Counselor' : 'Student', personName(asStudent ? appointment.counselorId : appointment.studentId)],
+            ['Session type', appointment.sessionType],
+            ['Ends', formatDate(appointment.endsAt)],
+            ['Cancelled', appointment.cancelledAt ? formatDate(appointment.cancelledAt) : null],
+            ['Cancellation reason', appointment.cancellationReason],
+          ],
+          body: appointment.notes,
+        };
+      }),
+    },
+    {
+      title: 'Journal Sharing',
+      intro: 'Journal entries you shared with counselors.',
+      items: (data.journalSharing?.shares || []).map(share => ({
+        heading: `${personName(share.counselorId)} — shared ${formatDate(share.createdAt)}`,
+        fields: [
+          ['Shared', share.scope === 'entries' ? `${share.journalIds.length} entries` : `Entries from ${formatDate(share.from)} to ${formatDate(share.to)}`],
+          ['Expires', formatDate(share.expiresAt)],
+          ['Revoked', share.revokedAt ? formatDate(share.revokedAt) : null],
+        ],
+        body: share.message,
+      })),
+    },
+    {
+      title: 'Journal Access Log',
+      intro: 'Every time a counselor read one of your shared entries.',
+      items: (data.journalSharing?.accessLog || []).map(access => ({
+        heading: `${formatDate(access.createdAt)} — ${personName(access.counselorId)}`,
+        fields: [['Journal entry', String(access.journalId)]],
+      })),
+    },
+    {
+      title: 'Resources',
+      intro: 'Library resources you saved, opened, marked helpful or worked through.',
+      items: (data.resources || []).map(interaction => ({
+        heading: interaction.resourceId?.title || 'Removed resource',
+        fields: [
+          ['Saved', interaction.saved ? formatDate(interaction.savedAt) : null],
+          ['Lists', interaction.lists?.length ? interaction.lists.join(', ') : null],
+          ['Marked helpful', interaction.helpful ? formatDate(interaction.helpfulAt) : null],
+          ['Progress', interaction.completion?.status !== 'not_started' ? interaction.completion?.status.replace('_', ' ') : null],
+          ['Times viewed', interaction.viewCount || null],
+          ['Last opened', interaction.lastViewedAt ? formatDate(interaction.lastViewedAt) : null],
+        ],
+      })),
+    },
+    {
+      title: 'Notifications',
+      items: data.notifications.map(notification => ({
+        heading: notification.title,
+        fields: [
+          ['Received', formatDate(notification.createdAt)],
+          ['Read', notification.readAt ? formatDate(notification.readAt) : 'No'],
+        ],
+        body: notification.body,
+      })),
+    },
+    {
+      title: 'Activity Events',
+      intro: 'Product analytics events recorded for your account.',
+      items: data.analyticsEvents.map(event => ({
+        heading: `${formatDate(event.createdAt)} — ${event.type}`,
+        fields: [],
+      })),
+    },
+  ];
+}
+
+/**
+ * @param {object} data - Collected export data
+ * @returns {string} Markdown document
+ */
+export function renderMarkdown(data) {
+  const lines = [
+    '# Your Zenly Data',
+    '',
+    `Exported ${formatDate(data.exportedAt)}. The same data is included in machine-readable form in \`data.json\`.`,
+    '',
+  ];
+
+  for (const section of buildOutline(data)) {
+    lines.push(`## ${section.title} (${section.items.length})`, '');
+    if (section.intro) lines.push(section.intro, '');
+    if (!section.items.length) lines.push('_Nothing recorded._', '');
+
+    for (const item of section.items) {
+      lines.push(`### ${item.heading}`, '');
+      for (const [label, value] of item.fields) {
+        if (value) lines.push(`- **${label}:** ${value}`);
+      }
+      if (item.fields.some(([, value]) => value)) lines.push('');
+      if (item.body) lines.push(item.body.split('\n').map(line => `> ${line}`).join('\n'), '');
+      for (const message of item.thread || []) {
+        lines.push(`**${message.role === 'user' ? 'You' : 'Zenly AI'}** (${formatDate(message.createdAt)}): ${message.content}`, '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * @param {object} data - Collected export data
+ * @returns {string} Standalone HTML document
+ */
+export function renderHtml(data) {
+  const sections = buildOutline(data).map(section => {
+    const items = section.items.map(item => {
+      const fields = item.fields
+        .filter(([, value]) => value)
+        .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join('');
+      const thread = (item.thread || [])
+        .map(m => `<p class="message ${m.role}"><strong>${m.role === 'user' ? 'You' : 'Zenly AI'}</strong> <time>${escapeHtml(formatDate(m.createdAt))}</time><br>${escapeHtml(m.content)}</p>`)
+        .join('');
+
+      return `<article><h3>${escapeHtml(item.heading)}</h3>` +
+        (fields ? `<dl>${fields}</dl>` : '') +
+        (item.body ? `<blockquote>${escapeHtml(item.body)}</blockquote>` : '') +
+        thread +
+        '</article>';
+    }).join('\n');
+
+    return `<section><h2>${escapeHtml(section.title)} (${section.items.length})</h2>` +
+      (section.intro ? `<p>${escapeHtml(section.intro)}</p>` : '') +
+      (items || '<p><em>Nothing recorded.</em></p>') +
+      '</section>';
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Your Zenly Data</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+  h2 { border-bottom: 1px solid #e5e7eb; padding-bottom: .25rem; margin-top: 2.5rem; }
+  article { border: 1px solid #e5e7eb; border-radius: 8px; padding: .75rem 1rem; margin: 1rem 0; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  blockquote { white-space: pre-wrap; border-left: 3px solid #a5b4fc; margin: .75rem 0; padding-left: .75rem; }
+  .message { white-space: pre-wrap; background: #f9fafb; border-radius: 6px; padding: .5rem .75rem; }
+  .message.user { background: #eef2ff; }
+  time { color: #6b7280; font-size: .85em; }
+</style>
+</head>
+<body>
+<h1>Your Zenly Data</h1>
+<p>Exported ${escapeHtml(formatDate(data.exportedAt))}. The same data is included in machine-readable form in <code>data.json</code>.</p>
+${sections}
+</body>
+</html>
+`;
+}
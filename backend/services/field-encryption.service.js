@@ -0,0 +1,206 @@
+/**
+ * Field Encryption Service
+ * Server-side encryption at rest for sensitive fields (journal text, AI messages and
+ * cached AI responses, mood notes, crisis previews). Models opt in through models/plugins/encryptedFields.plugin.js;
+ * this service holds the keys and does the cryptography.
+ *
+ * Keys live in a local JSON keyring file named by FIELD_ENCRYPTION_KEYRING:
+ *
+ *   { "activeKeyId": "k2", "keys": { "k1": "<base64>", "k2": "<base64>" }, "indexKey": "<base64>" }
+ *
+ * Every key is 32 random bytes. New values are encrypted under the active key with
+ * AES-256-GCM; older keys stay in the ring so values written under them still decrypt
+ * until scripts/encrypt-fields.js has re-encrypted them. Values are stored as
+ * `enc:v1:<keyId>:<iv>:<ciphertext+tag>` with the field path as associated data, so a
+ * value can't be moved to another field. The index key derives blind indexes (HMAC-SHA256
+ * of the field path and value) for fields that need equality search; it is not rotated.
+ *
+ * Without a keyring, values are stored in plaintext and a warning is logged at startup.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const ENVELOPE_PREFIX = 'enc:v1:';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID = /^[A-Za-z0-9_-]{1,32}$/;
+
+const keyringError = (message) => new Error(`Field encryption: ${message}`);
+
+const decodeKey = (value, label) => {
+  const key = typeof value === 'string' ? Buffer.from(value, 'base64') : null;
+  if (!key || key.length !== KEY_LENGTH) {
+    throw keyringError(`${label} must be ${KEY_LENGTH} bytes, base64-encoded`);
+  }
+  return key;
+};
+
+/**
+ * Check a parsed keyring file and decode its keys
+ * @param {object} data - { activeKeyId, keys: { [id]: base64 }, indexKey }
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer>, indexKey: Buffer }}
+ */
+export const parseKeyring = (data) => {
+  if (!data || typeof data !== 'object' || !data.keys || typeof data.keys !== 'object') {
+    throw keyringError('keyring must have a "keys" object');
+  }
+
+  const keys = new Map();
+  for (const [id, value] of Object.entries(data.keys)) {
+    if (!KEY_ID.test(id)) throw keyringError(`key id "${id}" may only use letters, digits, "-" and "_"`);
+    keys.set(id, decodeKey(value, `key "${id}"`));
+  }
+  if (!keys.has(data.activeKeyId)) {
+    throw keyringError(`active key "${data.activeKeyId}" is not in the keyring`);
+  }
+
+  return { activeKeyId: data.activeKeyId, keys, indexKey: decodeKey(data.indexKey, 'indexKey') };
+};
+
+class FieldEncryptionService {
+  constructor() {
+    this.keyring = undefined; // Loaded on first use, after dotenv has run
+  }
+
+  /**
+   * The keyring from FIELD_ENCRYPTION_KEYRING, or null when encryption is off
+   * @throws when the file is missing or invalid, so a misconfigured server doesn't
+   *         quietly start writing plaintext
+   */
+  getKeyring() {
+    if (this.keyring !== undefined) return this.keyring;
+
+    const file = process.env.FIELD_ENCRYPTION_KEYRING;
+    if (!file) {
+      this.keyring = null;
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (error) {
+      throw keyringError(`can't read keyring ${file}: ${error.message}`);
+    }
+    this.keyring = parseKeyring(data);
+    return this.keyring;
+  }
+
+  /**
+   * Use this keyring instead of the configured file (the migration script, after changing it)
+   * @param {object|null} data - Parsed keyring file contents
+   */
+  setKeyring(data) {
+    this.keyring = data ? parseKeyring(data) : null;
+  }
+
+  isEnabled() {
+    return this.getKeyring() !== null;
+  }
+
+  /**
+   * Log whether sensitive fields are encrypted; called once at startup
+   */
+  checkConfiguration() {
+    try {
+      const keyring = this.getKeyring();
+      if (!keyring) {
+        console.warn('⚠️  FIELD_ENCRYPTION_KEYRING not set. Sensitive fields are stored unencrypted.');
+        console.warn('   Create a keyring with: node scripts/encrypt-fields.js init');
+        return;
+      }
+      console.log(`🔐 Field encryption on (active key: ${keyring.activeKeyId}, ${keyring.keys.size} key(s) in ring)`);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+  }
+
+  /**
+   * Id of the key a stored value was encrypted with, or null for plaintext
+   */
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.slice(ENVELOPE_PREFIX.length).split(':')[0] : null;
+  }
+
+  /**
+   * Encrypted under a key other than the active one (or not encrypted at all)
+   */
+  needsRotation(value) {
+    const keyring = this.getKeyring();
+    return Boolean(keyring) && typeof value === 'string' && this.keyIdOf(value) !== keyring.activeKeyId;
+  }
+
+  /**
+   * Encrypt a field value with the active key
+   * @param {string} value
+   * @param {string} fieldPath - e.g. "JournalEntry.content"; bound to the ciphertext
+   * @returns {string} - Envelope, or the value unchanged when it isn't a string,
+   *                     is already encrypted or encryption is off
+   */
+  encrypt(value, fieldPath) {
+    const keyring = this.getKeyring();
+    if (!keyring || typeof value !== 'string' || this.isEncrypted(value)) return value;
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyring.keys.get(keyring.activeKeyId), iv);
+    cipher.setAAD(Buffer.from(fieldPath, 'utf8'));
+    const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+    return `${ENVELOPE_PREFIX}${keyring.activeKeyId}:${iv.toString('base64')}:${ciphertext.toString('base64')}`;
+  }
+
+  /**
+   * Decrypt a stored field value
+   * @param {*} value
+   * @param {string} fieldPath - Path the value was encrypted for
+   * @returns {*} - Plaintext, or the value unchanged when it isn't encrypted
+   * @throws when the key is missing or the value was tampered with
+   */
+  decrypt(value, fieldPath) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [keyId, iv, data] = value.slice(ENVELOPE_PREFIX.length).split(':');
+    const keyring = this.getKeyring();
+    if (!keyring) throw keyringError(`${fieldPath} is encrypted but FIELD_ENCRYPTION_KEYRING is not set`);
+    const key = keyring.keys.get(keyId);
+    if (!key) throw keyringError(`${fieldPath} is encrypted with key "${keyId}", which is not in the keyring`);
+
+    const payload = Buffer.from(data || '', 'base64');
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv || '', 'base64'));
+      decipher.setAAD(Buffer.from(fieldPath, 'utf8'));
+      decipher.setAuthTag(payload.subarray(payload.length - TAG_LENGTH));
+      return Buffer.concat([decipher.update(payload.subarray(0, payload.length - TAG_LENGTH)), decipher.final()]).toString('utf8');
+    } catch {
+      throw keyringError(`${fieldPath} could not be decrypted with key "${keyId}" (corrupted or tampered with)`);
+    }
+  }
+
+  /**
+   * Keyed blind index for equality search on an encrypted field
+   * @param {string} value
+   * @param {string} fieldPath
+   * @returns {string|null} - null for missing values or when encryption is off
+   */
+  blindIndex(value, fieldPath) {
+    const keyring = this.getKeyring();
+    if (!keyring || value == null) return null;
+    return crypto.createHmac('sha256', keyring.indexKey).update(`${fieldPath}\0${value}`).digest('base64url');
+  }
+
+  /**
+   * A new random key, base64-encoded, for the keyring file
+   */
+  generateKey() {
+    return crypto.randomBytes(KEY_LENGTH).toString('base64');
+  }
+}
+
+export default new FieldEncryptionService();
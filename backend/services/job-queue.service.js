@@ -0,0 +1,391 @@
+/**
+ * Job Queue Service
+ * Durable background work backed by the `jobs` collection. Jobs survive restarts,
+ * are retried with exponential backoff and are dead-lettered once out of attempts,
+ * where admins can inspect and retry them. Any number of instances can work the
+ * queue: a job is claimed atomically, and a claim held longer than the lock timeout
+ * (the instance died mid-job) is released for another attempt.
+ */
+
+import os from 'os';
+import mongoose from 'mongoose';
+import Job, { JOB_STATUSES } from '../models/job.model.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+const LOCK_TIMEOUT_MS = (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+const MAX_CONCURRENCY = parseInt(process.env.JOB_MAX_CONCURRENCY) || 8;
+const STALE_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Another job with the same dedupeKey is already queued (unique index)
+const isDedupeConflict = (error) => error?.code === 11000;
+
+class JobQueueService {
+  constructor() {
+    this.definitions = new Map();
+    this.runningByType = new Map();
+    this.active = 0;
+    this.started = false;
+    this.polling = false;
+    this.lastStaleCheck = 0;
+  }
+
+  /**
+   * Register the handler for a job type. Handlers throw to have the job retried.
+   * @param {string} type
+   * @param {Function} handler - (payload, job) => Promise
+   * @param {object} options - { concurrency, maxAttempts, backoffMs, onDead(payload, job) }
+   */
+  define(type, handler, { concurrency = 1, maxAttempts = DEFAULT_MAX_ATTEMPTS, backoffMs = DEFAULT_BACKOFF_MS, onDead } = {}) {
+    this.definitions.set(type, { handler, concurrency, maxAttempts, backoffMs, onDead });
+  }
+
+  /**
+   * Add a job. With a dedupeKey, a job already waiting under that key is reused
+   * (and brought forward if it was backing off) instead of adding another.
+   * @param {string} type
+   * @param {object} payload - Stored as-is; keep it small and free of sensitive text
+   * @param {object} options - { runAt, maxAttempts, dedupeKey }
+   * @returns {Promise<object>} - The job
+   */
+  async enqueue(type, payload = {}, { runAt = new Date(), maxAttempts, dedupeKey } = {}) {
+    const attempts = maxAttempts ?? this.definitions.get(type)?.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+
+    let job;
+    if (dedupeKey) {
+      const upsertQueued = () => Job.findOneAndUpdate(
+        { dedupeKey, status: 'queued' },
+        {
+          $setOnInsert: { type, payload, maxAttempts: attempts, attempts: 0, failures: [] },
+          $min: { runAt },
+        },
+        { upsert: true, new: true }
+      ).lean();
+      try {
+        job = await upsertQueued();
+      } catch (error) {
+        // A concurrent enqueue inserted the queued job first (unique index); share that one
+        if (!isDedupeConflict(error)) throw error;
+        job = await upsertQueued();
+      }
+    } else {
+      job = (await Job.create({ type, payload, maxAttempts: attempts, runAt })).toObject();
+    }
+
+    if (runAt <= new Date()) this.kick();
+    return job;
+  }
+
+  /**
+   * Start working the queue in this process
+   * @returns {{ stop: Function }}
+   */
+  start() {
+    if (this.started) return { stop: () => this.stop() };
+    this.started = true;
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.timer.unref();
+    this.kick();
+
+    console.log(`🧵 Job queue running (${[...this.definitions.keys()].join(', ')}; max ${MAX_CONCURRENCY} at once)`);
+    return { stop: () => this.stop() };
+  }
+
+  stop() {
+    this.started = false;
+    clearInterval(this.timer);
+  }
+
+  // Look for work now rather than on the next poll
+  kick() {
+    if (this.started) setImmediate(() => this.poll());
+  }
+
+  /**
+   * Claim and start as many jobs as the concurrency limits allow
+   */
+  async poll() {
+    if (this.polling || !this.started || mongoose.connection.readyState !== 1) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastStaleCheck >= STALE_CHECK_INTERVAL_MS) {
+        this.lastStaleCheck = Date.now();
+        await this.releaseStaleJobs();
+      }
+
+      let claimed = true;
+      while (claimed && this.active < MAX_CONCURRENCY) {
+        claimed = false;
+        for (const [type, definition] of this.definitions) {
+          if (this.active >= MAX_CONCURRENCY) break;
+          if ((this.runningByType.get(type) || 0) >= definition.concurrency) continue;
+
+          const job = await this.claim(type);
+          if (!job) continue;
+
+          claimed = true;
+          this.execute(job, definition);
+        }
+      }
+    } catch (error) {
+      console.error('Job queue poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async claim(type) {
+    return Job.findOneAndUpdate(
+      { type, status: 'queued', runAt: { $lte: new Date() } },
+      {
+        $set: { status: 'running', lockedBy: WORKER_ID, lockedAt: new Date() },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    ).lean();
+  }
+
+  async execute(job, definition) {
+    this.active += 1;
+    this.runningByType.set(job.type, (this.runningByType.get(job.type) || 0) + 1);
+
+    try {
+      await definition.handler(job.payload, job);
+      // Only while the claim is still ours; a released job belongs to its next attempt
+      await Job.updateOne(
+        { _id: job._id, status: 'running', lockedAt: job.lockedAt },
+        { $set: { status: 'completed', completedAt: new Date() }, $unset: { lockedBy: 1, lockedAt: 1 } }
+      );
+    } catch (error) {
+      await this.fail(job, definition, error).catch(e => {
+        console.error(`Failed to record failure of job ${job._id}:`, e);
+      });
+    } finally {
+      this.active -= 1;
+      this.runningByType.set(job.type, this.runningByType.get(job.type) - 1);
+      this.kick();
+    }
+  }
+
+  /**
+   * Schedule the next attempt, or dead-letter the job when it has none left
+   */
+  async fail(job, definition, error) {
+    const message = error?.message || String(error);
+    const dead = job.attempts >= job.maxAttempts;
+    const now = new Date();
+
+    const $set = { lastError: message };
+    if (dead) {
+      $set.status = 'dead';
+      $set.deadAt = now;
+    } else {
+      $set.status = 'queued';
+      $set.runAt = new Date(now.getTime() + this.getBackoffMs(job.attempts, definition?.backoffMs));
+    }
+
+    const filter = { _id: job._id, status: 'running', lockedAt: job.lockedAt };
+    const update = {
+      $set,
+      $unset: { lockedBy: 1, lockedAt: 1 },
+      $push: { failures: { $each: [{ attempt: job.attempts, message, at: now }], $slice: -MAX_FAILURES_KEPT } },
+    };
+    const result = dead
+      ? { job: await Job.findOneAndUpdate(filter, update).lean() }
+      : await this.requeue(job, filter, update);
+    if (!result.job) return;
+
+    if (result.supersededBy) {
+      // Queued again under its key while it ran (e.g. the entry was edited); that job does the retry
+      console.warn(`⏭️  Job ${job._id} (${job.type}) failed attempt ${job.attempts}/${job.maxAttempts}, job ${result.supersededBy} takes over: ${message}`);
+      return;
+    }
+
+    if (!dead) {
+      console.warn(`⏳ Job ${job._id} (${job.type}) failed attempt ${job.attempts}/${job.maxAttempts}, retrying at ${$set.runAt.toISOString()}: ${message}`);
+      return;
+    }
+
+    console.error(`💀 Job ${job._id} (${job.type}) dead-lettered after ${job.attempts} attempt(s): ${message}`);
+    if (definition?.onDead) {
+      try {
+        await definition.onDead(job.payload, { ...job, lastError: message });
+      } catch (e) {
+        console.error(`Dead-letter handler for job ${job._id} failed:`, e);
+      }
+    }
+  }
+
+  /**
+   * Put a job back in the queue. When another job with its dedupeKey is already queued,
+   * that one will do the work, so this one is completed as superseded by it instead.
+   * @param {object} job
+   * @param {object} filter - Matches the job only in the state it is leaving
+   * @param {object} update - Sets status 'queued'
+   * @returns {Promise<{ job: object|null, supersededBy?: ObjectId }>} - job is null if it
+   *   had moved on meanwhile
+   */
+  async requeue(job, filter, update) {
+    for (;;) {
+      try {
+        return { job: await Job.findOneAndUpdate(filter, update, { new: true }).lean() };
+      } catch (error) {
+        if (!isDedupeConflict(error)) throw error;
+      }
+
+      const queued = await Job.findOne({ dedupeKey: job.dedupeKey, status: 'queued' }).select('_id').lean();
+      if (!queued) continue; // Claimed in the meantime, so this one can be queued after all
+
+      const superseded = await Job.findOneAndUpdate(
+        filter,
+        {
+          ...update,
+          $set: { ...update.$set, status: 'completed', completedAt: new Date(), supersededBy: queued._id },
+          $unset: { ...update.$unset, deadAt: 1 },
+        },
+        { new: true }
+      ).lean();
+      return { job: superseded, supersededBy: queued._id };
+    }
+  }
+
+  /**
+   * Doubles with every attempt, with up to 20% jitter so retries don't arrive together
+   */
+  getBackoffMs(attempt, baseMs = DEFAULT_BACKOFF_MS) {
+    const delay = Math.min(baseMs * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  /**
+   * Jobs whose worker stopped mid-job (restart, crash) count as a failed attempt
+   * @returns {Promise<number>} - Jobs released
+   */
+  async releaseStaleJobs() {
+    const stale = await Job.find({
+      status: 'running',
+      lockedAt: { $lte: new Date(Date.now() - LOCK_TIMEOUT_MS) },
+    }).lean();
+
+    // One at a time, so a job that can't be released doesn't hold up the rest
+    let released = 0;
+    for (const job of stale) {
+      try {
+        await this.fail(job, this.definitions.get(job.type), new Error(`Worker ${job.lockedBy} stopped before finishing`));
+        released++;
+      } catch (error) {
+        console.error(`Failed to release stale job ${job._id}:`, error);
+      }
+    }
+    return released;
+  }
+
+  /**
+   * Jobs for the admin dashboard, newest first, with counts per status
+   * @param {object} filters - { status, type, cursor, limit }
+   */
+  async list({ status, type, cursor, limit } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = {};
+    if (status) {
+      if (!JOB_STATUSES.includes(status)) throw httpError(`status must be one of: ${JOB_STATUSES.join(', ')}`, 400);
+      query.status = status;
+    }
+    if (type) query.type = type;
+    if (cursor) {
+      if (!mongoose.isValidObjectId(cursor)) throw httpError('Invalid cursor', 400);
+      query._id = { $lt: cursor };
+    }
+
+    const [jobs, statusCounts] = await Promise.all([
+      Job.find(query).sort({ _id: -1 }).limit(pageSize + 1).lean(),
+      Job.aggregate([
+        { $match: type ? { type } : {} },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const hasMore = jobs.length > pageSize;
+    const data = hasMore ? jobs.slice(0, pageSize) : jobs;
+
+    const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    return {
+      jobs: data,
+      counts,
+      types: [...this.definitions.keys()],
+      nextCursor: hasMore ? data[data.length - 1]._id : null,
+    };
+  }
+
+  async get(id) {
+    if (!mongoose.isValidObjectId(id)) throw httpError('Job not found', 404);
+    const job = await Job.findById(id).lean();
+    if (!job) throw httpError('Job not found', 404);
+    return job;
+  }
+
+  /**
+   * Give a dead job a fresh set of attempts. If another job with its dedupeKey is already
+   * queued, that one will do the work: the dead job is completed as superseded by it instead.
+   * @returns {Promise<object>} - The job that will run
+   */
+  async retry(id) {
+    const job = await this.get(id);
+    if (job.status !== 'dead') throw httpError('Only dead jobs can be retried', 409);
+
+    const retried = await this.requeueDead(job);
+    if (!retried) throw httpError('Only dead jobs can be retried', 409);
+
+    this.kick();
+    return retried;
+  }
+
+  /**
+   * Retry every dead job, optionally of one type (e.g. after an outage is fixed)
+   * @returns {Promise<number>} - Jobs requeued or superseded by a queued job
+   */
+  async retryAll({ type } = {}) {
+    const filter = { status: 'dead', ...(type && { type }) };
+    const result = await Job.updateMany(
+      { ...filter, dedupeKey: { $exists: false } },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date() }, $unset: { deadAt: 1 } }
+    );
+    let requeued = result.modifiedCount;
+
+    // Keyed jobs one at a time: two dead jobs (or a dead and a queued one) may share a key
+    const keyed = await Job.find({ ...filter, dedupeKey: { $exists: true } }).select('_id dedupeKey').lean();
+    for (const job of keyed) {
+      if (await this.requeueDead(job)) requeued++;
+    }
+
+    this.kick();
+    return requeued;
+  }
+
+  /**
+   * @returns {Promise<object|null>} - The requeued job, the queued job superseding it, or
+   *   null if it was no longer dead
+   */
+  async requeueDead(job) {
+    const result = await this.requeue(job, { _id: job._id, status: 'dead' }, {
+      $set: { status: 'queued', attempts: 0, runAt: new Date() },
+      $unset: { deadAt: 1 },
+    });
+    if (!result.job || !result.supersededBy) return result.job;
+    return (await Job.findById(result.supersededBy).lean()) || result.job;
+  }
+}
+
+export default new JobQueueService();
@@ -0,0 +1,191 @@
+/**
+ * Journal Analysis Service
+ * Runs the AI analysis of saved journal entries through the job queue, so an entry
+ * is never left "analyzing" by a restart: failed attempts are retried, entries are
+ * only marked as errored once the job is dead-lettered, and entries left behind by
+ * a crash are queued again on startup.
+ */
+
+import JournalEntry, { PLAINTEXT_ONLY } from '../models/journalEntry.model.js';
+import User from '../models/user.model.js';
+import Job from '../models/job.model.js';
+import aiOrchestratorService from './ai-orchestrator.service.js';
+import llmService from './llm.service.js';
+import realtimeService from './realtime.service.js';
+import aiQuotaService from './ai-quota.service.js';
+import resourceRecommendationService from './resource-recommendation.service.js';
+import jobQueueService from './job-queue.service.js';
+
+const JOB_TYPE = 'journal.analyze';
+
+const dedupeKey = (journalId) => `${JOB_TYPE}:${journalId}`;
+
+class JournalAnalysisService {
+  constructor() {
+    jobQueueService.define(JOB_TYPE, (payload, job) => this.analyze(payload, job), {
+      concurrency: 2,
+      maxAttempts: 4,
+      backoffMs: 15 * 1000,
+      onDead: (payload, job) => this.markFailed(payload, job.lastError),
+    });
+  }
+
+  /**
+   * Queue an entry for analysis. Saving again before it starts reuses the queued job.
+   * @returns {Promise<object>} - The job
+   */
+  async enqueue(journalId, userId, role) {
+    return jobQueueService.enqueue(
+      JOB_TYPE,
+      { journalId: String(journalId), userId: String(userId), role },
+      { dedupeKey: dedupeKey(journalId) }
+    );
+  }
+
+  /**
+   * Job handler: analyze the entry and store the results
+   */
+  async analyze({ journalId, userId, role, overQuota }, job) {
+    const journal = await JournalEntry.findOne({ _id: journalId, deletedAt: null, ...PLAINTEXT_ONLY }).select('_id');
+    if (!journal) return; // Deleted or end-to-end encrypted while queued
+
+    console.log(`[Journal Analysis] Starting analysis: ${journalId} (attempt ${job.attempts})`);
+
+    // Quota is checked once per job; retries reuse the answer instead of using up more of it
+    if (overQuota === undefined) {
+      const quota = await aiQuotaService.consume(userId, role, 'journal_analysis');
+      overQuota = !quota.allowed;
+      await Job.updateOne({ _id: job._id }, { $set: { 'payload.overQuota': overQuota } });
+    }
+    if (overQuota) {
+      await this.skipOverQuota(journalId, userId, job._id);
+      return;
+    }
+
+    const analysis = await aiOrchestratorService.analyzeJournal(journalId, { jobId: job._id });
+
+    // Not if the entry was encrypted in the meantime: the analysis would leak what it says
+    const updated = await JournalEntry.findOneAndUpdate({ _id: journalId, ...PLAINTEXT_ONLY }, {
+      status: 'analyzed',
+      aiAnalysis: {
+        summary: analysis.summary,
+        insights: analysis.insights,
+        sentiment: analysis.sentiment,
+        riskAssessment: analysis.risk,
+        themes: analysis.risk.factors || [],
+        suggestedActions: analysis.suggestedActions,
+        processedAt: new Date(),
+        model: llmService.getModelName()
+      }
+    });
+    if (!updated) return;
+
+    console.log('[Journal Analysis] Analysis complete: %s', journalId, {
+      sentiment: analysis.sentiment.label,
+      riskLevel: analysis.risk.level
+    });
+
+    let recommendations = [];
+    try {
+      recommendations = await resourceRecommendationService.getForJournal({
+        themes: analysis.risk.factors || [],
+        emotions: analysis.sentiment.primaryEmotions || []
+      });
+    } catch (error) {
+      console.warn('[Journal Analysis] Failed to load recommendations: %s', journalId, error.message);
+    }
+
+    realtimeService.emitToUser(userId, 'journal:analysisComplete', {
+      journalId,
+      status: 'analyzed',
+      sentiment: analysis.sentiment.label,
+      riskLevel: analysis.risk.level,
+      recommendations
+    });
+  }
+
+  /**
+   * Daily AI quota used up: the entry is saved without insights, but the
+   * crisis check still runs so a high-risk entry is never missed
+   */
+  async skipOverQuota(journalId, userId, jobId) {
+    console.log(`[Journal Analysis] Daily AI limit reached, skipping analysis: ${journalId}`);
+
+    const journal = await JournalEntry.findById(journalId).select('content');
+    if (!journal?.content) return;
+    const risk = await aiOrchestratorService.assessRisk(journal.content, userId, journalId, { jobId });
+
+    await JournalEntry.findByIdAndUpdate(journalId, {
+      status: 'error',
+      aiAnalysis: {
+        riskAssessment: risk,
+        error: 'Daily AI limit reached',
+        processedAt: new Date()
+      }
+    });
+
+    realtimeService.emitToUser(userId, 'journal:analysisFailed', {
+      journalId,
+      status: 'error',
+      reason: 'quota_exceeded'
+    });
+  }
+
+  /**
+   * Out of attempts: show the entry as failed (an admin can still retry the job)
+   */
+  async markFailed({ journalId, userId }, message) {
+    await JournalEntry.updateOne(
+      { _id: journalId, status: 'analyzing' },
+      {
+        status: 'error',
+        aiAnalysis: {
+          error: message,
+          processedAt: new Date()
+        }
+      }
+    );
+
+    realtimeService.emitToUser(userId, 'journal:analysisFailed', { journalId, status: 'error' });
+  }
+
+  /**
+   * Queue every entry still marked "analyzing" that has no job waiting or running,
+   * e.g. entries whose analysis was cut off by a restart before the queue existed
+   * @returns {Promise<number>} - Entries queued
+   */
+  async requeueStuck() {
+    const entries = await JournalEntry.find({ status: 'analyzing', deletedAt: null }).select('_id userId').lean();
+    if (entries.length === 0) return 0;
+
+    const pending = await Job.find({
+      dedupeKey: { $in: entries.map(entry => dedupeKey(entry._id)) },
+      status: { $in: ['queued', 'running'] },
+    }).select('dedupeKey').lean();
+    const pendingKeys = new Set(pending.map(job => job.dedupeKey));
+    const stuck = entries.filter(entry => !pendingKeys.has(dedupeKey(entry._id)));
+    if (stuck.length === 0) return 0;
+
+    const users = await User.find({ _id: { $in: stuck.map(entry => entry.userId) } }).select('role').lean();
+    const roles = new Map(users.map(user => [String(user._id), user.role]));
+
+    for (const entry of stuck) {
+      await this.enqueue(entry._id, entry.userId, roles.get(String(entry.userId)));
+    }
+    return stuck.length;
+  }
+
+  /**
+   * Startup recovery for entries left "analyzing"
+   */
+  async recoverStuckEntries() {
+    try {
+      const requeued = await this.requeueStuck();
+      if (requeued) console.log(`📓 Re-queued analysis for ${requeued} journal entr${requeued === 1 ? 'y' : 'ies'} left analyzing`);
+    } catch (error) {
+      console.error('Journal analysis recovery failed:', error);
+    }
+  }
+}
+
+export default new JournalAnalysisService();
@@ -0,0 +1,375 @@
+/**
+ * Journal Encryption Service
+ * Opt-in end-to-end encryption for journal entries. The browser derives a wrapping
+ * key from the student's passphrase (PBKDF2) and uses it to wrap a random AES-GCM
+ * data key; a second copy is wrapped under a one-time recovery code. The server only
+ * stores the wrapped keys, KDF parameters and entry ciphertext, so it can never read
+ * encrypted entries. Mood and tags stay in plaintext as client-provided metadata.
+ *
+ * - Changing the passphrase or using the recovery code re-wraps the same data keys.
+ * - Rotation adds a new data key version and a new recovery code; the browser
+ *   re-encrypts older entries in batches and older versions are dropped once nothing
+ *   uses them.
+ * - AI analysis of an encrypted entry only happens when the student asks for it: the
+ *   browser sends the plaintext for that one request and nothing derived from it is kept.
+ */
+
+import bcrypt from 'bcrypt';
+import mongoose from 'mongoose';
+import User from '../models/user.model.js';
+import JournalEntry from '../models/journalEntry.model.js';
+import JournalRevision from '../models/journalRevision.model.js';
+import JournalKeyring, { KDF_ALGORITHMS, MIN_KDF_ITERATIONS } from '../models/journalKeyring.model.js';
+import AnalyticsEvent from '../models/analysticsEvent.model.js';
+import CrisisEvent from '../models/crisisEvent.model.js';
+import Notification from '../models/notification.model.js';
+import aiOrchestratorService from './ai-orchestrator.service.js';
+import aiQuotaService from './ai-quota.service.js';
+import aiCache from './cache/ai-cache.service.js';
+
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+const IV_LENGTH = 16; // 12 bytes, base64
+const MAX_CIPHERTEXT_LENGTH = 60000; // 10,000 characters of UTF-8 plus the GCM tag, base64
+const MAX_WRAPPED_KEY_LENGTH = 200;
+const MAX_CONTENT_LENGTH = 10000;
+const PENDING_BATCH_SIZE = 50;
+
+const encryptionError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const isBase64 = (value, maxLength) => typeof value === 'string' && value.length <= maxLength && value.length % 4 === 0 && BASE64.test(value);
+
+const checkSealed = (sealed, maxLength, label) => {
+  if (!sealed || !isBase64(sealed.iv, IV_LENGTH) || sealed.iv.length !== IV_LENGTH || !isBase64(sealed.ciphertext, maxLength)) {
+    throw encryptionError(400, `${label} must be base64 AES-GCM output ({ iv, ciphertext })`);
+  }
+  return { iv: sealed.iv, ciphertext: sealed.ciphertext };
+};
+
+const checkKdf = (kdf, label) => {
+  if (!kdf || !isBase64(kdf.salt, 64) || !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_KDF_ITERATIONS) {
+    throw encryptionError(400, `${label} needs a base64 salt and at least ${MIN_KDF_ITERATIONS} iterations`);
+  }
+  const algorithm = kdf.algorithm || KDF_ALGORITHMS[0];
+  if (!KDF_ALGORITHMS.includes(algorithm)) throw encryptionError(400, `${label} algorithm must be one of: ${KDF_ALGORITHMS.join(', ')}`);
+  return { algorithm, salt: kdf.salt, iterations: kdf.iterations };
+};
+
+const checkKeyVersion = (key, version) => {
+  if (!key || key.version !== version) throw encryptionError(400, `Expected key version ${version}`);
+  return {
+    version,
+    wrappedKey: checkSealed(key.wrappedKey, MAX_WRAPPED_KEY_LENGTH, 'wrappedKey'),
+    recoveryWrappedKey: checkSealed(key.recoveryWrappedKey, MAX_WRAPPED_KEY_LENGTH, 'recoveryWrappedKey'),
+    createdAt: new Date(),
+  };
+};
+
+// Entries or revisions still waiting to be (re-)encrypted under the current key
+const pendingFilter = (userId, currentVersion, includePlaintext) => ({
+  userId,
+  $or: [
+    { 'e2e.keyVersion': { $lt: currentVersion } },
+    ...(includePlaintext ? [{ 'e2e.ciphertext': null }] : []),
+  ],
+});
+
+class JournalEncryptionService {
+  /**
+   * Key changes need the account password, so a stolen session can't replace the
+   * wrapped keys and lock the student out of their entries
+   */
+  async verifyPassword(userId, password) {
+    if (typeof password !== 'string' || !password) throw encryptionError(400, 'Your account password is required');
+    const user = await User.findById(userId).select('+passwordHash');
+    if (!user) throw encryptionError(404, 'User not found');
+    // 403 rather than 401 so clients don't mistake it for an expired session
+    if (!(await bcrypt.compare(password, user.passwordHash))) throw encryptionError(403, 'Password is incorrect');
+  }
+
+  async getKeyring(userId) {
+    return JournalKeyring.findOne({ userId }).lean();
+  }
+
+  /**
+   * Everything the browser needs to unlock the journal, plus re-encryption progress
+   * @returns {Promise<object>} - { enabled: false } when the student never set it up
+   */
+  async getStatus(userId) {
+    const keyring = await this.getKeyring(userId);
+    if (!keyring) return { configured: false, enabled: false };
+
+    const [pendingEntries, pendingRevisions] = await Promise.all([
+      JournalEntry.countDocuments(pendingFilter(userId, keyring.currentVersion, false)),
+      JournalRevision.countDocuments(pendingFilter(userId, keyring.currentVersion, false)),
+    ]);
+
+    return {
+      configured: true,
+      enabled: keyring.enabled,
+      currentVersion: keyring.currentVersion,
+      passphraseKdf: keyring.passphraseKdf,
+      recoveryKdf: keyring.recoveryKdf,
+      keys: keyring.keys,
+      pendingReencryption: pendingEntries + pendingRevisions,
+      rotatedAt: keyring.rotatedAt,
+      rewrappedAt: keyring.rewrappedAt,
+      createdAt: keyring.createdAt,
+    };
+  }
+
+  /**
+   * Turn on end-to-end encryption with the first data key
+   * @param {object} setup - { password, passphraseKdf, recoveryKdf, key: { version: 1, wrappedKey, recoveryWrappedKey } }
+   */
+  async enable(userId, { password, passphraseKdf, recoveryKdf, key } = {}) {
+    await this.verifyPassword(userId, password);
+    if (await JournalKeyring.exists({ userId })) throw encryptionError(409, 'Journal encryption is already set up');
+
+    try {
+      await JournalKeyring.create({
+        userId,
+        enabled: true,
+        currentVersion: 1,
+        passphraseKdf: checkKdf(passphraseKdf, 'passphraseKdf'),
+        recoveryKdf: checkKdf(recoveryKdf, 'recoveryKdf'),
+        keys: [checkKeyVersion(key, 1)],
+      });
+    } catch (error) {
+      if (error.code === 11000) throw encryptionError(409, 'Journal encryption is already set up');
+      throw error;
+    }
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Encrypt new entries or not. Existing encrypted entries stay encrypted and readable.
+   */
+  async setEnabled(userId, enabled) {
+    const keyring = await JournalKeyring.findOneAndUpdate({ userId }, { $set: { enabled: Boolean(enabled) } }, { new: true });
+    if (!keyring) throw encryptionError(404, 'Journal encryption is not set up');
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Replace the wrapping of every key version: after a passphrase change, or after
+   * unlocking with the recovery code (which must then be replaced with a new one)
+   * @param {object} update - { password, passphraseKdf, recoveryKdf, keys: [{ version, wrappedKey, recoveryWrappedKey }] }
+   */
+  async rewrap(userId, { password, passphraseKdf, recoveryKdf, keys } = {}) {
+    await this.verifyPassword(userId, password);
+    const keyring = await this.getKeyring(userId);
+    if (!keyring) throw encryptionError(404, 'Journal encryption is not set up');
+
+    await this.replaceKeys(keyring, keyring.keys.map(k => k.version), { passphraseKdf, recoveryKdf, keys }, {
+      rewrappedAt: new Date(),
+    });
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Start using a new data key. All versions are wrapped again with it, under a new
+   * recovery code, so a leaked code stops working too. Entries under older versions
+   * are re-encrypted by the browser afterwards (see listPending / reencrypt).
+   * @param {object} rotation - { password, passphraseKdf, recoveryKdf, keys: every version plus current + 1 }
+   */
+  async rotate(userId, { password, passphraseKdf, recoveryKdf, keys } = {}) {
+    await this.verifyPassword(userId, password);
+    const keyring = await this.getKeyring(userId);
+    if (!keyring) throw encryptionError(404, 'Journal encryption is not set up');
+
+    const next = keyring.currentVersion + 1;
+    const now = new Date();
+    await this.replaceKeys(keyring, [...keyring.keys.map(k => k.version), next], { passphraseKdf, recoveryKdf, keys }, {
+      currentVersion: next,
+      rotatedAt: now,
+      rewrappedAt: now,
+    });
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Store a complete, freshly wrapped key set. Conditional on the key versions we
+   * checked against, in case another rotation raced this one.
+   */
+  async replaceKeys(keyring, versions, { passphraseKdf, recoveryKdf, keys }, $set) {
+    if (!Array.isArray(keys) || keys.length !== versions.length) {
+      throw encryptionError(400, `Send every key version (${versions.join(', ')})`);
+    }
+    const byVersion = new Map(keys.map(k => [k?.version, k]));
+    const createdAt = new Map(keyring.keys.map(k => [k.version, k.createdAt]));
+    const wrapped = versions.map(version => ({
+      ...checkKeyVersion(byVersion.get(version), version),
+      createdAt: createdAt.get(version) || new Date(),
+    }));
+
+    const updated = await JournalKeyring.findOneAndUpdate(
+      { userId: keyring.userId, currentVersion: keyring.currentVersion, keys: { $size: keyring.keys.length } },
+      {
+        $set: {
+          ...$set,
+          passphraseKdf: checkKdf(passphraseKdf, 'passphraseKdf'),
+          recoveryKdf: checkKdf(recoveryKdf, 'recoveryKdf'),
+          keys: wrapped,
+        },
+      }
+    );
+    if (!updated) throw encryptionError(409, 'Your keys changed in the meantime. Reload and try again.');
+  }
+
+  /**
+   * Check ciphertext for a new or edited entry: it has to use the current key
+   * @returns {Promise<object>} - { ciphertext, iv, keyVersion }
+   */
+  async checkEntryCiphertext(userId, e2e) {
+    const keyring = await this.getKeyring(userId);
+    if (!keyring) throw encryptionError(400, 'Set up journal encryption before saving encrypted entries');
+
+    const sealed = checkSealed(e2e, MAX_CIPHERTEXT_LENGTH, 'Encrypted content');
+    if (e2e.keyVersion !== keyring.currentVersion) {
+      throw encryptionError(409, `Entries must be encrypted with key version ${keyring.currentVersion}. Reload and try again.`);
+    }
+    return { ...sealed, keyVersion: keyring.currentVersion };
+  }
+
+  /**
+   * Entries and revisions the browser should (re-)encrypt under the current key
+   * @param {object} options - { includePlaintext: also existing plaintext entries, to encrypt them }
+   * @returns {Promise<{ currentVersion, entries, revisions, remaining }>}
+   */
+  async listPending(userId, { includePlaintext = false } = {}) {
+    const keyring = await this.getKeyring(userId);
+    if (!keyring) throw encryptionError(404, 'Journal encryption is not set up');
+
+    const filter = pendingFilter(userId, keyring.currentVersion, includePlaintext);
+    const [entries, revisions, entryCount, revisionCount] = await Promise.all([
+      JournalEntry.find(filter).select('content e2e').limit(PENDING_BATCH_SIZE).lean(),
+      JournalRevision.find(filter).select('journalId version content e2e').limit(PENDING_BATCH_SIZE).lean(),
+      JournalEntry.countDocuments(filter),
+      JournalRevision.countDocuments(filter),
+    ]);
+
+    return { currentVersion: keyring.currentVersion, entries, revisions, remaining: entryCount + revisionCount };
+  }
+
+  /**
+   * Store re-encrypted entries and revisions. Plaintext entries being encrypted lose
+   * their stored analysis and reflection chat, which the server could read, along with
+   * the other copies of their text (see scrubServerCopies).
+   * @param {object} batch - { entries: [{ id, e2e }], revisions: [{ id, e2e }] }
+   * @returns {Promise<{ updated: number, remaining: number }>}
+   */
+  async reencrypt(userId, { entries = [], revisions = [] } = {}) {
+    const keyring = await this.getKeyring(userId);
+    if (!keyring) throw encryptionError(404, 'Journal encryption is not set up');
+    if (!Array.isArray(entries) || !Array.isArray(revisions) || entries.length + revisions.length > PENDING_BATCH_SIZE * 2) {
+      throw encryptionError(400, `Send at most ${PENDING_BATCH_SIZE * 2} items at once`);
+    }
+
+    const sealedItem = (item) => {
+      if (!mongoose.isValidObjectId(item?.id)) throw encryptionError(400, 'Each item needs an id');
+      if (item.e2e?.keyVersion !== keyring.currentVersion) {
+        throw encryptionError(409, `Items must be encrypted with key version ${keyring.currentVersion}`);
+      }
+      return { id: item.id, e2e: { ...checkSealed(item.e2e, MAX_CIPHERTEXT_LENGTH, 'Encrypted content'), keyVersion: keyring.currentVersion } };
+    };
+    const entryUpdates = entries.map(sealedItem);
+    const revisionUpdates = revisions.map(sealedItem);
+
+    const [entryResults, revisionResults] = await Promise.all([
+      Promise.all(entryUpdates.map(({ id, e2e }) => JournalEntry.updateOne(
+        { _id: id, ...pendingFilter(userId, keyring.currentVersion, true) },
+        { $set: { e2e, status: 'draft' }, $unset: { content: 1, aiAnalysis: 1, reflectionMessages: 1 } }
+      ))),
+      Promise.all(revisionUpdates.map(({ id, e2e }) => JournalRevision.updateOne(
+        { _id: id, ...pendingFilter(userId, keyring.currentVersion, true) },
+        { $set: { e2e, diff: [] }, $unset: { content: 1, aiAnalysis: 1 } }
+      ))),
+    ]);
+
+    const converted = entryUpdates.filter((_, i) => entryResults[i].modifiedCount > 0).map(({ id }) => id);
+    await this.scrubServerCopies(userId, converted);
+
+    const remaining = await this.retireUnusedKeys(userId, keyring);
+    const results = [...entryResults, ...revisionResults];
+    return { updated: results.reduce((sum, r) => sum + r.modifiedCount, 0), remaining };
+  }
+
+  /**
+   * Remove what else the server kept of entries' text: the activity excerpt, crisis
+   * case previews and the alerts quoting them, and AI responses cached from it (the
+   * cache isn't keyed by entry, so the user's whole cache goes)
+   * @param {string[]} journalIds - Entries now end-to-end encrypted
+   */
+  async scrubServerCopies(userId, journalIds) {
+    if (journalIds.length === 0) return;
+    const ids = journalIds.map(id => new mongoose.Types.ObjectId(id));
+
+    const cases = await CrisisEvent.find({ userId, source: 'journal', sourceId: { $in: ids } }).select('_id').lean();
+    const caseIds = cases.map(crisisCase => crisisCase._id);
+
+    await Promise.all([
+      AnalyticsEvent.updateMany({ userId, 'meta.journalId': { $in: ids } }, { $unset: { 'meta.preview': 1 } }),
+      caseIds.length && CrisisEvent.updateMany({ _id: { $in: caseIds } }, { $unset: { messagePreview: 1 } }),
+      // Payload fields belong to the crisis discriminators, not the base schema
+      caseIds.length && Notification.updateMany(
+        { 'payload.crisisEventId': { $in: caseIds } },
+        { $unset: { 'payload.messagePreview': 1 } },
+        { strict: false }
+      ),
+      aiCache.invalidateUser(userId),
+    ]);
+  }
+
+  /**
+   * Drop key versions nothing is encrypted with any more
+   * @returns {Promise<number>} - Items still on an older version
+   */
+  async retireUnusedKeys(userId, keyring) {
+    const filter = pendingFilter(userId, keyring.currentVersion, false);
+    const [entryCount, revisionCount] = await Promise.all([
+      JournalEntry.countDocuments(filter),
+      JournalRevision.countDocuments(filter),
+    ]);
+    const remaining = entryCount + revisionCount;
+
+    if (remaining === 0 && keyring.keys.some(k => k.version < keyring.currentVersion)) {
+      await JournalKeyring.updateOne(
+        { userId, currentVersion: keyring.currentVersion },
+        { $pull: { keys: { version: { $lt: keyring.currentVersion } } } }
+      );
+    }
+    return remaining;
+  }
+
+  /**
+   * Analyze an encrypted entry once, with the student's consent. The plaintext comes
+   * from the browser for this request only; the result is returned, not stored.
+   * @returns {Promise<object>} - { summary, insights, sentiment, riskAssessment, themes, suggestedActions }
+   */
+  async analyzeTransient(journalId, userId, role, { content, consent } = {}) {
+    if (consent !== true) throw encryptionError(400, 'Analysis of an encrypted entry needs your consent');
+    if (typeof content !== 'string' || !content.trim()) throw encryptionError(400, 'Journal content is required');
+    if (content.length > MAX_CONTENT_LENGTH) throw encryptionError(400, 'Journal content too long (max 10,000 characters)');
+    if (!mongoose.isValidObjectId(journalId)) throw encryptionError(404, 'Journal not found');
+
+    const journal = await JournalEntry.findOne({ _id: journalId, userId, deletedAt: null }).select('e2e').lean();
+    if (!journal) throw encryptionError(404, 'Journal not found');
+    if (!journal.e2e?.ciphertext) throw encryptionError(400, 'Only end-to-end encrypted entries are analyzed this way');
+
+    const quota = await aiQuotaService.consume(userId, role, 'journal_analysis');
+    if (!quota.allowed) throw encryptionError(429, 'Daily AI limit reached');
+
+    const analysis = await aiOrchestratorService.analyzeContent(content.trim(), userId, journalId, { transient: true });
+    return {
+      summary: analysis.summary,
+      insights: analysis.insights,
+      sentiment: analysis.sentiment,
+      riskAssessment: analysis.risk,
+      themes: analysis.risk.factors || [],
+      suggestedActions: analysis.suggestedActions,
+      processedAt: new Date(),
+    };
+  }
+}
+
+export default new JournalEncryptionService();
@@ -0,0 +1,277 @@
+/**
+ * Journal Revision Service
+ * Edits to a journal entry keep the version they replace: its text, mood, tags and
+ * the analysis that applied to it, plus a word diff of what changed. When an edit
+ * changes what the entry says, the current analysis is marked stale (it stays
+ * visible) and a new one is queued; small touch-ups keep the analysis as it is.
+ * Restoring an earlier version is itself an edit, so it can be undone too.
+ *
+ * End-to-end encrypted entries are edited by replacing their ciphertext. The server
+ * can't diff or analyze those, so their revisions only keep the old ciphertext.
+ */
+
+import mongoose from 'mongoose';
+import JournalEntry from '../models/journalEntry.model.js';
+import JournalRevision from '../models/journalRevision.model.js';
+import journalAnalysisService from './journal-analysis.service.js';
+import journalEncryptionService from './journal-encryption.service.js';
+import { diffText, isMeaningfulChange } from './text-diff.js';
+
+const MAX_CONTENT_LENGTH = 10000;
+const MAX_REVISIONS_LISTED = 100;
+
+const revisionError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const normalizeTags = (tags) => (tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+
+const sameTags = (a, b) => a.length === b.length && a.every((tag, i) => tag === b[i]);
+
+// An analysis worth bringing back with its version: finished, and not already superseded
+const isCurrentAnalysis = (status, aiAnalysis) => status === 'analyzed' && Boolean(aiAnalysis?.summary) && !aiAnalysis.stale;
+
+class JournalRevisionService {
+  /**
+   * Find an entry the user owns
+   * @returns {Promise<object>} - The JournalEntry document
+   */
+  async getOwnedEntry(journalId, userId) {
+    if (!mongoose.isValidObjectId(journalId)) throw revisionError(404, 'Journal not found');
+    const journal = await JournalEntry.findOne({ _id: journalId, userId, deletedAt: null });
+    if (!journal) throw revisionError(404, 'Journal not found');
+    return journal;
+  }
+
+  /**
+   * Change an entry's content, mood or tags, saving the current version as a revision
+   * @param {object} journal - The JournalEntry document being edited
+   * @param {object} changes - { content, e2e, mood, tags }; missing fields are left as they are
+   * @param {object} options - { role, reason, restoredFrom, restoredAnalysis }
+   * @returns {Promise<{ journal: object, revision: object|null, reanalysis: boolean }>}
+   */
+  async edit(journal, { content, e2e, mood, tags } = {}, { role, reason = 'edit', restoredFrom, restoredAnalysis } = {}) {
+    const encrypted = Boolean(journal.e2e?.ciphertext);
+    if (encrypted && content !== undefined) {
+      throw revisionError(400, 'This entry is end-to-end encrypted. Send encrypted content instead.');
+    }
+    if (!encrypted && e2e !== undefined) {
+      throw revisionError(400, 'Encrypt existing entries from your journal encryption settings');
+    }
+    if (content !== undefined) {
+      if (typeof content !== 'string' || content.trim().length === 0) {
+        throw revisionError(400, 'Journal content is required');
+      }
+      if (content.length > MAX_CONTENT_LENGTH) {
+        throw revisionError(400, 'Journal content too long (max 10,000 characters)');
+      }
+    }
+    if (mood !== undefined && mood !== null && !(Number.isInteger(Number(mood)) && mood >= 1 && mood <= 10)) {
+      throw revisionError(400, 'Mood must be between 1 and 10');
+    }
+    if (tags !== undefined && !Array.isArray(tags)) {
+      throw revisionError(400, 'Tags must be a list');
+    }
+
+    const previousTags = normalizeTags(journal.tags);
+    if (encrypted) {
+      // Restored ciphertext may use an older key version; new ciphertext must use the current one
+      const nextE2e = e2e !== undefined && reason !== 'restore'
+        ? await journalEncryptionService.checkEntryCiphertext(journal.userId, e2e)
+        : e2e;
+      return this.editEncrypted(journal, { e2e: nextE2e, mood, tags, previousTags }, { reason, restoredFrom });
+    }
+
+    const next = {
+      content: content !== undefined ? content.trim() : journal.content,
+      mood: mood !== undefined ? (mood === null ? null : Number(mood)) : (journal.mood ?? null),
+      tags: tags !== undefined ? normalizeTags(tags) : previousTags,
+    };
+
+    const contentChanged = next.content !== journal.content;
+    const moodChanged = next.mood !== (journal.mood ?? null);
+    const tagsChanged = !sameTags(next.tags, previousTags);
+    if (!contentChanged && !moodChanged && !tagsChanged) {
+      return { journal, revision: null, reanalysis: false };
+    }
+
+    const version = journal.version || 1;
+    const diff = diffText(journal.content, next.content);
+    const aiAnalysis = journal.aiAnalysis?.toObject ? journal.aiAnalysis.toObject() : journal.aiAnalysis;
+
+    let revision;
+    try {
+      revision = await JournalRevision.create({
+        journalId: journal._id,
+        userId: journal.userId,
+        version,
+        content: journal.content,
+        mood: journal.mood,
+        tags: previousTags,
+        status: journal.status,
+        aiAnalysis,
+        diff: diff.ops,
+        wordsAdded: diff.added,
+        wordsRemoved: diff.removed,
+        reason,
+        restoredFrom,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw revisionError(409, 'This entry was changed somewhere else. Reload it and try again.');
+      }
+      throw error;
+    }
+
+    const $set = { content: next.content, mood: next.mood, tags: next.tags, version: version + 1 };
+    let reanalysis = false;
+
+    if (contentChanged && restoredAnalysis) {
+      // Back to a version whose analysis still applies
+      $set.status = 'analyzed';
+      $set.aiAnalysis = restoredAnalysis;
+    } else if (contentChanged && isMeaningfulChange(journal.content, next.content)) {
+      reanalysis = true;
+      $set.status = 'analyzing';
+      if (isCurrentAnalysis(journal.status, aiAnalysis)) {
+        $set['aiAnalysis.stale'] = true;
+        $set['aiAnalysis.staleSince'] = new Date();
+      }
+    }
+
+    let updated;
+    try {
+      updated = await JournalEntry.findOneAndUpdate(
+        { _id: journal._id, deletedAt: null },
+        { $set },
+        { new: true }
+      );
+    } catch (error) {
+      await JournalRevision.deleteOne({ _id: revision._id }).catch(() => {});
+      throw error;
+    }
+    if (!updated) {
+      await JournalRevision.deleteOne({ _id: revision._id });
+      throw revisionError(404, 'Journal not found');
+    }
+
+    if (reanalysis) {
+      // If queueing fails the entry is still "analyzing" and is picked up again on the next startup
+      journalAnalysisService.enqueue(journal._id, journal.userId, role).catch(e => {
+        console.error('[Journal Revisions] Failed to queue analysis: %s', journal._id, e);
+      });
+    }
+
+    return { journal: updated, revision, reanalysis };
+  }
+
+  /**
+   * Edit an end-to-end encrypted entry: the revision keeps the previous ciphertext,
+   * without a diff, and nothing is analyzed
+   * @returns {Promise<{ journal: object, revision: object|null, reanalysis: boolean }>}
+   */
+  async editEncrypted(journal, { e2e, mood, tags, previousTags }, { reason, restoredFrom }) {
+    const current = { ciphertext: journal.e2e.ciphertext, iv: journal.e2e.iv, keyVersion: journal.e2e.keyVersion };
+    const next = {
+      e2e: e2e ?? current,
+      mood: mood !== undefined ? (mood === null ? null : Number(mood)) : (journal.mood ?? null),
+      tags: tags !== undefined ? normalizeTags(tags) : previousTags,
+    };
+
+    const contentChanged = next.e2e.ciphertext !== current.ciphertext;
+    const moodChanged = next.mood !== (journal.mood ?? null);
+    const tagsChanged = !sameTags(next.tags, previousTags);
+    if (!contentChanged && !moodChanged && !tagsChanged) {
+      return { journal, revision: null, reanalysis: false };
+    }
+
+    const version = journal.version || 1;
+    let revision;
+    try {
+      revision = await JournalRevision.create({
+        journalId: journal._id,
+        userId: journal.userId,
+        version,
+        e2e: current,
+        mood: journal.mood,
+        tags: previousTags,
+        status: journal.status,
+        diff: [],
+        wordsAdded: 0,
+        wordsRemoved: 0,
+        reason,
+        restoredFrom,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw revisionError(409, 'This entry was changed somewhere else. Reload it and try again.');
+      }
+      throw error;
+    }
+
+    const updated = await JournalEntry.findOneAndUpdate(
+      { _id: journal._id, deletedAt: null, 'e2e.ciphertext': current.ciphertext },
+      { $set: { e2e: next.e2e, mood: next.mood, tags: next.tags, version: version + 1 } },
+      { new: true }
+    ).catch(async (error) => {
+      await JournalRevision.deleteOne({ _id: revision._id }).catch(() => {});
+      throw error;
+    });
+    if (!updated) {
+      await JournalRevision.deleteOne({ _id: revision._id });
+      throw revisionError(409, 'This entry was changed somewhere else. Reload it and try again.');
+    }
+
+    return { journal: updated, revision, reanalysis: false };
+  }
+
+  /**
+   * Earlier versions of an entry, newest first
+   * @returns {Promise<{ currentVersion: number, revisions: Array }>}
+   */
+  async list(journalId, userId) {
+    const journal = await this.getOwnedEntry(journalId, userId);
+
+    const revisions = await JournalRevision.find({ journalId: journal._id })
+      .sort({ version: -1 })
+      .limit(MAX_REVISIONS_LISTED)
+      .select('-__v -userId')
+      .lean();
+
+    return { currentVersion: journal.version || 1, revisions };
+  }
+
+  /**
+   * Bring back an earlier version. The current version is kept as a revision, and the
+   * restored version's analysis comes back with it when it still applied.
+   * @returns {Promise<{ journal: object, revision: object|null, reanalysis: boolean }>}
+   */
+  async restore(journalId, version, userId, role) {
+    const journal = await this.getOwnedEntry(journalId, userId);
+
+    const target = await JournalRevision.findOne({ journalId: journal._id, version: Number(version) }).lean();
+    if (!target) throw revisionError(404, 'Revision not found');
+
+    if (journal.e2e?.ciphertext) {
+      // Versions from before the entry was encrypted are encrypted along with it
+      if (!target.e2e?.ciphertext) throw revisionError(409, 'This version is still being encrypted. Try again shortly.');
+      return this.edit(
+        journal,
+        { e2e: target.e2e, mood: target.mood ?? null, tags: target.tags || [] },
+        { role, reason: 'restore', restoredFrom: target.version }
+      );
+    }
+    if (target.e2e?.ciphertext) throw revisionError(409, 'This version is end-to-end encrypted');
+
+    return this.edit(
+      journal,
+      { content: target.content, mood: target.mood ?? null, tags: target.tags || [] },
+      {
+        role,
+        reason: 'restore',
+        restoredFrom: target.version,
+        restoredAnalysis: isCurrentAnalysis(target.status, target.aiAnalysis) ? target.aiAnalysis : null,
+      }
+    );
+  }
+}
+
+export default new JournalRevisionService();
@@ -0,0 +1,349 @@
+/**
+ * Journal Sharing Service
+ * Students choose which journal entries a counselor may read (specific entries or a
+ * date range) and for how long. Counselors get read-only access to exactly those
+ * entries while the share is active, and every read is written to an access log the
+ * student can review. Entry `visibility` mirrors whether any active share covers it.
+ */
+
+import JournalEntry, { PLAINTEXT_ONLY } from '../models/journalEntry.model.js';
+import JournalShare from '../models/journalShare.model.js';
+import JournalAccessLog from '../models/journalAccessLog.model.js';
+import CounselorNote from '../models/counselorNote.model.js';
+import User from '../models/user.model.js';
+import notificationService from './notification.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SHARE_DAYS = 30;
+const MAX_SHARE_DAYS = 90;
+const MAX_SHARED_ENTRIES = 100; // Per "entries" share
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// What a counselor sees of an entry; reflection chats with the AI stay private
+const SHARED_ENTRY_FIELDS = 'userId content mood tags status aiAnalysis.summary aiAnalysis.insights aiAnalysis.sentiment ' +
+  'aiAnalysis.riskAssessment aiAnalysis.themes aiAnalysis.suggestedActions aiAnalysis.processedAt createdAt updatedAt';
+
+const sharingError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const activeShareFilter = () => ({ revokedAt: null, endedAt: null, expiresAt: { $gt: new Date() } });
+
+// Entries a share covers, as a JournalEntry query clause
+const coverageClause = (share) => (share.scope === 'entries'
+  ? { _id: { $in: share.journalIds } }
+  : { createdAt: { $gte: share.from, $lte: share.to } });
+
+const coversEntry = (share, entry) => (share.scope === 'entries'
+  ? share.journalIds.some(id => String(id) === String(entry._id))
+  : entry.createdAt >= share.from && entry.createdAt <= share.to);
+
+class JournalSharingService {
+  /**
+   * Share entries with a counselor
+   * @param {string} studentId
+   * @param {object} options - { counselorId, journalIds } or { counselorId, from, to }, plus expiresAt or expiresInDays and message
+   * @returns {Promise<object>} - The new JournalShare
+   */
+  async createShare(studentId, { counselorId, journalIds, from, to, expiresAt, expiresInDays, message }) {
+    if (String(studentId) === String(counselorId)) {
+      throw sharingError(400, "You can't share entries with yourself");
+    }
+
+    const counselor = await User.exists({ _id: counselorId, role: 'counselor' });
+    if (!counselor) throw sharingError(404, 'Counselor not found');
+
+    const now = Date.now();
+    const expiry = expiresAt
+      ? new Date(expiresAt)
+      : new Date(now + (Number(expiresInDays) || DEFAULT_SHARE_DAYS) * DAY_MS);
+    if (Number.isNaN(expiry.getTime()) || expiry.getTime() <= now) {
+      throw sharingError(400, 'Expiry must be in the future');
+    }
+    if (expiry.getTime() > now + MAX_SHARE_DAYS * DAY_MS) {
+      throw sharingError(400, `Entries can be shared for at most ${MAX_SHARE_DAYS} days`);
+    }
+
+    const share = { studentId, counselorId, expiresAt: expiry, message };
+
+    if (Array.isArray(journalIds) && journalIds.length) {
+      if (from || to) throw sharingError(400, 'Share either specific entries or a date range, not both');
+      const uniqueIds = [...new Set(journalIds.map(String))];
+      if (uniqueIds.length > MAX_SHARED_ENTRIES) {
+        throw sharingError(400, `At most ${MAX_SHARED_ENTRIES} entries can be shared at once`);
+      }
+
+      // End-to-end encrypted entries can't be read by a counselor, so they can't be shared
+      const owned = await JournalEntry.countDocuments({ _id: { $in: uniqueIds }, userId: studentId, deletedAt: null, ...PLAINTEXT_ONLY });
+      if (owned !== uniqueIds.length) throw sharingError(404, 'One or more journal entries were not found or are end-to-end encrypted');
+
+      Object.assign(share, { scope: 'entries', journalIds: uniqueIds });
+    } else if (from && to) {
+      const rangeFrom = new Date(from);
+      const rangeTo = new Date(to);
+      if (Number.isNaN(rangeFrom.getTime()) || Number.isNaN(rangeTo.getTime()) || rangeFrom > rangeTo) {
+        throw sharingError(400, 'Invalid date range');
+      }
+
+      Object.assign(share, { scope: 'range', from: rangeFrom, to: rangeTo });
+    } else {
+      throw sharingError(400, 'Choose journal entries or a date range to share');
+    }
+
+    const created = await JournalShare.create(share);
+    await this.refreshVisibility(studentId);
+
+    const student = await User.findById(studentId).select('firstName lastName name');
+    const studentName = [student?.firstName, student?.lastName].filter(Boolean).join(' ') || student?.name || 'A student';
+    await notificationService.notifyUser(counselorId, {
+      type: 'journal_shared',
+      title: 'Journal entries shared with you',
+      body: `${studentName} shared journal entries with you until ${expiry.toDateString()}.`,
+      link: `/counselor/journals?studentId=${studentId}`,
+      payload: { shareId: created._id, studentId, expiresAt: expiry },
+    });
+
+    return created;
+  }
+
+  /**
+   * A student's shares, newest first, with whether each is still active
+   */
+  async listShares(studentId) {
+    const shares = await JournalShare.find({ studentId })
+      .populate('counselorId', 'firstName lastName name counselorDetails.title')
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    const now = new Date();
+    return shares.map(share => ({
+      ...share,
+      active: !share.revokedAt && !share.endedAt && share.expiresAt > now,
+    }));
+  }
+
+  /**
+   * Withdraw consent immediately
+   * @returns {Promise<object|null>} - The revoked share, or null if not found
+   */
+  async revokeShare(studentId, shareId) {
+    const share = await JournalShare.findOne({ _id: shareId, studentId });
+    if (!share) return null;
+    if (share.revokedAt || share.endedAt) return share;
+
+    share.revokedAt = new Date();
+    share.endedAt = share.revokedAt;
+    await share.save();
+
+    await this.refreshVisibility(studentId);
+    return share;
+  }
+
+  /**
+   * Set `visibility` on a student's entries to match their active shares
+   */
+  async refreshVisibility(studentId) {
+    const shares = await JournalShare.find({ studentId, ...activeShareFilter() }).lean();
+
+    if (!shares.length) {
+      await JournalEntry.updateMany({ userId: studentId, visibility: 'shared' }, { visibility: 'private' });
+      return;
+    }
+
+    const covered = { $or: shares.map(coverageClause) };
+    await Promise.all([
+      JournalEntry.updateMany({ userId: studentId, ...covered, ...PLAINTEXT_ONLY, visibility: { $ne: 'shared' } }, { visibility: 'shared' }),
+      JournalEntry.updateMany(
+        { userId: studentId, $or: [{ $nor: [covered] }, { 'e2e.ciphertext': { $ne: null } }], visibility: 'shared' },
+        { visibility: 'private' }
+      ),
+    ]);
+  }
+
+  /**
+   * Students currently sharing with a counselor
+   * @returns {Promise<Array<{ student, shares }>>}
+   */
+  async listSharingStudents(counselorId) {
+    const shares = await JournalShare.find({ counselorId, ...activeShareFilter() })
+      .populate('studentId', 'firstName lastName name avatarUrl university')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const byStudent = new Map();
+    for (const share of shares) {
+      if (!share.studentId) continue;
+      const key = String(share.studentId._id);
+      if (!byStudent.has(key)) byStudent.set(key, { student: share.studentId, shares: [] });
+      byStudent.get(key).shares.push({
+        _id: share._id,
+        scope: share.scope,
+        entryCount: share.journalIds?.length,
+        from: share.from,
+        to: share.to,
+        message: share.message,
+        expiresAt: share.expiresAt,
+        createdAt: share.createdAt,
+      });
+    }
+
+    return [...byStudent.values()];
+  }
+
+  /**
+   * Entries a student has shared with a counselor, newest first. Each returned entry is logged.
+   * @param {object} options - { limit, before, meta: { ipAddress, userAgent } }
+   */
+  async getSharedEntries(counselorId, studentId, { limit = 20, before, meta } = {}) {
+    const shares = await JournalShare.find({ counselorId, studentId, ...activeShareFilter() }).lean();
+    if (!shares.length) return [];
+
+    const query = { userId: studentId, deletedAt: null, ...PLAINTEXT_ONLY, $or: shares.map(coverageClause) };
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    const entries = await JournalEntry.find(query)
+      .select(SHARED_ENTRY_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 20, 50))
+      .lean();
+
+    await this.recordAccess(counselorId, entries, shares, 'list', meta);
+    return entries;
+  }
+
+  /**
+   * One shared entry, if an active share covers it. The read is logged.
+   * @returns {Promise<object|null>}
+   */
+  async getSharedEntry(counselorId, journalId, { meta } = {}) {
+    const entry = await this.findAccessibleEntry(counselorId, journalId);
+    if (!entry) return null;
+
+    await this.recordAccess(counselorId, [entry], entry.shares, 'view', meta);
+    delete entry.shares;
+    return entry;
+  }
+
+  /**
+   * Look up an entry the counselor may currently read, without logging
+   * @returns {Promise<object|null>} - The entry with the `shares` that cover it
+   */
+  async findAccessibleEntry(counselorId, journalId) {
+    const entry = await JournalEntry.findOne({ _id: journalId, deletedAt: null, ...PLAINTEXT_ONLY }).select(SHARED_ENTRY_FIELDS).lean();
+    if (!entry) return null;
+
+    const shares = await JournalShare.find({ counselorId, studentId: entry.userId, ...activeShareFilter() }).lean();
+    const covering = shares.filter(share => coversEntry(share, entry));
+    if (!covering.length) return null;
+
+    return { ...entry, shares: covering };
+  }
+
+  /**
+   * Write one access log row per entry read
+   */
+  async recordAccess(counselorId, entries, shares, action, { ipAddress, userAgent } = {}) {
+    if (!entries.length) return;
+
+    await JournalAccessLog.insertMany(entries.map(entry => ({
+      studentId: entry.userId,
+      counselorId,
+      journalId: entry._id,
+      shareId: shares.find(share => coversEntry(share, entry))?._id,
+      action,
+      ipAddress,
+      userAgent,
+    })));
+  }
+
+  /**
+   * A student's access log, newest first
+   * @param {object} options - { counselorId, limit, before }
+   */
+  async getAccessLog(studentId, { counselorId, limit = 50, before } = {}) {
+    const query = { studentId };
+    if (counselorId) query.counselorId = counselorId;
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    return JournalAccessLog.find(query)
+      .populate('counselorId', 'firstName lastName name')
+      .populate('journalId', 'createdAt mood')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Number(limit) || 50, 200))
+      .lean();
+  }
+
+  /**
+   * A counselor's private notes on an entry they can read
+   * @returns {Promise<Array|null>} - null when the entry isn't shared with them
+   */
+  async listNotes(counselorId, journalId) {
+    const entry = await this.findAccessibleEntry(counselorId, journalId);
+    if (!entry) return null;
+
+    return CounselorNote.find({ counselorId, journalId }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * @returns {Promise<object|null>} - The note, or null when the entry isn't shared with them
+   */
+  async addNote(counselorId, journalId, content) {
+    const entry = await this.findAccessibleEntry(counselorId, journalId);
+    if (!entry) return null;
+
+    return CounselorNote.create({ counselorId, studentId: entry.userId, journalId, content });
+  }
+
+  async updateNote(counselorId, noteId, content) {
+    return CounselorNote.findOneAndUpdate(
+      { _id: noteId, counselorId },
+      { content },
+      { new: true, runValidators: true }
+    );
+  }
+
+  async deleteNote(counselorId, noteId) {
+    const result = await CounselorNote.deleteOne({ _id: noteId, counselorId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Close shares whose expiry has passed and hide their entries again
+   * @returns {Promise<number>} - Shares expired
+   */
+  async expireShares() {
+    const expired = await JournalShare.find({ endedAt: null, expiresAt: { $lte: new Date() } }).select('studentId expiresAt');
+    if (!expired.length) return 0;
+
+    await Promise.all(expired.map(share => JournalShare.updateOne({ _id: share._id }, { endedAt: share.expiresAt })));
+
+    const studentIds = [...new Set(expired.map(share => String(share.studentId)))];
+    for (const studentId of studentIds) {
+      await this.refreshVisibility(studentId);
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Check for expired shares shortly after startup and then every hour
+   * @returns {object} - { stop() }
+   */
+  startExpiryJob() {
+    const run = async () => {
+      try {
+        const expired = await this.expireShares();
+        if (expired) console.log(`🔒 Expired ${expired} journal share(s)`);
+      } catch (error) {
+        console.error('Journal share expiry job failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, EXPIRY_CHECK_INTERVAL_MS);
+    timer.unref();
+
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new JournalSharingService();
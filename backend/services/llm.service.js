@@ -0,0 +1,229 @@
+/**
+ * LLM Service
+ * Single entry point for text generation. Delegates to the provider selected by
+ * LLM_PROVIDER (huggingface | openai | stub; default huggingface) and adds prompt
+ * normalization, retries, response caching and token helpers on top.
+ */
+
+import { HuggingFaceProvider } from './llm/huggingface.provider.js';
+import { OpenAICompatibleProvider } from './llm/openai-compatible.provider.js';
+import { StubProvider } from './llm/stub.provider.js';
+import aiCache from './cache/ai-cache.service.js';
+import aiQuotaService from './ai-quota.service.js';
+
+const PROVIDERS = {
+  huggingface: HuggingFaceProvider,
+  openai: OpenAICompatibleProvider,
+  stub: StubProvider,
+};
+
+class LLMService {
+  constructor() {
+    // Resolved on first use so env vars loaded by dotenv are honoured
+    this.provider = null;
+    this.maxRetries = 3;
+    this.retryDelay = 1000; // 1 second
+  }
+
+  /**
+   * Active provider instance
+   * @returns {LLMProvider}
+   */
+  getProvider() {
+    if (!this.provider) {
+      const name = (process.env.LLM_PROVIDER || 'huggingface').toLowerCase();
+      const Provider = PROVIDERS[name];
+      if (!Provider) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+      }
+      this.provider = new Provider();
+      console.log(`[LLM] Using ${this.provider.name} provider (model: ${this.provider.model})`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Model identifier for AI metadata
+   * @returns {string}
+   */
+  getModelName() {
+    return this.getProvider().model;
+  }
+
+  /**
+   * Generate text completion with retry logic
+   * @param {string|Array<object>} prompt - Plain prompt string or chat message array
+   * @param {object} options - { temperature, maxTokens, systemRole, cache, userId }
+   *   userId: charge the call's estimated tokens to this user's daily AI quota
+   *   cache: { userId } caches per user (prompt contains that user's content),
+   *          { shared: true } caches across users (prompt contains no user content),
+   *          omitted = not cached
+   * @returns {Promise<string>} - The generated text
+   */
+  async generateText(prompt, options = {}) {
+    const provider = this.getProvider();
+    const messages = this.buildMessages(prompt, options);
+    const normalized = this.normalizeOptions(options);
+
+    const cacheScope = aiCache.isEnabled() ? aiCache.resolveScope(options.cache) : null;
+    const cacheKey = cacheScope && aiCache.buildKey({
+      scope: cacheScope.scope,
+      provider: provider.name,
+      model: provider.model,
+      temperature: normalized.temperature,
+      maxTokens: normalized.maxTokens,
+      messages,
+    });
+
+    if (cacheKey) {
+      const cached = await aiCache.get(cacheKey);
+      if (cached !== null) {
+        console.log(`[LLM:${provider.name}] Cache hit`);
+        return cached;
+      }
+    }
+
+    let lastError;
+
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      try {
+        console.log(`[LLM:${provider.name}] Generating text (attempt ${attempt}/${this.maxRetries})...`);
+        const responseText = (await provider.complete(messages, normalized)).trim();
+        if (cacheKey && responseText) {
+          await aiCache.set(cacheKey, responseText, { userId: cacheScope.userId });
+        }
+        this.recordUsage(options.userId, messages, responseText);
+        return responseText;
+      } catch (error) {
+        lastError = error;
+        console.error(`[LLM:${provider.name}] Attempt ${attempt} failed:`, error.message);
+
+        // Don't retry errors a retry can't fix
+        if (provider.isFatalError(error)) {
+          throw error;
+        }
+
+        // Wait before retry (exponential backoff)
+        if (attempt < this.maxRetries) {
+          const delay = this.retryDelay * Math.pow(2, attempt - 1);
+          console.log(`[LLM:${provider.name}] Retrying in ${delay}ms...`);
+          await this.sleep(delay);
+        }
+      }
+    }
+
+    console.error(`[LLM:${provider.name}] All ${this.maxRetries} attempts failed`);
+    throw new Error(`${provider.name} provider failed after ${this.maxRetries} attempts: ${lastError.message}`);
+  }
+
+  /**
+   * Generate streaming text completion
+   * @param {string|Array<object>} prompt
+   * @param {object} options
+   * @returns {AsyncGenerator<string>} - Stream of generated text chunks
+   */
+  async* generateTextStream(prompt, options = {}) {
+    const provider = this.getProvider();
+
+    try {
+      console.log(`[LLM:${provider.name}] Starting streaming generation...`);
+      const messages = this.buildMessages(prompt, options);
+      let fullText = '';
+      for await (const chunk of provider.stream(messages, this.normalizeOptions(options))) {
+        fullText += chunk;
+        yield chunk;
+      }
+      this.recordUsage(options.userId, messages, fullText);
+    } catch (error) {
+      console.error(`[LLM:${provider.name}] Streaming error:`, error);
+      throw new Error(`Streaming failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if the active provider is healthy
+   * @returns {Promise<boolean>}
+   */
+  async healthCheck() {
+    try {
+      const response = await this.generateText('Hello', { maxTokens: 10, temperature: 0.5 });
+      return !!response;
+    } catch (error) {
+      console.error('[LLM] Health check failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Accept either a plain prompt (with optional system prompt) or a message array
+   */
+  buildMessages(prompt, options = {}) {
+    if (Array.isArray(prompt)) {
+      return prompt.map((m) => ({ role: m.role || 'user', content: m.content }));
+    }
+
+    return [
+      { role: 'system', content: options.systemRole || '' },
+      { role: 'user', content: prompt }
+    ].filter(m => m.content);
+  }
+
+  /**
+   * Callers use a mix of option names; providers only see { temperature, maxTokens, timeout }
+   */
+  normalizeOptions(options = {}) {
+    return {
+      temperature: options.temperature ?? (parseFloat(process.env.AI_TEMPERATURE) || 0.7),
+      maxTokens: options.maxTokens ?? options.max_tokens ?? options.max_new_tokens ??
+        (parseInt(process.env.AI_MAX_TOKENS) || 500),
+      timeout: parseInt(process.env.AI_TIMEOUT_MS) || 30000,
+    };
+  }
+
+  /**
+   * Charge estimated prompt + completion tokens to a user's daily quota (fire-and-forget)
+   */
+  recordUsage(userId, messages, responseText) {
+    if (!userId) return;
+    const tokens = this.estimateTokens(messages.map(m => m.content).join('\n')) + this.estimateTokens(responseText);
+    aiQuotaService.recordTokens(userId, tokens)
+      .catch(error => console.error('[LLM] Failed to record token usage:', error.message));
+  }
+
+  /**
+   * Sleep utility for retry delays
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Estimate token count (rough approximation)
+   * @param {string} text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    // Rough estimate: 1 token ≈ 4 characters
+    return Math.ceil(text.length / 4);
+  }
+
+  /**
+   * Truncate text to fit within token limit
+   * @param {string} text
+   * @param {number} maxTokens
+   * @returns {string}
+   */
+  truncateToTokenLimit(text, maxTokens) {
+    const estimatedTokens = this.estimateTokens(text);
+    if (estimatedTokens <= maxTokens) {
+      return text;
+    }
+
+    const maxChars = maxTokens * 4;
+    return text.substring(0, maxChars) + '...';
+  }
+}
+
+export default new LLMService();
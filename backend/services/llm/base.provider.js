@@ -0,0 +1,54 @@
+/**
+ * LLM Provider interface
+ * Every provider receives normalized chat messages and options from llm.service.js:
+ *   messages: [{ role: 'system'|'user'|'assistant', content }]
+ *   options:  { temperature, maxTokens }
+ */
+
+export class LLMProvider {
+  /**
+   * @param {string} name - Identifier shown in logs and AI metadata
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Model identifier recorded in AI metadata
+   * @returns {string}
+   */
+  get model() {
+    throw new Error(`${this.name} provider does not implement model`);
+  }
+
+  /**
+   * Generate a complete reply
+   * @param {Array<object>} _messages
+   * @param {object} _options
+   * @returns {Promise<string>}
+   */
+  async complete(_messages, _options) {
+    throw new Error(`${this.name} provider does not implement complete()`);
+  }
+
+  /**
+   * Generate a reply as a stream of text chunks
+   * @param {Array<object>} _messages
+   * @param {object} _options
+   * @returns {AsyncGenerator<string>}
+   */
+  async* stream(_messages, _options) {
+    throw new Error(`${this.name} provider does not implement stream()`);
+  }
+
+  /**
+   * Errors that retrying won't fix (bad credentials, bad request, quota)
+   * @param {Error} _error
+   * @returns {boolean}
+   */
+  isFatalError(_error) {
+    return false;
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,68 @@
+/**
+ * Hugging Face Inference provider
+ * Env: HF_TOKEN (or HUGGINGFACE_API_KEY), HUGGINGFACE_MODEL, HUGGINGFACE_PROVIDER
+ */
+
+import { InferenceClient } from '@huggingface/inference';
+import { LLMProvider } from './base.provider.js';
+
+export class HuggingFaceProvider extends LLMProvider {
+  constructor() {
+    super('huggingface');
+    // Don't initialize client yet - wait for first use to ensure env vars are loaded
+    this.client = null;
+  }
+
+  get model() {
+    return process.env.HUGGINGFACE_MODEL || 'zai-org/GLM-4.6';
+  }
+
+  get inferenceProvider() {
+    return process.env.HUGGINGFACE_PROVIDER || 'novita';
+  }
+
+  _ensureInitialized() {
+    if (!this.client) {
+      const token = process.env.HF_TOKEN || process.env.HUGGINGFACE_API_KEY;
+      this.client = new InferenceClient(token);
+
+      console.log('[LLM:huggingface] Initialized with:', {
+        model: this.model,
+        provider: this.inferenceProvider,
+        hasToken: !!token
+      });
+    }
+  }
+
+  async complete(messages, options) {
+    this._ensureInitialized();
+
+    const chatCompletion = await this.client.chatCompletion({
+      provider: this.inferenceProvider,
+      model: this.model,
+      messages,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens
+    });
+
+    const responseText = chatCompletion?.choices?.[0]?.message?.content;
+    if (!responseText) {
+      throw new Error('No content in response from model');
+    }
+    return responseText;
+  }
+
+  async* stream(messages, options) {
+    // chatCompletionStream isn't available on every inference provider,
+    // so we generate the full reply and yield it as a single chunk
+    yield await this.complete(messages, options);
+  }
+
+  isFatalError(error) {
+    return !!(error.message?.includes('unauthorized') ||
+      error.message?.includes('invalid') ||
+      error.message?.includes('rate limit exceeded'));
+  }
+}
+
+export default HuggingFaceProvider;
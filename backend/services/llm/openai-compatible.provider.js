@@ -0,0 +1,142 @@
+/**
+ * OpenAI-compatible provider
+ * Works with OpenAI and any server exposing /v1/chat/completions
+ * (Ollama, llama.cpp server, vLLM, LM Studio, ...).
+ * Env: OPENAI_BASE_URL (default http://localhost:11434/v1 - Ollama), OPENAI_API_KEY (optional), OPENAI_MODEL
+ */
+
+import { LLMProvider } from './base.provider.js';
+
+const timeoutError = (message) => Object.assign(new Error(message), { name: 'TimeoutError' });
+
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor() {
+    super('openai');
+  }
+
+  get model() {
+    return process.env.OPENAI_MODEL || 'llama3.1';
+  }
+
+  get baseUrl() {
+    return (process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+  }
+
+  /**
+   * The timeout covers waiting for the response headers only; complete() and stream()
+   * time reading the body themselves, through the same controller
+   */
+  async _request(messages, options, stream, controller = new AbortController()) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.OPENAI_API_KEY) {
+      headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+    }
+
+    const timer = setTimeout(
+      () => controller.abort(timeoutError(`No response from model within ${options.timeout}ms`)),
+      options.timeout
+    );
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages,
+          temperature: options.temperature,
+          max_tokens: options.maxTokens,
+          stream
+        }),
+        signal: controller.signal
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      const error = new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.substring(0, 200)}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async complete(messages, options) {
+    const controller = new AbortController();
+    const response = await this._request(messages, options, false, controller);
+    // The whole body is one JSON document, so reading it gets its own timeout
+    const timer = setTimeout(
+      () => controller.abort(timeoutError(`Model response not received within ${options.timeout}ms`)),
+      options.timeout
+    );
+    let data;
+    try {
+      data = await response.json();
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const responseText = data?.choices?.[0]?.message?.content;
+    if (!responseText) {
+      throw new Error('No content in response from model');
+    }
+    return responseText;
+  }
+
+  async* stream(messages, options) {
+    const controller = new AbortController();
+    const response = await this._request(messages, options, true, controller);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    // A long reply is fine as long as it keeps coming; give up when the model goes quiet.
+    // Only time spent waiting on the model counts, not the caller handling a delta.
+    let idleTimer;
+    const waitForModel = () => {
+      idleTimer = setTimeout(
+        () => controller.abort(timeoutError(`Model stream stalled for ${options.timeout}ms`)),
+        options.timeout
+      );
+    };
+
+    try {
+      waitForModel();
+      // Server-sent events: one "data: {json}" line per delta, terminated by "data: [DONE]"
+      for await (const bytes of response.body) {
+        clearTimeout(idleTimer);
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue;
+
+          const data = trimmed.slice(5).trim();
+          if (data === '[DONE]') return;
+
+          let content;
+          try {
+            content = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          } catch {
+            // Ignore keep-alive comments and partial frames
+          }
+          if (content) yield content;
+        }
+        waitForModel();
+      }
+    } finally {
+      clearTimeout(idleTimer);
+    }
+  }
+
+  isFatalError(error) {
+    // Client errors (bad key, unknown model, malformed request) won't succeed on retry; 429 might
+    return error.status >= 400 && error.status < 500 && error.status !== 429;
+  }
+}
+
+export default OpenAICompatibleProvider;
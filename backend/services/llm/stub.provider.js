@@ -0,0 +1,138 @@
+/**
+ * Scripted stub provider - deterministic, offline replies for development and tests
+ *
+ * Replies are chosen by matching the prompt against an ordered list of rules.
+ * The built-in rules recognise the prompts in prompts.service.js / ai-orchestrator.service.js
+ * and answer in the format each caller parses (one-word risk level, JSON, plain text).
+ *
+ * Env:
+ *   LLM_STUB_SCRIPT   - Optional path to a JSON file of extra rules, checked first:
+ *                       [{ "match": "<regex>", "reply": "<text>" }]
+ *   LLM_STUB_DELAY_MS - Optional delay between streamed chunks (default 0)
+ */
+
+import fs from 'fs';
+import AI_CONFIG from '../../config/ai.config.js';
+import { LLMProvider } from './base.provider.js';
+
+const countMatches = (text, words) => words.filter(word => text.includes(word.toLowerCase())).length;
+
+// Pull the quoted user text out of a templated prompt, falling back to the whole prompt
+const extractQuoted = (prompt) => {
+  const match = prompt.match(/"([\s\S]+?)"/);
+  return (match ? match[1] : prompt).trim();
+};
+
+const classifyRisk = (text) => {
+  const lower = text.toLowerCase();
+  if (countMatches(lower, AI_CONFIG.CRISIS.RISK_LEVELS.HIGH) > 0) return 'high';
+  if (countMatches(lower, AI_CONFIG.CRISIS.RISK_LEVELS.MEDIUM) > 0) return 'medium';
+  return 'low';
+};
+
+const classifySentiment = (text) => {
+  const lower = text.toLowerCase();
+  const positive = countMatches(lower, AI_CONFIG.SENTIMENT.POSITIVE_INDICATORS);
+  const negative = countMatches(lower, AI_CONFIG.SENTIMENT.NEGATIVE_INDICATORS);
+  if (positive > negative) return { label: 'positive', score: 0.6 };
+  if (negative > positive) return { label: 'negative', score: -0.6 };
+  return { label: 'neutral', score: 0 };
+};
+
+const BUILT_IN_RULES = [
+  {
+    match: /Respond with ONLY ONE WORD: high, medium, or low/i,
+    reply: (prompt) => classifyRisk(prompt.match(/TEXT: "([\s\S]*?)"\n/)?.[1] || extractQuoted(prompt)),
+  },
+  {
+    match: /sentiment analysis in JSON format/i,
+    reply: (prompt) => {
+      const { label, score } = classifySentiment(prompt.match(/Journal Entry:\s*"([\s\S]*?)"\n/)?.[1] || extractQuoted(prompt));
+      return JSON.stringify({
+        score,
+        label,
+        confidence: 0.5,
+        primaryEmotions: label === 'positive' ? ['content'] : label === 'negative' ? ['stressed'] : ['calm'],
+        reasoning: `Stub classification based on ${label} keywords`,
+      });
+    },
+  },
+  {
+    match: /Format your response as JSON:[\s\S]*"insights"/i,
+    reply: () => JSON.stringify({
+      summary: 'You reflected on how your day went and how it made you feel.',
+      insights: [
+        'Writing about your feelings helps you notice patterns over time',
+        'You are paying attention to what affects your mood',
+      ],
+      copingStrategies: [
+        'Take a short walk or stretch break',
+        'Reach out to a friend you trust',
+        'Try a 5-minute breathing exercise',
+      ],
+    }),
+  },
+  {
+    match: /CRISIS SITUATION DETECTED/,
+    reply: () => 'I hear how much pain you\'re in right now, and I\'m really concerned about you. ' +
+      `Please reach out to the National Crisis Hotline at ${AI_CONFIG.CRISIS.HOTLINES.NATIONAL} - ` +
+      'they have trained counselors available 24/7. Your life has value, and you deserve support.',
+  },
+  {
+    match: /Summarize this journal entry/i,
+    reply: (prompt) => {
+      const entry = extractQuoted(prompt);
+      const firstSentence = entry.split(/(?<=[.!?])\s/)[0];
+      return `The writer reflects on: ${firstSentence.substring(0, 120)}`;
+    },
+  },
+  {
+    match: /[\s\S]*/,
+    reply: () => 'Thank you for sharing that with me. It sounds like there is a lot on your mind, ' +
+      'and I\'m here to support you. Would you like to talk a little more about how you feel?',
+  },
+];
+
+export class StubProvider extends LLMProvider {
+  constructor() {
+    super('stub');
+    this.rules = null;
+  }
+
+  get model() {
+    return 'stub';
+  }
+
+  _loadRules() {
+    if (this.rules) return this.rules;
+
+    let scripted = [];
+    if (process.env.LLM_STUB_SCRIPT) {
+      const raw = JSON.parse(fs.readFileSync(process.env.LLM_STUB_SCRIPT, 'utf8'));
+      scripted = raw.map(rule => ({ match: new RegExp(rule.match, 'i'), reply: () => rule.reply }));
+      console.log(`[LLM:stub] Loaded ${scripted.length} scripted rule(s) from ${process.env.LLM_STUB_SCRIPT}`);
+    }
+
+    this.rules = [...scripted, ...BUILT_IN_RULES];
+    return this.rules;
+  }
+
+  async complete(messages) {
+    const prompt = messages.map(m => m.content).join('\n\n');
+    const rule = this._loadRules().find(r => r.match.test(prompt));
+    return rule.reply(prompt);
+  }
+
+  async* stream(messages, options) {
+    const reply = await this.complete(messages, options);
+    const delay = parseInt(process.env.LLM_STUB_DELAY_MS) || 0;
+
+    // Word-sized chunks (keeping their trailing whitespace) so clients see real incremental output
+    for (const chunk of reply.match(/\S+\s*/g) || []) {
+      if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+      yield chunk;
+    }
+  }
+}
+
+export default StubProvider;
@@ -5,9 +5,9 @@
 
 import AIMessage from '../models/aiMessage.model.js';
 import AIConversation from '../models/aiConversation.model.js';
-import JournalEntry from '../models/journalEntry.model.js';
+import JournalEntry, { PLAINTEXT_ONLY } from '../models/journalEntry.model.js';
 import AI_CONFIG from '../config/ai.config.js';
-import huggingFaceService from './huggingface.service.js';
+import llmService from './llm.service.js';
 
 class MemoryService {
   /**
@@ -27,7 +27,8 @@ class MemoryService {
       // Get recent journal entries for context
       const journalEntries = await JournalEntry.find({ 
         userId,
-        deletedAt: null 
+        deletedAt: null,
+        ...PLAINTEXT_ONLY
       })
         .sort({ createdAt: -1 })
         .limit(AI_CONFIG.CONTEXT.MAX_JOURNAL_ENTRIES)
@@ -92,6 +93,7 @@ class MemoryService {
       let conversation = await AIConversation.findOne({
         userId,
         journalEntryId: journalEntryId || null,
+        deletedAt: null,
         // Get most recent conversation
       }).sort({ createdAt: -1 });
 
@@ -129,7 +131,7 @@ class MemoryService {
       totalText += (entry.aiSummary || '') + ' ';
     });
 
-    return huggingFaceService.estimateTokens(totalText);
+    return llmService.estimateTokens(totalText);
   }
 
   /**
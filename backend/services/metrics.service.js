@@ -0,0 +1,195 @@
+/**
+ * Metrics Service
+ * Aggregates platform activity into one MetricsDaily document per UTC day
+ */
+
+import MetricsDaily from '../models/metricsDaily.model.js';
+import User from '../models/user.model.js';
+import AnalyticsEvent from '../models/analysticsEvent.model.js';
+import Session from '../models/session.model.js';
+import JournalEntry from '../models/journalEntry.model.js';
+import MoodLog from '../models/moodlog.model.js';
+import AIMessage from '../models/aiMessage.model.js';
+import ForumPost from '../models/forumPost.model.js';
+import ForumComment from '../models/forumComment.model.js';
+import CrisisEvent from '../models/crisisEvent.model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NIGHTLY_RUN_MINUTES_AFTER_MIDNIGHT = 15; // Give late writes for the previous day time to land
+
+class MetricsService {
+  /**
+   * Truncate a date to UTC midnight
+   * @param {Date|string} date
+   * @returns {Date}
+   */
+  startOfUTCDay(date) {
+    const d = new Date(date);
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+  }
+
+  /**
+   * Compute and store metrics for a single UTC day. Safe to rerun: the
+   * day's document is replaced with freshly computed values.
+   * @param {Date|string} date - Any moment within the day
+   * @returns {Promise<object>} - The stored MetricsDaily document
+   */
+  async aggregateDay(date) {
+    const start = this.startOfUTCDay(date);
+    const end = new Date(start.getTime() + DAY_MS);
+    const inDay = { $gte: start, $lt: end };
+
+    const [
+      activeFromProfile,
+      activeFromEvents,
+      sessions,
+      journalCount,
+      sentimentCounts,
+      moodCounts,
+      chatCounts,
+      chatConversations,
+      forumPosts,
+      forumComments,
+      postAuthors,
+      commentAuthors,
+      crisisCounts,
+    ] = await Promise.all([
+      User.distinct('_id', { lastActive: inDay }),
+      AnalyticsEvent.distinct('userId', { createdAt: inDay, userId: { $ne: null } }),
+      Session.countDocuments({ createdAt: inDay }),
+      JournalEntry.countDocuments({ createdAt: inDay }),
+      JournalEntry.aggregate([
+        { $match: { createdAt: inDay, 'aiAnalysis.sentiment.label': { $ne: null } } },
+        { $group: { _id: '$aiAnalysis.sentiment.label', count: { $sum: 1 } } },
+      ]),
+      MoodLog.aggregate([
+        { $match: { updatedAt: inDay, mood: { $ne: null } } },
+        { $group: { _id: { $round: ['$mood', 0] }, count: { $sum: 1 } } },
+      ]),
+      AIMessage.aggregate([
+        { $match: { createdAt: inDay } },
+        { $group: { _id: '$role', count: { $sum: 1 } } },
+      ]),
+      AIMessage.distinct('conversationId', { createdAt: inDay }),
+      ForumPost.countDocuments({ createdAt: inDay }),
+      ForumComment.countDocuments({ createdAt: inDay }),
+      ForumPost.distinct('userId', { createdAt: inDay }),
+      ForumComment.distinct('userId', { createdAt: inDay }),
+      CrisisEvent.aggregate([
+        { $match: { createdAt: inDay } },
+        { $group: { _id: '$riskLevel', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // A user counts once however many signals they left that day
+    const activeUsers = new Set([...activeFromProfile, ...activeFromEvents].map(String));
+    const forumAuthors = new Set([...postAuthors, ...commentAuthors].map(String));
+
+    const toCounts = (rows) => Object.fromEntries(rows.map(({ _id, count }) => [String(_id), count]));
+    const chat = toCounts(chatCounts);
+    const crisis = toCounts(crisisCounts);
+    const sentiment = toCounts(sentimentCounts);
+
+    const metrics = {
+      date: start,
+      dau: activeUsers.size,
+      sessions,
+      journalCount,
+      moodLogCount: moodCounts.reduce((sum, { count }) => sum + count, 0),
+      chat: {
+        conversations: chatConversations.length,
+        userMessages: chat.user || 0,
+        assistantMessages: chat.assistant || 0,
+      },
+      forum: {
+        posts: forumPosts,
+        comments: forumComments,
+        activeAuthors: forumAuthors.size,
+      },
+      crisis: {
+        total: Object.values(crisis).reduce((sum, count) => sum + count, 0),
+        high: crisis.high || 0,
+        medium: crisis.medium || 0,
+        low: crisis.low || 0,
+      },
+      distribution: {
+        mood: toCounts(moodCounts),
+        sentiment: {
+          positive: sentiment.positive || 0,
+          neutral: sentiment.neutral || 0,
+          negative: sentiment.negative || 0,
+        },
+      },
+      computedAt: new Date(),
+    };
+
+    // Full replacement keeps reruns idempotent (no stale fields from earlier schema versions)
+    return MetricsDaily.findOneAndReplace({ date: start }, metrics, { upsert: true, new: true });
+  }
+
+  /**
+   * Aggregate every UTC day in [from, to], oldest first
+   * @returns {Promise<number>} - Number of days processed
+   */
+  async aggregateRange(from, to, onDay = () => {}) {
+    let day = this.startOfUTCDay(from);
+    const last = this.startOfUTCDay(to);
+    let processed = 0;
+
+    while (day <= last) {
+      const metrics = await this.aggregateDay(day);
+      onDay(metrics);
+      processed += 1;
+      day = new Date(day.getTime() + DAY_MS);
+    }
+
+    return processed;
+  }
+
+  /**
+   * Aggregate yesterday shortly after each UTC midnight. Also fills in
+   * yesterday on startup if the server was down when the job should have run.
+   * @returns {object} - { stop() }
+   */
+  startNightlyJob() {
+    let timer = null;
+
+    const runForYesterday = async () => {
+      const yesterday = new Date(this.startOfUTCDay(new Date()).getTime() - DAY_MS);
+      try {
+        const metrics = await this.aggregateDay(yesterday);
+        console.log(`📊 Daily metrics aggregated for ${yesterday.toISOString().slice(0, 10)} (DAU ${metrics.dau})`);
+      } catch (error) {
+        console.error('Daily metrics aggregation failed:', error);
+      }
+    };
+
+    const scheduleNext = () => {
+      const nextRun = this.startOfUTCDay(new Date()).getTime() + DAY_MS + NIGHTLY_RUN_MINUTES_AFTER_MIDNIGHT * 60 * 1000;
+      timer = setTimeout(async () => {
+        await runForYesterday();
+        scheduleNext();
+      }, nextRun - Date.now());
+      timer.unref();
+    };
+
+    const catchUp = async () => {
+      const yesterday = new Date(this.startOfUTCDay(new Date()).getTime() - DAY_MS);
+      try {
+        if (!(await MetricsDaily.exists({ date: yesterday }))) {
+          await runForYesterday();
+        }
+      } catch (error) {
+        console.error('Daily metrics catch-up failed:', error);
+      }
+    };
+
+    catchUp();
+    scheduleNext();
+    console.log('📊 Nightly metrics aggregation scheduled');
+
+    return { stop: () => clearTimeout(timer) };
+  }
+}
+
+export default new MetricsService();
@@ -0,0 +1,295 @@
+/**
+ * Mood Insights Service
+ * Turns a user's mood logs and journal entries into trend data for the dashboard:
+ * rolling averages, volatility, day-of-week patterns, a calendar heatmap, and how
+ * mood lines up with journal tags, AI-detected themes and sentiment.
+ */
+
+import MoodLog from '../models/moodlog.model.js';
+import JournalEntry from '../models/journalEntry.model.js';
+import { addDays, calendarDay, dayKey, getUserTimeZone, startOfDay } from './timezone.service.js';
+
+const DEFAULT_DAYS = 90;
+const MIN_DAYS = 7;
+const MAX_DAYS = 365;
+const WEEK_DAYS = 7;
+const MONTH_DAYS = 30;
+const MIN_OCCURRENCES = 2; // Tags/themes seen fewer times than this aren't worth correlating
+const TOP_CORRELATIONS = 10;
+const FLAT_TREND_THRESHOLD = 0.5; // Mood points; smaller week-on-week changes count as steady
+const WEEKDAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const round = (value, digits = 2) => (value == null ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const stdDev = (values) => {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+// Pearson correlation coefficient; null when there's too little data or no variation
+const pearson = (pairs) => {
+  if (pairs.length < 3) return null;
+  const xs = pairs.map(([x]) => x);
+  const ys = pairs.map(([, y]) => y);
+  const [mx, my] = [mean(xs), mean(ys)];
+  const covariance = pairs.reduce((sum, [x, y]) => sum + (x - mx) * (y - my), 0);
+  const spread = Math.sqrt(xs.reduce((s, x) => s + (x - mx) ** 2, 0) * ys.reduce((s, y) => s + (y - my) ** 2, 0));
+  return spread ? covariance / spread : null;
+};
+
+class MoodInsightsService {
+  /**
+   * Mood trends and correlations over the last `days` days (today included), with
+   * days bucketed in the user's own time zone
+   * @param {string} userId
+   * @param {object} options - { days } window length, 7-365 (default 90)
+   * @returns {Promise<object>}
+   */
+  async getInsights(userId, { days = DEFAULT_DAYS } = {}) {
+    const windowDays = Math.min(Math.max(parseInt(days) || DEFAULT_DAYS, MIN_DAYS), MAX_DAYS);
+
+    const timeZone = await getUserTimeZone(userId);
+    const today = calendarDay(new Date(), timeZone);
+    const start = addDays(today, -(windowDays - 1));
+    // Read a month further back so the first rolling averages in the window are complete
+    const lookbackStart = addDays(start, -(MONTH_DAYS - 1));
+    const windowStartsAt = startOfDay(start, timeZone);
+
+    const [moodLogs, journals] = await Promise.all([
+      MoodLog.find({ userId, date: { $gte: lookbackStart } }).select('date mood').lean(),
+      JournalEntry.find({ userId, deletedAt: null, createdAt: { $gte: startOfDay(lookbackStart, timeZone) } })
+        .select('mood tags aiAnalysis.themes aiAnalysis.sentiment createdAt')
+        .lean(),
+    ]);
+
+    const daily = this.buildDailyMoods(moodLogs, journals, timeZone);
+
+    // Every calendar day from the lookback start to today, oldest first
+    const calendar = [];
+    for (let day = lookbackStart; day <= today; day = addDays(day, 1)) {
+      const key = dayKey(day);
+      calendar.push({ date: key, weekday: day.getUTCDay(), ...(daily.get(key) || { mood: null, entries: 0 }) });
+    }
+
+    const windowStart = calendar.length - windowDays;
+    const series = calendar.slice(windowStart).map((day, i) => {
+      const index = windowStart + i;
+      const trailing = (length) => mean(calendar.slice(Math.max(0, index - length + 1), index + 1)
+        .filter(d => d.mood != null)
+        .map(d => d.mood));
+
+      return {
+        date: day.date,
+        mood: round(day.mood),
+        weekAvg: round(trailing(WEEK_DAYS)),
+        monthAvg: round(trailing(MONTH_DAYS)),
+      };
+    });
+
+    const windowDaysData = calendar.slice(windowStart);
+    const windowJournals = journals.filter(j => j.createdAt >= windowStartsAt);
+
+    return {
+      range: { from: dayKey(start), to: dayKey(today), days: windowDays },
+      summary: this.summarize(windowDaysData),
+      series,
+      heatmap: windowDaysData.map(d => ({ date: d.date, mood: round(d.mood), entries: d.entries })),
+      dayOfWeek: this.dayOfWeekPattern(windowDaysData),
+      correlations: this.correlate(windowJournals),
+    };
+  }
+
+  /**
+   * Entry count, average mood and sentiment/risk breakdowns for journals written
+   * between `from` and `to`, plus the current journaling streak
+   * @param {string} userId
+   * @param {object} options - { from, to, timeZone }
+   * @returns {Promise<object>}
+   */
+  async getJournalStats(userId, { from, to = new Date(), timeZone }) {
+    const journals = await JournalEntry.find({
+      userId,
+      deletedAt: null,
+      createdAt: { $gte: from, $lt: to },
+    }).select('mood aiAnalysis.sentiment aiAnalysis.riskAssessment createdAt').lean();
+
+    const stats = {
+      total: journals.length,
+      avgMood: 0,
+      sentimentDistribution: { positive: 0, neutral: 0, negative: 0 },
+      riskDistribution: { low: 0, medium: 0, high: 0 },
+      journalingStreak: 0,
+    };
+
+    const moodEntries = journals.filter(j => j.mood);
+    if (moodEntries.length > 0) {
+      stats.avgMood = (moodEntries.reduce((sum, j) => sum + j.mood, 0) / moodEntries.length).toFixed(1);
+    }
+
+    journals.forEach(j => {
+      const sentiment = j.aiAnalysis?.sentiment?.label;
+      if (sentiment && stats.sentimentDistribution[sentiment] !== undefined) {
+        stats.sentimentDistribution[sentiment]++;
+      }
+      const risk = j.aiAnalysis?.riskAssessment?.level;
+      if (risk && stats.riskDistribution[risk] !== undefined) {
+        stats.riskDistribution[risk]++;
+      }
+    });
+
+    stats.journalingStreak = (await this.getJournalingStreak(userId, timeZone, to)).days;
+    return stats;
+  }
+
+  /**
+   * Consecutive calendar days (in the user's time zone) with at least one journal entry,
+   * counting back from today, or from yesterday if nothing has been written yet today
+   * @param {string} userId
+   * @param {string} timeZone
+   * @returns {Promise<{ days: number, wroteToday: boolean }>}
+   */
+  async getJournalingStreak(userId, timeZone, now = new Date()) {
+    const journals = await JournalEntry.find({ userId, deletedAt: null })
+      .sort({ createdAt: -1 })
+      .select('createdAt')
+      .lean();
+
+    // Distinct days with an entry, newest first
+    const days = [...new Set(journals.map(j => calendarDay(j.createdAt, timeZone).getTime()))];
+    const today = calendarDay(now, timeZone);
+    const wroteToday = days[0] === today.getTime();
+
+    if (days.length === 0 || days[0] < addDays(today, -1).getTime()) {
+      return { days: 0, wroteToday };
+    }
+
+    let streak = 1;
+    for (let i = 1; i < days.length; i++) {
+      if (days[i] !== addDays(new Date(days[i - 1]), -1).getTime()) break;
+      streak++;
+    }
+
+    return { days: streak, wroteToday };
+  }
+
+  /**
+   * One mood per day: the day's mood log if there is one, otherwise the average of
+   * that day's journal moods
+   * @returns {Map<string, { mood: number|null, entries: number }>}
+   */
+  buildDailyMoods(moodLogs, journals, timeZone) {
+    const days = new Map();
+    const dayFor = (key) => {
+      if (!days.has(key)) days.set(key, { logMood: null, journalMoods: [], entries: 0 });
+      return days.get(key);
+    };
+
+    moodLogs.forEach(log => {
+      if (log.mood != null) dayFor(dayKey(log.date)).logMood = log.mood;
+    });
+    journals.forEach(journal => {
+      const day = dayFor(dayKey(calendarDay(journal.createdAt, timeZone)));
+      day.entries += 1;
+      if (journal.mood) day.journalMoods.push(journal.mood);
+    });
+
+    return new Map([...days].map(([key, day]) => [key, {
+      mood: day.logMood ?? mean(day.journalMoods),
+      entries: day.entries,
+    }]));
+  }
+
+  summarize(days) {
+    const moods = days.filter(d => d.mood != null).map(d => d.mood);
+
+    // Day-to-day swings, only between back-to-back logged days
+    const changes = [];
+    for (let i = 1; i < days.length; i++) {
+      if (days[i].mood != null && days[i - 1].mood != null) {
+        changes.push(Math.abs(days[i].mood - days[i - 1].mood));
+      }
+    }
+
+    const lastWeek = mean(days.slice(-WEEK_DAYS).filter(d => d.mood != null).map(d => d.mood));
+    const weekBefore = mean(days.slice(-2 * WEEK_DAYS, -WEEK_DAYS).filter(d => d.mood != null).map(d => d.mood));
+    const change = lastWeek != null && weekBefore != null ? lastWeek - weekBefore : null;
+
+    return {
+      average: round(mean(moods)),
+      daysLogged: moods.length,
+      best: moods.length ? Math.max(...moods) : null,
+      worst: moods.length ? Math.min(...moods) : null,
+      volatility: {
+        stdDev: round(stdDev(moods)),
+        averageDailyChange: round(mean(changes)),
+      },
+      trend: {
+        lastWeek: round(lastWeek),
+        weekBefore: round(weekBefore),
+        change: round(change),
+        direction: change == null ? null
+          : Math.abs(change) < FLAT_TREND_THRESHOLD ? 'steady'
+          : change > 0 ? 'improving' : 'declining',
+      },
+    };
+  }
+
+  dayOfWeekPattern(days) {
+    return WEEKDAY_LABELS.map((label, weekday) => {
+      const moods = days.filter(d => d.weekday === weekday && d.mood != null).map(d => d.mood);
+      return { weekday, label, average: round(mean(moods)), count: moods.length };
+    });
+  }
+
+  /**
+   * Average journal mood alongside each tag, theme and sentiment label, compared to the overall average
+   */
+  correlate(journals) {
+    const withMood = journals.filter(j => j.mood);
+    const baseline = mean(withMood.map(j => j.mood));
+
+    const byValue = (valuesOf) => {
+      const groups = new Map();
+      withMood.forEach(journal => {
+        new Set(valuesOf(journal).map(v => v.toLowerCase().trim()).filter(Boolean)).forEach(value => {
+          if (!groups.has(value)) groups.set(value, []);
+          groups.get(value).push(journal.mood);
+        });
+      });
+
+      return [...groups]
+        .filter(([, moods]) => moods.length >= MIN_OCCURRENCES)
+        .map(([value, moods]) => ({
+          value,
+          count: moods.length,
+          averageMood: round(mean(moods)),
+          difference: round(mean(moods) - baseline),
+        }))
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference) || b.count - a.count)
+        .slice(0, TOP_CORRELATIONS);
+    };
+
+    const sentiment = ['positive', 'neutral', 'negative'].map(label => {
+      const moods = withMood.filter(j => j.aiAnalysis?.sentiment?.label === label).map(j => j.mood);
+      return { label, count: moods.length, averageMood: round(mean(moods)) };
+    });
+
+    const scored = withMood
+      .filter(j => typeof j.aiAnalysis?.sentiment?.score === 'number')
+      .map(j => [j.aiAnalysis.sentiment.score, j.mood]);
+
+    return {
+      baselineMood: round(baseline),
+      entriesWithMood: withMood.length,
+      tags: byValue(j => j.tags || []),
+      themes: byValue(j => j.aiAnalysis?.themes || []),
+      sentiment,
+      sentimentScoreCorrelation: round(pearson(scored)),
+    };
+  }
+}
+
+export default new MoodInsightsService();
@@ -0,0 +1,39 @@
+/**
+ * Notification Service
+ * Creates in-app notifications and pushes them to connected users
+ */
+
+import Notification from '../models/notification.model.js';
+import realtimeService from './realtime.service.js';
+
+class NotificationService {
+  /**
+   * Create the same notification for several users
+   * @param {Array<string>} userIds
+   * @param {object} notification - { type, priority, title, body, link, payload }
+   * @returns {Promise<Array>} - Created notification documents
+   */
+  async notifyUsers(userIds, notification) {
+    if (!userIds.length) return [];
+
+    const created = await Notification.insertMany(
+      userIds.map(userId => ({ ...notification, userId }))
+    );
+
+    created.forEach(doc => {
+      realtimeService.emitToUser(doc.userId, 'notification:new', doc);
+    });
+
+    return created;
+  }
+
+  /**
+   * Create a notification for a single user
+   */
+  async notifyUser(userId, notification) {
+    const [created] = await this.notifyUsers([userId], notification);
+    return created;
+  }
+}
+
+export default new NotificationService();
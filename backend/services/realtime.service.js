@@ -0,0 +1,74 @@
+/**
+ * Realtime Service
+ * Gives services outside the request cycle access to the Socket.IO server.
+ * Authenticated sockets are placed in `user:<id>` and `role:<role>` rooms.
+ */
+
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Register the Socket.IO server (called once from server.js)
+   * @param {Server} io
+   */
+  attach(io) {
+    this.io = io;
+  }
+
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  roleRoom(role) {
+    return `role:${role}`;
+  }
+
+  /**
+   * Put a socket in the private rooms for its identity
+   * @param {Socket} socket
+   * @param {object} identity - { userId, role } from verifyAccessToken
+   */
+  joinIdentityRooms(socket, identity) {
+    socket.join([this.userRoom(identity.userId), this.roleRoom(identity.role)]);
+  }
+
+  /**
+   * Remove a socket from the private rooms of its previous identity
+   */
+  leaveIdentityRooms(socket, identity) {
+    socket.leave(this.userRoom(identity.userId));
+    socket.leave(this.roleRoom(identity.role));
+  }
+
+  /**
+   * Emit an event to everyone in a room
+   * @returns {boolean} - False when no Socket.IO server is attached (e.g. in scripts)
+   */
+  emitToRoom(room, event, data) {
+    if (!this.io) return false;
+    this.io.to(room).emit(event, data);
+    return true;
+  }
+
+  /**
+   * Emit an event to every connected tab/device of a user
+   */
+  emitToUser(userId, event, data) {
+    return this.emitToRoom(this.userRoom(userId), event, data);
+  }
+
+  /**
+   * Emit an event to every connected user with one of the given roles
+   * @param {string|Array<string>} roles
+   */
+  emitToRole(roles, event, data) {
+    if (!this.io) return false;
+    const rooms = (Array.isArray(roles) ? roles : [roles]).map(role => this.roleRoom(role));
+    this.io.to(rooms).emit(event, data);
+    return true;
+  }
+}
+
+export default new RealtimeService();
@@ -0,0 +1,320 @@
+/**
+ * Reminder Service
+ * Opt-in nudges that bring students back to their journal: a daily check-in at a time
+ * they pick, an evening heads-up when a journaling streak is about to break, and a
+ * weekly reflection prompt. A job inside the backend checks every few minutes who is
+ * due in their own time zone, skips quiet hours and long-inactive accounts, and sends
+ * each reminder in-app and by email (with a signed one-click unsubscribe link).
+ */
+
+import crypto from 'crypto';
+import User from '../models/user.model.js';
+import MoodLog from '../models/moodlog.model.js';
+import notificationService from './notification.service.js';
+import moodInsightsService from './mood-insights.service.js';
+import { queueEmail } from './email.service.js';
+import { calendarDay, resolveTimeZone, zonedParts } from './timezone.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const CHECK_INTERVAL_MS = 5 * MINUTE_MS;
+const INACTIVE_AFTER_DAYS = parseInt(process.env.REMINDER_INACTIVE_DAYS) || 30;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const REMINDER_KINDS = ['dailyCheckIn', 'streakNudge', 'weeklyReflection'];
+
+// What each unsubscribe link turns off; the weekly digest (services/digest.service.js) shares the mechanism
+const UNSUBSCRIBE_PATHS = {
+  ...Object.fromEntries(REMINDER_KINDS.map(kind => [kind, [`preferences.reminders.${kind}.enabled`]])),
+  weeklyDigest: ['preferences.weeklyDigest'],
+  all: [...REMINDER_KINDS.map(kind => `preferences.reminders.${kind}.enabled`), 'preferences.weeklyDigest'],
+};
+
+const REMINDER_COPY = {
+  dailyCheckIn: {
+    title: () => 'Time for your daily check-in',
+    body: () => 'How are you feeling today? Take a moment to log your mood or write a few lines in your journal.',
+    link: '/dashboard',
+  },
+  streakNudge: {
+    title: (streakDays) => `Keep your ${streakDays}-day journaling streak going`,
+    body: () => "You haven't written in your journal today yet. A few lines before midnight keeps your streak alive.",
+    link: '/journal',
+  },
+  weeklyReflection: {
+    title: () => 'Your weekly reflection',
+    body: () => 'Look back on your week: what went well, what was hard, and what would you like to carry into next week?',
+    link: '/journal',
+  },
+};
+
+const reminderError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const unsubscribeSecret = () => process.env.REMINDER_UNSUBSCRIBE_SECRET || process.env.JWT_ACCESS_SECRET;
+
+const sign = (value) => crypto.createHmac('sha256', unsubscribeSecret()).update(value).digest('base64url');
+
+class ReminderService {
+  /**
+   * A user's reminder settings plus the channels they go out on
+   * @param {string} userId
+   * @returns {Promise<object>}
+   */
+  async getSettings(userId) {
+    // Not lean, so accounts created before reminders existed still get the schema defaults
+    const user = await User.findById(userId).select('preferences');
+    if (!user) throw reminderError(404, 'User not found');
+    return this.toSettings(user);
+  }
+
+  toSettings(user) {
+    const { notifications, emailUpdates, weeklyDigest, reminders } = user.preferences;
+    return {
+      channels: { inApp: notifications, email: emailUpdates },
+      weeklyDigest: { enabled: weeklyDigest },
+      dailyCheckIn: { enabled: reminders.dailyCheckIn.enabled, time: reminders.dailyCheckIn.time },
+      streakNudge: { enabled: reminders.streakNudge.enabled, time: reminders.streakNudge.time },
+      weeklyReflection: {
+        enabled: reminders.weeklyReflection.enabled,
+        dayOfWeek: reminders.weeklyReflection.dayOfWeek,
+        time: reminders.weeklyReflection.time,
+      },
+      quietHours: {
+        enabled: reminders.quietHours.enabled,
+        start: reminders.quietHours.start,
+        end: reminders.quietHours.end,
+      },
+    };
+  }
+
+  /**
+   * Apply a partial settings update; only the fields present are changed
+   * @param {string} userId
+   * @param {object} updates - Same shape as getSettings()
+   * @returns {Promise<object>} - The full settings afterwards
+   */
+  async updateSettings(userId, updates = {}) {
+    const set = {};
+    const setBoolean = (value, path) => {
+      if (value === undefined) return;
+      if (typeof value !== 'boolean') throw reminderError(400, `${path} must be true or false`);
+      set[`preferences.${path}`] = value;
+    };
+    const setTime = (value, path) => {
+      if (value === undefined) return;
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) throw reminderError(400, `${path} must be a time like 20:00`);
+      set[`preferences.${path}`] = value;
+    };
+
+    setBoolean(updates.channels?.inApp, 'notifications');
+    setBoolean(updates.channels?.email, 'emailUpdates');
+    setBoolean(updates.weeklyDigest?.enabled, 'weeklyDigest');
+
+    REMINDER_KINDS.forEach(kind => {
+      setBoolean(updates[kind]?.enabled, `reminders.${kind}.enabled`);
+      setTime(updates[kind]?.time, `reminders.${kind}.time`);
+    });
+
+    const dayOfWeek = updates.weeklyReflection?.dayOfWeek;
+    if (dayOfWeek !== undefined) {
+      if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        throw reminderError(400, 'weeklyReflection.dayOfWeek must be 0 (Sunday) to 6 (Saturday)');
+      }
+      set['preferences.reminders.weeklyReflection.dayOfWeek'] = dayOfWeek;
+    }
+
+    setBoolean(updates.quietHours?.enabled, 'reminders.quietHours.enabled');
+    setTime(updates.quietHours?.start, 'reminders.quietHours.start');
+    setTime(updates.quietHours?.end, 'reminders.quietHours.end');
+
+    const user = await User.findByIdAndUpdate(userId, { $set: set }, { new: true, runValidators: true })
+      .select('preferences');
+    if (!user) throw reminderError(404, 'User not found');
+    return this.toSettings(user);
+  }
+
+  /**
+   * Signed token for an unsubscribe link; `kind` is a reminder kind, "weeklyDigest" or "all"
+   * @returns {string}
+   */
+  createUnsubscribeToken(userId, kind) {
+    const value = `${userId}.${kind}`;
+    return `${value}.${sign(value)}`;
+  }
+
+  /**
+   * Turn reminders off from an email link, no login needed
+   * @param {string} token - From createUnsubscribeToken()
+   * @returns {Promise<string>} - The kind that was turned off
+   */
+  async unsubscribe(token) {
+    const [userId, kind, signature] = String(token || '').split('.');
+    const expected = userId && kind ? sign(`${userId}.${kind}`) : '';
+
+    const valid = signature && signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)) &&
+      Object.hasOwn(UNSUBSCRIBE_PATHS, kind);
+    if (!valid) throw reminderError(400, 'This unsubscribe link is invalid');
+
+    const result = await User.updateOne(
+      { _id: userId },
+      { $set: Object.fromEntries(UNSUBSCRIBE_PATHS[kind].map(path => [path, false])) }
+    );
+    if (result.matchedCount === 0) throw reminderError(404, 'This account no longer exists');
+
+    return kind;
+  }
+
+  isQuietTime(minuteOfDay, quietHours) {
+    if (!quietHours?.enabled) return false;
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) return false;
+    // A window like 22:00-08:00 wraps past midnight
+    return start < end
+      ? minuteOfDay >= start && minuteOfDay < end
+      : minuteOfDay >= start || minuteOfDay < end;
+  }
+
+  /**
+   * Which reminders are due for a user right now, in their own time zone.
+   * Each is due from its set time until the end of that local day.
+   * @returns {Promise<Array<{ kind: string, streakDays?: number }>>}
+   */
+  async dueReminders(user, now = new Date()) {
+    const { reminders } = user.preferences;
+    const timeZone = resolveTimeZone(user.timezone);
+    const local = zonedParts(now, timeZone);
+    const minuteOfDay = local.hour * 60 + local.minute;
+    const today = calendarDay(now, timeZone);
+
+    if (this.isQuietTime(minuteOfDay, reminders.quietHours)) return [];
+
+    const pending = (kind) => reminders[kind].enabled &&
+      minuteOfDay >= toMinutes(reminders[kind].time) &&
+      reminders.lastSent?.[kind]?.getTime() !== today.getTime();
+
+    const due = [];
+    let streak;
+    const getStreak = async () => {
+      streak ??= await moodInsightsService.getJournalingStreak(user._id, timeZone, now);
+      return streak;
+    };
+
+    if (pending('dailyCheckIn')) {
+      // Skip it if they already checked in today with a mood or a journal entry
+      const moodToday = await MoodLog.exists({ userId: user._id, date: today });
+      if (!moodToday && !(await getStreak()).wroteToday) due.push({ kind: 'dailyCheckIn' });
+    }
+
+    if (pending('streakNudge')) {
+      const { days, wroteToday } = await getStreak();
+      if (days > 0 && !wroteToday) due.push({ kind: 'streakNudge', streakDays: days });
+    }
+
+    if (pending('weeklyReflection') && today.getUTCDay() === reminders.weeklyReflection.dayOfWeek) {
+      due.push({ kind: 'weeklyReflection' });
+    }
+
+    return due.map(reminder => ({ ...reminder, today }));
+  }
+
+  /**
+   * Send one reminder in-app and by email, per the user's channel preferences
+   */
+  async deliver(user, { kind, streakDays }) {
+    const copy = REMINDER_COPY[kind];
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    const title = copy.title(streakDays);
+
+    if (user.preferences.notifications) {
+      await notificationService.notifyUser(user._id, {
+        type: 'reminder',
+        priority: 'low',
+        title,
+        body: copy.body(),
+        link: copy.link,
+        payload: { kind, streakDays },
+      });
+    }
+
+    if (user.preferences.emailUpdates) {
+      const token = this.createUnsubscribeToken(user._id, kind);
+      queueEmail('sendReminderEmail', user.email, user.firstName || user.name, {
+        subject: `${title} - Zenly`,
+        heading: title,
+        body: copy.body(),
+        actionUrl: `${frontendUrl}${copy.link}`,
+        unsubscribeUrl: `${frontendUrl}/unsubscribe?token=${encodeURIComponent(token)}`,
+      }).catch(error => console.error('Failed to queue reminder email:', error));
+    }
+  }
+
+  /**
+   * Send every reminder that is due across all opted-in, recently active users
+   * @returns {Promise<number>} - Reminders sent
+   */
+  async sendDueReminders(now = new Date()) {
+    const cursor = User.find({
+      emailVerified: true,
+      deletionScheduledFor: null,
+      lastActive: { $gte: new Date(now.getTime() - INACTIVE_AFTER_DAYS * DAY_MS) },
+      $or: REMINDER_KINDS.map(kind => ({ [`preferences.reminders.${kind}.enabled`]: true })),
+    })
+      .select('email name firstName timezone preferences')
+      .cursor();
+
+    let sent = 0;
+    for await (const user of cursor) {
+      if (!user.preferences.notifications && !user.preferences.emailUpdates) continue;
+
+      try {
+        for (const reminder of await this.dueReminders(user, now)) {
+          // Claim today's send first so several instances never send the same reminder twice
+          const lastSentPath = `preferences.reminders.lastSent.${reminder.kind}`;
+          const claimed = await User.updateOne(
+            { _id: user._id, [lastSentPath]: { $ne: reminder.today } },
+            { $set: { [lastSentPath]: reminder.today } }
+          );
+          if (claimed.modifiedCount === 0) continue;
+
+          await this.deliver(user, reminder);
+          sent++;
+        }
+      } catch (error) {
+        console.error(`[Reminders] Failed for user ${user._id}:`, error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Check for due reminders every few minutes
+   * @returns {{ stop: Function }}
+   */
+  startReminderJob() {
+    const run = async () => {
+      try {
+        const sent = await this.sendDueReminders();
+        if (sent) console.log(`⏰ Sent ${sent} check-in reminder(s)`);
+      } catch (error) {
+        console.error('Check-in reminder job failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, CHECK_INTERVAL_MS);
+    timer.unref();
+
+    console.log('⏰ Check-in reminders scheduled');
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new ReminderService();
@@ -0,0 +1,355 @@
+/**
+ * Resource Interaction Service
+ * Per-user state for library resources: helpful votes (one per user), bookmarks with
+ * optional named lists, completion for videos and audio, and view history. A view is
+ * only counted again once the dedup window since the last counted view has passed.
+ * The helpful and view totals on each resource move only when a record's state
+ * changes, so they always equal the totals over these records (see recount).
+ */
+
+import mongoose from 'mongoose';
+import { Resource } from '../models/resource.model.js';
+import ResourceInteraction from '../models/resourceInteraction.model.js';
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_VIEW_DEDUP_MINUTES = 30;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_LISTS = 10;
+const MAX_LIST_NAME = 40;
+const TRACKED_TYPES = ['video', 'audio'];
+const COMPLETION_STATUSES = ['not_started', 'in_progress', 'completed'];
+const RESOURCE_FIELDS = 'title description url type categories tags duration author thumbnailUrl embedData isFeatured viewCount helpfulCount isActive';
+
+const httpError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+const encodeCursor = (date, id) =>
+  Buffer.from(JSON.stringify({ t: date.toISOString(), id: String(id) })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const date = new Date(t);
+    if (isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) throw new Error('bad cursor');
+    return { date, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw httpError('Invalid cursor', 400);
+  }
+};
+
+const toState = (interaction) => ({
+  helpful: Boolean(interaction?.helpful),
+  saved: Boolean(interaction?.saved),
+  savedAt: interaction?.savedAt || null,
+  lists: interaction?.lists || [],
+  completion: interaction?.completion || { status: 'not_started', progress: 0 },
+  viewCount: interaction?.viewCount || 0,
+  lastViewedAt: interaction?.lastViewedAt || null,
+});
+
+class ResourceInteractionService {
+  getViewDedupMs() {
+    return (parseInt(process.env.RESOURCE_VIEW_DEDUP_MINUTES) || DEFAULT_VIEW_DEDUP_MINUTES) * MINUTE_MS;
+  }
+
+  async findResource(resourceId) {
+    if (!mongoose.isValidObjectId(resourceId)) throw httpError('Resource not found', 404);
+    const resource = await Resource.findOne({ _id: resourceId, isActive: true }).select('type viewCount helpfulCount');
+    if (!resource) throw httpError('Resource not found', 404);
+    return resource;
+  }
+
+  /**
+   * Make sure the user has a record for the resource, so later updates can be conditional
+   */
+  async ensureInteraction(userId, resourceId) {
+    try {
+      await ResourceInteraction.updateOne(
+        { userId, resourceId },
+        { $setOnInsert: { userId, resourceId } },
+        { upsert: true }
+      );
+    } catch (error) {
+      // Two first interactions at once: the other request created it
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  /**
+   * Record that a user opened a resource. Anonymous opens aren't counted.
+   * @returns {Promise<{ counted: boolean, viewCount: number }>}
+   */
+  async recordView(resourceId, userId, now = new Date()) {
+    const resource = await this.findResource(resourceId);
+    if (!userId) return { counted: false, viewCount: resource.viewCount };
+
+    await this.ensureInteraction(userId, resourceId);
+    const previous = await ResourceInteraction.findOneAndUpdate(
+      { userId, resourceId },
+      { $set: { lastViewedAt: now } },
+      { new: false }
+    ).select('lastCountedViewAt').lean();
+
+    const lastCounted = previous?.lastCountedViewAt || null;
+    if (lastCounted && now - lastCounted < this.getViewDedupMs()) {
+      return { counted: false, viewCount: resource.viewCount };
+    }
+
+    // Conditional on the value just read, so two opens at once count as one view
+    const claimed = await ResourceInteraction.updateOne(
+      { userId, resourceId, lastCountedViewAt: lastCounted },
+      {
+        $set: { lastCountedViewAt: now },
+        $inc: { viewCount: 1 },
+        $min: { firstViewedAt: now },
+      }
+    );
+    if (claimed.modifiedCount === 0) return { counted: false, viewCount: resource.viewCount };
+
+    const updated = await Resource.findByIdAndUpdate(resourceId, { $inc: { viewCount: 1 } }, { new: true }).select('viewCount');
+    return { counted: true, viewCount: updated.viewCount };
+  }
+
+  /**
+   * Set the user's helpful vote; repeating a vote changes nothing
+   * @returns {Promise<{ helpful: boolean, helpfulCount: number, changed: boolean }>}
+   */
+  async setHelpful(resourceId, userId, helpful, now = new Date()) {
+    const resource = await this.findResource(resourceId);
+    await this.ensureInteraction(userId, resourceId);
+
+    const result = await ResourceInteraction.updateOne(
+      { userId, resourceId, helpful: helpful ? { $ne: true } : true },
+      helpful ? { $set: { helpful: true, helpfulAt: now } } : { $set: { helpful: false }, $unset: { helpfulAt: 1 } }
+    );
+    if (result.modifiedCount === 0) {
+      return { helpful, helpfulCount: resource.helpfulCount, changed: false };
+    }
+
+    const updated = await Resource.findByIdAndUpdate(
+      resourceId,
+      { $inc: { helpfulCount: helpful ? 1 : -1 } },
+      { new: true }
+    ).select('helpfulCount');
+    return { helpful, helpfulCount: updated.helpfulCount, changed: true };
+  }
+
+  /**
+   * Bookmark or un-bookmark a resource, optionally filed under named lists
+   * @param {object} changes - { saved, lists }
+   */
+  async setSaved(resourceId, userId, { saved, lists }, now = new Date()) {
+    await this.findResource(resourceId);
+    if (typeof saved !== 'boolean') throw httpError('saved must be true or false', 400);
+
+    const $set = { saved };
+    const $unset = {};
+    if (saved) {
+      if (lists !== undefined) $set.lists = this.normalizeLists(lists);
+    } else {
+      $set.lists = [];
+      $unset.savedAt = 1;
+    }
+
+    await this.ensureInteraction(userId, resourceId);
+    // Keep the original save time when the user only re-files a saved resource
+    if (saved) {
+      await ResourceInteraction.updateOne({ userId, resourceId, saved: { $ne: true } }, { $set: { savedAt: now } });
+    }
+    const interaction = await ResourceInteraction.findOneAndUpdate(
+      { userId, resourceId },
+      { $set, ...(Object.keys($unset).length && { $unset }) },
+      { new: true }
+    ).lean();
+    return toState(interaction);
+  }
+
+  normalizeLists(lists) {
+    if (!Array.isArray(lists)) throw httpError('lists must be an array of names', 400);
+    const names = [...new Set(lists.map(name => String(name).trim().toLowerCase()).filter(Boolean))];
+    if (names.length > MAX_LISTS) throw httpError(`A resource can be in at most ${MAX_LISTS} lists`, 400);
+    if (names.some(name => name.length > MAX_LIST_NAME)) {
+      throw httpError(`List names can be at most ${MAX_LIST_NAME} characters`, 400);
+    }
+    return names;
+  }
+
+  /**
+   * Update how far the user got through a video or audio resource
+   * @param {object} changes - { status, progress } progress is 0-1
+   */
+  async setProgress(resourceId, userId, { status, progress }, now = new Date()) {
+    const resource = await this.findResource(resourceId);
+    if (!TRACKED_TYPES.includes(resource.type)) {
+      throw httpError('Progress is only tracked for videos and audio', 400);
+    }
+    if (status !== undefined && !COMPLETION_STATUSES.includes(status)) {
+      throw httpError(`status must be one of: ${COMPLETION_STATUSES.join(', ')}`, 400);
+    }
+    if (progress !== undefined && (typeof progress !== 'number' || progress < 0 || progress > 1)) {
+      throw httpError('progress must be a number between 0 and 1', 400);
+    }
+    if (status === undefined && progress === undefined) {
+      throw httpError('Provide a status or progress', 400);
+    }
+
+    // Progress implies a status when none is given: 1 is complete, anything else in progress
+    const nextStatus = status || (progress >= 1 ? 'completed' : progress > 0 ? 'in_progress' : 'not_started');
+    const nextProgress = progress ?? (nextStatus === 'completed' ? 1 : nextStatus === 'not_started' ? 0 : undefined);
+
+    const $set = { 'completion.status': nextStatus, 'completion.updatedAt': now };
+    if (nextProgress !== undefined) $set['completion.progress'] = nextProgress;
+    const $unset = {};
+    if (nextStatus === 'completed') $set['completion.completedAt'] = now;
+    else $unset['completion.completedAt'] = 1;
+
+    await this.ensureInteraction(userId, resourceId);
+    const interaction = await ResourceInteraction.findOneAndUpdate(
+      { userId, resourceId },
+      { $set, ...(Object.keys($unset).length && { $unset }) },
+      { new: true }
+    ).lean();
+    return toState(interaction);
+  }
+
+  /**
+   * The user's state for a set of resources, keyed by resource id
+   * @returns {Promise<object>}
+   */
+  async getStates(userId, resourceIds) {
+    const ids = resourceIds.filter(id => mongoose.isValidObjectId(id)).slice(0, 100);
+    const interactions = await ResourceInteraction.find({ userId, resourceId: { $in: ids } }).lean();
+    return Object.fromEntries(interactions.map(i => [String(i.resourceId), toState(i)]));
+  }
+
+  /**
+   * Saved resources, most recently saved first, plus the user's list names with counts
+   * @param {object} options - { list, limit, cursor }
+   */
+  async listSaved(userId, { list, limit, cursor } = {}) {
+    const query = { userId, saved: true };
+    if (list) query.lists = String(list).trim().toLowerCase();
+
+    const [page, lists] = await Promise.all([
+      this.paginate(query, 'savedAt', { limit, cursor }),
+      ResourceInteraction.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), saved: true } },
+        { $unwind: '$lists' },
+        { $group: { _id: '$lists', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]),
+    ]);
+
+    return { ...page, lists: lists.map(l => ({ name: l._id, count: l.count })) };
+  }
+
+  /**
+   * Recently opened resources, newest first
+   * @param {object} options - { limit, cursor }
+   */
+  async listHistory(userId, { limit, cursor } = {}) {
+    return this.paginate({ userId, lastViewedAt: { $ne: null } }, 'lastViewedAt', { limit, cursor });
+  }
+
+  /**
+   * Forget which resources the user opened. View totals are kept.
+   * @returns {Promise<number>} - Entries cleared
+   */
+  async clearHistory(userId) {
+    const result = await ResourceInteraction.updateMany(
+      { userId, lastViewedAt: { $ne: null } },
+      { $unset: { lastViewedAt: 1 } }
+    );
+    return result.modifiedCount;
+  }
+
+  async paginate(query, dateField, { limit, cursor }) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const filter = { ...query };
+    if (cursor) {
+      const { date, id } = decodeCursor(cursor);
+      filter.$or = [{ [dateField]: { $lt: date } }, { [dateField]: date, _id: { $lt: id } }];
+    }
+
+    const interactions = await ResourceInteraction.find(filter)
+      .sort({ [dateField]: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .populate('resourceId', RESOURCE_FIELDS)
+      .lean();
+
+    const hasMore = interactions.length > pageSize;
+    const results = interactions.slice(0, pageSize);
+    const last = results[results.length - 1];
+
+    return {
+      // Resources removed from the library drop out of the list
+      items: results
+        .filter(i => i.resourceId && i.resourceId.isActive !== false)
+        .map(i => ({ resource: i.resourceId, ...toState(i) })),
+      nextCursor: hasMore ? encodeCursor(last[dateField], last._id) : null,
+    };
+  }
+
+  /**
+   * Take a user's votes and views back out of resource totals, then delete their records
+   * (account deletion)
+   */
+  async removeForUser(userId) {
+    const interactions = await ResourceInteraction.find({ userId, $or: [{ helpful: true }, { viewCount: { $gt: 0 } }] })
+      .select('resourceId helpful viewCount')
+      .lean();
+
+    if (interactions.length) {
+      await Resource.bulkWrite(interactions.map(i => ({
+        updateOne: {
+          filter: { _id: i.resourceId },
+          update: [{
+            $set: {
+              helpfulCount: { $max: [0, { $subtract: ['$helpfulCount', i.helpful ? 1 : 0] }] },
+              viewCount: { $max: [0, { $subtract: ['$viewCount', i.viewCount || 0] }] },
+            },
+          }],
+        },
+      })));
+    }
+
+    const result = await ResourceInteraction.deleteMany({ userId });
+    return result.deletedCount;
+  }
+
+  /**
+   * Reset every resource's helpful and view totals to the totals over interaction records
+   * @returns {Promise<number>} - Resources whose totals changed
+   */
+  async recount() {
+    const totals = await ResourceInteraction.aggregate([
+      {
+        $group: {
+          _id: '$resourceId',
+          helpfulCount: { $sum: { $cond: ['$helpful', 1, 0] } },
+          viewCount: { $sum: '$viewCount' },
+        },
+      },
+    ]);
+    const byResource = new Map(totals.map(t => [String(t._id), t]));
+
+    const resources = await Resource.find({}).select('helpfulCount viewCount').lean();
+    const updates = resources
+      .map(resource => {
+        const total = byResource.get(String(resource._id)) || { helpfulCount: 0, viewCount: 0 };
+        if (resource.helpfulCount === total.helpfulCount && resource.viewCount === total.viewCount) return null;
+        return {
+          updateOne: {
+            filter: { _id: resource._id },
+            update: { $set: { helpfulCount: total.helpfulCount, viewCount: total.viewCount } },
+          },
+        };
+      })
+      .filter(Boolean);
+
+    if (updates.length) await Resource.bulkWrite(updates);
+    return updates.length;
+  }
+}
+
+export default new ResourceInteractionService();
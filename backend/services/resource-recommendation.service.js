@@ -0,0 +1,358 @@
+/**
+ * Resource Recommendation Service
+ * Picks resources for a student from what they've been going through lately: the
+ * themes and emotions the AI found in their journal entries, the topics of their
+ * chat messages, and the resources they marked helpful. Each signal is matched
+ * against resource tags, categories, titles and descriptions, and every
+ * recommendation carries the reason it was picked ("because you wrote about sleep").
+ */
+
+import _ from 'lodash';
+import JournalEntry from '../models/journalEntry.model.js';
+import AIMessage from '../models/aiMessage.model.js';
+import AIConversation from '../models/aiConversation.model.js';
+import { Resource } from '../models/resource.model.js';
+import ResourceInteraction from '../models/resourceInteraction.model.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = 30;
+const HELPFUL_WINDOW_DAYS = 90;
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 12;
+const MAX_CANDIDATES = 100;
+const MAX_KEYWORDS = 40;
+const MIN_KEYWORD_LENGTH = 4; // Shorter words ("and", "of", "bad") are too vague to match on
+const MIN_PREFIX_LENGTH = 5; // "sleep" matches "sleeping", but "rest" doesn't match "restaurant"
+
+// How much one occurrence of each kind of signal counts
+const SIGNAL_WEIGHTS = {
+  theme: 3,
+  emotion: 2,
+  topic: 2,
+  helpful: 1,
+};
+
+// A match in a resource's tags or categories says more than one in its description
+const LABEL_MATCH = 2;
+const TEXT_MATCH = 1;
+
+// A word related to what the user said counts for less than the word itself
+const RELATED_TERM_WEIGHT = 0.5;
+
+// Chat topics that shouldn't drive recommendations; crisis replies carry their own resources
+const IGNORED_TOPICS = ['general', 'crisis'];
+
+const STOP_WORDS = new Set([
+  'about', 'after', 'also', 'been', 'feel', 'feeling', 'feelings', 'from', 'have', 'into',
+  'just', 'like', 'more', 'much', 'other', 'self', 'some', 'that', 'their', 'them', 'they',
+  'this', 'very', 'what', 'when', 'with', 'your',
+]);
+
+// Emotion and topic words mapped onto the vocabulary resources are tagged with
+const RELATED_TERMS = {
+  anxious: ['anxiety'],
+  worried: ['anxiety', 'worry'],
+  nervous: ['anxiety'],
+  panic: ['anxiety'],
+  fear: ['anxiety'],
+  afraid: ['anxiety'],
+  anxiety: ['stress'],
+  sad: ['depression', 'self-compassion'],
+  sadness: ['depression', 'self-compassion'],
+  depressed: ['depression'],
+  hopeless: ['depression', 'resilience'],
+  empty: ['depression', 'meaning'],
+  numb: ['depression'],
+  depression: ['self-compassion'],
+  lonely: ['loneliness', 'relationships', 'social'],
+  loneliness: ['relationships', 'social'],
+  isolated: ['loneliness', 'social'],
+  stressed: ['stress'],
+  overwhelmed: ['stress', 'burnout'],
+  pressure: ['stress', 'perfectionism'],
+  tired: ['sleep', 'rest', 'burnout'],
+  exhausted: ['sleep', 'rest', 'burnout'],
+  exhaustion: ['burnout', 'rest'],
+  insomnia: ['sleep'],
+  angry: ['coping', 'emotional'],
+  anger: ['coping', 'emotional'],
+  frustrated: ['coping', 'stress'],
+  frustration: ['coping', 'stress'],
+  guilty: ['self-compassion'],
+  guilt: ['self-compassion'],
+  ashamed: ['self-compassion', 'self-esteem'],
+  shame: ['self-compassion', 'self-esteem'],
+  insecure: ['self-esteem', 'imposter'],
+  inadequate: ['self-esteem', 'imposter'],
+  grateful: ['gratitude'],
+  thankful: ['gratitude'],
+  happy: ['happiness', 'positive'],
+  joy: ['happiness', 'positive'],
+  hopeful: ['resilience', 'positive'],
+  calm: ['mindfulness', 'relaxation'],
+  restless: ['mindfulness', 'relaxation'],
+  distracted: ['focus', 'procrastination'],
+  unmotivated: ['motivation', 'procrastination'],
+  exams: ['stress', 'focus'],
+  exam: ['stress', 'focus'],
+  academic: ['stress', 'productivity'],
+  deadlines: ['stress', 'procrastination'],
+  breakup: ['relationships'],
+  family: ['relationships', 'boundaries'],
+  friends: ['relationships', 'social'],
+};
+
+const normalize = (text) => String(text || '').toLowerCase().trim();
+
+// "Academic self-esteem" -> academic, self-esteem, esteem (weight 1) and stress,
+// productivity (related, weight 0.5)
+const toKeywords = (label) => {
+  const words = normalize(label).split(/[^a-z-]+/)
+    .flatMap(word => (word.includes('-') ? [word, ...word.split('-')] : [word]))
+    .filter(word => word.length >= MIN_KEYWORD_LENGTH || RELATED_TERMS[word])
+    .filter(word => !STOP_WORDS.has(word));
+
+  const keywords = new Map(words.map(word => [word, 1]));
+  words.flatMap(word => RELATED_TERMS[word] || []).forEach(word => {
+    if (!keywords.has(word)) keywords.set(word, RELATED_TERM_WEIGHT);
+  });
+  return [...keywords].map(([word, weight]) => ({ word, weight }));
+};
+
+const tokenize = (texts) => new Set(texts.flatMap(text => normalize(text).split(/[^a-z]+/)).filter(Boolean));
+
+const wordMatches = (keyword, words) => {
+  if (keyword.includes('-')) return keyword.split('-').every(part => wordMatches(part, words));
+  if (words.has(keyword)) return true;
+  if (keyword.length < MIN_PREFIX_LENGTH) return false;
+  for (const word of words) {
+    if (word.length >= MIN_PREFIX_LENGTH && (word.startsWith(keyword) || keyword.startsWith(word))) return true;
+  }
+  return false;
+};
+
+const describeSignal = (signal) => {
+  switch (signal.source) {
+  case 'theme':
+    return `because you wrote about ${signal.label}`;
+  case 'emotion':
+    return `because you've been feeling ${signal.label}`;
+  case 'topic':
+    return `because you talked about ${signal.label}`;
+  case 'helpful':
+    return `because you found "${signal.label}" helpful`;
+  default:
+    return 'featured by the Zenly team';
+  }
+};
+
+class ResourceRecommendationService {
+  /**
+   * Personalised recommendations from the user's last month of journaling and chat
+   * @param {string} userId
+   * @param {object} options - { limit } 1-12 (default 6)
+   * @returns {Promise<Array<object>>} - Resources, each with a `reason`
+   */
+  async getRecommendations(userId, { limit = DEFAULT_LIMIT } = {}) {
+    const count = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const { signals, helpfulIds } = await this.collectSignals(userId);
+
+    const matched = await this.matchSignals(signals, { limit: count, exclude: helpfulIds });
+    if (matched.length >= count) return matched;
+
+    // Top up with featured resources so a new user still sees something
+    const featured = await this.getFeatured(count - matched.length, [...helpfulIds, ...matched.map(r => r._id)]);
+    return [...matched, ...featured];
+  }
+
+  /**
+   * Resources for a journal entry that has just been analysed, from its own themes
+   * and emotions only; empty when nothing fits
+   * @param {object} analysis - { themes, emotions }
+   * @returns {Promise<Array<object>>}
+   */
+  async getForJournal({ themes = [], emotions = [] }, { limit = 3 } = {}) {
+    const signals = this.mergeSignals([
+      ...themes.map(label => ({ source: 'theme', label })),
+      ...emotions.map(label => ({ source: 'emotion', label })),
+    ]);
+    return this.matchSignals(signals, { limit });
+  }
+
+  /**
+   * Resources for the topic of a chat message; empty for small talk and crisis
+   * @param {string} topic
+   * @returns {Promise<Array<object>>}
+   */
+  async getForChatTopic(topic, { limit = 2 } = {}) {
+    if (!topic || IGNORED_TOPICS.includes(topic)) return [];
+    return this.matchSignals(this.mergeSignals([{ source: 'topic', label: topic }]), { limit });
+  }
+
+  /**
+   * Gather weighted signals from recent journal analysis, chat topics and helpful marks
+   * @returns {Promise<{ signals: Array<object>, helpfulIds: Array }>}
+   */
+  async collectSignals(userId, now = new Date()) {
+    const since = new Date(now.getTime() - WINDOW_DAYS * DAY_MS);
+
+    // Conversations in the trash no longer shape recommendations
+    const trashedConversationIds = await AIConversation.distinct('_id', { userId, deletedAt: { $ne: null } });
+
+    const [entries, messages, helpfulResources] = await Promise.all([
+      JournalEntry.find({ userId, deletedAt: null, status: 'analyzed', createdAt: { $gte: since } })
+        .select('aiAnalysis.themes aiAnalysis.sentiment.primaryEmotions')
+        .lean(),
+      AIMessage.find({
+        userId,
+        role: 'user',
+        createdAt: { $gte: since },
+        conversationId: { $nin: trashedConversationIds },
+        'metadata.topic': { $exists: true, $nin: IGNORED_TOPICS },
+      })
+        .select('metadata.topic')
+        .lean(),
+      this.getHelpfulResources(userId, now),
+    ]);
+
+    const signals = this.mergeSignals([
+      ...entries.flatMap(entry => [
+        ...(entry.aiAnalysis?.themes || []).map(label => ({ source: 'theme', label })),
+        ...(entry.aiAnalysis?.sentiment?.primaryEmotions || []).map(label => ({ source: 'emotion', label })),
+      ]),
+      ...messages.map(message => ({ source: 'topic', label: message.metadata.topic })),
+      ...helpfulResources.map(resource => ({
+        source: 'helpful',
+        label: resource.title,
+        keywords: _.uniqBy([...(resource.tags || []), ...(resource.categories || [])].flatMap(toKeywords), 'word'),
+      })),
+    ]);
+
+    return { signals, helpfulIds: helpfulResources.map(resource => resource._id) };
+  }
+
+  /**
+   * Resources the user marked helpful recently and still does
+   * @returns {Promise<Array<object>>}
+   */
+  async getHelpfulResources(userId, now = new Date()) {
+    const votes = await ResourceInteraction.find({
+      userId,
+      helpful: true,
+      helpfulAt: { $gte: new Date(now.getTime() - HELPFUL_WINDOW_DAYS * DAY_MS) },
+    })
+      .select('resourceId')
+      .lean();
+    if (votes.length === 0) return [];
+
+    return Resource.find({ _id: { $in: votes.map(vote => vote.resourceId) }, isActive: true })
+      .select('title tags categories')
+      .lean();
+  }
+
+  /**
+   * Collapse repeated signals into one weighted signal per source and label
+   * @param {Array<{ source: string, label: string, keywords?: string[] }>} raw
+   * @returns {Array<{ source, label, keywords: Array<{ word, weight }>, weight }>}
+   */
+  mergeSignals(raw) {
+    const merged = new Map();
+    raw.forEach(({ source, label, keywords }) => {
+      const name = normalize(label);
+      if (!name) return;
+      const key = `${source}:${name}`;
+      const existing = merged.get(key);
+      if (existing) {
+        existing.weight += SIGNAL_WEIGHTS[source];
+        return;
+      }
+      const signalKeywords = keywords || toKeywords(name);
+      if (signalKeywords.length === 0) return;
+      merged.set(key, {
+        source,
+        label: source === 'helpful' ? label : name,
+        keywords: signalKeywords,
+        weight: SIGNAL_WEIGHTS[source],
+      });
+    });
+    return [...merged.values()];
+  }
+
+  /**
+   * How well a resource fits each signal; the strongest one becomes the reason
+   * @returns {{ score: number, reason: string|null }}
+   */
+  scoreResource(resource, signals) {
+    const labelWords = tokenize([...(resource.tags || []), ...(resource.categories || [])]);
+    const textWords = tokenize([resource.title, resource.description]);
+
+    let score = 0;
+    let best = null;
+    signals.forEach(signal => {
+      // Count only the signal's best keyword so long labels don't outweigh short ones
+      const match = Math.max(...signal.keywords.map(({ word, weight }) => {
+        if (wordMatches(word, labelWords)) return LABEL_MATCH * weight;
+        if (wordMatches(word, textWords)) return TEXT_MATCH * weight;
+        return 0;
+      }));
+      const contribution = match * signal.weight;
+      score += contribution;
+      if (contribution > 0 && (!best || contribution > best.contribution)) {
+        best = { signal, contribution };
+      }
+    });
+
+    return { score, reason: best ? describeSignal(best.signal) : null };
+  }
+
+  /**
+   * Best-matching active resources for a set of signals, each with a reason
+   * @param {Array<object>} signals - From mergeSignals
+   * @param {object} options - { limit, exclude } exclude is a list of resource ids
+   * @returns {Promise<Array<object>>}
+   */
+  async matchSignals(signals, { limit = DEFAULT_LIMIT, exclude = [] } = {}) {
+    const keywords = _.uniq(
+      _.sortBy(signals, signal => -signal.weight).flatMap(signal => signal.keywords.map(k => k.word.split('-')[0]))
+    ).slice(0, MAX_KEYWORDS);
+    if (keywords.length === 0) return [];
+
+    const pattern = new RegExp(`\\b(${keywords.map(_.escapeRegExp).join('|')})`, 'i');
+    const candidates = await Resource.find({
+      isActive: true,
+      _id: { $nin: exclude },
+      $or: [
+        { tags: pattern },
+        { categories: pattern },
+        { title: pattern },
+        { description: pattern },
+      ],
+    })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    return candidates
+      .map(resource => ({ resource, ...this.scoreResource(resource, signals) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score ||
+        (b.resource.priority || 0) - (a.resource.priority || 0) ||
+        (b.resource.helpfulCount || 0) - (a.resource.helpfulCount || 0))
+      .slice(0, limit)
+      .map(({ resource, reason }) => ({ ...resource, reason }));
+  }
+
+  /**
+   * Featured resources by priority, for when there's nothing personal to go on
+   * @returns {Promise<Array<object>>}
+   */
+  async getFeatured(limit, exclude = []) {
+    if (limit <= 0) return [];
+    const resources = await Resource.find({ isActive: true, isFeatured: true, _id: { $nin: exclude } })
+      .sort({ priority: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+    return resources.map(resource => ({ ...resource, reason: describeSignal({ source: 'featured' }) }));
+  }
+}
+
+export default new ResourceRecommendationService();
@@ -0,0 +1,214 @@
+/**
+ * Resource Search Service
+ * Full-text search over the resource library (title, tags, author, description) with
+ * relevance ranking, filters, facet counts and cursor pagination. Facet counts follow
+ * the usual faceted-search rule: each facet is counted with every filter applied
+ * except its own, so picking "video" still shows how many articles match.
+ */
+
+import _ from 'lodash';
+import mongoose from 'mongoose';
+import { Resource } from '../models/resource.model.js';
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const TOP_CATEGORIES = 20;
+
+export const SORTS = {
+  relevance: 'score',
+  popular: 'viewCount',
+  helpful: 'helpfulCount',
+  newest: 'createdAt',
+};
+
+export const DURATION_BUCKETS = [
+  { value: 'under-5', label: 'Under 5 min', min: 0, max: 5 },
+  { value: '5-15', label: '5-15 min', min: 5, max: 15 },
+  { value: '15-30', label: '15-30 min', min: 15, max: 30 },
+  { value: '30-60', label: '30-60 min', min: 30, max: 60 },
+  { value: 'over-60', label: 'Over an hour', min: 60, max: null },
+];
+const UNKNOWN_DURATION = 'unknown';
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+// "video,audio" or ['video', 'audio'] -> ['video', 'audio']
+const toList = (value) => {
+  if (value == null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+};
+
+const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, v: value, id: String(id) })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw badRequest('Invalid cursor');
+  }
+  if (!decoded || decoded.s !== sort || !mongoose.isValidObjectId(decoded.id)) {
+    throw badRequest('Invalid cursor');
+  }
+  return {
+    value: sort === 'newest' ? new Date(decoded.v) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id),
+  };
+};
+
+class ResourceSearchService {
+  /**
+   * Search active resources
+   * @param {object} params - { q, type, category, language, duration, sort, cursor, limit };
+   *   type/category/language/duration take one value or a comma-separated list
+   * @returns {Promise<{ results, facets, total, sort, nextCursor }>}
+   */
+  async search(params = {}) {
+    const q = String(params.q ?? params.query ?? '').trim().slice(0, MAX_QUERY_LENGTH);
+    const sort = params.sort || (q ? 'relevance' : 'popular');
+    if (!Object.prototype.hasOwnProperty.call(SORTS, sort)) {
+      throw badRequest(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+    }
+    if (sort === 'relevance' && !q) {
+      throw badRequest('Relevance sort needs a search query');
+    }
+    const limit = Math.min(Math.max(parseInt(params.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const filters = this.buildFilters(params);
+    const sortField = SORTS[sort];
+
+    const base = [{ $match: { isActive: true, ...(q && { $text: { $search: q } }) } }];
+    if (q) base.push({ $addFields: { score: { $meta: 'textScore' } } });
+
+    // _id breaks ties so equal counts or scores never repeat or skip across pages
+    const resultStages = [{ $match: this.combine(Object.values(filters)) }];
+    if (params.cursor) {
+      const { value, id } = decodeCursor(params.cursor, sort);
+      resultStages.push({
+        $match: {
+          $or: [
+            { [sortField]: { $lt: value } },
+            { [sortField]: value, _id: { $lt: id } },
+          ],
+        },
+      });
+    }
+    resultStages.push(
+      { $sort: { [sortField]: -1, _id: -1 } },
+      { $limit: limit + 1 }
+    );
+
+    const [result] = await Resource.aggregate([
+      ...base,
+      {
+        $facet: {
+          results: resultStages,
+          total: [{ $match: this.combine(Object.values(filters)) }, { $count: 'count' }],
+          type: this.facetStages(filters, 'type', [
+            { $group: { _id: '$type', count: { $sum: 1 } } },
+          ]),
+          category: this.facetStages(filters, 'category', [
+            { $unwind: '$categories' },
+            { $group: { _id: { $toLower: '$categories' }, count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: TOP_CATEGORIES },
+          ]),
+          language: this.facetStages(filters, 'language', [
+            { $group: { _id: '$language', count: { $sum: 1 } } },
+          ]),
+          duration: this.facetStages(filters, 'duration', [
+            {
+              $bucket: {
+                groupBy: { $ifNull: ['$durationMinutes', -1] },
+                boundaries: [0, ...DURATION_BUCKETS.slice(1).map(b => b.min), Number.MAX_SAFE_INTEGER],
+                default: UNKNOWN_DURATION,
+                output: { count: { $sum: 1 } },
+              },
+            },
+          ]),
+        },
+      },
+    ]);
+
+    const hasMore = result.results.length > limit;
+    const results = result.results.slice(0, limit);
+    const last = results[results.length - 1];
+
+    return {
+      results,
+      facets: this.formatFacets(result),
+      total: result.total[0]?.count || 0,
+      sort,
+      nextCursor: hasMore ? encodeCursor(sort, last[sortField], last._id) : null,
+    };
+  }
+
+  /**
+   * One $match condition per facet, so each facet can leave its own out
+   * @returns {{ type?, category?, language?, duration? }}
+   */
+  buildFilters(params) {
+    const filters = {};
+
+    const types = toList(params.type);
+    if (types.length) filters.type = { type: { $in: types } };
+
+    const categories = toList(params.category);
+    if (categories.length) {
+      filters.category = { categories: { $in: categories.map(c => new RegExp(`^${_.escapeRegExp(c)}$`, 'i')) } };
+    }
+
+    const languages = toList(params.language);
+    if (languages.length) filters.language = { language: { $in: languages } };
+
+    const durations = toList(params.duration);
+    if (durations.length) {
+      const ranges = durations.map(value => {
+        if (value === UNKNOWN_DURATION) return { durationMinutes: null };
+        const bucket = DURATION_BUCKETS.find(b => b.value === value);
+        if (!bucket) throw badRequest(`Unknown duration: ${value}`);
+        return { durationMinutes: { $gte: bucket.min, ...(bucket.max != null && { $lt: bucket.max }) } };
+      });
+      filters.duration = ranges.length === 1 ? ranges[0] : { $or: ranges };
+    }
+
+    return filters;
+  }
+
+  combine(conditions) {
+    return conditions.length ? { $and: conditions } : {};
+  }
+
+  facetStages(filters, facet, stages) {
+    const others = Object.entries(filters).filter(([name]) => name !== facet).map(([, condition]) => condition);
+    return [{ $match: this.combine(others) }, ...stages];
+  }
+
+  formatFacets(result) {
+    const list = (rows) => rows
+      .filter(row => row._id != null && row._id !== '')
+      .map(row => ({ value: row._id, count: row.count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+    const durationCounts = new Map(result.duration.map(row => [row._id, row.count]));
+    const duration = DURATION_BUCKETS
+      .map(({ value, label, min }) => ({ value, label, count: durationCounts.get(min) || 0 }))
+      .filter(bucket => bucket.count > 0);
+    if (durationCounts.get(UNKNOWN_DURATION)) {
+      duration.push({ value: UNKNOWN_DURATION, label: 'Not specified', count: durationCounts.get(UNKNOWN_DURATION) });
+    }
+
+    return {
+      type: list(result.type),
+      category: list(result.category),
+      language: list(result.language),
+      duration,
+    };
+  }
+}
+
+export default new ResourceSearchService();
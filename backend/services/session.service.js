@@ -0,0 +1,227 @@
+/**
+ * Session Service
+ * Persisted refresh-token sessions with rotation, reuse detection and revocation
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/session.model.js';
+import User from '../models/user.model.js';
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const ROTATION_GRACE_MS = 30 * 1000; // Another request presenting the token just replaced lost a race, not a theft
+
+class SessionService {
+  /**
+   * Start a new session for a freshly authenticated user
+   * @param {object} user - User document
+   * @param {Request} req - Express request (for device info)
+   * @returns {Promise<object>} - { accessToken, refreshToken, sessionId }
+   */
+  async createSession(user, req) {
+    const tokenId = this.generateTokenId();
+    const session = await Session.create({
+      userId: user._id,
+      currentTokenHash: this.hashTokenId(tokenId),
+      userAgent: req?.get?.('user-agent')?.substring(0, 300),
+      ipAddress: req?.ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+
+    return this.signTokens(user, session._id, tokenId);
+  }
+
+  /**
+   * Rotate a refresh token. Presenting an already-rotated token revokes the whole session,
+   * unless it was rotated moments ago by a concurrent refresh (REFRESH_RACED).
+   * @param {string} refreshToken
+   * @param {Request} req
+   * @returns {Promise<object>} - { accessToken, refreshToken, sessionId }
+   */
+  async rotate(refreshToken, req) {
+    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+    if (!decoded.sid || !decoded.jti) {
+      throw this.sessionError('Legacy refresh token', 'SESSION_INVALID');
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      throw this.sessionError('User not found', 'SESSION_INVALID');
+    }
+
+    // Compare-and-swap: only the request holding the live token can rotate it
+    const now = new Date();
+    const presentedHash = this.hashTokenId(decoded.jti);
+    const tokenId = this.generateTokenId();
+    const session = await Session.findOneAndUpdate(
+      { _id: decoded.sid, userId: decoded.id, currentTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          currentTokenHash: this.hashTokenId(tokenId),
+          previousTokenHash: presentedHash,
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+          ...(req?.ip && { ipAddress: req.ip }),
+        },
+        $inc: { rotationCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      await this.handleRotationMiss(decoded, presentedHash, now);
+    }
+
+    // Staying signed in counts as activity (reminders stop for long-inactive accounts)
+    await User.updateOne({ _id: user._id }, { lastActive: new Date() });
+
+    return this.signTokens(user, session._id, tokenId);
+  }
+
+  /**
+   * The presented token isn't the live one. Tell a lost race (the token was rotated
+   * moments ago by a parallel request) apart from replay of an older token.
+   * @throws always
+   */
+  async handleRotationMiss(decoded, presentedHash, now) {
+    const session = await Session.findOne({ _id: decoded.sid, userId: decoded.id })
+      .select('+currentTokenHash +previousTokenHash');
+
+    if (!session || session.revokedAt || session.expiresAt <= now) {
+      throw this.sessionError('Session is no longer active', 'SESSION_INVALID');
+    }
+
+    if (session.currentTokenHash === presentedHash) {
+      throw this.sessionError('Refresh token is being rotated, try again', 'REFRESH_RACED');
+    }
+
+    if (session.previousTokenHash === presentedHash && now - session.rotatedAt < ROTATION_GRACE_MS) {
+      throw this.sessionError('Refresh token was just rotated by another request', 'REFRESH_RACED');
+    }
+
+    // An older token in the family was replayed - assume it was stolen and kill the session
+    await this.revokeSession(session._id, session.userId, 'token_reuse');
+    console.warn(`[Session] Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+    throw this.sessionError('Refresh token reuse detected', 'TOKEN_REUSE');
+  }
+
+  /**
+   * Issue fresh tokens within an existing session (e.g. after a role change)
+   * Falls back to a new session if the current one is gone.
+   */
+  async reissue(user, sessionId, req) {
+    const session = sessionId
+      ? await Session.findOne({ _id: sessionId, userId: user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return this.createSession(user, req);
+    }
+
+    const now = new Date();
+    const tokenId = this.generateTokenId();
+    await Session.updateOne(
+      { _id: session._id },
+      [{
+        $set: {
+          previousTokenHash: '$currentTokenHash',
+          currentTokenHash: this.hashTokenId(tokenId),
+          rotatedAt: now,
+          lastUsedAt: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+          rotationCount: { $add: ['$rotationCount', 1] },
+        },
+      }]
+    );
+
+    return this.signTokens(user, session._id, tokenId);
+  }
+
+  /**
+   * Resolve the session a refresh token belongs to without rotating it.
+   * Expired tokens are accepted so logout still works after the token lapses.
+   * @returns {object|null} - { userId, sessionId }
+   */
+  decodeRefreshToken(refreshToken) {
+    try {
+      const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET, { ignoreExpiration: true });
+      return decoded.sid ? { userId: decoded.id, sessionId: decoded.sid } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Revoke a single session
+   * @returns {Promise<boolean>} - Whether an active session was revoked
+   */
+  async revokeSession(sessionId, userId, reason = 'user_revoked') {
+    const result = await Session.updateOne(
+      { _id: sessionId, userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every active session for a user, optionally keeping one
+   * @returns {Promise<number>} - Number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason = 'user_revoked', exceptSessionId = null) {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(query, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+    return result.modifiedCount;
+  }
+
+  /**
+   * List active sessions for a user, most recently used first
+   */
+  async listActiveSessions(userId) {
+    return Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+  }
+
+  signTokens(user, sessionId, tokenId) {
+    const accessToken = jwt.sign(
+      { id: user._id, role: user.role, sid: sessionId },
+      process.env.JWT_ACCESS_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const refreshToken = jwt.sign(
+      { id: user._id, role: user.role, sid: sessionId, jti: tokenId },
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000) }
+    );
+
+    return { accessToken, refreshToken, sessionId };
+  }
+
+  generateTokenId() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashTokenId(tokenId) {
+    return crypto.createHash('sha256').update(tokenId).digest('hex');
+  }
+
+  sessionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+export default new SessionService();
@@ -6,6 +6,8 @@
  */
 
 import aiOrchestratorService from './ai-orchestrator.service.js';
+import promptsService from './prompts.service.js';
+import resourceRecommendationService from './resource-recommendation.service.js';
 import AIMessage from '../models/aiMessage.model.js';
 import AIConversation from '../models/aiConversation.model.js';
 
@@ -46,7 +48,8 @@ class StreamingService {
       // Verify conversation ownership
       const conversation = await AIConversation.findOne({
         _id: conversationId,
-        userId
+        userId,
+        deletedAt: null
       });
 
       if (!conversation) {
@@ -59,8 +62,10 @@ class StreamingService {
       // Save user message first
       const userMsg = await AIMessage.create({
         conversationId,
+        userId,
         role: 'user',
         content: userMessage,
+        metadata: { topic: promptsService.detectTopic(userMessage).topic },
         status: 'delivered',
         createdAt: new Date()
       });
@@ -167,7 +172,10 @@ class StreamingService {
               messageId: aiMsg._id,
               totalChunks: chunkCount,
               finalContent: fullResponse,
-              crisisDetected
+              crisisDetected,
+              recommendations: crisisDetected ? [] : await this.getRecommendations(
+                () => resourceRecommendationService.getForChatTopic(userMsg.metadata.topic)
+              )
             });
 
             // Update conversation stats
@@ -257,10 +265,14 @@ class StreamingService {
       // Perform actual analysis
       const analysis = await aiOrchestratorService.analyzeJournal(journalId);
 
-      // Send completion with full results
+      // Send completion with full results, plus resources matched to the entry
       this.sendEvent(res, 'complete', {
         journalId,
-        analysis
+        analysis,
+        recommendations: await this.getRecommendations(() => resourceRecommendationService.getForJournal({
+          themes: analysis.risk.factors || [],
+          emotions: analysis.sentiment.primaryEmotions || []
+        }))
       });
 
   console.log('[Streaming] Journal analysis stream completed: %s', streamId);
@@ -279,6 +291,18 @@ class StreamingService {
     }
   }
 
+  /**
+   * Resource recommendations for a completion event; a failure here shouldn't fail the stream
+   */
+  async getRecommendations(load) {
+    try {
+      return await load();
+    } catch (error) {
+      console.warn('[Streaming] Failed to load recommendations:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Send SSE event to client
    */
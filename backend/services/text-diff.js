@@ -0,0 +1,116 @@
+/**
+ * Word-level text diff for journal revisions
+ */
+
+// Above this many cells the diff falls back to "replaced everything" instead of
+// building a huge table (the common prefix and suffix are trimmed first, so this
+// only happens when most of a long entry was rewritten)
+const MAX_TABLE_CELLS = 2_000_000;
+
+// Edits changing fewer words than this, and less than MEANINGFUL_RATIO of the entry,
+// are treated as touch-ups (typos, punctuation) that don't need a new analysis
+const MEANINGFUL_MIN_WORDS = 3;
+const MEANINGFUL_RATIO = 0.1;
+
+// Words and the whitespace between them, so joining the tokens gives back the text
+const tokenize = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+
+const normalizedWords = (text) => String(text || '')
+  .toLowerCase()
+  .split(/\s+/)
+  .map(word => word.replace(/[^\p{L}\p{N}']/gu, ''))
+  .filter(Boolean);
+
+/**
+ * Shortest edit script between two token lists
+ * @returns {Array<{ op: 'equal'|'insert'|'delete', tokens: string[] }>}
+ */
+const diffTokens = (before, after) => {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start += 1;
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore -= 1;
+    endAfter -= 1;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const middle = [];
+
+  if (a.length * b.length > MAX_TABLE_CELLS) {
+    middle.push(...a.map(token => ['delete', token]), ...b.map(token => ['insert', token]));
+  } else {
+    // lcs[i][j] = longest common subsequence of a[i:] and b[j:]
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i -= 1) {
+      for (let j = b.length - 1; j >= 0; j -= 1) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        middle.push(['equal', a[i]]);
+        i += 1;
+        j += 1;
+      } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+        middle.push(['insert', b[j]]);
+        j += 1;
+      } else {
+        middle.push(['delete', a[i]]);
+        i += 1;
+      }
+    }
+  }
+
+  const steps = [
+    ...before.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...before.slice(endBefore).map(token => ['equal', token]),
+  ];
+
+  // Merge runs of the same operation
+  const ops = [];
+  for (const [op, token] of steps) {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.tokens.push(token);
+    else ops.push({ op, tokens: [token] });
+  }
+  return ops;
+};
+
+const countWords = (tokens) => tokens.filter(token => /\S/.test(token)).length;
+
+/**
+ * Word-level diff of two texts
+ * @returns {{ ops: Array<{ op: 'equal'|'insert'|'delete', text: string }>, added: number, removed: number }}
+ */
+export const diffText = (before, after) => {
+  const ops = diffTokens(tokenize(before), tokenize(after));
+  return {
+    ops: ops.map(({ op, tokens }) => ({ op, text: tokens.join('') })),
+    added: ops.filter(o => o.op === 'insert').reduce((sum, o) => sum + countWords(o.tokens), 0),
+    removed: ops.filter(o => o.op === 'delete').reduce((sum, o) => sum + countWords(o.tokens), 0),
+  };
+};
+
+/**
+ * Whether an edit changes what the entry says, ignoring case, punctuation and spacing
+ * @returns {boolean}
+ */
+export const isMeaningfulChange = (before, after) => {
+  const a = normalizedWords(before);
+  const b = normalizedWords(after);
+  const changed = diffTokens(a, b)
+    .filter(o => o.op !== 'equal')
+    .reduce((sum, o) => sum + o.tokens.length, 0);
+  if (changed === 0) return false;
+  return changed >= MEANINGFUL_MIN_WORDS || changed / Math.max(a.length, b.length, 1) >= MEANINGFUL_RATIO;
+};
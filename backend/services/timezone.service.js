@@ -0,0 +1,94 @@
+/**
+ * Time Zone Helpers
+ * Day boundaries in a user's own IANA time zone, so "today" for moods, streaks,
+ * AI quotas and reminders matches the student's calendar rather than the server's.
+ *
+ * Day-bucketed documents (MoodLog.date, AIUsageDaily.date) store a calendar day as
+ * UTC midnight of that date, e.g. 2025-03-14 in Tokyo is 2025-03-14T00:00:00.000Z.
+ */
+
+import User from '../models/user.model.js';
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const resolveTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE);
+
+// Wall-clock fields of an instant in a time zone
+export const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+  return Object.fromEntries(parts.filter(p => p.type !== 'literal').map(p => [p.type, Number(p.value)]));
+};
+
+// How far a zone's wall clock is ahead of UTC at an instant, in ms
+const timeZoneOffsetMs = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const wallClockAsUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return wallClockAsUTC - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The instant a zone's wall clock reads the given date and minute of day
+export const zonedTimeToUtc = (year, month, day, minuteOfDay, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minuteOfDay);
+  const firstGuess = wallClock - timeZoneOffsetMs(new Date(wallClock), timeZone);
+  // Re-check the offset at the guessed instant in case a DST change falls in between
+  return new Date(wallClock - timeZoneOffsetMs(new Date(firstGuess), timeZone));
+};
+
+/**
+ * The calendar day an instant falls on in a time zone, as UTC midnight of that date
+ * @returns {Date}
+ */
+export const calendarDay = (date = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const p = zonedParts(new Date(date), timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day));
+};
+
+/**
+ * Shift a calendar day (UTC midnight) by whole days
+ * @returns {Date}
+ */
+export const addDays = (day, days) => new Date(day.getTime() + days * DAY_MS);
+
+/**
+ * YYYY-MM-DD for a calendar day (UTC midnight)
+ * @returns {string}
+ */
+export const dayKey = (day) => day.toISOString().slice(0, 10);
+
+/**
+ * The instant a calendar day (UTC midnight) begins in a time zone
+ * @returns {Date}
+ */
+export const startOfDay = (day, timeZone = DEFAULT_TIME_ZONE) =>
+  zonedTimeToUtc(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), 0, timeZone);
+
+/**
+ * A user's saved time zone, or UTC when they haven't got one yet
+ * @param {string} userId
+ * @returns {Promise<string>}
+ */
+export const getUserTimeZone = async (userId) => {
+  const user = await User.findById(userId).select('timezone').lean();
+  return resolveTimeZone(user?.timezone);
+};
@@ -0,0 +1,237 @@
+/**
+ * Trash Service
+ * Deleting a journal entry or an AI conversation moves it to the trash (sets
+ * `deletedAt`), where it is hidden everywhere but can be restored. After
+ * TRASH_RETENTION_DAYS (default 30) the purge job deletes it for good, together
+ * with everything hanging off it; users can also delete from the trash right away.
+ */
+
+import mongoose from 'mongoose';
+import JournalEntry from '../models/journalEntry.model.js';
+import JournalRevision from '../models/journalRevision.model.js';
+import JournalShare from '../models/journalShare.model.js';
+import CounselorNote from '../models/counselorNote.model.js';
+import AIConversation from '../models/aiConversation.model.js';
+import AIMessage from '../models/aiMessage.model.js';
+import journalSharingService from './journal-sharing.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+const PURGE_BATCH_SIZE = 200;
+const MAX_TRASH_LISTED = 200;
+
+const trashError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + RETENTION_DAYS * DAY_MS);
+
+class TrashService {
+  get retentionDays() {
+    return RETENTION_DAYS;
+  }
+
+  /**
+   * Move a journal entry to the trash
+   * @returns {Promise<object>} - The trashed entry
+   */
+  async trashJournal(userId, journalId) {
+    if (!mongoose.isValidObjectId(journalId)) throw trashError(404, 'Journal not found');
+    const journal = await JournalEntry.findOneAndUpdate(
+      { _id: journalId, userId, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+    if (!journal) throw trashError(404, 'Journal not found');
+    return journal;
+  }
+
+  /**
+   * Take a journal entry back out of the trash
+   * @returns {Promise<object>} - The restored entry
+   */
+  async restoreJournal(userId, journalId) {
+    if (!mongoose.isValidObjectId(journalId)) throw trashError(404, 'Journal not found in trash');
+    const journal = await JournalEntry.findOneAndUpdate(
+      { _id: journalId, userId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+    if (!journal) throw trashError(404, 'Journal not found in trash');
+
+    // An active date-range share may cover it again
+    journalSharingService.refreshVisibility(userId).catch(e => {
+      console.warn('[Trash] Failed to refresh journal visibility', e?.message);
+    });
+    return journal;
+  }
+
+  /**
+   * Delete a trashed journal entry for good
+   */
+  async deleteJournalForever(userId, journalId) {
+    if (!mongoose.isValidObjectId(journalId)) throw trashError(404, 'Journal not found in trash');
+    const journal = await JournalEntry.exists({ _id: journalId, userId, deletedAt: { $ne: null } });
+    if (!journal) throw trashError(404, 'Journal not found in trash');
+    await this.purgeJournals([journal._id]);
+  }
+
+  /**
+   * Move an AI conversation to the trash
+   * @returns {Promise<object>} - The trashed conversation
+   */
+  async trashConversation(userId, conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) throw trashError(404, 'Conversation not found');
+    const conversation = await AIConversation.findOneAndUpdate(
+      { _id: conversationId, userId, deletedAt: null },
+      { $set: { deletedAt: new Date() } },
+      { new: true }
+    );
+    if (!conversation) throw trashError(404, 'Conversation not found');
+    return conversation;
+  }
+
+  /**
+   * Take an AI conversation back out of the trash
+   * @returns {Promise<object>} - The restored conversation
+   */
+  async restoreConversation(userId, conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) throw trashError(404, 'Conversation not found in trash');
+    const conversation = await AIConversation.findOneAndUpdate(
+      { _id: conversationId, userId, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null } },
+      { new: true }
+    );
+    if (!conversation) throw trashError(404, 'Conversation not found in trash');
+    return conversation;
+  }
+
+  /**
+   * Delete a trashed AI conversation and its messages for good
+   * @returns {Promise<number>} - Messages deleted
+   */
+  async deleteConversationForever(userId, conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) throw trashError(404, 'Conversation not found in trash');
+    const conversation = await AIConversation.exists({ _id: conversationId, userId, deletedAt: { $ne: null } });
+    if (!conversation) throw trashError(404, 'Conversation not found in trash');
+    const { messages } = await this.purgeConversations([conversation._id]);
+    return messages;
+  }
+
+  /**
+   * Trashed journal entries, most recently deleted first
+   * @returns {Promise<{ journals: Array, retentionDays: number }>}
+   */
+  async listJournals(userId) {
+    const journals = await JournalEntry.find({ userId, deletedAt: { $ne: null } })
+      .select('content e2e mood tags status createdAt updatedAt deletedAt')
+      .sort({ deletedAt: -1 })
+      .limit(MAX_TRASH_LISTED)
+      .lean();
+
+    return {
+      journals: journals.map(journal => ({ ...journal, purgeAt: purgeAt(journal.deletedAt) })),
+      retentionDays: RETENTION_DAYS,
+    };
+  }
+
+  /**
+   * Trashed AI conversations, most recently deleted first
+   * @returns {Promise<{ conversations: Array, retentionDays: number }>}
+   */
+  async listConversations(userId) {
+    const conversations = await AIConversation.find({ userId, deletedAt: { $ne: null } })
+      .sort({ deletedAt: -1 })
+      .limit(MAX_TRASH_LISTED)
+      .lean();
+
+    return {
+      conversations: conversations.map(conversation => ({ ...conversation, purgeAt: purgeAt(conversation.deletedAt) })),
+      retentionDays: RETENTION_DAYS,
+    };
+  }
+
+  /**
+   * Hard-delete journal entries with their revisions, counselor notes, share references
+   * and the reflection conversations about them (which quote the entry)
+   * @returns {Promise<number>} - Entries deleted
+   */
+  async purgeJournals(journalIds) {
+    if (!journalIds.length) return 0;
+
+    const reflections = await AIConversation.find({ journalEntryId: { $in: journalIds } }).select('_id').lean();
+
+    const [journals] = await Promise.all([
+      JournalEntry.deleteMany({ _id: { $in: journalIds } }),
+      JournalRevision.deleteMany({ journalId: { $in: journalIds } }),
+      CounselorNote.deleteMany({ journalId: { $in: journalIds } }),
+      JournalShare.updateMany({ journalIds: { $in: journalIds } }, { $pull: { journalIds: { $in: journalIds } } }),
+      this.purgeConversations(reflections.map(conversation => conversation._id)),
+    ]);
+    return journals.deletedCount;
+  }
+
+  /**
+   * Hard-delete AI conversations and their messages
+   * @returns {Promise<{ conversations: number, messages: number }>}
+   */
+  async purgeConversations(conversationIds) {
+    if (!conversationIds.length) return { conversations: 0, messages: 0 };
+
+    const [messages, conversations] = await Promise.all([
+      AIMessage.deleteMany({ conversationId: { $in: conversationIds } }),
+      AIConversation.deleteMany({ _id: { $in: conversationIds } }),
+    ]);
+    return { conversations: conversations.deletedCount, messages: messages.deletedCount };
+  }
+
+  /**
+   * Delete everything that has been in the trash longer than the retention period
+   * @returns {Promise<{ journals: number, conversations: number }>}
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+    const purged = { journals: 0, conversations: 0 };
+
+    for (;;) {
+      const batch = await JournalEntry.find({ deletedAt: { $lte: cutoff } }).select('_id').limit(PURGE_BATCH_SIZE).lean();
+      if (!batch.length) break;
+      purged.journals += await this.purgeJournals(batch.map(journal => journal._id));
+      if (batch.length < PURGE_BATCH_SIZE) break;
+    }
+
+    for (;;) {
+      const batch = await AIConversation.find({ deletedAt: { $lte: cutoff } }).select('_id').limit(PURGE_BATCH_SIZE).lean();
+      if (!batch.length) break;
+      purged.conversations += (await this.purgeConversations(batch.map(conversation => conversation._id))).conversations;
+      if (batch.length < PURGE_BATCH_SIZE) break;
+    }
+
+    return purged;
+  }
+
+  /**
+   * Run the purge shortly after startup and then every hour
+   * @returns {object} - { stop() }
+   */
+  startPurgeJob() {
+    const run = async () => {
+      try {
+        const { journals, conversations } = await this.purgeExpired();
+        if (journals || conversations) {
+          console.log(`🧹 Emptied ${journals} journal entr${journals === 1 ? 'y' : 'ies'} and ${conversations} conversation(s) from the trash`);
+        }
+      } catch (error) {
+        console.error('Trash purge job failed:', error);
+      }
+    };
+
+    run();
+    const timer = setInterval(run, PURGE_INTERVAL_MS);
+    timer.unref();
+
+    console.log(`🧹 Trash purge job scheduled (${RETENTION_DAYS}-day retention)`);
+    return { stop: () => clearInterval(timer) };
+  }
+}
+
+export default new TrashService();
@@ -28,7 +28,10 @@ import {
 import Link from "next/link"
 import ProfileDropdown from "@/components/ProfileDropdown"
 import { AdminCharts } from "@/components/AdminCharts"
+import { CrisisCaseManager } from "@/components/CrisisCaseManager"
 import { adminAPI, forumAPI } from "@/lib/api"
+import { useSocket } from "@/hooks/use-socket"
+import { useToast } from "@/hooks/use-toast"
 
 export default function AdminDashboard() {
   const [timeRange, setTimeRange] = useState("7d")
@@ -43,7 +46,15 @@ export default function AdminDashboard() {
   const [searchPosts, setSearchPosts] = useState("")
   const [totalPosts, setTotalPosts] = useState(0)
   const [moderationEnabled, setModerationEnabled] = useState(true)
+  const [riskAlerts, setRiskAlerts] = useState<any[]>([])
+  const [usageData, setUsageData] = useState<{ date: string; users: number; sessions: number; journalEntries: number }[]>([])
   const router = useRouter()
+  const { toast } = useToast()
+
+  // Socket.IO for real-time crisis alerts
+  const { connected: socketConnected, on, off } = useSocket({
+    autoConnect: true
+  })
 
   useEffect(() => {
     // Check admin authentication
@@ -86,8 +97,67 @@ export default function AdminDashboard() {
     // Load reported posts
     loadReportedPosts()
     loadAllPosts()
+    loadRiskAlerts()
   }, [router])
 
+  // Daily usage from the nightly MetricsDaily aggregation
+  useEffect(() => {
+    const loadMetrics = async () => {
+      try {
+        const days = timeRange === "30d" ? 30 : 7
+        const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+        const metrics = await adminAPI.getMetrics({ from })
+        if (Array.isArray(metrics)) {
+          setUsageData(metrics.map((m: any) => ({
+            date: new Date(m.date).toLocaleDateString(undefined, days > 7
+              ? { month: "short", day: "numeric", timeZone: "UTC" }
+              : { weekday: "short", timeZone: "UTC" }),
+            users: m.dau || 0,
+            sessions: m.sessions || 0,
+            journalEntries: m.journalCount || 0,
+          })))
+        }
+      } catch (error) {
+        console.error('Failed to load usage metrics:', error)
+      }
+    }
+
+    loadMetrics()
+  }, [timeRange])
+
+  // Surface crisis alerts as they happen (the server puts admin sockets in the admin role room)
+  useEffect(() => {
+    if (!socketConnected) return
+
+    const handleCrisisAlert = (alert: any) => {
+      toast({
+        title: alert.title,
+        description: alert.body,
+        variant: "destructive",
+      })
+      loadRiskAlerts()
+    }
+
+    on('crisis:alert', handleCrisisAlert)
+    on('crisis:escalated', handleCrisisAlert)
+
+    return () => {
+      off('crisis:alert', handleCrisisAlert)
+      off('crisis:escalated', handleCrisisAlert)
+    }
+  }, [socketConnected, on, off, toast])
+
+  const loadRiskAlerts = async () => {
+    try {
+      const response = await adminAPI.getRiskAlerts()
+      if (Array.isArray(response)) {
+        setRiskAlerts(response)
+      }
+    } catch (error) {
+      console.error('Failed to load risk alerts:', error)
+    }
+  }
+
   const loadAllPosts = async () => {
     try {
       setLoadingAllPosts(true)
@@ -221,16 +291,6 @@ export default function AdminDashboard() {
   }
 
   // Mock data for charts
-  const usageData = [
-    { date: "Mon", users: 45, sessions: 67, journalEntries: 23 },
-    { date: "Tue", users: 52, sessions: 78, journalEntries: 31 },
-    { date: "Wed", users: 48, sessions: 71, journalEntries: 28 },
-    { date: "Thu", users: 61, sessions: 89, journalEntries: 35 },
-    { date: "Fri", users: 55, sessions: 82, journalEntries: 29 },
-    { date: "Sat", users: 38, sessions: 54, journalEntries: 18 },
-    { date: "Sun", users: 42, sessions: 61, journalEntries: 22 },
-  ]
-
   const mentalHealthTrends = [
     { category: "Anxiety", count: 156, percentage: 35, trend: "up" },
     { category: "Academic Stress", count: 134, percentage: 30, trend: "up" },
@@ -245,32 +305,6 @@ export default function AdminDashboard() {
     { name: "Sleep Issues", value: 15, color: "#22c55e" },
   ]
 
-  const riskAlerts = [
-    {
-      id: "1",
-      type: "high",
-      message: "User reported suicidal ideation in journal entry",
-      timestamp: "2 minutes ago",
-      action: "Crisis intervention initiated",
-    },
-    {
-      id: "2",
-      type: "medium",
-      message: "Spike in anxiety-related posts in forum",
-      timestamp: "15 minutes ago",
-      action: "Monitoring increased",
-    },
-    {
-      id: "3",
-      type: "medium",
-      message: "User missed 3 consecutive counseling appointments",
-      timestamp: "1 hour ago",
-      action: "Outreach scheduled",
-    },
-  ]
-
-  
-
   const forumStats = {
     totalPosts: 1247,
     activeUsers: 89,
@@ -315,23 +349,27 @@ export default function AdminDashboard() {
             </CardHeader>
             <CardContent>
               <div className="space-y-3">
-                {riskAlerts.map((alert) => (
+                {riskAlerts.slice(0, 5).map((alert) => (
                   <div
-                    key={alert.id}
+                    key={alert._id}
                     className={`p-3 rounded-lg border ${
-                      alert.type === "high" ? "border-red-300 bg-red-100" : "border-yellow-300 bg-yellow-100"
+                      alert.riskLevel === "high" ? "border-red-300 bg-red-100" : "border-yellow-300 bg-yellow-100"
                     }`}
                   >
                     <div className="flex items-start justify-between">
                       <div>
-                        <p className="font-medium text-sm">{alert.message}</p>
-                        <p className="text-xs text-muted-foreground mt-1">{alert.timestamp}</p>
+                        <p className="font-medium text-sm">
+                          {alert.userId ? `${alert.userId.firstName || ''} ${alert.userId.lastName || ''}`.trim() : 'Unknown user'} ({alert.source}): {alert.messagePreview}
+                        </p>
+                        <p className="text-xs text-muted-foreground mt-1">{formatTimeAgo(alert.createdAt)}</p>
                       </div>
-                      <Badge variant={alert.type === "high" ? "destructive" : "secondary"}>
-                        {alert.type === "high" ? "High Risk" : "Medium Risk"}
+                      <Badge variant={alert.riskLevel === "high" ? "destructive" : "secondary"}>
+                        {alert.riskLevel === "high" ? "High Risk" : "Medium Risk"}
                       </Badge>
                     </div>
-                    <p className="text-xs mt-2 font-medium">Action: {alert.action}</p>
+                    <p className="text-xs mt-2 font-medium">
+                      Status: {alert.status}{alert.assignedTo ? ` · Assigned to ${alert.assignedTo.firstName || ''} ${alert.assignedTo.lastName || ''}`.trimEnd() : ' · Unassigned'}
+                    </p>
                   </div>
                 ))}
               </div>
@@ -407,8 +445,9 @@ export default function AdminDashboard() {
         </div>
 
         <Tabs defaultValue="analytics" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-4">
+          <TabsList className="grid w-full grid-cols-5">
             <TabsTrigger value="analytics">Analytics</TabsTrigger>
+            <TabsTrigger value="crisis">Crisis Cases</TabsTrigger>
             <TabsTrigger value="trends">Mental Health Trends</TabsTrigger>
             <TabsTrigger value="forum">Forum Management</TabsTrigger>
             <TabsTrigger value="all-posts">All Posts</TabsTrigger>
@@ -706,6 +745,10 @@ export default function AdminDashboard() {
             </Card>
           </TabsContent>
 
+          <TabsContent value="crisis" className="space-y-6">
+            <CrisisCaseManager formatTimeAgo={formatTimeAgo} />
+          </TabsContent>
+
           <TabsContent value="all-posts" className="space-y-6">
             {/* All Posts Management */}
             <Card>
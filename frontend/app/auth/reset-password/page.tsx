@@ -0,0 +1,268 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import OtpInput from 'react-otp-input';
+import { authAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, KeyRound, ArrowLeft, CheckCircle2, Eye, EyeOff } from 'lucide-react';
+
+export default function ResetPasswordPage() {
+  const router = useRouter();
+  const [email, setEmail] = useState('');
+  const [otp, setOtp] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [resendLoading, setResendLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [resendCountdown, setResendCountdown] = useState(60);
+
+  useEffect(() => {
+    // Get email from localStorage (set on the forgot password page)
+    const pendingEmail = localStorage.getItem('zenly_pending_reset_email');
+    if (!pendingEmail) {
+      router.push('/auth/forgot-password');
+      return;
+    }
+    setEmail(pendingEmail);
+  }, [router]);
+
+  // Resend countdown timer
+  useEffect(() => {
+    if (resendCountdown > 0) {
+      const timer = setTimeout(() => setResendCountdown(resendCountdown - 1), 1000);
+      return () => clearTimeout(timer);
+    }
+  }, [resendCountdown]);
+
+  const handleReset = async (e: React.FormEvent) => {
+    e.preventDefault();
+
+    if (otp.length !== 6) {
+      setError('Please enter the 6-digit code from your email');
+      return;
+    }
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await authAPI.resetPassword(email, otp, password);
+
+      if (result.success) {
+        setSuccess('Password reset successfully! Redirecting to sign in...');
+        setTimeout(() => {
+          router.push('/auth/login');
+        }, 1500);
+      } else {
+        setError(result.error || 'Password reset failed');
+        setOtp('');
+      }
+    } catch (err: any) {
+      setError(err.message || 'Password reset failed. Please try again.');
+      setOtp('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setResendLoading(true);
+    setError('');
+    setSuccess('');
+
+    try {
+      const result = await authAPI.requestPasswordReset(email);
+      if (result.success) {
+        setSuccess('If the email matches an account, a new code is on its way.');
+        setResendCountdown(60); // 60 second cooldown
+        setOtp('');
+      }
+    } catch (err: any) {
+      setError(err.message || 'Failed to resend code. Please try again.');
+    } finally {
+      setResendLoading(false);
+    }
+  };
+
+  const handleBack = () => {
+    localStorage.removeItem('zenly_pending_reset_email');
+    router.push('/auth/forgot-password');
+  };
+
+  const completed = success !== '' && success.startsWith('Password reset');
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <div className="flex items-center justify-between">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleBack}
+              className="mb-2"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back
+            </Button>
+          </div>
+          <div className="flex justify-center mb-4">
+            <div className="p-3 bg-blue-100 dark:bg-blue-900 rounded-full">
+              <KeyRound className="h-8 w-8 text-blue-600 dark:text-blue-400" />
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">Choose a New Password</CardTitle>
+          <CardDescription className="text-center">
+            Enter the 6-digit code we sent to
+            <br />
+            <span className="font-semibold text-foreground">{email}</span>
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <form onSubmit={handleReset} className="space-y-6">
+            {error && (
+              <Alert variant="destructive">
+                <AlertDescription>{error}</AlertDescription>
+              </Alert>
+            )}
+
+            {success && (
+              <Alert className="border-green-200 bg-green-50 dark:bg-green-900/20">
+                <CheckCircle2 className="h-4 w-4 text-green-600 dark:text-green-400" />
+                <AlertDescription className="text-green-600 dark:text-green-400">
+                  {success}
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <div className="flex justify-center">
+              <OtpInput
+                value={otp}
+                onChange={setOtp}
+                numInputs={6}
+                renderInput={(props) => (
+                  <input
+                    {...props}
+                    className="!w-12 h-14 mx-1 text-center text-xl font-semibold border-2 border-gray-300 dark:border-gray-600 rounded-lg focus:border-blue-500 focus:ring-2 focus:ring-blue-200 dark:focus:ring-blue-800 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 transition-all"
+                    disabled={loading || completed}
+                  />
+                )}
+                shouldAutoFocus
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="password">New Password</Label>
+              <div className="relative">
+                <Input
+                  id="password"
+                  type={showPassword ? 'text' : 'password'}
+                  placeholder="At least 8 characters"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  required
+                  className="h-11 pr-10"
+                  disabled={completed}
+                />
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
+                  onClick={() => setShowPassword(!showPassword)}
+                >
+                  {showPassword ? (
+                    <EyeOff className="h-4 w-4 text-muted-foreground" />
+                  ) : (
+                    <Eye className="h-4 w-4 text-muted-foreground" />
+                  )}
+                </Button>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="confirmPassword">Confirm New Password</Label>
+              <Input
+                id="confirmPassword"
+                type={showPassword ? 'text' : 'password'}
+                placeholder="Re-enter your new password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                className="h-11"
+                disabled={completed}
+              />
+            </div>
+
+            <Button
+              type="submit"
+              disabled={loading || otp.length !== 6 || completed}
+              className="w-full"
+              size="lg"
+            >
+              {loading ? (
+                <>
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  Resetting...
+                </>
+              ) : completed ? (
+                <>
+                  <CheckCircle2 className="mr-2 h-4 w-4" />
+                  Password Updated
+                </>
+              ) : (
+                'Reset Password'
+              )}
+            </Button>
+
+            <div className="text-center space-y-2">
+              <p className="text-sm text-muted-foreground">
+                Didn't receive the code?
+              </p>
+              <Button
+                type="button"
+                variant="link"
+                onClick={handleResend}
+                disabled={resendLoading || resendCountdown > 0 || completed}
+                className="text-sm"
+              >
+                {resendLoading ? (
+                  <>
+                    <Loader2 className="mr-2 h-3 w-3 animate-spin" />
+                    Sending...
+                  </>
+                ) : resendCountdown > 0 ? (
+                  `Resend code in ${resendCountdown}s`
+                ) : (
+                  'Resend reset code'
+                )}
+              </Button>
+            </div>
+
+            <div className="text-center text-xs text-muted-foreground space-y-1">
+              <p>The code expires in 10 minutes and works only once</p>
+              <p>Resetting your password signs you out on all devices</p>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -11,6 +11,7 @@ import { Input } from "@/components/ui/input"
 import { ScrollArea } from "@/components/ui/scroll-area"
 import { Separator } from "@/components/ui/separator"
 import { useToast } from "@/hooks/use-toast"
+import ResourceRecommendations, { type RecommendedResource } from "@/components/ResourceRecommendations"
 import {
   Heart,
   Bot,
@@ -46,6 +47,7 @@ interface Message {
     riskLevel?: "low" | "medium" | "high"
     model?: string
   }
+  recommendations?: RecommendedResource[]
 }
 
 interface Conversation {
@@ -495,8 +497,8 @@ export default function ChatPage() {
         }
 
         toast({
-          title: "Conversation deleted",
-          description: `Deleted conversation and ${data.deletedMessages || 0} messages`,
+          title: "Moved to trash",
+          description: `You can restore it from the trash for ${data.retentionDays} days`,
         })
       }
     } catch (error) {
@@ -564,7 +566,15 @@ export default function ChatPage() {
                 <h1 className="text-xl font-semibold">AI Chat</h1>
               </div>
             </div>
-            <ProfileDropdown />
+            <div className="flex items-center gap-2">
+              <Link href="/trash">
+                <Button variant="ghost" size="sm">
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Trash
+                </Button>
+              </Link>
+              <ProfileDropdown />
+            </div>
           </div>
         </div>
       </header>
@@ -740,6 +750,11 @@ export default function ChatPage() {
                             </span>
                             {isUser && getStatusIcon(message.status)}
                           </div>
+                          {!isUser && message.recommendations && message.recommendations.length > 0 && (
+                            <div className="px-4 pb-3">
+                              <ResourceRecommendations resources={message.recommendations} />
+                            </div>
+                          )}
                         </div>
                       </div>
                     )
@@ -0,0 +1,348 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Textarea } from "@/components/ui/textarea"
+import { useToast } from "@/hooks/use-toast"
+import { useSocket } from "@/hooks/use-socket"
+import { useAuth } from "@/hooks/use-auth"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { ArrowLeft, BookOpen, Loader2, Lock, NotebookPen, Pencil, Trash2, Users } from "lucide-react"
+import { counselorAPI } from "@/lib/api"
+
+type Student = {
+  _id: string
+  firstName?: string
+  lastName?: string
+  name: string
+  university?: string
+}
+
+type SharingStudent = {
+  student: Student
+  shares: { _id: string; scope: "entries" | "range"; entryCount?: number; from?: string; to?: string; message?: string; expiresAt: string }[]
+}
+
+type SharedEntry = {
+  _id: string
+  content: string
+  mood?: number
+  tags?: string[]
+  createdAt: string
+  aiAnalysis?: {
+    summary?: string
+    insights?: string[]
+    sentiment?: { label?: string; score?: number; primaryEmotions?: string[] }
+    riskAssessment?: { level?: "low" | "medium" | "high"; factors?: string[] }
+    themes?: string[]
+    suggestedActions?: string[]
+  }
+}
+
+type CounselorNote = {
+  _id: string
+  content: string
+  createdAt: string
+  updatedAt: string
+}
+
+const studentName = (student: Student) =>
+  [student.firstName, student.lastName].filter(Boolean).join(" ") || student.name
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })
+
+const riskVariant = (level?: string) => (level === "high" ? "destructive" : level === "medium" ? "default" : "secondary")
+
+export default function SharedJournalsPage() {
+  const { user, loading: authLoading } = useAuth()
+  const [students, setStudents] = useState<SharingStudent[]>([])
+  const [studentId, setStudentId] = useState<string | null>(null)
+  const [entries, setEntries] = useState<SharedEntry[]>([])
+  const [loadingEntries, setLoadingEntries] = useState(false)
+  const [selectedEntry, setSelectedEntry] = useState<SharedEntry | null>(null)
+  const [notes, setNotes] = useState<CounselorNote[]>([])
+  const [noteDraft, setNoteDraft] = useState("")
+  const [editingNoteId, setEditingNoteId] = useState<string | null>(null)
+  const [savingNote, setSavingNote] = useState(false)
+  const { toast } = useToast()
+  const { connected: socketConnected, on, off } = useSocket()
+
+  const isCounselor = user?.role === "counselor"
+
+  const loadStudents = useCallback(() => {
+    counselorAPI.listSharingStudents()
+      .then((res) => { if (res.success) setStudents(res.data) })
+      .catch((err) => console.error("Failed to load students:", err))
+  }, [])
+
+  useEffect(() => {
+    if (authLoading || !isCounselor) return
+    loadStudents()
+    // Opened from a "journal shared" notification
+    const requested = new URLSearchParams(window.location.search).get("studentId")
+    if (requested) setStudentId(requested)
+  }, [authLoading, isCounselor, loadStudents])
+
+  useEffect(() => {
+    if (!socketConnected) return
+
+    const handleNotification = (notification: any) => {
+      if (notification.type === "journal_shared") loadStudents()
+    }
+
+    on("notification:new", handleNotification)
+    return () => off("notification:new", handleNotification)
+  }, [socketConnected, on, off, loadStudents])
+
+  useEffect(() => {
+    if (!studentId) return
+    setSelectedEntry(null)
+    setLoadingEntries(true)
+    counselorAPI.listSharedJournals(studentId)
+      .then((res) => { if (res.success) setEntries(res.data) })
+      .catch((err) => toast({ title: "Couldn't load entries", description: err.message, variant: "destructive" }))
+      .finally(() => setLoadingEntries(false))
+  }, [studentId, toast])
+
+  const openEntry = async (entry: SharedEntry) => {
+    setSelectedEntry(entry)
+    setNotes([])
+    setNoteDraft("")
+    setEditingNoteId(null)
+    try {
+      const [entryRes, notesRes] = await Promise.all([
+        counselorAPI.getSharedJournal(entry._id),
+        counselorAPI.listNotes(entry._id),
+      ])
+      if (entryRes.success) setSelectedEntry(entryRes.data)
+      if (notesRes.success) setNotes(notesRes.data)
+    } catch (error: any) {
+      // Access may have just been revoked
+      toast({ title: "Entry unavailable", description: error.message, variant: "destructive" })
+      setSelectedEntry(null)
+      loadStudents()
+    }
+  }
+
+  const handleSaveNote = async () => {
+    if (!selectedEntry || !noteDraft.trim()) return
+    setSavingNote(true)
+    try {
+      if (editingNoteId) {
+        const res = await counselorAPI.updateNote(editingNoteId, noteDraft)
+        setNotes((current) => current.map((note) => (note._id === editingNoteId ? res.data : note)))
+      } else {
+        const res = await counselorAPI.addNote(selectedEntry._id, noteDraft)
+        setNotes((current) => [...current, res.data])
+      }
+      setNoteDraft("")
+      setEditingNoteId(null)
+    } catch (error: any) {
+      toast({ title: "Couldn't save note", description: error.message, variant: "destructive" })
+    } finally {
+      setSavingNote(false)
+    }
+  }
+
+  const handleDeleteNote = async (noteId: string) => {
+    try {
+      await counselorAPI.deleteNote(noteId)
+      setNotes((current) => current.filter((note) => note._id !== noteId))
+    } catch (error: any) {
+      toast({ title: "Couldn't delete note", description: error.message, variant: "destructive" })
+    }
+  }
+
+  if (authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  if (!isCounselor) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-muted-foreground">
+        This page is for counselors.
+      </div>
+    )
+  }
+
+  const current = students.find((s) => s.student._id === studentId)
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <nav className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-40">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Link href="/counselor" className="-ml-2 mr-2">
+              <Button variant="ghost" size="sm">
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            </Link>
+            <BookOpen className="h-6 w-6 text-primary" />
+            <h1 className="text-2xl font-bold">Shared Journals</h1>
+          </div>
+          <ProfileDropdown />
+        </div>
+      </nav>
+
+      <div className="container mx-auto px-4 py-8 grid lg:grid-cols-4 gap-6">
+        {/* Students */}
+        <Card className="lg:col-span-1">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Users className="h-5 w-5 text-primary" />
+              Students
+            </CardTitle>
+            <CardDescription>Students currently sharing entries with you.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {students.length === 0 && <p className="text-sm text-muted-foreground">No active shares.</p>}
+            {students.map(({ student, shares }) => (
+              <button
+                key={student._id}
+                onClick={() => setStudentId(student._id)}
+                className={`w-full text-left rounded-lg border p-3 transition-colors ${studentId === student._id ? "border-primary bg-primary/5" : "hover:bg-muted"}`}
+              >
+                <p className="font-medium">{studentName(student)}</p>
+                <p className="text-xs text-muted-foreground">
+                  Until {formatDate(shares.map((s) => s.expiresAt).sort().reverse()[0])}
+                </p>
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Entries */}
+        <Card className="lg:col-span-1">
+          <CardHeader>
+            <CardTitle className="text-lg">{current ? studentName(current.student) : "Entries"}</CardTitle>
+            {current?.shares.map((share) => share.message && (
+              <CardDescription key={share._id}>“{share.message}”</CardDescription>
+            ))}
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {!studentId && <p className="text-sm text-muted-foreground">Choose a student.</p>}
+            {loadingEntries && <Loader2 className="h-5 w-5 animate-spin text-primary mx-auto" />}
+            {studentId && !loadingEntries && entries.length === 0 && (
+              <p className="text-sm text-muted-foreground">No entries are shared with you right now.</p>
+            )}
+            {entries.map((entry) => (
+              <button
+                key={entry._id}
+                onClick={() => openEntry(entry)}
+                className={`w-full text-left rounded-lg border p-3 transition-colors ${selectedEntry?._id === entry._id ? "border-primary bg-primary/5" : "hover:bg-muted"}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium">{formatDate(entry.createdAt)}</span>
+                  {entry.aiAnalysis?.riskAssessment?.level && entry.aiAnalysis.riskAssessment.level !== "low" && (
+                    <Badge variant={riskVariant(entry.aiAnalysis.riskAssessment.level)} className="capitalize">
+                      {entry.aiAnalysis.riskAssessment.level} risk
+                    </Badge>
+                  )}
+                </div>
+                <p className="text-xs text-muted-foreground line-clamp-2">{entry.content}</p>
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        {/* Entry detail */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2 text-lg">
+              <Lock className="h-4 w-4 text-muted-foreground" />
+              {selectedEntry ? formatDateTime(selectedEntry.createdAt) : "Entry"}
+            </CardTitle>
+            <CardDescription>Read-only. The student can see each time you open an entry.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-5">
+            {!selectedEntry && <p className="text-sm text-muted-foreground">Select an entry to read it.</p>}
+            {selectedEntry && (
+              <>
+                <div className="flex flex-wrap gap-2">
+                  {selectedEntry.mood && <Badge variant="outline">Mood {selectedEntry.mood}/10</Badge>}
+                  {selectedEntry.tags?.map((tag) => <Badge key={tag} variant="secondary">#{tag}</Badge>)}
+                </div>
+                <p className="whitespace-pre-wrap text-sm leading-relaxed">{selectedEntry.content}</p>
+
+                {selectedEntry.aiAnalysis?.summary && (
+                  <div className="rounded-lg bg-muted/50 p-4 space-y-2 text-sm">
+                    <p className="font-medium">AI analysis</p>
+                    <p>{selectedEntry.aiAnalysis.summary}</p>
+                    <div className="flex flex-wrap gap-2">
+                      {selectedEntry.aiAnalysis.sentiment?.label && (
+                        <Badge variant="outline" className="capitalize">{selectedEntry.aiAnalysis.sentiment.label}</Badge>
+                      )}
+                      {selectedEntry.aiAnalysis.riskAssessment?.level && (
+                        <Badge variant={riskVariant(selectedEntry.aiAnalysis.riskAssessment.level)} className="capitalize">
+                          {selectedEntry.aiAnalysis.riskAssessment.level} risk
+                        </Badge>
+                      )}
+                      {selectedEntry.aiAnalysis.themes?.map((theme) => <Badge key={theme} variant="secondary">{theme}</Badge>)}
+                    </div>
+                    {!!selectedEntry.aiAnalysis.insights?.length && (
+                      <ul className="list-disc pl-5 text-muted-foreground">
+                        {selectedEntry.aiAnalysis.insights.map((insight, i) => <li key={i}>{insight}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                {/* Private notes */}
+                <div className="space-y-3 border-t pt-4">
+                  <p className="font-medium flex items-center gap-2">
+                    <NotebookPen className="h-4 w-4 text-primary" />
+                    Your private notes
+                  </p>
+                  {notes.map((note) => (
+                    <div key={note._id} className="rounded-md border p-3 text-sm">
+                      <p className="whitespace-pre-wrap">{note.content}</p>
+                      <div className="flex items-center justify-between mt-2 text-xs text-muted-foreground">
+                        <span>{formatDateTime(note.updatedAt)}</span>
+                        <span className="flex gap-1">
+                          <Button size="sm" variant="ghost" onClick={() => { setEditingNoteId(note._id); setNoteDraft(note.content) }}>
+                            <Pencil className="h-3 w-3" />
+                          </Button>
+                          <Button size="sm" variant="ghost" onClick={() => handleDeleteNote(note._id)}>
+                            <Trash2 className="h-3 w-3" />
+                          </Button>
+                        </span>
+                      </div>
+                    </div>
+                  ))}
+                  <Textarea
+                    placeholder="Only you can see these notes"
+                    value={noteDraft}
+                    maxLength={5000}
+                    onChange={(e) => setNoteDraft(e.target.value)}
+                  />
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={handleSaveNote} disabled={!noteDraft.trim() || savingNote}>
+                      {savingNote && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                      {editingNoteId ? "Update note" : "Add note"}
+                    </Button>
+                    {editingNoteId && (
+                      <Button size="sm" variant="ghost" onClick={() => { setEditingNoteId(null); setNoteDraft("") }}>
+                        Cancel
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              </>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
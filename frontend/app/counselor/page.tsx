@@ -0,0 +1,430 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useToast } from "@/hooks/use-toast"
+import { useSocket } from "@/hooks/use-socket"
+import { useAuth } from "@/hooks/use-auth"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { ArrowLeft, BookOpen, CalendarClock, Clock, Heart, Loader2, Plus, Save, Trash2, UserCircle } from "lucide-react"
+import { appointmentAPI, counselorAPI } from "@/lib/api"
+
+type AvailabilitySlot = {
+  dayOfWeek: number
+  startTime: string
+  endTime: string
+}
+
+type CounselorProfile = {
+  title?: string
+  specialties: string[]
+  languages: string[]
+  sessionTypes: ("video" | "in-person")[]
+  bio?: string
+  timezone: string
+  slotMinutes: number
+  availabilitySlots: AvailabilitySlot[]
+}
+
+type Appointment = {
+  _id: string
+  studentId: { _id: string; firstName?: string; lastName?: string; name: string } | null
+  startsAt: string
+  endsAt: string
+  sessionType: "video" | "in-person"
+  status: "scheduled" | "cancelled" | "completed" | "no_show"
+  notes?: string
+}
+
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+const SCHEDULE_DAYS = 14
+
+const studentName = (student: Appointment["studentId"]) =>
+  student ? [student.firstName, student.lastName].filter(Boolean).join(" ") || student.name : "Former student"
+
+const formatDay = (value: string) =>
+  new Date(value).toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" })
+
+const formatTime = (value: string) =>
+  new Date(value).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })
+
+export default function CounselorDashboardPage() {
+  const { user, loading: authLoading } = useAuth()
+  const [profile, setProfile] = useState<CounselorProfile | null>(null)
+  const [appointments, setAppointments] = useState<Appointment[]>([])
+  const [loading, setLoading] = useState(true)
+  const [availability, setAvailability] = useState<AvailabilitySlot[]>([])
+  const [timezone, setTimezone] = useState("UTC")
+  const [slotMinutes, setSlotMinutes] = useState(50)
+  const [profileForm, setProfileForm] = useState({ title: "", specialties: "", languages: "", bio: "" })
+  const [savingAvailability, setSavingAvailability] = useState(false)
+  const [savingProfile, setSavingProfile] = useState(false)
+  const [updatingId, setUpdatingId] = useState<string | null>(null)
+  const { toast } = useToast()
+  const { connected: socketConnected, on, off } = useSocket()
+
+  const isCounselor = user?.role === "counselor"
+
+  const loadSchedule = useCallback(() => {
+    // Include the last day so sessions that just ended can be marked
+    const from = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+    const to = new Date(Date.now() + SCHEDULE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    appointmentAPI.list({ as: "counselor", status: "scheduled,completed,no_show", from, to })
+      .then((res) => { if (res.success) setAppointments(res.data) })
+      .catch((err) => console.error("Failed to load schedule:", err))
+  }, [])
+
+  useEffect(() => {
+    if (authLoading || !isCounselor) {
+      if (!authLoading) setLoading(false)
+      return
+    }
+
+    counselorAPI.getMyProfile()
+      .then((res) => {
+        if (!res.success) return
+        const data: CounselorProfile = res.data
+        setProfile(data)
+        setAvailability(data.availabilitySlots)
+        setTimezone(data.timezone === "UTC" ? Intl.DateTimeFormat().resolvedOptions().timeZone : data.timezone)
+        setSlotMinutes(data.slotMinutes)
+        setProfileForm({
+          title: data.title || "",
+          specialties: data.specialties.join(", "),
+          languages: data.languages.join(", "),
+          bio: data.bio || "",
+        })
+      })
+      .catch((err) => console.error("Failed to load counselor profile:", err))
+      .finally(() => setLoading(false))
+
+    loadSchedule()
+  }, [authLoading, isCounselor, loadSchedule])
+
+  // Bookings, moves and cancellations by students arrive as notifications
+  useEffect(() => {
+    if (!socketConnected) return
+
+    const handleNotification = (notification: any) => {
+      if (notification.type?.startsWith("appointment_")) loadSchedule()
+    }
+
+    on("notification:new", handleNotification)
+    return () => off("notification:new", handleNotification)
+  }, [socketConnected, on, off, loadSchedule])
+
+  const updateSlot = (index: number, changes: Partial<AvailabilitySlot>) => {
+    setAvailability((slots) => slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)))
+  }
+
+  const handleSaveAvailability = async () => {
+    setSavingAvailability(true)
+    try {
+      const res = await counselorAPI.updateAvailability({ timezone, slotMinutes, availabilitySlots: availability })
+      if (res.success) setProfile(res.data)
+      toast({ title: "Availability saved", description: "New bookings will follow these hours." })
+    } catch (error: any) {
+      toast({ title: "Couldn't save availability", description: error.message, variant: "destructive" })
+    } finally {
+      setSavingAvailability(false)
+    }
+  }
+
+  const handleSaveProfile = async () => {
+    const toList = (value: string) => value.split(",").map((item) => item.trim()).filter(Boolean)
+    setSavingProfile(true)
+    try {
+      const res = await counselorAPI.updateMyProfile({
+        title: profileForm.title.trim(),
+        specialties: toList(profileForm.specialties),
+        languages: toList(profileForm.languages),
+        bio: profileForm.bio.trim(),
+      })
+      if (res.success) setProfile(res.data)
+      toast({ title: "Profile updated" })
+    } catch (error: any) {
+      toast({ title: "Couldn't update profile", description: error.message, variant: "destructive" })
+    } finally {
+      setSavingProfile(false)
+    }
+  }
+
+  const handleSessionTypeToggle = async (type: "video" | "in-person") => {
+    if (!profile) return
+    const sessionTypes = profile.sessionTypes.includes(type)
+      ? profile.sessionTypes.filter((t) => t !== type)
+      : [...profile.sessionTypes, type]
+    try {
+      const res = await counselorAPI.updateMyProfile({ sessionTypes })
+      if (res.success) setProfile(res.data)
+    } catch (error: any) {
+      toast({ title: "Couldn't update session types", description: error.message, variant: "destructive" })
+    }
+  }
+
+  const handleOutcome = async (appointment: Appointment, status: "completed" | "no_show") => {
+    setUpdatingId(appointment._id)
+    try {
+      await appointmentAPI.updateStatus(appointment._id, status)
+      loadSchedule()
+    } catch (error: any) {
+      toast({ title: "Couldn't update session", description: error.message, variant: "destructive" })
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  const handleCancel = async (appointment: Appointment) => {
+    setUpdatingId(appointment._id)
+    try {
+      await appointmentAPI.cancel(appointment._id, "Cancelled by the counselor")
+      toast({ title: "Appointment cancelled", description: `${studentName(appointment.studentId)} has been notified.` })
+      loadSchedule()
+    } catch (error: any) {
+      toast({ title: "Couldn't cancel", description: error.message, variant: "destructive" })
+    } finally {
+      setUpdatingId(null)
+    }
+  }
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  if (!isCounselor) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 text-center px-4">
+        <p className="text-muted-foreground">This dashboard is for counselors.</p>
+        <Link href="/counselors"><Button>Find a counselor</Button></Link>
+      </div>
+    )
+  }
+
+  const now = Date.now()
+  const scheduleByDay = appointments.reduce<[string, Appointment[]][]>((groups, appointment) => {
+    const day = formatDay(appointment.startsAt)
+    const last = groups[groups.length - 1]
+    if (last && last[0] === day) last[1].push(appointment)
+    else groups.push([day, [appointment]])
+    return groups
+  }, [])
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <nav className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-40">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Link href="/dashboard" className="-ml-2 mr-2">
+              <Button variant="ghost" size="sm">
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            </Link>
+            <Heart className="h-6 w-6 text-primary" />
+            <h1 className="text-2xl font-bold">Counselor Dashboard</h1>
+          </div>
+          <div className="flex items-center gap-2">
+            <Link href="/counselor/journals">
+              <Button variant="ghost" size="sm">
+                <BookOpen className="h-4 w-4 mr-1" />
+                Shared Journals
+              </Button>
+            </Link>
+            <ProfileDropdown />
+          </div>
+        </div>
+      </nav>
+
+      <div className="container mx-auto px-4 py-8 grid lg:grid-cols-3 gap-6">
+        {/* Schedule */}
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <CalendarClock className="h-5 w-5 text-primary" />
+              Schedule
+            </CardTitle>
+            <CardDescription>The next {SCHEDULE_DAYS} days, in your local time.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-5">
+            {scheduleByDay.length === 0 && (
+              <p className="text-sm text-muted-foreground">No sessions booked yet.</p>
+            )}
+            {scheduleByDay.map(([day, dayAppointments]) => (
+              <div key={day}>
+                <p className="text-sm font-medium mb-2">{day}</p>
+                <div className="space-y-2">
+                  {dayAppointments.map((appointment) => {
+                    const started = new Date(appointment.startsAt).getTime() <= now
+                    return (
+                      <div key={appointment._id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 rounded-lg border p-3">
+                        <div>
+                          <p className="font-medium">{studentName(appointment.studentId)}</p>
+                          <p className="text-sm text-muted-foreground flex items-center gap-1">
+                            <Clock className="h-3 w-3" />
+                            {formatTime(appointment.startsAt)} – {formatTime(appointment.endsAt)} · <span className="capitalize">{appointment.sessionType}</span>
+                          </p>
+                          {appointment.notes && <p className="text-sm mt-1">“{appointment.notes}”</p>}
+                        </div>
+                        <div className="flex gap-2 items-center">
+                          {appointment.status !== "scheduled" && (
+                            <Badge variant="outline" className="capitalize">{appointment.status.replace("_", " ")}</Badge>
+                          )}
+                          {appointment.status === "scheduled" && started && (
+                            <>
+                              <Button size="sm" variant="outline" disabled={updatingId === appointment._id} onClick={() => handleOutcome(appointment, "completed")}>
+                                Completed
+                              </Button>
+                              <Button size="sm" variant="ghost" disabled={updatingId === appointment._id} onClick={() => handleOutcome(appointment, "no_show")}>
+                                No-show
+                              </Button>
+                            </>
+                          )}
+                          {appointment.status === "scheduled" && !started && (
+                            <Button size="sm" variant="ghost" disabled={updatingId === appointment._id} onClick={() => handleCancel(appointment)}>
+                              Cancel
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                    )
+                  })}
+                </div>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        <div className="space-y-6">
+          {/* Availability */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Clock className="h-5 w-5 text-primary" />
+                Weekly Availability
+              </CardTitle>
+              <CardDescription>Students can book sessions inside these hours.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="timezone">Time zone</Label>
+                  <Input id="timezone" value={timezone} onChange={(e) => setTimezone(e.target.value)} placeholder="Europe/London" />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="slot-minutes">Session length (min)</Label>
+                  <Input
+                    id="slot-minutes"
+                    type="number"
+                    min={15}
+                    max={180}
+                    step={5}
+                    value={slotMinutes}
+                    onChange={(e) => setSlotMinutes(Number(e.target.value))}
+                  />
+                </div>
+              </div>
+
+              {availability.map((slot, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <Select value={String(slot.dayOfWeek)} onValueChange={(value) => updateSlot(index, { dayOfWeek: Number(value) })}>
+                    <SelectTrigger className="w-32">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {DAYS.map((day, dayIndex) => (
+                        <SelectItem key={day} value={String(dayIndex)}>{day}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input type="time" value={slot.startTime} onChange={(e) => updateSlot(index, { startTime: e.target.value })} />
+                  <Input type="time" value={slot.endTime} onChange={(e) => updateSlot(index, { endTime: e.target.value })} />
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setAvailability((slots) => slots.filter((_, i) => i !== index))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              ))}
+
+              <div className="flex gap-2">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setAvailability((slots) => [...slots, { dayOfWeek: 1, startTime: "09:00", endTime: "12:00" }])}
+                >
+                  <Plus className="h-4 w-4 mr-1" />
+                  Add hours
+                </Button>
+                <Button size="sm" onClick={handleSaveAvailability} disabled={savingAvailability}>
+                  {savingAvailability ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Save className="h-4 w-4 mr-1" />}
+                  Save
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Directory profile */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <UserCircle className="h-5 w-5 text-primary" />
+                Directory Profile
+              </CardTitle>
+              <CardDescription>What students see in the counselor directory.</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <div className="space-y-1">
+                <Label htmlFor="title">Title</Label>
+                <Input id="title" value={profileForm.title} onChange={(e) => setProfileForm({ ...profileForm, title: e.target.value })} />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="specialties">Specialties (comma separated)</Label>
+                <Input id="specialties" value={profileForm.specialties} onChange={(e) => setProfileForm({ ...profileForm, specialties: e.target.value })} />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="languages">Languages (comma separated)</Label>
+                <Input id="languages" value={profileForm.languages} onChange={(e) => setProfileForm({ ...profileForm, languages: e.target.value })} />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="bio">Bio</Label>
+                <Textarea id="bio" value={profileForm.bio} onChange={(e) => setProfileForm({ ...profileForm, bio: e.target.value })} />
+              </div>
+              <div className="space-y-1">
+                <Label>Session types</Label>
+                <div className="flex gap-2">
+                  {(["video", "in-person"] as const).map((type) => (
+                    <Button
+                      key={type}
+                      size="sm"
+                      variant={profile?.sessionTypes.includes(type) ? "default" : "outline"}
+                      className="capitalize"
+                      onClick={() => handleSessionTypeToggle(type)}
+                    >
+                      {type}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+              <Button size="sm" onClick={handleSaveProfile} disabled={savingProfile}>
+                {savingProfile && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+                Save profile
+              </Button>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,496 @@
+"use client"
+
+import { useCallback, useEffect, useMemo, useState } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useToast } from "@/hooks/use-toast"
+import { useSocket } from "@/hooks/use-socket"
+import { useAuth } from "@/hooks/use-auth"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { ArrowLeft, CalendarClock, Globe, Heart, Loader2, Search, Video, MapPin, X } from "lucide-react"
+import { appointmentAPI, counselorAPI } from "@/lib/api"
+
+type Counselor = {
+  id: string
+  firstName?: string
+  lastName?: string
+  name: string
+  avatarUrl?: string
+  title?: string
+  specialties: string[]
+  languages: string[]
+  sessionTypes: ("video" | "in-person")[]
+  bio?: string
+  experience?: string
+  timezone: string
+  slotMinutes: number
+}
+
+type Slot = {
+  startsAt: string
+  endsAt: string
+}
+
+type Participant = {
+  _id: string
+  firstName?: string
+  lastName?: string
+  name: string
+  counselorDetails?: { title?: string; timezone?: string }
+} | null
+
+type Appointment = {
+  _id: string
+  counselorId: Participant
+  studentId: Participant
+  startsAt: string
+  endsAt: string
+  sessionType: "video" | "in-person"
+  status: "scheduled" | "cancelled" | "completed" | "no_show"
+  notes?: string
+  cancellationReason?: string
+}
+
+// Booking a new session, or moving an existing one
+type BookingTarget = {
+  counselor: Pick<Counselor, "id" | "name" | "sessionTypes"> & { displayName: string }
+  appointment?: Appointment
+}
+
+const fullName = (person: { firstName?: string; lastName?: string; name?: string } | null | undefined) =>
+  person ? [person.firstName, person.lastName].filter(Boolean).join(" ") || person.name || "Counselor" : "Former counselor"
+
+const formatDay = (value: string) =>
+  new Date(value).toLocaleDateString(undefined, { weekday: "long", month: "short", day: "numeric" })
+
+const formatTime = (value: string) =>
+  new Date(value).toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })
+
+export default function CounselorsPage() {
+  const { user, loading: authLoading } = useAuth()
+  const [counselors, setCounselors] = useState<Counselor[]>([])
+  const [specialties, setSpecialties] = useState<string[]>([])
+  const [languages, setLanguages] = useState<string[]>([])
+  const [specialty, setSpecialty] = useState("all")
+  const [language, setLanguage] = useState("all")
+  const [search, setSearch] = useState("")
+  const [loading, setLoading] = useState(true)
+  const [appointments, setAppointments] = useState<Appointment[]>([])
+  const [booking, setBooking] = useState<BookingTarget | null>(null)
+  const [slots, setSlots] = useState<Slot[]>([])
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [selectedSlot, setSelectedSlot] = useState<string | null>(null)
+  const [sessionType, setSessionType] = useState<"video" | "in-person">("video")
+  const [notes, setNotes] = useState("")
+  const [submitting, setSubmitting] = useState(false)
+  const [cancelling, setCancelling] = useState<Appointment | null>(null)
+  const [cancelReason, setCancelReason] = useState("")
+  const { toast } = useToast()
+  const { connected: socketConnected, on, off } = useSocket()
+
+  const loadCounselors = useCallback(async () => {
+    try {
+      const params: Record<string, string> = {}
+      if (specialty !== "all") params.specialty = specialty
+      if (language !== "all") params.language = language
+      if (search.trim()) params.q = search.trim()
+
+      const res = await counselorAPI.list(params)
+      if (res.success) {
+        setCounselors(res.data)
+        setSpecialties(res.filters.specialties)
+        setLanguages(res.filters.languages)
+      }
+    } catch (error) {
+      console.error("Failed to load counselors:", error)
+    } finally {
+      setLoading(false)
+    }
+  }, [specialty, language, search])
+
+  const loadAppointments = useCallback(() => {
+    appointmentAPI.list({ as: "student" })
+      .then((res) => { if (res.success) setAppointments(res.data) })
+      .catch((err) => console.error("Failed to load appointments:", err))
+  }, [])
+
+  useEffect(() => {
+    if (authLoading || !user) return
+    // Wait for typing to settle before searching
+    const timer = setTimeout(loadCounselors, 300)
+    return () => clearTimeout(timer)
+  }, [authLoading, user, loadCounselors])
+
+  useEffect(() => {
+    if (authLoading || !user) return
+    loadAppointments()
+  }, [authLoading, user, loadAppointments])
+
+  // Counselor-side changes (cancellations) arrive as notifications
+  useEffect(() => {
+    if (!socketConnected) return
+
+    const handleNotification = (notification: any) => {
+      if (notification.type?.startsWith("appointment_")) loadAppointments()
+    }
+
+    on("notification:new", handleNotification)
+    return () => off("notification:new", handleNotification)
+  }, [socketConnected, on, off, loadAppointments])
+
+  const openBooking = async (target: BookingTarget) => {
+    setBooking(target)
+    setSelectedSlot(null)
+    setNotes("")
+    setSessionType(target.appointment?.sessionType || target.counselor.sessionTypes[0] || "video")
+    setSlots([])
+    setLoadingSlots(true)
+
+    try {
+      const res = await counselorAPI.getSlots(target.counselor.id, target.appointment ? { excludeAppointmentId: target.appointment._id } : undefined)
+      if (res.success) setSlots(res.data.slots)
+    } catch (error: any) {
+      toast({ title: "Couldn't load availability", description: error.message, variant: "destructive" })
+    } finally {
+      setLoadingSlots(false)
+    }
+  }
+
+  const handleConfirmBooking = async () => {
+    if (!booking || !selectedSlot) return
+    setSubmitting(true)
+
+    try {
+      if (booking.appointment) {
+        await appointmentAPI.reschedule(booking.appointment._id, selectedSlot)
+        toast({ title: "Appointment rescheduled", description: `${formatDay(selectedSlot)} at ${formatTime(selectedSlot)}` })
+      } else {
+        await appointmentAPI.book({
+          counselorId: booking.counselor.id,
+          startsAt: selectedSlot,
+          sessionType,
+          notes: notes.trim() || undefined,
+        })
+        toast({ title: "Appointment booked", description: `${formatDay(selectedSlot)} at ${formatTime(selectedSlot)}` })
+      }
+      setBooking(null)
+      loadAppointments()
+    } catch (error: any) {
+      toast({ title: "Booking failed", description: error.message, variant: "destructive" })
+      // The slot may have just been taken; show what's still open
+      openBooking(booking)
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleCancelAppointment = async () => {
+    if (!cancelling) return
+    setSubmitting(true)
+
+    try {
+      await appointmentAPI.cancel(cancelling._id, cancelReason.trim() || undefined)
+      toast({ title: "Appointment cancelled" })
+      setCancelling(null)
+      setCancelReason("")
+      loadAppointments()
+    } catch (error: any) {
+      toast({ title: "Couldn't cancel", description: error.message, variant: "destructive" })
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const slotsByDay = useMemo(() => {
+    const groups = new Map<string, Slot[]>()
+    for (const slot of slots) {
+      const day = formatDay(slot.startsAt)
+      groups.set(day, [...(groups.get(day) || []), slot])
+    }
+    return Array.from(groups.entries())
+  }, [slots])
+
+  const now = Date.now()
+  const upcoming = appointments.filter(a => a.status === "scheduled" && new Date(a.endsAt).getTime() > now)
+  const past = appointments.filter(a => !upcoming.includes(a)).reverse().slice(0, 5)
+
+  if (authLoading || loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <nav className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-40">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Link href="/dashboard" className="-ml-2 mr-2">
+              <Button variant="ghost" size="sm">
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            </Link>
+            <Heart className="h-6 w-6 text-primary" />
+            <h1 className="text-2xl font-bold">Counselors</h1>
+          </div>
+          <ProfileDropdown />
+        </div>
+      </nav>
+
+      <div className="container mx-auto px-4 py-8 space-y-8">
+        {/* My appointments */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <CalendarClock className="h-5 w-5 text-primary" />
+              My Appointments
+            </CardTitle>
+            <CardDescription>Times are shown in your local time zone.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {upcoming.length === 0 && (
+              <p className="text-sm text-muted-foreground">No upcoming appointments. Book a session with a counselor below.</p>
+            )}
+            {upcoming.map((appointment) => (
+              <div key={appointment._id} className="flex flex-col md:flex-row md:items-center justify-between gap-3 rounded-lg border p-3">
+                <div>
+                  <p className="font-medium">{fullName(appointment.counselorId)}</p>
+                  <p className="text-sm text-muted-foreground">
+                    {formatDay(appointment.startsAt)}, {formatTime(appointment.startsAt)} – {formatTime(appointment.endsAt)}
+                  </p>
+                  <Badge variant="secondary" className="mt-1 capitalize">{appointment.sessionType}</Badge>
+                </div>
+                {new Date(appointment.startsAt).getTime() > now && (
+                  <div className="flex gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={!appointment.counselorId}
+                      onClick={() => appointment.counselorId && openBooking({
+                        counselor: {
+                          id: appointment.counselorId._id,
+                          name: appointment.counselorId.name,
+                          displayName: fullName(appointment.counselorId),
+                          sessionTypes: [appointment.sessionType],
+                        },
+                        appointment,
+                      })}
+                    >
+                      Reschedule
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => setCancelling(appointment)}>
+                      <X className="h-4 w-4 mr-1" />
+                      Cancel
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+            {past.length > 0 && (
+              <div className="pt-2">
+                <p className="text-sm font-medium mb-2">Recent</p>
+                {past.map((appointment) => (
+                  <div key={appointment._id} className="flex items-center justify-between text-sm py-1 text-muted-foreground">
+                    <span>{fullName(appointment.counselorId)} · {formatDay(appointment.startsAt)}</span>
+                    <Badge variant="outline" className="capitalize">{appointment.status.replace("_", " ")}</Badge>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Filters */}
+        <div className="flex flex-col md:flex-row gap-3">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+            <Input
+              placeholder="Search by name or title..."
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="pl-9"
+            />
+          </div>
+          <Select value={specialty} onValueChange={setSpecialty}>
+            <SelectTrigger className="w-full md:w-56">
+              <SelectValue placeholder="Specialty" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Specialties</SelectItem>
+              {specialties.map((item) => (
+                <SelectItem key={item} value={item}>{item}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={language} onValueChange={setLanguage}>
+            <SelectTrigger className="w-full md:w-48">
+              <SelectValue placeholder="Language" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Languages</SelectItem>
+              {languages.map((item) => (
+                <SelectItem key={item} value={item}>{item}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {/* Directory */}
+        {counselors.length === 0 ? (
+          <p className="text-center text-muted-foreground py-12">No counselors match these filters.</p>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {counselors.map((counselor) => (
+              <Card key={counselor.id} className="flex flex-col">
+                <CardHeader>
+                  <div className="flex items-center gap-3">
+                    {counselor.avatarUrl ? (
+                      <img src={counselor.avatarUrl} alt={fullName(counselor)} className="w-12 h-12 rounded-full object-cover" />
+                    ) : (
+                      <div className="w-12 h-12 rounded-full bg-primary text-primary-foreground flex items-center justify-center font-semibold">
+                        {fullName(counselor).substring(0, 2).toUpperCase()}
+                      </div>
+                    )}
+                    <div>
+                      <CardTitle className="text-lg">{fullName(counselor)}</CardTitle>
+                      {counselor.title && <CardDescription>{counselor.title}</CardDescription>}
+                    </div>
+                  </div>
+                </CardHeader>
+                <CardContent className="flex-1 flex flex-col gap-3">
+                  {counselor.specialties.length > 0 && (
+                    <div className="flex flex-wrap gap-1">
+                      {counselor.specialties.map((item) => (
+                        <Badge key={item} variant="secondary">{item}</Badge>
+                      ))}
+                    </div>
+                  )}
+                  {counselor.bio && <p className="text-sm text-muted-foreground line-clamp-3">{counselor.bio}</p>}
+                  <div className="text-sm text-muted-foreground space-y-1">
+                    {counselor.languages.length > 0 && (
+                      <p className="flex items-center gap-2"><Globe className="h-4 w-4" />{counselor.languages.join(", ")}</p>
+                    )}
+                    <p className="flex items-center gap-2">
+                      {counselor.sessionTypes.includes("in-person") ? <MapPin className="h-4 w-4" /> : <Video className="h-4 w-4" />}
+                      {counselor.sessionTypes.length ? counselor.sessionTypes.join(" or ") : "video"} · {counselor.slotMinutes} min
+                    </p>
+                  </div>
+                  <Button
+                    className="mt-auto"
+                    disabled={String(counselor.id) === String(user?.id)}
+                    onClick={() => openBooking({ counselor: { ...counselor, displayName: fullName(counselor) } })}
+                  >
+                    Book a session
+                  </Button>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Book / reschedule */}
+      <Dialog open={!!booking} onOpenChange={(open) => { if (!open) setBooking(null) }}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>{booking?.appointment ? "Reschedule" : "Book"} with {booking?.counselor.displayName}</DialogTitle>
+            <DialogDescription>Pick an open time in the next two weeks.</DialogDescription>
+          </DialogHeader>
+
+          <div className="max-h-72 overflow-y-auto space-y-4">
+            {loadingSlots && <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />}
+            {!loadingSlots && slotsByDay.length === 0 && (
+              <p className="text-sm text-muted-foreground">No open slots in the next two weeks.</p>
+            )}
+            {slotsByDay.map(([day, daySlots]) => (
+              <div key={day}>
+                <p className="text-sm font-medium mb-2">{day}</p>
+                <div className="flex flex-wrap gap-2">
+                  {daySlots.map((slot) => (
+                    <Button
+                      key={slot.startsAt}
+                      size="sm"
+                      variant={selectedSlot === slot.startsAt ? "default" : "outline"}
+                      onClick={() => setSelectedSlot(slot.startsAt)}
+                    >
+                      {formatTime(slot.startsAt)}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {!booking?.appointment && (
+            <div className="space-y-3">
+              {(booking?.counselor.sessionTypes.length ?? 0) > 1 && (
+                <div className="space-y-1">
+                  <Label>Session type</Label>
+                  <Select value={sessionType} onValueChange={(value) => setSessionType(value as "video" | "in-person")}>
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {booking?.counselor.sessionTypes.map((type) => (
+                        <SelectItem key={type} value={type} className="capitalize">{type}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="space-y-1">
+                <Label htmlFor="booking-notes">Anything you'd like them to know? (optional)</Label>
+                <Textarea
+                  id="booking-notes"
+                  value={notes}
+                  maxLength={1000}
+                  onChange={(e) => setNotes(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setBooking(null)}>Close</Button>
+            <Button onClick={handleConfirmBooking} disabled={!selectedSlot || submitting}>
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              {booking?.appointment ? "Move appointment" : "Confirm booking"}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Cancel */}
+      <Dialog open={!!cancelling} onOpenChange={(open) => { if (!open) setCancelling(null) }}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Cancel appointment?</DialogTitle>
+            <DialogDescription>
+              {cancelling && `${fullName(cancelling.counselorId)}, ${formatDay(cancelling.startsAt)} at ${formatTime(cancelling.startsAt)}. They'll be notified.`}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-1">
+            <Label htmlFor="cancel-reason">Reason (optional)</Label>
+            <Textarea id="cancel-reason" value={cancelReason} maxLength={500} onChange={(e) => setCancelReason(e.target.value)} />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setCancelling(null)}>Keep it</Button>
+            <Button variant="destructive" onClick={handleCancelAppointment} disabled={submitting}>
+              {submitting && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Cancel appointment
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
@@ -23,11 +23,14 @@ import {
   Folder,
   Book,
   Files,
+  CalendarClock,
 } from "lucide-react"
 import Link from "next/link"
 import ProfileDropdown from "@/components/ProfileDropdown"
+import MoodInsights from "@/components/MoodInsights"
 import { useAuth } from "@/hooks/use-auth"
 import { journalAPI, moodAPI, activityAPI } from "@/lib/api"
+import { encryptContent, getSessionKeys } from "@/lib/journal-crypto"
 
 export default function DashboardPage() {
   const [journalEntry, setJournalEntry] = useState("")
@@ -64,11 +67,21 @@ export default function DashboardPage() {
     setIsAnalyzing(true)
 
     try {
+      // End-to-end encrypted journals need the passphrase, which is entered on the journal page
+      const encryption = await journalAPI.encryptionStatus()
+      const keys = getSessionKeys()
+      if (encryption.data?.enabled && !keys) {
+        alert("Your journal is encrypted. Unlock it on the journal page to save entries.")
+        window.location.href = "/journal"
+        return
+      }
+
       // Save journal to backend
-      const result = await journalAPI.create({
-        content: journalEntry,
-        mood: moodLevel[0],
-      })
+      const result = await journalAPI.create(
+        encryption.data?.enabled && keys
+          ? { e2e: await encryptContent(keys, encryption.data.currentVersion, journalEntry.trim()), mood: moodLevel[0] }
+          : { content: journalEntry, mood: moodLevel[0] }
+      )
 
       // Update today's mood
       await moodAPI.updateToday(moodLevel[0])
@@ -114,6 +127,7 @@ export default function DashboardPage() {
     { icon: <Users className="md:h-7 md:w-7" />, label: "Peer Support", href: "/forum" },
     { icon: <Folder className="md:h-7 md:w-7" />, label: "Resource Hub", href: "/resources" },
     { icon: <MessageCircle className="md:h-7 md:w-7" />, label: "AI Chat", href: "/chat" },
+    { icon: <CalendarClock className="md:h-7 md:w-7" />, label: "Counselors", href: "/counselors" },
   ]
 
   if (loading) {
@@ -231,6 +245,9 @@ export default function DashboardPage() {
             </CardContent>
           </Card>
 
+          {/* Mood Insights */}
+          <MoodInsights />
+
           {/* Recent Activity */}
           <Card>
             <CardHeader>
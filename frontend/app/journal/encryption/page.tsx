@@ -0,0 +1,381 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { useToast } from "@/hooks/use-toast"
+import { useAuth } from "@/hooks/use-auth"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { ArrowLeft, KeyRound, Loader2, Lock, LockOpen, RefreshCw, ShieldCheck } from "lucide-react"
+import { journalAPI } from "@/lib/api"
+import {
+  decryptContent,
+  encryptContent,
+  generateDataKey,
+  generateRecoveryCode,
+  getSessionKeys,
+  setSessionKeys,
+  unlockKeys,
+  wrapKeys,
+  type EncryptedContent,
+  type JournalKeys,
+  type KeyringStatus,
+} from "@/lib/journal-crypto"
+
+const MIN_PASSPHRASE_LENGTH = 10
+
+type PendingItem = { _id: string; content?: string; e2e?: EncryptedContent }
+
+export default function JournalEncryptionPage() {
+  const { user, loading: authLoading } = useAuth()
+  const { toast } = useToast()
+  const [status, setStatus] = useState<KeyringStatus | null>(null)
+  const [keys, setKeys] = useState<JournalKeys | null>(getSessionKeys())
+  const [password, setPassword] = useState("")
+  const [passphrase, setPassphrase] = useState("")
+  const [confirmPassphrase, setConfirmPassphrase] = useState("")
+  const [unlockSecret, setUnlockSecret] = useState("")
+  const [useRecovery, setUseRecovery] = useState(false)
+  const [recoveryCode, setRecoveryCode] = useState<string | null>(null)
+  const [busy, setBusy] = useState<string | null>(null)
+  const [progress, setProgress] = useState<string | null>(null)
+
+  const loadStatus = useCallback(() => {
+    journalAPI.encryptionStatus()
+      .then((res) => { if (res.success) setStatus(res.data) })
+      .catch((err) => console.error("Failed to load encryption settings:", err))
+  }, [])
+
+  useEffect(() => {
+    if (authLoading || !user) return
+    loadStatus()
+  }, [authLoading, user, loadStatus])
+
+  const rememberKeys = (next: JournalKeys) => {
+    setSessionKeys(next)
+    setKeys(next)
+  }
+
+  const resetForm = () => {
+    setPassword("")
+    setPassphrase("")
+    setConfirmPassphrase("")
+  }
+
+  const checkNewPassphrase = () => {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) return `Use at least ${MIN_PASSPHRASE_LENGTH} characters for your passphrase`
+    if (passphrase !== confirmPassphrase) return "The passphrases don't match"
+    if (!password) return "Enter your account password to confirm"
+    return null
+  }
+
+  const run = async (label: string, action: () => Promise<void>) => {
+    setBusy(label)
+    try {
+      await action()
+    } catch (error: any) {
+      toast({ title: "Something went wrong", description: error.message, variant: "destructive" })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  // Re-encrypt everything still on an older key (and plaintext entries, when asked) in batches
+  const encryptPending = async (unlocked: JournalKeys, includePlaintext: boolean) => {
+    let done = 0
+    for (;;) {
+      const res = await journalAPI.pendingEncryption(includePlaintext)
+      const { currentVersion, entries, revisions, remaining } = res.data
+      if (!remaining) break
+      setProgress(`Encrypting… ${done} done, ${remaining} to go`)
+
+      const seal = async (item: PendingItem) => {
+        const text = item.e2e ? await decryptContent(unlocked, item.e2e) : item.content || ""
+        return { id: item._id, e2e: await encryptContent(unlocked, currentVersion, text) }
+      }
+      const batch = {
+        entries: await Promise.all((entries as PendingItem[]).map(seal)),
+        revisions: await Promise.all((revisions as PendingItem[]).map(seal)),
+      }
+      const saved = await journalAPI.reencrypt(batch)
+      done += saved.data.updated
+      if (!saved.data.updated || !saved.data.remaining) break
+    }
+    setProgress(null)
+    loadStatus()
+    return done
+  }
+
+  const handleEnable = () => run("enable", async () => {
+    const problem = checkNewPassphrase()
+    if (problem) throw new Error(problem)
+
+    const dataKey = await generateDataKey()
+    const unlocked: JournalKeys = new Map([[1, dataKey]])
+    const code = generateRecoveryCode()
+    const wrapped = await wrapKeys(unlocked, passphrase, code)
+
+    const res = await journalAPI.enableEncryption({ password, ...wrapped, key: wrapped.keys[0] })
+    setStatus(res.data)
+    rememberKeys(unlocked)
+    setRecoveryCode(code)
+    resetForm()
+  })
+
+  const handleUnlock = () => run("unlock", async () => {
+    if (!status) return
+    let unlocked: JournalKeys
+    try {
+      unlocked = await unlockKeys(status, unlockSecret, { recovery: useRecovery })
+    } catch {
+      throw new Error(useRecovery ? "That recovery code doesn't match" : "That passphrase doesn't match")
+    }
+    rememberKeys(unlocked)
+    setUnlockSecret("")
+    toast({
+      title: "Journal unlocked",
+      description: useRecovery ? "Now choose a new passphrase below. You'll get a new recovery code." : undefined,
+    })
+  })
+
+  // New passphrase (also after unlocking with the recovery code); always issues a new recovery code
+  const handleRewrap = () => run("rewrap", async () => {
+    if (!keys) return
+    const problem = checkNewPassphrase()
+    if (problem) throw new Error(problem)
+
+    const code = generateRecoveryCode()
+    const res = await journalAPI.rewrapKeys({ password, ...(await wrapKeys(keys, passphrase, code)) })
+    setStatus(res.data)
+    setRecoveryCode(code)
+    setUseRecovery(false)
+    resetForm()
+  })
+
+  const handleRotate = () => run("rotate", async () => {
+    if (!keys || !status?.currentVersion) return
+    const problem = checkNewPassphrase()
+    if (problem) throw new Error(problem)
+
+    const next = new Map(keys)
+    next.set(status.currentVersion + 1, await generateDataKey())
+    const code = generateRecoveryCode()
+    const res = await journalAPI.rotateKey({ password, ...(await wrapKeys(next, passphrase, code)) })
+    setStatus(res.data)
+    rememberKeys(next)
+    setRecoveryCode(code)
+    resetForm()
+
+    const count = await encryptPending(next, false)
+    toast({ title: res.message, description: `${count} item${count === 1 ? "" : "s"} re-encrypted with the new key.` })
+  })
+
+  const handleEncryptExisting = () => run("existing", async () => {
+    if (!keys) return
+    if (!confirm("Encrypt your existing entries? Their saved AI insights and reflection chats are deleted, since the server could read them.")) return
+    const count = await encryptPending(keys, true)
+    toast({ title: "Entries encrypted", description: `${count} item${count === 1 ? "" : "s"} encrypted.` })
+  })
+
+  const handleToggle = (enabled: boolean) => run("toggle", async () => {
+    const res = await journalAPI.setEncryptionEnabled(enabled)
+    setStatus(res.data)
+  })
+
+  if (authLoading || !status) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  const passphraseFields = (label: string) => (
+    <div className="space-y-3">
+      <div className="space-y-1">
+        <Label htmlFor="passphrase">{label}</Label>
+        <Input id="passphrase" type="password" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} autoComplete="new-password" />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="confirm-passphrase">Repeat passphrase</Label>
+        <Input id="confirm-passphrase" type="password" value={confirmPassphrase} onChange={(e) => setConfirmPassphrase(e.target.value)} autoComplete="new-password" />
+      </div>
+      <div className="space-y-1">
+        <Label htmlFor="account-password">Account password</Label>
+        <Input id="account-password" type="password" value={password} onChange={(e) => setPassword(e.target.value)} autoComplete="current-password" />
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <nav className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-40">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Link href="/journal" className="-ml-2 mr-2">
+              <Button variant="ghost" size="sm">
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            </Link>
+            <Lock className="h-6 w-6 text-primary" />
+            <h1 className="text-2xl font-bold">Journal Encryption</h1>
+          </div>
+          <ProfileDropdown />
+        </div>
+      </nav>
+
+      <div className="container mx-auto px-4 py-8 max-w-2xl space-y-6">
+        {recoveryCode && (
+          <Alert className="border-amber-300 bg-amber-50">
+            <KeyRound className="h-4 w-4" />
+            <AlertDescription className="space-y-3">
+              <p className="font-medium">Your recovery code</p>
+              <p className="font-mono text-lg tracking-wider select-all">{recoveryCode}</p>
+              <p className="text-sm">
+                Write it down and keep it somewhere safe. It's the only way back into your journal if you forget your
+                passphrase — we can't reset it for you. It is shown only once, and any older code no longer works.
+              </p>
+              <Button size="sm" variant="outline" onClick={() => setRecoveryCode(null)}>I've saved it</Button>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {!status.configured ? (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ShieldCheck className="h-5 w-5 text-primary" />
+                End-to-end encrypt your journal
+              </CardTitle>
+              <CardDescription>
+                New entries are encrypted in your browser with a passphrase only you know. We store the encrypted text,
+                your mood and tags — nobody at Zenly, including counselors, can read what you wrote. AI insights only run
+                when you ask for them on an entry, and aren't saved. Encrypted entries can't be shared with a counselor.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {passphraseFields("Journal passphrase")}
+              <Button onClick={handleEnable} disabled={busy !== null}>
+                {busy === "enable" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Lock className="h-4 w-4 mr-2" />}
+                Turn on encryption
+              </Button>
+            </CardContent>
+          </Card>
+        ) : (
+          <>
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center justify-between gap-2">
+                  <span className="flex items-center gap-2">
+                    <ShieldCheck className="h-5 w-5 text-primary" />
+                    Encryption
+                  </span>
+                  <Badge variant={keys ? "default" : "outline"}>
+                    {keys ? <LockOpen className="h-3 w-3 mr-1" /> : <Lock className="h-3 w-3 mr-1" />}
+                    {keys ? "Unlocked" : "Locked"}
+                  </Badge>
+                </CardTitle>
+                <CardDescription>
+                  Key version {status.currentVersion}
+                  {status.pendingReencryption ? ` · ${status.pendingReencryption} item(s) still on an older key` : ""}
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <div className="flex items-center justify-between gap-4">
+                  <Label htmlFor="encrypt-new">Encrypt new entries</Label>
+                  <Switch id="encrypt-new" checked={status.enabled} disabled={busy !== null} onCheckedChange={handleToggle} />
+                </div>
+                {!status.enabled && (
+                  <p className="text-sm text-muted-foreground">New entries are saved normally. Entries you already encrypted stay encrypted.</p>
+                )}
+
+                {!keys && (
+                  <div className="space-y-2 border-t pt-4">
+                    <Label htmlFor="unlock">{useRecovery ? "Recovery code" : "Journal passphrase"}</Label>
+                    <div className="flex gap-2">
+                      <Input
+                        id="unlock"
+                        type={useRecovery ? "text" : "password"}
+                        value={unlockSecret}
+                        onChange={(e) => setUnlockSecret(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === "Enter") handleUnlock() }}
+                      />
+                      <Button onClick={handleUnlock} disabled={busy !== null || !unlockSecret}>
+                        {busy === "unlock" ? <Loader2 className="h-4 w-4 animate-spin" /> : "Unlock"}
+                      </Button>
+                    </div>
+                    <button type="button" className="text-sm text-primary underline" onClick={() => setUseRecovery(!useRecovery)}>
+                      {useRecovery ? "Use my passphrase instead" : "Forgot your passphrase? Use your recovery code"}
+                    </button>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {keys && (
+              <>
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-lg">Change passphrase</CardTitle>
+                    <CardDescription>Your entries stay as they are. You'll get a new recovery code.</CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    {passphraseFields("New passphrase")}
+                    <div className="flex flex-wrap gap-2">
+                      <Button onClick={handleRewrap} disabled={busy !== null}>
+                        {busy === "rewrap" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <KeyRound className="h-4 w-4 mr-2" />}
+                        Change passphrase
+                      </Button>
+                      <Button variant="outline" onClick={handleRotate} disabled={busy !== null}>
+                        {busy === "rotate" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-2" />}
+                        Rotate key and re-encrypt
+                      </Button>
+                    </div>
+                    <p className="text-xs text-muted-foreground">
+                      Rotating creates a new encryption key, re-encrypts your entries with it and retires the old one once
+                      nothing uses it. Use it if you think your passphrase or recovery code was exposed.
+                    </p>
+                  </CardContent>
+                </Card>
+
+                <Card>
+                  <CardHeader>
+                    <CardTitle className="text-lg">Existing entries</CardTitle>
+                    <CardDescription>
+                      Encrypt entries you wrote before turning this on, or finish re-encrypting after a key rotation.
+                    </CardDescription>
+                  </CardHeader>
+                  <CardContent className="space-y-2">
+                    {progress && <p className="text-sm text-muted-foreground">{progress}</p>}
+                    <div className="flex flex-wrap gap-2">
+                      <Button variant="outline" onClick={handleEncryptExisting} disabled={busy !== null}>
+                        {busy === "existing" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Lock className="h-4 w-4 mr-2" />}
+                        Encrypt existing entries
+                      </Button>
+                      {!!status.pendingReencryption && (
+                        <Button
+                          variant="outline"
+                          disabled={busy !== null}
+                          onClick={() => run("pending", async () => { await encryptPending(keys, false) })}
+                        >
+                          {busy === "pending" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-2" />}
+                          Finish re-encrypting
+                        </Button>
+                      )}
+                    </div>
+                  </CardContent>
+                </Card>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -19,9 +19,21 @@ import { useToast } from "@/hooks/use-toast"
 import { 
   X, Bot, ArrowLeft, Save, Sparkles, BookOpen, 
   User, Trash2, Send, Loader2, AlertTriangle, Phone,
-  MessageSquare, CheckCircle2, XCircle, Clock, Search, Filter
+  MessageSquare, CheckCircle2, XCircle, Clock, Search, Filter, Share2, History, Lock
 } from "lucide-react"
 import { journalAPI } from "@/lib/api"
+import {
+  decryptContent,
+  encryptContent,
+  getSessionKeys,
+  setSessionKeys,
+  unlockKeys,
+  type EncryptedContent,
+  type JournalKeys,
+  type KeyringStatus,
+} from "@/lib/journal-crypto"
+import JournalHistory from "@/components/JournalHistory"
+import ResourceRecommendations, { type RecommendedResource } from "@/components/ResourceRecommendations"
 
 // Types
 type Sentiment = {
@@ -47,16 +59,19 @@ type AIAnalysis = {
   themes?: string[]
   suggestedActions?: string[]
   processedAt?: string
+  stale?: boolean
 }
 
 type Journal = {
   _id: string
-  content: string
+  content?: string // Missing for end-to-end encrypted entries until they're decrypted here
+  e2e?: EncryptedContent
   mood: number
   tags?: string[]
   status: "draft" | "analyzing" | "analyzed" | "error"
   aiAnalysis?: AIAnalysis
   conversationId?: string
+  version?: number
   createdAt: string
   updatedAt: string
 }
@@ -82,6 +97,8 @@ export default function JournalPage() {
   const [moodLevel, setMoodLevel] = useState([5])
   const [isSaving, setIsSaving] = useState(false)
   const [saveSuccess, setSaveSuccess] = useState(false)
+  const [isUpdating, setIsUpdating] = useState(false)
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false)
 
   // Journal List State
   const [journals, setJournals] = useState<Journal[]>([])
@@ -98,6 +115,14 @@ export default function JournalPage() {
   const [isAnalyzing, setIsAnalyzing] = useState(false)
   const [analysisProgress, setAnalysisProgress] = useState(0)
   const [analysisStage, setAnalysisStage] = useState("")
+  const [recommendations, setRecommendations] = useState<{ journalId: string; resources: RecommendedResource[] } | null>(null)
+  const [transientAnalysis, setTransientAnalysis] = useState<{ journalId: string; analysis: AIAnalysis } | null>(null)
+
+  // End-to-end encryption State
+  const [encryption, setEncryption] = useState<KeyringStatus | null>(null)
+  const [journalKeys, setJournalKeys] = useState<JournalKeys | null>(getSessionKeys())
+  const [passphrase, setPassphrase] = useState("")
+  const [isUnlocking, setIsUnlocking] = useState(false)
 
   // AI Chat Panel State (NO conversation needed - messages stored IN journal!)
   const [isAIPanelOpen, setIsAIPanelOpen] = useState(false)
@@ -119,9 +144,16 @@ export default function JournalPage() {
 
   // Load journals on mount
   useEffect(() => {
-    loadJournals()
+    journalAPI.encryptionStatus()
+      .then((res) => { if (res.success) setEncryption(res.data) })
+      .catch((err) => console.error("[Journal] Failed to load encryption settings:", err))
   }, [])
 
+  // (Re)load once the journal is unlocked so encrypted entries can be decrypted
+  useEffect(() => {
+    loadJournals()
+  }, [journalKeys])
+
   // Filter journals when search/filter changes
   useEffect(() => {
     filterJournals()
@@ -134,7 +166,7 @@ export default function JournalPage() {
     if (searchQuery.trim()) {
       const query = searchQuery.toLowerCase()
       filtered = filtered.filter(j => 
-        j.content.toLowerCase().includes(query) ||
+        (j.content || "").toLowerCase().includes(query) ||
         new Date(j.createdAt).toLocaleDateString().includes(query)
       )
     }
@@ -156,6 +188,17 @@ export default function JournalPage() {
     setFilteredJournals(filtered)
   }
 
+  // Decrypt an end-to-end encrypted entry for display; it stays locked without the keys
+  const revealJournal = async (journal: Journal, keys = journalKeys): Promise<Journal> => {
+    if (!journal.e2e || !keys) return journal
+    try {
+      return { ...journal, content: await decryptContent(keys, journal.e2e) }
+    } catch (error) {
+      console.error("[Journal] Failed to decrypt entry:", journal._id, error)
+      return journal
+    }
+  }
+
   // Load journals from API
   const loadJournals = async () => {
     try {
@@ -164,7 +207,7 @@ export default function JournalPage() {
       if (data.success && data.journals) {
         // Ensure newest first in UI
         const sorted = [...data.journals].sort((a: any, b: any) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
-        setJournals(sorted as any)
+        setJournals(await Promise.all((sorted as Journal[]).map((j) => revealJournal(j))))
       }
     } catch (error) {
       console.error("[Journal] Error loading:", error)
@@ -178,6 +221,77 @@ export default function JournalPage() {
     }
   }
 
+  const unlockJournal = async () => {
+    if (!encryption || !passphrase) return
+    try {
+      setIsUnlocking(true)
+      const keys = await unlockKeys(encryption, passphrase)
+      setSessionKeys(keys)
+      setJournalKeys(keys)
+      setPassphrase("")
+    } catch {
+      toast({ title: "Couldn't unlock", description: "That passphrase doesn't match.", variant: "destructive" })
+    } finally {
+      setIsUnlocking(false)
+    }
+  }
+
+  // New entries are encrypted while encryption is on; it needs the journal unlocked
+  const encryptsNewEntries = !!encryption?.enabled
+  const isLocked = !!encryption?.configured && !journalKeys
+
+  const encryptEntry = async (content: string) => {
+    if (!journalKeys || !encryption?.currentVersion) throw new Error("Unlock your journal first")
+    return encryptContent(journalKeys, encryption.currentVersion, content)
+  }
+
+  // Save an end-to-end encrypted entry; it's only analyzed when the student asks
+  const saveEncrypted = async () => {
+    try {
+      setIsSaving(true)
+      const data = await journalAPI.create({ e2e: await encryptEntry(entry.trim()), mood: moodLevel[0] })
+      if (data.success && data.journal) {
+        const newJournal = { ...data.journal, content: entry.trim() }
+        setJournals([newJournal, ...journals])
+        setSelectedJournal(newJournal)
+        setSaveSuccess(true)
+        try { localStorage.setItem('zenly_journal_updated', Date.now().toString()) } catch {}
+        setTimeout(() => setSaveSuccess(false), 2000)
+      }
+    } catch (error) {
+      console.error("[Journal] Save error:", error)
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to save journal",
+        variant: "destructive",
+      })
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  // One-off AI insights for an encrypted entry: the text is sent for this request only and nothing is stored
+  const analyzeEncrypted = async () => {
+    if (!selectedJournal?.content) return
+    if (!confirm("Send this entry's text to the AI for insights? It's used for this analysis only and isn't saved.")) return
+
+    try {
+      setIsAnalyzing(true)
+      setAnalysisStage("Analyzing your thoughts...")
+      setAnalysisProgress(50)
+      const res = await journalAPI.analyzeTransient(selectedJournal._id, selectedJournal.content)
+      if (res.success) setTransientAnalysis({ journalId: selectedJournal._id, analysis: res.data })
+    } catch (error) {
+      toast({
+        title: "Couldn't analyze this entry",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setIsAnalyzing(false)
+    }
+  }
+
   // Save journal entry and start reflection
   const saveAndReflect = async () => {
     if (!entry.trim()) {
@@ -189,6 +303,8 @@ export default function JournalPage() {
       return
     }
 
+    if (encryptsNewEntries) return saveEncrypted()
+
     try {
       setIsSaving(true)
       const data = await journalAPI.create({ content: entry.trim(), mood: moodLevel[0] })
@@ -217,6 +333,45 @@ export default function JournalPage() {
     }
   }
 
+  // Save edits to the selected entry; the previous version goes into its history
+  const saveChanges = async () => {
+    if (!selectedJournal || !entry.trim()) return
+
+    try {
+      setIsUpdating(true)
+      const changes = selectedJournal.e2e
+        ? { e2e: await encryptEntry(entry.trim()), mood: moodLevel[0] }
+        : { content: entry.trim(), mood: moodLevel[0] }
+      const data = await journalAPI.update(selectedJournal._id, changes)
+      if (data.success && data.journal) {
+        await applyJournalUpdate(data.journal)
+        try { localStorage.setItem('zenly_journal_updated', Date.now().toString()) } catch {}
+        toast({
+          title: data.message,
+          description: data.reanalysis ? "Your insights are being updated for the new text." : undefined,
+        })
+      }
+    } catch (error) {
+      console.error("[Journal] Update error:", error)
+      toast({
+        title: "Error",
+        description: error instanceof Error ? error.message : "Failed to save changes",
+        variant: "destructive",
+      })
+    } finally {
+      setIsUpdating(false)
+    }
+  }
+
+  // Replace an entry after an edit or restore
+  const applyJournalUpdate = async (updated: Journal) => {
+    const journal = await revealJournal(updated)
+    setJournals(prev => prev.map(j => j._id === journal._id ? { ...j, ...journal } : j))
+    setSelectedJournal(prev => prev && prev._id === journal._id ? { ...prev, ...journal } : prev)
+    setEntry(journal.content || "")
+    setMoodLevel([journal.mood || 5])
+  }
+
   // Start AI reflection - opens panel and starts conversation
   const startReflection = async (journalId: string) => {
     try {
@@ -248,6 +403,7 @@ export default function JournalPage() {
           const data = JSON.parse(e.data)
           setAnalysisProgress(100)
           setAnalysisStage("Analysis complete. Preparing reflection...")
+          setRecommendations({ journalId, resources: data.recommendations || [] })
 
           // Optimistically mark selected journal analyzed
           setJournals(prev => prev.map(j => j._id === journalId ? { ...j, status: "analyzed", aiAnalysis: data.analysis } as any : j))
@@ -539,9 +695,15 @@ export default function JournalPage() {
   const selectJournal = async (journal: Journal) => {
     console.log("[Journal] Selecting journal:", journal._id)
     setSelectedJournal(journal)
-    setEntry(journal.content)
+    setEntry(journal.content || "")
     setMoodLevel([journal.mood])
 
+    // Reflection chat is stored on the server, so encrypted entries don't have one
+    if (journal.e2e) {
+      setIsAIPanelOpen(false)
+      return
+    }
+
     // Load reflection messages for this journal and open panel
     await loadJournalMessages(journal._id)
     setIsAIPanelOpen(true)
@@ -550,7 +712,7 @@ export default function JournalPage() {
 
   // Delete journal
   const deleteJournal = async (journalId: string) => {
-    if (!confirm("Are you sure you want to delete this journal entry?")) return
+    if (!confirm("Move this journal entry to the trash? You can restore it from the trash.")) return
 
     try {
       const token = localStorage.getItem("zenly_access_token")
@@ -570,7 +732,7 @@ export default function JournalPage() {
         setMoodLevel([5])
       }
 
-      toast({ title: "Journal deleted" })
+      toast({ title: "Moved to trash", description: "Restore it from the trash if you change your mind." })
     } catch (error) {
       console.error("[Journal] Delete error:", error)
       toast({
@@ -615,7 +777,27 @@ export default function JournalPage() {
                 <h1 className="text-xl font-semibold">My Journal</h1>
               </div>
             </div>
-            <ProfileDropdown />
+            <div className="flex items-center gap-2">
+              <Link href="/journal/encryption">
+                <Button variant="ghost" size="sm">
+                  <Lock className="h-4 w-4 mr-1" />
+                  Encryption
+                </Button>
+              </Link>
+              <Link href="/journal/sharing">
+                <Button variant="ghost" size="sm">
+                  <Share2 className="h-4 w-4 mr-1" />
+                  Sharing
+                </Button>
+              </Link>
+              <Link href="/trash">
+                <Button variant="ghost" size="sm">
+                  <Trash2 className="h-4 w-4 mr-1" />
+                  Trash
+                </Button>
+              </Link>
+              <ProfileDropdown />
+            </div>
           </div>
         </div>
       </header>
@@ -703,6 +885,12 @@ export default function JournalPage() {
                           {journal.status === "analyzed" && (
                             <CheckCircle2 className="h-4 w-4 text-green-600 flex-shrink-0" />
                           )}
+                          {journal.e2e && (
+                            <Lock className="h-3 w-3 text-gray-400 flex-shrink-0" />
+                          )}
+                          {(journal.version || 1) > 1 && (
+                            <span className="text-xs text-gray-400">edited</span>
+                          )}
                         </div>
                         <Button
                           variant="ghost"
@@ -717,7 +905,7 @@ export default function JournalPage() {
                         </Button>
                       </div>
                       <p className="text-sm text-gray-700 line-clamp-2 mb-2">
-                        {journal.content}
+                        {journal.content ?? <span className="italic text-gray-400">Encrypted — unlock to read</span>}
                       </p>
                       <div className="flex items-center justify-between gap-2">
                         <span className="text-xs text-gray-500 truncate">
@@ -749,11 +937,35 @@ export default function JournalPage() {
                 </CardDescription>
               </CardHeader>
               <CardContent className="flex-1 flex flex-col space-y-4">
+                {isLocked && (
+                  <Alert>
+                    <Lock className="h-4 w-4" />
+                    <AlertDescription className="space-y-2">
+                      <p>Your journal is end-to-end encrypted. Enter your passphrase to read and write entries.</p>
+                      <div className="flex gap-2">
+                        <Input
+                          type="password"
+                          value={passphrase}
+                          onChange={(e) => setPassphrase(e.target.value)}
+                          onKeyDown={(e) => { if (e.key === "Enter") unlockJournal() }}
+                          placeholder="Journal passphrase"
+                          className="bg-white"
+                        />
+                        <Button onClick={unlockJournal} disabled={isUnlocking || !passphrase}>
+                          {isUnlocking ? <Loader2 className="h-4 w-4 animate-spin" /> : "Unlock"}
+                        </Button>
+                      </div>
+                      <Link href="/journal/encryption" className="text-sm underline">Forgot it? Use your recovery code</Link>
+                    </AlertDescription>
+                  </Alert>
+                )}
+
                 <Textarea
                   value={entry}
                   onChange={(e) => setEntry(e.target.value)}
                   placeholder="What's on your mind today?"
                   className="flex-1 resize-none min-h-[300px]"
+                  disabled={isLocked && (encryptsNewEntries || !!selectedJournal?.e2e)}
                 />
 
                 <div className="space-y-2">
@@ -774,10 +986,63 @@ export default function JournalPage() {
                   </div>
                 </div>
 
+                {selectedJournal?.e2e && transientAnalysis?.journalId === selectedJournal._id && (
+                  <div className="rounded-md border bg-gray-50 p-3 space-y-2">
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="text-sm font-medium">Insights (not saved)</p>
+                      <Badge variant="outline">{transientAnalysis.analysis.sentiment?.label}</Badge>
+                    </div>
+                    <p className="text-sm text-gray-700">{transientAnalysis.analysis.summary}</p>
+                    {transientAnalysis.analysis.insights?.length > 0 && (
+                      <ul className="list-disc pl-5 text-sm text-gray-700 space-y-1">
+                        {transientAnalysis.analysis.insights.map((insight, i) => <li key={i}>{insight}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
+                {selectedJournal?.aiAnalysis?.stale && (
+                  <p className="text-xs text-gray-500 flex items-center gap-1">
+                    <Clock className="h-3 w-3" />
+                    Insights are from an earlier version of this entry and are being updated.
+                  </p>
+                )}
+
                 <div className="flex gap-2">
+                  {selectedJournal && (
+                    <>
+                      <Button
+                        variant="outline"
+                        onClick={saveChanges}
+                        disabled={
+                          isUpdating ||
+                          !entry.trim() ||
+                          (!!selectedJournal.e2e && !journalKeys) ||
+                          (entry.trim() === selectedJournal.content && moodLevel[0] === selectedJournal.mood)
+                        }
+                      >
+                        {isUpdating ? (
+                          <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                        ) : (
+                          <Save className="h-4 w-4 mr-2" />
+                        )}
+                        Save changes
+                      </Button>
+                      <Button variant="outline" onClick={() => setIsHistoryOpen(true)}>
+                        <History className="h-4 w-4 mr-2" />
+                        History
+                      </Button>
+                    </>
+                  )}
+                  {selectedJournal?.e2e && (
+                    <Button variant="outline" onClick={analyzeEncrypted} disabled={isAnalyzing || !selectedJournal.content}>
+                      <Sparkles className="h-4 w-4 mr-2" />
+                      Get insights
+                    </Button>
+                  )}
                   <Button
                     onClick={saveAndReflect}
-                    disabled={isSaving || !entry.trim()}
+                    disabled={isSaving || !entry.trim() || (encryptsNewEntries && !journalKeys)}
                     className="flex-1"
                   >
                     {isSaving ? (
@@ -790,6 +1055,11 @@ export default function JournalPage() {
                         <CheckCircle2 className="h-4 w-4 mr-2" />
                         Saved!
                       </>
+                    ) : encryptsNewEntries ? (
+                      <>
+                        <Lock className="h-4 w-4 mr-2" />
+                        Save encrypted
+                      </>
                     ) : (
                       <>
                         <MessageSquare className="h-4 w-4 mr-2" />
@@ -815,6 +1085,13 @@ export default function JournalPage() {
         </div>
       </div>
 
+      <JournalHistory
+        journalId={selectedJournal?._id || null}
+        open={isHistoryOpen}
+        onOpenChange={setIsHistoryOpen}
+        onRestored={applyJournalUpdate}
+      />
+
       {/* AI Reflection Panel - SLIDES FROM RIGHT */}
       <Sheet open={isAIPanelOpen} onOpenChange={setIsAIPanelOpen}>
         <SheetContent side="right" className="w-[500px] sm:w-[600px] flex flex-col p-0">
@@ -840,6 +1117,12 @@ export default function JournalPage() {
                 {/* Messages */}
                 <div className="flex-1 p-6 overflow-y-auto">
                   <div className="space-y-4">
+                    {recommendations && recommendations.journalId === selectedJournal?._id && (
+                      <ResourceRecommendations
+                        resources={recommendations.resources}
+                        title="Based on this entry, these might help"
+                      />
+                    )}
                     {messages.map((msg) => {
                       const isUser = msg.role === "user"
                       return (
@@ -0,0 +1,335 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import Link from "next/link"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Textarea } from "@/components/ui/textarea"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useToast } from "@/hooks/use-toast"
+import { useAuth } from "@/hooks/use-auth"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { ArrowLeft, Eye, Loader2, Lock, Share2, ShieldCheck } from "lucide-react"
+import { counselorAPI, journalAPI } from "@/lib/api"
+
+type Person = { _id: string; firstName?: string; lastName?: string; name: string } | null
+
+type CounselorOption = {
+  id: string
+  firstName?: string
+  lastName?: string
+  name: string
+  title?: string
+}
+
+type JournalSummary = {
+  _id: string
+  content: string
+  mood?: number
+  createdAt: string
+}
+
+type JournalShare = {
+  _id: string
+  counselorId: Person
+  scope: "entries" | "range"
+  journalIds: string[]
+  from?: string
+  to?: string
+  message?: string
+  expiresAt: string
+  revokedAt?: string
+  createdAt: string
+  active: boolean
+}
+
+type AccessLogEntry = {
+  _id: string
+  counselorId: Person
+  journalId: { _id: string; createdAt: string } | null
+  action: "list" | "view"
+  createdAt: string
+}
+
+const EXPIRY_OPTIONS = [7, 14, 30, 90]
+
+const fullName = (person: { firstName?: string; lastName?: string; name?: string } | null | undefined) =>
+  person ? [person.firstName, person.lastName].filter(Boolean).join(" ") || person.name || "Counselor" : "Former counselor"
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" })
+
+export default function JournalSharingPage() {
+  const { user, loading: authLoading } = useAuth()
+  const [counselors, setCounselors] = useState<CounselorOption[]>([])
+  const [journals, setJournals] = useState<JournalSummary[]>([])
+  const [shares, setShares] = useState<JournalShare[]>([])
+  const [accessLog, setAccessLog] = useState<AccessLogEntry[]>([])
+  const [counselorId, setCounselorId] = useState("")
+  const [mode, setMode] = useState<"entries" | "range">("entries")
+  const [selectedIds, setSelectedIds] = useState<string[]>([])
+  const [rangeFrom, setRangeFrom] = useState("")
+  const [rangeTo, setRangeTo] = useState("")
+  const [expiresInDays, setExpiresInDays] = useState("30")
+  const [message, setMessage] = useState("")
+  const [sharing, setSharing] = useState(false)
+  const [revokingId, setRevokingId] = useState<string | null>(null)
+  const { toast } = useToast()
+
+  const loadShares = useCallback(() => {
+    journalAPI.listShares()
+      .then((res) => { if (res.success) setShares(res.data) })
+      .catch((err) => console.error("Failed to load shares:", err))
+    journalAPI.getAccessLog()
+      .then((res) => { if (res.success) setAccessLog(res.data) })
+      .catch((err) => console.error("Failed to load access log:", err))
+  }, [])
+
+  useEffect(() => {
+    if (authLoading || !user) return
+
+    counselorAPI.list()
+      .then((res) => { if (res.success) setCounselors(res.data) })
+      .catch((err) => console.error("Failed to load counselors:", err))
+    journalAPI.list({ limit: 50 })
+      // End-to-end encrypted entries can't be read by a counselor, so they aren't offered
+      .then((res) => { if (res.success) setJournals(res.journals.filter((j: { e2e?: unknown }) => !j.e2e)) })
+      .catch((err) => console.error("Failed to load journals:", err))
+    loadShares()
+  }, [authLoading, user, loadShares])
+
+  const toggleEntry = (id: string) => {
+    setSelectedIds((ids) => (ids.includes(id) ? ids.filter((i) => i !== id) : [...ids, id]))
+  }
+
+  const canShare = !!counselorId && (mode === "entries" ? selectedIds.length > 0 : !!rangeFrom && !!rangeTo)
+
+  const handleShare = async () => {
+    setSharing(true)
+    try {
+      await journalAPI.createShare({
+        counselorId,
+        ...(mode === "entries"
+          ? { journalIds: selectedIds }
+          // Whole days in the student's own time zone
+          : { from: new Date(`${rangeFrom}T00:00:00`).toISOString(), to: new Date(`${rangeTo}T23:59:59.999`).toISOString() }),
+        expiresInDays: Number(expiresInDays),
+        message: message.trim() || undefined,
+      })
+      toast({ title: "Entries shared", description: "You can revoke access at any time." })
+      setSelectedIds([])
+      setMessage("")
+      loadShares()
+    } catch (error: any) {
+      toast({ title: "Couldn't share entries", description: error.message, variant: "destructive" })
+    } finally {
+      setSharing(false)
+    }
+  }
+
+  const handleRevoke = async (shareId: string) => {
+    setRevokingId(shareId)
+    try {
+      await journalAPI.revokeShare(shareId)
+      toast({ title: "Access revoked" })
+      loadShares()
+    } catch (error: any) {
+      toast({ title: "Couldn't revoke access", description: error.message, variant: "destructive" })
+    } finally {
+      setRevokingId(null)
+    }
+  }
+
+  if (authLoading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader2 className="h-8 w-8 animate-spin text-primary" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <nav className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-40">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Link href="/journal" className="-ml-2 mr-2">
+              <Button variant="ghost" size="sm">
+                <ArrowLeft className="h-4 w-4" />
+              </Button>
+            </Link>
+            <Share2 className="h-6 w-6 text-primary" />
+            <h1 className="text-2xl font-bold">Journal Sharing</h1>
+          </div>
+          <ProfileDropdown />
+        </div>
+      </nav>
+
+      <div className="container mx-auto px-4 py-8 grid lg:grid-cols-2 gap-6">
+        {/* New share */}
+        <Card>
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Share2 className="h-5 w-5 text-primary" />
+              Share with a counselor
+            </CardTitle>
+            <CardDescription>
+              Your journal is private. Counselors only see the entries you choose, until the share expires or you revoke it.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-1">
+              <Label>Counselor</Label>
+              <Select value={counselorId} onValueChange={setCounselorId}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose a counselor" />
+                </SelectTrigger>
+                <SelectContent>
+                  {counselors.map((counselor) => (
+                    <SelectItem key={counselor.id} value={counselor.id}>
+                      {fullName(counselor)}{counselor.title ? ` — ${counselor.title}` : ""}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="flex gap-2">
+              <Button size="sm" variant={mode === "entries" ? "default" : "outline"} onClick={() => setMode("entries")}>
+                Specific entries
+              </Button>
+              <Button size="sm" variant={mode === "range" ? "default" : "outline"} onClick={() => setMode("range")}>
+                Date range
+              </Button>
+            </div>
+
+            {mode === "entries" ? (
+              <div className="max-h-64 overflow-y-auto space-y-2 rounded-md border p-2">
+                {journals.length === 0 && <p className="text-sm text-muted-foreground p-2">No journal entries yet.</p>}
+                {journals.map((journal) => (
+                  <label key={journal._id} className="flex items-start gap-2 p-2 rounded hover:bg-muted cursor-pointer">
+                    <Checkbox checked={selectedIds.includes(journal._id)} onCheckedChange={() => toggleEntry(journal._id)} />
+                    <span className="text-sm">
+                      <span className="font-medium">{formatDate(journal.createdAt)}</span>
+                      <span className="text-muted-foreground"> — {journal.content.slice(0, 80)}{journal.content.length > 80 ? "…" : ""}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-1">
+                  <Label htmlFor="range-from">From</Label>
+                  <Input id="range-from" type="date" value={rangeFrom} onChange={(e) => setRangeFrom(e.target.value)} />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="range-to">To</Label>
+                  <Input id="range-to" type="date" value={rangeTo} onChange={(e) => setRangeTo(e.target.value)} />
+                </div>
+              </div>
+            )}
+
+            <div className="space-y-1">
+              <Label>Access expires after</Label>
+              <Select value={expiresInDays} onValueChange={setExpiresInDays}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {EXPIRY_OPTIONS.map((days) => (
+                    <SelectItem key={days} value={String(days)}>{days} days</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="share-message">Message to the counselor (optional)</Label>
+              <Textarea id="share-message" value={message} maxLength={500} onChange={(e) => setMessage(e.target.value)} />
+            </div>
+
+            <Button onClick={handleShare} disabled={!canShare || sharing}>
+              {sharing && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Share
+            </Button>
+          </CardContent>
+        </Card>
+
+        <div className="space-y-6">
+          {/* Existing shares */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ShieldCheck className="h-5 w-5 text-primary" />
+                Your shares
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {shares.length === 0 && <p className="text-sm text-muted-foreground">You haven't shared any entries.</p>}
+              {shares.map((share) => (
+                <div key={share._id} className="flex items-start justify-between gap-3 rounded-lg border p-3">
+                  <div className="text-sm">
+                    <p className="font-medium">{fullName(share.counselorId)}</p>
+                    <p className="text-muted-foreground">
+                      {share.scope === "entries"
+                        ? `${share.journalIds.length} ${share.journalIds.length === 1 ? "entry" : "entries"}`
+                        : `Entries from ${formatDate(share.from!)} to ${formatDate(share.to!)}`}
+                    </p>
+                    <p className="text-muted-foreground">
+                      {share.revokedAt
+                        ? `Revoked ${formatDate(share.revokedAt)}`
+                        : `${share.active ? "Expires" : "Expired"} ${formatDate(share.expiresAt)}`}
+                    </p>
+                  </div>
+                  {share.active ? (
+                    <Button size="sm" variant="outline" disabled={revokingId === share._id} onClick={() => handleRevoke(share._id)}>
+                      <Lock className="h-4 w-4 mr-1" />
+                      Revoke
+                    </Button>
+                  ) : (
+                    <Badge variant="secondary">Ended</Badge>
+                  )}
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+
+          {/* Access log */}
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Eye className="h-5 w-5 text-primary" />
+                Access log
+              </CardTitle>
+              <CardDescription>Every time a counselor opened one of your shared entries.</CardDescription>
+            </CardHeader>
+            <CardContent>
+              {accessLog.length === 0 && <p className="text-sm text-muted-foreground">No one has read your shared entries yet.</p>}
+              <div className="space-y-2">
+                {accessLog.map((access) => (
+                  <div key={access._id} className="flex items-center justify-between text-sm">
+                    <span>
+                      <span className="font-medium">{fullName(access.counselorId)}</span>
+                      <span className="text-muted-foreground">
+                        {" "}{access.action === "view" ? "opened" : "saw in a list"} your entry
+                        {access.journalId ? ` from ${formatDate(access.journalId.createdAt)}` : " (since deleted)"}
+                      </span>
+                    </span>
+                    <span className="text-muted-foreground">{formatDateTime(access.createdAt)}</span>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -5,6 +5,7 @@ import Link from "next/link"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
+import { Progress } from "@/components/ui/progress"
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger, DialogFooter } from "@/components/ui/dialog"
 import { Input } from "@/components/ui/input"
 import { Label } from "@/components/ui/label"
@@ -19,12 +20,20 @@ import {
   TrendingUp,
   Calendar,
   Edit,
-  Loader2
+  Loader2,
+  Monitor,
+  Smartphone,
+  Sparkles,
+  Download,
+  Trash2,
+  AlertTriangle
 } from "lucide-react"
 import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart"
 import { LineChart, Line, XAxis, YAxis, CartesianGrid } from "recharts"
-import { userAPI } from "@/lib/api"
+import { authAPI, userAPI } from "@/lib/api"
 import { journalAPI, moodAPI } from "@/lib/api"
+import { useSocket } from "@/hooks/use-socket"
+import ReminderSettings from "@/components/ReminderSettings"
 
 type Journal = {
   _id: string
@@ -40,6 +49,32 @@ type MoodEntry = {
   createdAt: string
 }
 
+type ActiveSession = {
+  id: string
+  userAgent?: string
+  ipAddress?: string
+  createdAt: string
+  lastUsedAt: string
+  current: boolean
+}
+
+type AIUsage = {
+  requests: number
+  tokensUsed: number
+  limits: { requests: number; tokens: number }
+  remaining: { requests: number; tokens: number }
+  resetsAt: string
+}
+
+type DataExport = {
+  id: string
+  status: "pending" | "processing" | "ready" | "failed"
+  fileName?: string
+  sizeBytes?: number
+  createdAt: string
+  expiresAt?: string
+}
+
 type UserProfile = {
   _id: string
   name: string
@@ -50,6 +85,7 @@ type UserProfile = {
   academicYear?: string
   avatarUrl?: string
   role: string
+  deletionScheduledFor?: string
 }
 
 export default function ProfilePage() {
@@ -67,8 +103,19 @@ export default function ProfilePage() {
     confirmPassword: ""
   })
   const [changingPassword, setChangingPassword] = useState(false)
+  const [sessions, setSessions] = useState<ActiveSession[]>([])
+  const [revokingSessionId, setRevokingSessionId] = useState<string | null>(null)
+  const [aiUsage, setAIUsage] = useState<AIUsage | null>(null)
+  const [dataExports, setDataExports] = useState<DataExport[]>([])
+  const [requestingExport, setRequestingExport] = useState(false)
+  const [downloadingExportId, setDownloadingExportId] = useState<string | null>(null)
+  const [isDeleteDialogOpen, setIsDeleteDialogOpen] = useState(false)
+  const [deletePassword, setDeletePassword] = useState("")
+  const [deletingAccount, setDeletingAccount] = useState(false)
+  const [cancellingDeletion, setCancellingDeletion] = useState(false)
   const fileInputRef = useRef<HTMLInputElement>(null)
   const { toast } = useToast()
+  const { connected: socketConnected, on, off } = useSocket()
 
   useEffect(() => {
     loadProfileData()
@@ -104,6 +151,18 @@ export default function ProfilePage() {
         setUser(profileResponse.data)
       }
       
+      // Load active sessions (non-critical)
+      userAPI.listSessions()
+        .then((res) => { if (res.success) setSessions(res.data) })
+        .catch((err) => console.error("Failed to load sessions:", err))
+
+      // Load today's AI usage (non-critical)
+      userAPI.getAIUsage()
+        .then((res) => { if (res.success) setAIUsage(res.data) })
+        .catch((err) => console.error("Failed to load AI usage:", err))
+
+      loadExports()
+
       // Load journal entries (use pagination total for accurate count) and moods
       const journalResponse = await journalAPI.list({ limit: 50 })
       const moodResponse = await moodAPI.list()
@@ -166,11 +225,151 @@ export default function ProfilePage() {
     }
   }
 
-  const handleSignOut = () => {
+  const handleSignOut = async () => {
+    try {
+      await authAPI.logout()
+    } catch (error) {
+      console.error("Logout error:", error)
+    }
     localStorage.clear()
     window.location.href = "/"
   }
 
+  const loadExports = () => {
+    userAPI.listExports()
+      .then((res) => { if (res.success) setDataExports(res.data) })
+      .catch((err) => console.error("Failed to load data exports:", err))
+  }
+
+  // Large exports are built in the background; refresh the list when the server says it's ready
+  useEffect(() => {
+    if (!socketConnected) return
+
+    const handleNotification = (notification: any) => {
+      if (notification.type !== "data_export_ready") return
+      toast({ title: notification.title, description: notification.body })
+      loadExports()
+    }
+
+    on("notification:new", handleNotification)
+    return () => off("notification:new", handleNotification)
+  }, [socketConnected, on, off, toast])
+
+  const handleRequestExport = async () => {
+    setRequestingExport(true)
+    try {
+      const res = await userAPI.requestExport()
+      toast({
+        title: "Data export",
+        description: res.data.status === "ready"
+          ? "Your archive is ready to download"
+          : res.message || "Your export is being prepared"
+      })
+      loadExports()
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to request data export",
+        variant: "destructive"
+      })
+    } finally {
+      setRequestingExport(false)
+    }
+  }
+
+  const handleDownloadExport = async (dataExport: DataExport) => {
+    setDownloadingExportId(dataExport.id)
+    try {
+      await userAPI.downloadExport(dataExport.id, dataExport.fileName)
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to download export",
+        variant: "destructive"
+      })
+    } finally {
+      setDownloadingExportId(null)
+    }
+  }
+
+  const handleDeleteAccount = async () => {
+    setDeletingAccount(true)
+    try {
+      const res = await userAPI.deleteAccount(deletePassword)
+      setUser((prev) => prev ? { ...prev, deletionScheduledFor: res.data.deletionScheduledFor } : prev)
+      setSessions((prev) => prev.filter((s) => s.current))
+      setIsDeleteDialogOpen(false)
+      setDeletePassword("")
+      toast({ title: "Account deletion scheduled", description: res.message })
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to delete account",
+        variant: "destructive"
+      })
+    } finally {
+      setDeletingAccount(false)
+    }
+  }
+
+  const handleCancelDeletion = async () => {
+    setCancellingDeletion(true)
+    try {
+      await userAPI.cancelAccountDeletion()
+      setUser((prev) => prev ? { ...prev, deletionScheduledFor: undefined } : prev)
+      toast({ title: "Success", description: "Your account will not be deleted" })
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to cancel account deletion",
+        variant: "destructive"
+      })
+    } finally {
+      setCancellingDeletion(false)
+    }
+  }
+
+  const handleRevokeSession = async (sessionId: string | "others") => {
+    setRevokingSessionId(sessionId)
+    try {
+      if (sessionId === "others") {
+        await userAPI.revokeOtherSessions()
+        setSessions((prev) => prev.filter((s) => s.current))
+      } else {
+        await userAPI.revokeSession(sessionId)
+        setSessions((prev) => prev.filter((s) => s.id !== sessionId))
+      }
+      toast({
+        title: "Success",
+        description: sessionId === "others" ? "Signed out of all other devices" : "Session signed out"
+      })
+    } catch (error: any) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to sign out session",
+        variant: "destructive"
+      })
+    } finally {
+      setRevokingSessionId(null)
+    }
+  }
+
+  const describeDevice = (userAgent?: string) => {
+    if (!userAgent) return "Unknown device"
+    const browser = /Edg\//.test(userAgent) ? "Edge"
+      : /Chrome\//.test(userAgent) ? "Chrome"
+      : /Firefox\//.test(userAgent) ? "Firefox"
+      : /Safari\//.test(userAgent) ? "Safari"
+      : "Browser"
+    const os = /iPhone|iPad/.test(userAgent) ? "iOS"
+      : /Android/.test(userAgent) ? "Android"
+      : /Mac OS X/.test(userAgent) ? "macOS"
+      : /Windows/.test(userAgent) ? "Windows"
+      : /Linux/.test(userAgent) ? "Linux"
+      : "Unknown OS"
+    return `${browser} on ${os}`
+  }
+
   const handleProfilePictureClick = () => {
     fileInputRef.current?.click()
   }
@@ -360,6 +559,23 @@ export default function ProfilePage() {
       </nav>
 
       <div className="container mx-auto px-4 py-8 max-w-4xl">
+        {user?.deletionScheduledFor && (
+          <div className="mb-8 flex flex-col sm:flex-row sm:items-center justify-between gap-4 rounded-lg border border-destructive/50 bg-destructive/10 p-4">
+            <div className="flex items-start gap-3">
+              <AlertTriangle className="h-5 w-5 text-destructive mt-0.5" />
+              <div>
+                <p className="font-medium">Your account is scheduled for deletion</p>
+                <p className="text-sm text-muted-foreground">
+                  It will be permanently deleted on {new Date(user.deletionScheduledFor).toLocaleString()}.
+                </p>
+              </div>
+            </div>
+            <Button variant="outline" onClick={handleCancelDeletion} disabled={cancellingDeletion}>
+              {cancellingDeletion ? <Loader2 className="h-4 w-4 animate-spin" /> : "Keep my account"}
+            </Button>
+          </div>
+        )}
+
         {/* Profile Information */}
         <Card className="mb-8">
           <CardHeader>
@@ -500,6 +716,169 @@ export default function ProfilePage() {
           </CardContent>
         </Card>
 
+        {/* Reminders */}
+        <ReminderSettings />
+
+        {/* Active Sessions */}
+        <Card className="mb-8">
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between gap-2">
+              <span className="flex items-center gap-2">
+                <Monitor className="h-5 w-5 text-primary" />
+                Active Sessions
+              </span>
+              {sessions.length > 1 && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => handleRevokeSession("others")}
+                  disabled={revokingSessionId !== null}
+                >
+                  Sign out other devices
+                </Button>
+              )}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            {sessions.length > 0 ? (
+              <div className="space-y-3">
+                {sessions.map((session) => (
+                  <div key={session.id} className="flex items-center justify-between p-3 rounded-lg border">
+                    <div className="flex items-center gap-3">
+                      {/Mobile|Android|iPhone/.test(session.userAgent || "") ? (
+                        <Smartphone className="h-5 w-5 text-muted-foreground" />
+                      ) : (
+                        <Monitor className="h-5 w-5 text-muted-foreground" />
+                      )}
+                      <div>
+                        <p className="font-medium">
+                          {describeDevice(session.userAgent)}
+                          {session.current && (
+                            <Badge variant="secondary" className="ml-2">This device</Badge>
+                          )}
+                        </p>
+                        <p className="text-sm text-muted-foreground">
+                          {session.ipAddress ? `${session.ipAddress} • ` : ""}
+                          Last active {new Date(session.lastUsedAt).toLocaleString()}
+                        </p>
+                      </div>
+                    </div>
+                    {!session.current && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleRevokeSession(session.id)}
+                        disabled={revokingSessionId !== null}
+                      >
+                        {revokingSessionId === session.id ? (
+                          <Loader2 className="h-4 w-4 animate-spin" />
+                        ) : (
+                          "Sign out"
+                        )}
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-muted-foreground text-center py-4">No active sessions found</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Data Export */}
+        <Card className="mb-8">
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between gap-2">
+              <span className="flex items-center gap-2">
+                <Download className="h-5 w-5 text-primary" />
+                Your Data
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={handleRequestExport}
+                disabled={requestingExport || dataExports.some((e) => e.status === "pending" || e.status === "processing")}
+              >
+                {requestingExport ? <Loader2 className="h-4 w-4 animate-spin" /> : "Request export"}
+              </Button>
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <p className="text-sm text-muted-foreground mb-4">
+              Download a copy of your profile, journals, mood logs, AI conversations, forum activity and notifications
+              as JSON plus readable Markdown and HTML.
+            </p>
+            {dataExports.length > 0 && (
+              <div className="space-y-3">
+                {dataExports.map((dataExport) => (
+                  <div key={dataExport.id} className="flex items-center justify-between p-3 rounded-lg border">
+                    <div>
+                      <p className="font-medium">Requested {new Date(dataExport.createdAt).toLocaleString()}</p>
+                      <p className="text-sm text-muted-foreground">
+                        {dataExport.status === "ready" && dataExport.expiresAt
+                          ? `${((dataExport.sizeBytes || 0) / 1024).toFixed(1)} KB • Available until ${new Date(dataExport.expiresAt).toLocaleDateString()}`
+                          : dataExport.status === "failed"
+                            ? "Export failed"
+                            : "Preparing your archive..."}
+                      </p>
+                    </div>
+                    {dataExport.status === "ready" ? (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => handleDownloadExport(dataExport)}
+                        disabled={downloadingExportId !== null}
+                      >
+                        {downloadingExportId === dataExport.id ? (
+                          <Loader2 className="h-4 w-4 animate-spin" />
+                        ) : (
+                          "Download"
+                        )}
+                      </Button>
+                    ) : dataExport.status !== "failed" && (
+                      <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* AI Usage */}
+        {aiUsage && (
+          <Card className="mb-8">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <Sparkles className="h-5 w-5 text-primary" />
+                AI Usage Today
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div>
+                <div className="flex justify-between text-sm mb-2">
+                  <span>AI interactions</span>
+                  <span className="text-muted-foreground">{aiUsage.requests} / {aiUsage.limits.requests}</span>
+                </div>
+                <Progress value={Math.min(100, (aiUsage.requests / aiUsage.limits.requests) * 100)} />
+              </div>
+              <div>
+                <div className="flex justify-between text-sm mb-2">
+                  <span>Tokens</span>
+                  <span className="text-muted-foreground">
+                    {aiUsage.tokensUsed.toLocaleString()} / {aiUsage.limits.tokens.toLocaleString()}
+                  </span>
+                </div>
+                <Progress value={Math.min(100, (aiUsage.tokensUsed / aiUsage.limits.tokens) * 100)} />
+              </div>
+              <p className="text-sm text-muted-foreground">
+                Resets {new Date(aiUsage.resetsAt).toLocaleString()}
+              </p>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Mood Graph */}
         <Card className="mb-8">
           <CardHeader>
@@ -548,6 +927,65 @@ export default function ProfilePage() {
             )}
           </CardContent>
         </Card>
+
+        {/* Delete Account */}
+        {!user?.deletionScheduledFor && (
+          <Card className="mb-8 border-destructive/50">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2 text-destructive">
+                <Trash2 className="h-5 w-5" />
+                Delete Account
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <p className="text-sm text-muted-foreground mb-4">
+                Your journals, mood logs, AI conversations and notifications will be permanently erased.
+                Forum posts and comments stay up without your name. You can cancel during the grace period.
+              </p>
+              <Dialog
+                open={isDeleteDialogOpen}
+                onOpenChange={(open) => {
+                  setIsDeleteDialogOpen(open)
+                  if (!open) setDeletePassword("")
+                }}
+              >
+                <DialogTrigger asChild>
+                  <Button variant="destructive">Delete my account</Button>
+                </DialogTrigger>
+                <DialogContent>
+                  <DialogHeader>
+                    <DialogTitle>Delete your account?</DialogTitle>
+                    <DialogDescription>
+                      Enter your password to confirm. You&apos;ll be signed out on your other devices.
+                    </DialogDescription>
+                  </DialogHeader>
+                  <div className="space-y-2 py-4">
+                    <Label htmlFor="delete-password">Password</Label>
+                    <Input
+                      id="delete-password"
+                      type="password"
+                      value={deletePassword}
+                      onChange={(e) => setDeletePassword(e.target.value)}
+                      placeholder="Enter your password"
+                    />
+                  </div>
+                  <DialogFooter>
+                    <Button variant="outline" onClick={() => setIsDeleteDialogOpen(false)} disabled={deletingAccount}>
+                      Cancel
+                    </Button>
+                    <Button
+                      variant="destructive"
+                      onClick={handleDeleteAccount}
+                      disabled={deletingAccount || !deletePassword}
+                    >
+                      {deletingAccount ? <Loader2 className="h-4 w-4 animate-spin" /> : "Delete account"}
+                    </Button>
+                  </DialogFooter>
+                </DialogContent>
+              </Dialog>
+            </CardContent>
+          </Card>
+        )}
       </div>
     </div>
   )
@@ -4,10 +4,16 @@ import { useState, useEffect, useRef } from "react"
 import { Button } from "@/components/ui/button"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Badge } from "@/components/ui/badge"
-import { ArrowLeft, Play, Headphones, BookOpen, Loader2, Eye, ThumbsUp, Clock, ExternalLink, Sparkles, Library } from "lucide-react"
+import { Input } from "@/components/ui/input"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { ArrowLeft, Play, Headphones, BookOpen, Loader2, Eye, ThumbsUp, Clock, ExternalLink, Sparkles, Library, Search, Filter, Bookmark } from "lucide-react"
 import Link from "next/link"
 import ProfileDropdown from "@/components/ProfileDropdown"
 import { io, Socket } from "socket.io-client"
+import { getUser, resourceAPI } from "@/lib/api"
+import { useToast } from "@/hooks/use-toast"
 
 const API_BASE = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001"
 
@@ -31,25 +37,59 @@ interface Resource {
   helpfulCount: number
 }
 
-type ResourceType = "videos" | "audios" | "articles"
+type ResourceType = "all" | "video" | "audio" | "article"
+type SortOption = "relevance" | "popular" | "helpful" | "newest"
+
+interface FacetValue {
+  value: string
+  count: number
+  label?: string
+}
+
+interface Facets {
+  type: FacetValue[]
+  category: FacetValue[]
+  language: FacetValue[]
+  duration: FacetValue[]
+}
+
+const EMPTY_FACETS: Facets = { type: [], category: [], language: [], duration: [] }
+
+const TYPE_TABS: { value: ResourceType; label: string; icon: typeof Play }[] = [
+  { value: "all", label: "All", icon: Library },
+  { value: "video", label: "Videos", icon: Play },
+  { value: "audio", label: "Audio", icon: Headphones },
+  { value: "article", label: "Articles", icon: BookOpen },
+]
+
+const SORT_LABELS: Record<SortOption, string> = {
+  relevance: "Best match",
+  popular: "Most viewed",
+  helpful: "Most helpful",
+  newest: "Newest",
+}
 
 export default function BrowseAllResourcesPage() {
-  const [activeSection, setActiveSection] = useState<ResourceType>("videos")
-  const [videos, setVideos] = useState<Resource[]>([])
-  const [audios, setAudios] = useState<Resource[]>([])
-  const [articles, setArticles] = useState<Resource[]>([])
+  const [query, setQuery] = useState("")
+  const [debouncedQuery, setDebouncedQuery] = useState("")
+  const [activeType, setActiveType] = useState<ResourceType>("all")
+  const [categories, setCategories] = useState<string[]>([])
+  const [durations, setDurations] = useState<string[]>([])
+  const [language, setLanguage] = useState("all")
+  const [sort, setSort] = useState<SortOption>("popular")
+  const [resources, setResources] = useState<Resource[]>([])
+  const [facets, setFacets] = useState<Facets>(EMPTY_FACETS)
+  const [total, setTotal] = useState(0)
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [likedResources, setLikedResources] = useState<Set<string>>(new Set())
+  const [savedResources, setSavedResources] = useState<Set<string>>(new Set())
   const socketRef = useRef<Socket | null>(null)
+  const latestRequestRef = useRef(0)
+  const { toast } = useToast()
 
   useEffect(() => {
-    loadAllResources()
-    // Load liked resources from localStorage
-    const stored = localStorage.getItem('likedResources')
-    if (stored) {
-      setLikedResources(new Set(JSON.parse(stored)))
-    }
-
     // Initialize Socket.IO connection
     socketRef.current = io(API_BASE, {
       transports: ['websocket', 'polling']
@@ -62,16 +102,12 @@ export default function BrowseAllResourcesPage() {
 
     // Listen for view count updates
     socket.on('resource:viewUpdate', ({ resourceId, viewCount }) => {
-      setVideos(prev => prev.map(r => r._id === resourceId ? { ...r, viewCount } : r))
-      setAudios(prev => prev.map(r => r._id === resourceId ? { ...r, viewCount } : r))
-      setArticles(prev => prev.map(r => r._id === resourceId ? { ...r, viewCount } : r))
+      setResources(prev => prev.map(r => r._id === resourceId ? { ...r, viewCount } : r))
     })
 
     // Listen for like count updates
     socket.on('resource:likeUpdate', ({ resourceId, helpfulCount }) => {
-      setVideos(prev => prev.map(r => r._id === resourceId ? { ...r, helpfulCount } : r))
-      setAudios(prev => prev.map(r => r._id === resourceId ? { ...r, helpfulCount } : r))
-      setArticles(prev => prev.map(r => r._id === resourceId ? { ...r, helpfulCount } : r))
+      setResources(prev => prev.map(r => r._id === resourceId ? { ...r, helpfulCount } : r))
     })
 
     // Cleanup on unmount
@@ -81,64 +117,160 @@ export default function BrowseAllResourcesPage() {
     }
   }, [])
 
-  const loadAllResources = async () => {
+  // Debounce typing, and rank by relevance while there's a query
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const trimmed = query.trim()
+      if (trimmed && !debouncedQuery) setSort("relevance")
+      if (!trimmed && sort === "relevance") setSort("popular")
+      setDebouncedQuery(trimmed)
+    }, 300)
+    return () => clearTimeout(timer)
+  }, [query])
+
+  useEffect(() => {
+    loadResources()
+  }, [debouncedQuery, activeType, categories, durations, language, sort])
+
+  const searchParams = (cursor?: string) => ({
+    q: debouncedQuery || undefined,
+    type: activeType === "all" ? undefined : [activeType],
+    category: categories,
+    duration: durations,
+    language: language === "all" ? undefined : [language],
+    sort,
+    cursor,
+  })
+
+  const loadResources = async () => {
+    // Filters can change while a search is in flight; only the latest one may update the list
+    const requestId = ++latestRequestRef.current
     try {
       setLoading(true)
-      const response = await fetch(`${API_BASE}/resources/all`)
-      const data = await response.json()
+      const data = await resourceAPI.search(searchParams())
+      if (requestId !== latestRequestRef.current) return
       if (data.success) {
-        setVideos(data.data.videos || [])
-        setAudios(data.data.audios || [])
-        setArticles(data.data.articles || [])
+        setResources(data.data.results)
+        loadInteractions(data.data.results)
+        setFacets(data.data.facets)
+        setTotal(data.data.total)
+        setNextCursor(data.data.nextCursor)
       }
     } catch (error) {
       console.error("Failed to load resources:", error)
     } finally {
-      setLoading(false)
+      if (requestId === latestRequestRef.current) setLoading(false)
+    }
+  }
+
+  const loadMore = async () => {
+    if (!nextCursor) return
+    try {
+      setLoadingMore(true)
+      const data = await resourceAPI.search(searchParams(nextCursor))
+      if (data.success) {
+        setResources(prev => [...prev, ...data.data.results])
+        loadInteractions(data.data.results)
+        setNextCursor(data.data.nextCursor)
+      }
+    } catch (error) {
+      console.error("Failed to load more resources:", error)
+    } finally {
+      setLoadingMore(false)
     }
   }
 
+  const toggleValue = (setter: (update: (prev: string[]) => string[]) => void, value: string) => {
+    setter(prev => (prev.includes(value) ? prev.filter(v => v !== value) : [...prev, value]))
+  }
+
+  const clearFilters = () => {
+    setCategories([])
+    setDurations([])
+    setLanguage("all")
+  }
+
+  const typeCount = (type: ResourceType) =>
+    type === "all"
+      ? facets.type.reduce((sum, f) => sum + f.count, 0)
+      : facets.type.find(f => f.value === type)?.count || 0
+
   const trackView = async (id: string) => {
     try {
-      await fetch(`${API_BASE}/resources/${id}/view`, { method: "POST" })
+      await resourceAPI.trackView(id)
     } catch (error) {
       console.error("Track view failed:", error)
     }
   }
 
+  // The signed-in user's helpful votes and bookmarks for the resources on screen
+  const loadInteractions = async (loaded: Resource[]) => {
+    if (!getUser() || loaded.length === 0) return
+    const ids = loaded.map(r => r._id)
+    try {
+      const res = await resourceAPI.interactions(ids)
+      if (!res.success) return
+      const update = (key: "helpful" | "saved") => (prev: Set<string>) => {
+        const next = new Set(prev)
+        ids.forEach(id => res.data[id]?.[key] ? next.add(id) : next.delete(id))
+        return next
+      }
+      setLikedResources(update("helpful"))
+      setSavedResources(update("saved"))
+    } catch (error) {
+      console.error("Failed to load resource state:", error)
+    }
+  }
+
+  const toggleInSet = (set: Set<string>, id: string, on: boolean) => {
+    const next = new Set(set)
+    if (on) next.add(id)
+    else next.delete(id)
+    return next
+  }
+
   const markAsHelpful = async (id: string, e?: React.MouseEvent) => {
     if (e) {
       e.preventDefault()
       e.stopPropagation()
     }
 
-    const isCurrentlyLiked = likedResources.has(id)
-    const action = isCurrentlyLiked ? 'unlike' : 'like'
+    if (!getUser()) {
+      toast({ title: "Sign in to vote", description: "Log in to mark resources as helpful." })
+      return
+    }
 
     try {
-      const response = await fetch(`${API_BASE}/resources/${id}/helpful`, { 
-        method: "POST",
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ action })
-      })
-      
-      if (response.ok) {
-        const newLiked = new Set(likedResources)
-        
-        if (isCurrentlyLiked) {
-          newLiked.delete(id)
-        } else {
-          newLiked.add(id)
-        }
-        
-        setLikedResources(newLiked)
-        localStorage.setItem('likedResources', JSON.stringify(Array.from(newLiked)))
+      const res = await resourceAPI.setHelpful(id, !likedResources.has(id))
+      if (res.success) {
+        setLikedResources(prev => toggleInSet(prev, id, res.data.helpful))
       }
     } catch (error) {
       console.error("Mark helpful failed:", error)
     }
   }
 
+  const toggleSaved = async (id: string, e?: React.MouseEvent) => {
+    if (e) {
+      e.preventDefault()
+      e.stopPropagation()
+    }
+
+    if (!getUser()) {
+      toast({ title: "Sign in to save", description: "Log in to bookmark resources for later." })
+      return
+    }
+
+    try {
+      const res = await resourceAPI.save(id, !savedResources.has(id))
+      if (res.success) {
+        setSavedResources(prev => toggleInSet(prev, id, res.data.saved))
+      }
+    } catch (error) {
+      console.error("Save resource failed:", error)
+    }
+  }
+
   const renderVideoCard = (resource: Resource) => {
     const parsed = (() => {
       if (resource.embedData && (resource.embedData.embedId || resource.embedData.platform)) return resource.embedData
@@ -160,6 +292,7 @@ export default function BrowseAllResourcesPage() {
     const embedId = parsed.embedId
     const platform = parsed.platform
     const isLiked = likedResources.has(resource._id)
+    const isSaved = savedResources.has(resource._id)
 
     return (
       <Card key={resource._id} className="overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onClick={() => { trackView(resource._id); window.open(resource.url, '_blank') }}>
@@ -192,15 +325,26 @@ export default function BrowseAllResourcesPage() {
               {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
               <span className="flex items-center gap-1"><Eye className="h-3 w-3" />{resource.viewCount}</span>
             </div>
-            <Button 
-              variant={isLiked ? "default" : "ghost"} 
-              size="sm" 
-              onClick={(e) => markAsHelpful(resource._id, e)}
-              className="transition-all"
-              title={isLiked ? "Click to unlike" : "Click to like"}
-            >
-              <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={(e) => toggleSaved(resource._id, e)}
+                title={isSaved ? "Remove from saved" : "Save for later"}
+                aria-label={isSaved ? "Remove from saved" : "Save for later"}
+              >
+                <Bookmark className={`h-3 w-3 ${isSaved ? 'fill-current text-primary' : ''}`} />
+              </Button>
+              <Button 
+                variant={isLiked ? "default" : "ghost"} 
+                size="sm" 
+                onClick={(e) => markAsHelpful(resource._id, e)}
+                className="transition-all"
+                title={isLiked ? "Click to unlike" : "Click to like"}
+              >
+                <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
+              </Button>
+            </div>
           </div>
           <div className="flex gap-1 flex-wrap mb-3">
             {resource.categories.slice(0, 3).map((cat, idx) => (
@@ -221,6 +365,7 @@ export default function BrowseAllResourcesPage() {
     const embedId = resource.embedData?.embedId
     const platform = resource.embedData?.platform
     const isLiked = likedResources.has(resource._id)
+    const isSaved = savedResources.has(resource._id)
 
     return (
       <Card key={resource._id} className="overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onClick={() => { trackView(resource._id); window.open(resource.url, '_blank') }}>
@@ -260,15 +405,26 @@ export default function BrowseAllResourcesPage() {
               {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
               <span className="flex items-center gap-1"><Eye className="h-3 w-3" />{resource.viewCount}</span>
             </div>
-            <Button 
-              variant={isLiked ? "default" : "ghost"} 
-              size="sm" 
-              onClick={(e) => markAsHelpful(resource._id, e)}
-              className="transition-all"
-              title={isLiked ? "Click to unlike" : "Click to like"}
-            >
-              <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={(e) => toggleSaved(resource._id, e)}
+                title={isSaved ? "Remove from saved" : "Save for later"}
+                aria-label={isSaved ? "Remove from saved" : "Save for later"}
+              >
+                <Bookmark className={`h-3 w-3 ${isSaved ? 'fill-current text-primary' : ''}`} />
+              </Button>
+              <Button 
+                variant={isLiked ? "default" : "ghost"} 
+                size="sm" 
+                onClick={(e) => markAsHelpful(resource._id, e)}
+                className="transition-all"
+                title={isLiked ? "Click to unlike" : "Click to like"}
+              >
+                <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
+              </Button>
+            </div>
           </div>
           <div className="flex gap-1 flex-wrap mb-3">
             {resource.categories.slice(0, 3).map((cat, idx) => (
@@ -283,6 +439,7 @@ export default function BrowseAllResourcesPage() {
 
   const renderArticleCard = (resource: Resource) => {
     const isLiked = likedResources.has(resource._id)
+    const isSaved = savedResources.has(resource._id)
     
     return (
       <Card key={resource._id} className="overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onClick={() => { trackView(resource._id); window.open(resource.url, '_blank') }}>
@@ -314,15 +471,26 @@ export default function BrowseAllResourcesPage() {
               {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
               <span className="flex items-center gap-1"><Eye className="h-3 w-3" />{resource.viewCount}</span>
             </div>
-            <Button 
-              variant={isLiked ? "default" : "ghost"} 
-              size="sm" 
-              onClick={(e) => markAsHelpful(resource._id, e)}
-              className="transition-all"
-              title={isLiked ? "Click to unlike" : "Click to like"}
-            >
-              <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={(e) => toggleSaved(resource._id, e)}
+                title={isSaved ? "Remove from saved" : "Save for later"}
+                aria-label={isSaved ? "Remove from saved" : "Save for later"}
+              >
+                <Bookmark className={`h-3 w-3 ${isSaved ? 'fill-current text-primary' : ''}`} />
+              </Button>
+              <Button 
+                variant={isLiked ? "default" : "ghost"} 
+                size="sm" 
+                onClick={(e) => markAsHelpful(resource._id, e)}
+                className="transition-all"
+                title={isLiked ? "Click to unlike" : "Click to like"}
+              >
+                <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
+              </Button>
+            </div>
           </div>
           <div className="flex gap-1 flex-wrap">
             {resource.categories.slice(0, 3).map((cat, idx) => (
@@ -334,44 +502,41 @@ export default function BrowseAllResourcesPage() {
     )
   }
 
-  const getCurrentResources = () => {
-    switch (activeSection) {
-      case "videos":
-        return videos
-      case "audios":
-        return audios
-      case "articles":
-        return articles
-      default:
-        return []
-    }
-  }
-
-  const renderCurrentSection = () => {
-    const resources = getCurrentResources()
-    
+  const renderResults = () => {
     if (resources.length === 0) {
       return (
         <Card>
           <CardContent className="py-20 text-center text-muted-foreground">
-            <p className="text-lg">No {activeSection} available yet.</p>
-            <p className="text-sm mt-2">Check back soon for new content!</p>
+            <Search className="h-12 w-12 mx-auto mb-4 opacity-50" />
+            <p className="text-lg">No resources match {debouncedQuery ? `"${debouncedQuery}"` : "these filters"}.</p>
+            <p className="text-sm mt-2">Try a different search term or remove a filter.</p>
           </CardContent>
         </Card>
       )
     }
 
     return (
-      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {resources.map((resource) => {
-          if (resource.type === "video") return renderVideoCard(resource)
-          if (resource.type === "audio") return renderAudioCard(resource)
-          return renderArticleCard(resource)
-        })}
-      </div>
+      <>
+        <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-6">
+          {resources.map((resource) => {
+            if (resource.type === "video") return renderVideoCard(resource)
+            if (resource.type === "audio") return renderAudioCard(resource)
+            return renderArticleCard(resource)
+          })}
+        </div>
+        {nextCursor && (
+          <div className="flex justify-center mt-8">
+            <Button variant="outline" onClick={loadMore} disabled={loadingMore}>
+              {loadingMore ? <Loader2 className="h-4 w-4 animate-spin" /> : "Load more"}
+            </Button>
+          </div>
+        )}
+      </>
     )
   }
 
+  const hasFilters = categories.length > 0 || durations.length > 0 || language !== "all"
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
       {/* Header */}
@@ -393,59 +558,131 @@ export default function BrowseAllResourcesPage() {
       </header>
 
       <div className="container mx-auto px-4 py-8">
-        {/* Section Tabs */}
-        <div className="flex gap-4 mb-8 overflow-x-auto pb-2">
-          <Button
-            variant={activeSection === "videos" ? "default" : "outline"}
-            size="lg"
-            onClick={() => setActiveSection("videos")}
-            className="flex items-center gap-2 min-w-fit"
-          >
-            <Play className="h-5 w-5" />
-            Videos ({videos.length})
-          </Button>
-          <Button
-            variant={activeSection === "audios" ? "default" : "outline"}
-            size="lg"
-            onClick={() => setActiveSection("audios")}
-            className="flex items-center gap-2 min-w-fit"
-          >
-            <Headphones className="h-5 w-5" />
-            Audio ({audios.length})
-          </Button>
-          <Button
-            variant={activeSection === "articles" ? "default" : "outline"}
-            size="lg"
-            onClick={() => setActiveSection("articles")}
-            className="flex items-center gap-2 min-w-fit"
-          >
-            <BookOpen className="h-5 w-5" />
-            Articles ({articles.length})
-          </Button>
+        {/* Search and Sort */}
+        <div className="flex flex-col md:flex-row gap-4 mb-6">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+            <Input
+              placeholder="Search titles, topics, authors and descriptions..."
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              className="pl-10"
+              aria-label="Search resources"
+            />
+          </div>
+          <Select value={sort} onValueChange={(value) => setSort(value as SortOption)}>
+            <SelectTrigger className="w-full md:w-48">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {(Object.keys(SORT_LABELS) as SortOption[])
+                .filter((option) => option !== "relevance" || debouncedQuery)
+                .map((option) => (
+                  <SelectItem key={option} value={option}>{SORT_LABELS[option]}</SelectItem>
+                ))}
+            </SelectContent>
+          </Select>
         </div>
 
-        {/* Section Header */}
-        <div className="mb-8">
-          <h2 className="text-3xl font-bold mb-2 capitalize">
-            {activeSection === "videos" && "Video Resources"}
-            {activeSection === "audios" && "Audio & Podcasts"}
-            {activeSection === "articles" && "Articles & Guides"}
-          </h2>
-          <p className="text-muted-foreground">
-            {activeSection === "videos" && "Educational videos and guided exercises for mental wellness"}
-            {activeSection === "audios" && "Podcasts, meditations, and audio resources for relaxation"}
-            {activeSection === "articles" && "In-depth articles and written guides on mental health topics"}
-          </p>
+        {/* Type Tabs */}
+        <div className="flex gap-4 mb-8 overflow-x-auto pb-2">
+          {TYPE_TABS.map(({ value, label, icon: Icon }) => (
+            <Button
+              key={value}
+              variant={activeType === value ? "default" : "outline"}
+              size="lg"
+              onClick={() => setActiveType(value)}
+              className="flex items-center gap-2 min-w-fit"
+            >
+              <Icon className="h-5 w-5" />
+              {label} ({typeCount(value)})
+            </Button>
+          ))}
         </div>
 
-        {/* Content */}
-        {loading ? (
-          <div className="flex items-center justify-center py-20">
-            <Loader2 className="h-12 w-12 animate-spin text-primary" />
+        <div className="flex flex-col lg:flex-row gap-8">
+          {/* Filters */}
+          <aside className="lg:w-64 flex-shrink-0 space-y-6">
+            <div className="flex items-center justify-between">
+              <h2 className="font-semibold flex items-center gap-2">
+                <Filter className="h-4 w-4" />
+                Filters
+              </h2>
+              {hasFilters && (
+                <Button variant="ghost" size="sm" onClick={clearFilters}>Clear</Button>
+              )}
+            </div>
+
+            {facets.category.length > 0 && (
+              <div className="space-y-2">
+                <h3 className="text-sm font-medium text-muted-foreground">Category</h3>
+                {facets.category.map(({ value, count }) => (
+                  <div key={value} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`category-${value}`}
+                      checked={categories.includes(value)}
+                      onCheckedChange={() => toggleValue(setCategories, value)}
+                    />
+                    <Label htmlFor={`category-${value}`} className="flex-1 capitalize font-normal cursor-pointer">
+                      {value.replace(/-/g, " ")}
+                    </Label>
+                    <span className="text-xs text-muted-foreground">{count}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {facets.duration.length > 0 && (
+              <div className="space-y-2">
+                <h3 className="text-sm font-medium text-muted-foreground">Length</h3>
+                {facets.duration.map(({ value, label, count }) => (
+                  <div key={value} className="flex items-center gap-2">
+                    <Checkbox
+                      id={`duration-${value}`}
+                      checked={durations.includes(value)}
+                      onCheckedChange={() => toggleValue(setDurations, value)}
+                    />
+                    <Label htmlFor={`duration-${value}`} className="flex-1 font-normal cursor-pointer">
+                      {label || value}
+                    </Label>
+                    <span className="text-xs text-muted-foreground">{count}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {facets.language.length > 1 && (
+              <div className="space-y-2">
+                <h3 className="text-sm font-medium text-muted-foreground">Language</h3>
+                <Select value={language} onValueChange={setLanguage}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="all">All languages</SelectItem>
+                    {facets.language.map(({ value, count }) => (
+                      <SelectItem key={value} value={value}>{value} ({count})</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+          </aside>
+
+          {/* Content */}
+          <div className="flex-1 min-w-0">
+            <p className="text-sm text-muted-foreground mb-4">
+              {loading ? "Searching..." : `${total} resource${total === 1 ? "" : "s"}`}
+            </p>
+            {loading ? (
+              <div className="flex items-center justify-center py-20">
+                <Loader2 className="h-12 w-12 animate-spin text-primary" />
+              </div>
+            ) : (
+              renderResults()
+            )}
           </div>
-        ) : (
-          renderCurrentSection()
-        )}
+        </div>
       </div>
     </div>
   )
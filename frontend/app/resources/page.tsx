@@ -6,11 +6,12 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Badge } from "@/components/ui/badge"
 import { Input } from "@/components/ui/input"
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
-import { Heart, ArrowLeft, Search, Play, Headphones, BookOpen, Clock, Loader2, ExternalLink,Folder, ThumbsUp, Eye, Sparkles } from "lucide-react"
+import { Heart, ArrowLeft, Search, Play, Headphones, BookOpen, Clock, Loader2, ExternalLink,Folder, ThumbsUp, Eye, Sparkles, Bookmark } from "lucide-react"
 import Link from "next/link"
 import ProfileDropdown from "@/components/ProfileDropdown"
 import { io, Socket } from "socket.io-client"
-import { getUser } from "@/lib/api"
+import { getUser, resourceAPI } from "@/lib/api"
+import { useToast } from "@/hooks/use-toast"
 
 const API_BASE = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001"
 
@@ -33,6 +34,10 @@ interface Resource {
   helpfulCount: number
 }
 
+interface RecommendedResource extends Resource {
+  reason: string
+}
+
 interface FeaturedResources {
   videos: Resource[]
   audios: Resource[]
@@ -51,14 +56,22 @@ export default function ResourcesPage() {
   const [loading, setLoading] = useState(true)
   const [searching, setSearching] = useState(false)
   const [likedResources, setLikedResources] = useState<Set<string>>(new Set())
+  const [savedResources, setSavedResources] = useState<Set<string>>(new Set())
+  const [recommended, setRecommended] = useState<RecommendedResource[]>([])
   const socketRef = useRef<Socket | null>(null)
+  const { toast } = useToast()
 
   useEffect(() => {
     loadFeaturedResources()
-    // Load liked resources from localStorage
-    const stored = localStorage.getItem('likedResources')
-    if (stored) {
-      setLikedResources(new Set(JSON.parse(stored)))
+    if (getUser()) {
+      resourceAPI.recommended()
+        .then((res) => {
+          if (res.success) {
+            setRecommended(res.data)
+            loadInteractions(res.data)
+          }
+        })
+        .catch((err) => console.error("Failed to load recommendations:", err))
     }
 
     // Initialize Socket.IO connection
@@ -79,6 +92,7 @@ export default function ResourcesPage() {
         articles: prev.articles.map(r => r._id === resourceId ? { ...r, viewCount } : r)
       }))
       setSearchResults(prev => prev.map(r => r._id === resourceId ? { ...r, viewCount } : r))
+      setRecommended(prev => prev.map(r => r._id === resourceId ? { ...r, viewCount } : r))
     })
 
     // Listen for like count updates
@@ -89,6 +103,7 @@ export default function ResourcesPage() {
         articles: prev.articles.map(r => r._id === resourceId ? { ...r, helpfulCount } : r)
       }))
       setSearchResults(prev => prev.map(r => r._id === resourceId ? { ...r, helpfulCount } : r))
+      setRecommended(prev => prev.map(r => r._id === resourceId ? { ...r, helpfulCount } : r))
     })
 
     // Cleanup on unmount
@@ -116,6 +131,7 @@ export default function ResourcesPage() {
       const data = await response.json()
       if (data.success) {
         setFeaturedResources(data.data)
+        loadInteractions([...data.data.videos, ...data.data.audios, ...data.data.articles])
       }
     } catch (error) {
       console.error("Failed to load:", error)
@@ -128,10 +144,11 @@ export default function ResourcesPage() {
     if (!searchQuery.trim()) return
     try {
       setSearching(true)
-      const response = await fetch(`${API_BASE}/resources/search?query=${encodeURIComponent(searchQuery)}`)
+      const response = await fetch(`${API_BASE}/resources/search?q=${encodeURIComponent(searchQuery)}&limit=30`)
       const data = await response.json()
       if (data.success) {
-        setSearchResults(data.data)
+        setSearchResults(data.data.results)
+        loadInteractions(data.data.results)
       }
     } catch (error) {
       console.error("Search failed:", error)
@@ -153,6 +170,32 @@ export default function ResourcesPage() {
     }
   }
 
+  // The signed-in user's helpful votes and bookmarks for the resources on screen
+  const loadInteractions = async (resources: Resource[]) => {
+    if (!getUser() || resources.length === 0) return
+    const ids = resources.map(r => r._id)
+    try {
+      const res = await resourceAPI.interactions(ids)
+      if (!res.success) return
+      const update = (key: "helpful" | "saved") => (prev: Set<string>) => {
+        const next = new Set(prev)
+        ids.forEach(id => res.data[id]?.[key] ? next.add(id) : next.delete(id))
+        return next
+      }
+      setLikedResources(update("helpful"))
+      setSavedResources(update("saved"))
+    } catch (error) {
+      console.error("Failed to load resource state:", error)
+    }
+  }
+
+  const toggleInSet = (set: Set<string>, id: string, on: boolean) => {
+    const next = new Set(set)
+    if (on) next.add(id)
+    else next.delete(id)
+    return next
+  }
+
   const markAsHelpful = async (id: string, e?: React.MouseEvent) => {
     // Prevent default behavior and event bubbling
     if (e) {
@@ -160,42 +203,43 @@ export default function ResourcesPage() {
       e.stopPropagation()
     }
 
-    const isCurrentlyLiked = likedResources.has(id)
-    const action = isCurrentlyLiked ? 'unlike' : 'like'
+    if (!getUser()) {
+      toast({ title: "Sign in to vote", description: "Log in to mark resources as helpful." })
+      return
+    }
 
     try {
-      const response = await fetch(`${API_BASE}/resources/${id}/helpful`, { 
-        method: "POST",
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ action })
-      })
-      
-      if (response.ok) {
-        const newLiked = new Set(likedResources)
-        
-        if (isCurrentlyLiked) {
-          // Unlike - remove from set
-          newLiked.delete(id)
-        } else {
-          // Like - add to set
-          newLiked.add(id)
-        }
-        
-        setLikedResources(newLiked)
-        
-        // Save to localStorage
-        localStorage.setItem('likedResources', JSON.stringify(Array.from(newLiked)))
-        
-        // Note: Socket.IO will handle the real-time count update for all users
-        // So we don't need to manually update the count here anymore
+      const res = await resourceAPI.setHelpful(id, !likedResources.has(id))
+      if (res.success) {
+        setLikedResources(prev => toggleInSet(prev, id, res.data.helpful))
+        // Socket.IO handles the real-time count update for all users
       }
     } catch (error) {
       console.error("Mark helpful failed:", error)
     }
   }
 
+  const toggleSaved = async (id: string, e?: React.MouseEvent) => {
+    if (e) {
+      e.preventDefault()
+      e.stopPropagation()
+    }
+
+    if (!getUser()) {
+      toast({ title: "Sign in to save", description: "Log in to bookmark resources for later." })
+      return
+    }
+
+    try {
+      const res = await resourceAPI.save(id, !savedResources.has(id))
+      if (res.success) {
+        setSavedResources(prev => toggleInSet(prev, id, res.data.saved))
+      }
+    } catch (error) {
+      console.error("Save resource failed:", error)
+    }
+  }
+
   const renderVideoCard = (resource: Resource) => {
     // Fallback: if embedData is missing (new resources), try to derive from URL
     const parsed = (() => {
@@ -221,6 +265,7 @@ export default function ResourcesPage() {
     const embedId = parsed.embedId
     const platform = parsed.platform
     const isLiked = likedResources.has(resource._id)
+    const isSaved = savedResources.has(resource._id)
 
     return (
       <Card key={resource._id} className="overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onClick={() => { trackView(resource._id); window.open(resource.url, '_blank') }}>
@@ -254,15 +299,26 @@ export default function ResourcesPage() {
               {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
               <span className="flex items-center gap-1"><Eye className="h-3 w-3" />{resource.viewCount}</span>
             </div>
-            <Button 
-              variant={isLiked ? "default" : "ghost"} 
-              size="sm" 
-              onClick={(e) => markAsHelpful(resource._id, e)}
-              className="transition-all"
-              title={isLiked ? "Click to unlike" : "Click to like"}
-            >
-              <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={(e) => toggleSaved(resource._id, e)}
+                title={isSaved ? "Remove from saved" : "Save for later"}
+                aria-label={isSaved ? "Remove from saved" : "Save for later"}
+              >
+                <Bookmark className={`h-3 w-3 ${isSaved ? 'fill-current text-primary' : ''}`} />
+              </Button>
+              <Button 
+                variant={isLiked ? "default" : "ghost"} 
+                size="sm" 
+                onClick={(e) => markAsHelpful(resource._id, e)}
+                className="transition-all"
+                title={isLiked ? "Click to unlike" : "Click to like"}
+              >
+                <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
+              </Button>
+            </div>
           </div>
           <div className="flex gap-1 flex-wrap mb-3">
             {resource.categories.slice(0, 3).map((cat, idx) => (
@@ -280,6 +336,7 @@ export default function ResourcesPage() {
     const embedId = resource.embedData?.embedId
     const platform = resource.embedData?.platform
     const isLiked = likedResources.has(resource._id)
+    const isSaved = savedResources.has(resource._id)
 
     return (
       <Card key={resource._id} className="overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onClick={() => { trackView(resource._id); window.open(resource.url, '_blank') }}>
@@ -313,15 +370,26 @@ export default function ResourcesPage() {
               {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
               <span className="flex items-center gap-1"><Eye className="h-3 w-3" />{resource.viewCount}</span>
             </div>
-            <Button 
-              variant={isLiked ? "default" : "ghost"} 
-              size="sm" 
-              onClick={(e) => markAsHelpful(resource._id, e)}
-              className="transition-all"
-              title={isLiked ? "Click to unlike" : "Click to like"}
-            >
-              <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={(e) => toggleSaved(resource._id, e)}
+                title={isSaved ? "Remove from saved" : "Save for later"}
+                aria-label={isSaved ? "Remove from saved" : "Save for later"}
+              >
+                <Bookmark className={`h-3 w-3 ${isSaved ? 'fill-current text-primary' : ''}`} />
+              </Button>
+              <Button 
+                variant={isLiked ? "default" : "ghost"} 
+                size="sm" 
+                onClick={(e) => markAsHelpful(resource._id, e)}
+                className="transition-all"
+                title={isLiked ? "Click to unlike" : "Click to like"}
+              >
+                <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
+              </Button>
+            </div>
           </div>
           <div className="flex gap-1 flex-wrap mb-3">
             {resource.categories.slice(0, 3).map((cat, idx) => (
@@ -336,6 +404,7 @@ export default function ResourcesPage() {
 
   const renderArticleCard = (resource: Resource) => {
     const isLiked = likedResources.has(resource._id)
+    const isSaved = savedResources.has(resource._id)
     
     return (
       <Card key={resource._id} className="overflow-hidden hover:shadow-lg transition-shadow cursor-pointer" onClick={() => { trackView(resource._id); window.open(resource.url, '_blank') }}>
@@ -367,15 +436,26 @@ export default function ResourcesPage() {
               {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
               <span className="flex items-center gap-1"><Eye className="h-3 w-3" />{resource.viewCount}</span>
             </div>
-            <Button 
-              variant={isLiked ? "default" : "ghost"} 
-              size="sm" 
-              onClick={(e) => markAsHelpful(resource._id, e)}
-              className="transition-all"
-              title={isLiked ? "Click to unlike" : "Click to like"}
-            >
-              <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
-            </Button>
+            <div className="flex items-center gap-1">
+              <Button
+                variant="ghost"
+                size="sm"
+                onClick={(e) => toggleSaved(resource._id, e)}
+                title={isSaved ? "Remove from saved" : "Save for later"}
+                aria-label={isSaved ? "Remove from saved" : "Save for later"}
+              >
+                <Bookmark className={`h-3 w-3 ${isSaved ? 'fill-current text-primary' : ''}`} />
+              </Button>
+              <Button 
+                variant={isLiked ? "default" : "ghost"} 
+                size="sm" 
+                onClick={(e) => markAsHelpful(resource._id, e)}
+                className="transition-all"
+                title={isLiked ? "Click to unlike" : "Click to like"}
+              >
+                <ThumbsUp className={`h-3 w-3 mr-1 ${isLiked ? 'fill-current' : ''}`} />{resource.helpfulCount}
+              </Button>
+            </div>
           </div>
           <div className="flex gap-1 flex-wrap">
             {resource.categories.slice(0, 3).map((cat, idx) => (
@@ -412,12 +492,20 @@ export default function ResourcesPage() {
           <p className="text-lg text-muted-foreground max-w-2xl mx-auto mb-6">
             Curated videos, podcasts, and articles to support your mental health journey
           </p>
-          <Link href="/resources/browse">
-            <Button size="lg" variant="outline" className="gap-2">
-              <BookOpen className="h-5 w-5" />
-              Browse All Resources
-            </Button>
-          </Link>
+          <div className="flex flex-wrap justify-center gap-3">
+            <Link href="/resources/browse">
+              <Button size="lg" variant="outline" className="gap-2">
+                <BookOpen className="h-5 w-5" />
+                Browse All Resources
+              </Button>
+            </Link>
+            <Link href="/resources/saved">
+              <Button size="lg" variant="outline" className="gap-2">
+                <Bookmark className="h-5 w-5" />
+                Saved & History
+              </Button>
+            </Link>
+          </div>
         </div>
 
         {/* Search and Filters */}
@@ -425,7 +513,7 @@ export default function ResourcesPage() {
           <div className="relative flex-1">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
             <Input
-              placeholder="Search by title or tags (anxiety, stress, depression, etc.)..."
+              placeholder="Search titles, topics, authors and descriptions (anxiety, stress, sleep...)"
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="pl-10"
@@ -515,6 +603,27 @@ export default function ResourcesPage() {
               </div>
             ) : (
               <>
+                {(() => {
+                  const picks = selectedType === "all" ? recommended : recommended.filter(r => r.type === selectedType)
+                  if (picks.length === 0) return null
+                  return (
+                    <section className="mb-16">
+                      <div className="flex items-center gap-3 mb-6">
+                        <Sparkles className="h-8 w-8 text-purple-500" />
+                        <h3 className="text-3xl font-bold">Recommended for You</h3>
+                      </div>
+                      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
+                        {picks.map((r) => (
+                          <div key={r._id} className="flex flex-col gap-2">
+                            <p className="text-sm text-muted-foreground first-letter:uppercase">{r.reason}</p>
+                            {r.type === "video" ? renderVideoCard(r) : r.type === "audio" ? renderAudioCard(r) : renderArticleCard(r)}
+                          </div>
+                        ))}
+                      </div>
+                    </section>
+                  )
+                })()}
+
                 {(selectedType === "all" || selectedType === "video") && (
                   <section className="mb-16">
                     <div className="flex items-center gap-3 mb-6">
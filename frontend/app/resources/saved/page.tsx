@@ -0,0 +1,371 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { useRouter } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Input } from "@/components/ui/input"
+import { Progress } from "@/components/ui/progress"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { ArrowLeft, Bookmark, BookOpen, CheckCircle2, Clock, ExternalLink, Headphones, History, Loader2, Play, Trash2 } from "lucide-react"
+import Link from "next/link"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { getUser, resourceAPI } from "@/lib/api"
+import { useToast } from "@/hooks/use-toast"
+
+interface Resource {
+  _id: string
+  title: string
+  description: string
+  type: "video" | "audio" | "article"
+  categories: string[]
+  url: string
+  duration?: string
+  author?: string
+}
+
+type CompletionStatus = "not_started" | "in_progress" | "completed"
+
+interface InteractionItem {
+  resource: Resource
+  helpful: boolean
+  saved: boolean
+  savedAt: string | null
+  lists: string[]
+  completion: { status: CompletionStatus; progress: number }
+  viewCount: number
+  lastViewedAt: string | null
+}
+
+interface SavedList {
+  name: string
+  count: number
+}
+
+const TYPE_ICONS = {
+  video: Play,
+  audio: Headphones,
+  article: BookOpen,
+}
+
+const STATUS_LABELS: Record<CompletionStatus, string> = {
+  not_started: "Not started",
+  in_progress: "In progress",
+  completed: "Completed",
+}
+
+export default function SavedResourcesPage() {
+  const router = useRouter()
+  const { toast } = useToast()
+  const [tab, setTab] = useState("saved")
+  const [saved, setSaved] = useState<InteractionItem[]>([])
+  const [savedCursor, setSavedCursor] = useState<string | null>(null)
+  const [lists, setLists] = useState<SavedList[]>([])
+  const [activeList, setActiveList] = useState("")
+  const [history, setHistory] = useState<InteractionItem[]>([])
+  const [historyCursor, setHistoryCursor] = useState<string | null>(null)
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [editingListsFor, setEditingListsFor] = useState<string | null>(null)
+  const [listDraft, setListDraft] = useState("")
+
+  useEffect(() => {
+    if (!getUser()) {
+      router.push('/auth/login')
+      return
+    }
+    loadHistory()
+  }, [])
+
+  useEffect(() => {
+    if (getUser()) loadSaved()
+  }, [activeList])
+
+  const loadSaved = async (cursor?: string) => {
+    try {
+      if (cursor) setLoadingMore(true)
+      else setLoading(true)
+      const res = await resourceAPI.saved({ list: activeList || undefined, cursor })
+      if (res.success) {
+        setSaved(prev => (cursor ? [...prev, ...res.data.items] : res.data.items))
+        setSavedCursor(res.data.nextCursor)
+        setLists(res.data.lists)
+      }
+    } catch (error) {
+      console.error("Failed to load saved resources:", error)
+    } finally {
+      setLoading(false)
+      setLoadingMore(false)
+    }
+  }
+
+  const loadHistory = async (cursor?: string) => {
+    try {
+      if (cursor) setLoadingMore(true)
+      const res = await resourceAPI.history(cursor)
+      if (res.success) {
+        setHistory(prev => (cursor ? [...prev, ...res.data.items] : res.data.items))
+        setHistoryCursor(res.data.nextCursor)
+      }
+    } catch (error) {
+      console.error("Failed to load history:", error)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  // Keep both tabs in step when one resource's state changes
+  const updateItem = (resourceId: string, changes: Partial<InteractionItem>) => {
+    const apply = (items: InteractionItem[]) =>
+      items.map(item => (item.resource._id === resourceId ? { ...item, ...changes } : item))
+    setSaved(apply)
+    setHistory(apply)
+  }
+
+  const openResource = (resource: Resource) => {
+    resourceAPI.trackView(resource._id).catch((err) => console.error("Track view failed:", err))
+    window.open(resource.url, "_blank")
+  }
+
+  const unsave = async (resourceId: string) => {
+    try {
+      const res = await resourceAPI.save(resourceId, false)
+      if (res.success) {
+        setSaved(prev => prev.filter(item => item.resource._id !== resourceId))
+        updateItem(resourceId, { saved: false, lists: [] })
+        loadSaved()
+      }
+    } catch (error) {
+      console.error("Unsave failed:", error)
+    }
+  }
+
+  const saveLists = async (resourceId: string) => {
+    const names = listDraft.split(",").map(name => name.trim()).filter(Boolean)
+    try {
+      const res = await resourceAPI.save(resourceId, true, names)
+      if (res.success) {
+        updateItem(resourceId, { lists: res.data.lists })
+        setEditingListsFor(null)
+        loadSaved()
+      }
+    } catch (error) {
+      toast({
+        title: "Couldn't update lists",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      })
+    }
+  }
+
+  const setStatus = async (resourceId: string, status: CompletionStatus) => {
+    try {
+      const res = await resourceAPI.setProgress(resourceId, { status })
+      if (res.success) updateItem(resourceId, { completion: res.data.completion })
+    } catch (error) {
+      console.error("Progress update failed:", error)
+    }
+  }
+
+  const clearHistory = async () => {
+    if (!confirm("Clear your viewing history? Saved resources and votes are kept.")) return
+    try {
+      const res = await resourceAPI.clearHistory()
+      if (res.success) {
+        setHistory([])
+        setHistoryCursor(null)
+        toast({ title: "History cleared" })
+      }
+    } catch (error) {
+      console.error("Clear history failed:", error)
+    }
+  }
+
+  const renderItem = (item: InteractionItem, mode: "saved" | "history") => {
+    const { resource, completion } = item
+    const Icon = TYPE_ICONS[resource.type] || BookOpen
+    const tracksProgress = resource.type === "video" || resource.type === "audio"
+
+    return (
+      <Card key={resource._id} className="hover:shadow-md transition-shadow">
+        <CardContent className="p-4">
+          <div className="flex items-start gap-3">
+            <Icon className="h-5 w-5 mt-1 text-primary flex-shrink-0" />
+            <div className="flex-1 min-w-0">
+              <button type="button" onClick={() => openResource(resource)} className="text-left group">
+                <p className="font-medium line-clamp-1 group-hover:underline">
+                  {resource.title}
+                  <ExternalLink className="inline h-3 w-3 ml-1 text-muted-foreground" />
+                </p>
+              </button>
+              <p className="text-sm text-muted-foreground line-clamp-2">{resource.description}</p>
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-xs text-muted-foreground">
+                {resource.duration && <span className="flex items-center gap-1"><Clock className="h-3 w-3" />{resource.duration}</span>}
+                {mode === "saved" && item.savedAt && <span>Saved {new Date(item.savedAt).toLocaleDateString()}</span>}
+                {mode === "history" && item.lastViewedAt && <span>Opened {new Date(item.lastViewedAt).toLocaleString()}</span>}
+                {item.lists.map(name => (
+                  <Badge key={name} variant="secondary" className="text-xs">{name}</Badge>
+                ))}
+              </div>
+
+              {tracksProgress && (
+                <div className="mt-3 space-y-2">
+                  {completion.status === "in_progress" && completion.progress > 0 && (
+                    <Progress value={completion.progress * 100} className="h-1.5" />
+                  )}
+                  <div className="flex flex-wrap gap-1">
+                    {(Object.keys(STATUS_LABELS) as CompletionStatus[]).map(status => (
+                      <Button
+                        key={status}
+                        size="sm"
+                        variant={completion.status === status ? "default" : "outline"}
+                        className="h-7 text-xs"
+                        onClick={() => setStatus(resource._id, status)}
+                      >
+                        {status === "completed" && <CheckCircle2 className="h-3 w-3 mr-1" />}
+                        {STATUS_LABELS[status]}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {mode === "saved" && editingListsFor === resource._id && (
+                <div className="flex gap-2 mt-3">
+                  <Input
+                    value={listDraft}
+                    onChange={(e) => setListDraft(e.target.value)}
+                    placeholder="Lists, separated by commas (e.g. sleep, exam week)"
+                    className="h-8 text-sm"
+                  />
+                  <Button size="sm" className="h-8" onClick={() => saveLists(resource._id)}>Save</Button>
+                  <Button size="sm" variant="ghost" className="h-8" onClick={() => setEditingListsFor(null)}>Cancel</Button>
+                </div>
+              )}
+            </div>
+
+            {mode === "saved" && (
+              <div className="flex flex-col gap-1">
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="h-8 text-xs"
+                  onClick={() => {
+                    setEditingListsFor(resource._id)
+                    setListDraft(item.lists.join(", "))
+                  }}
+                >
+                  Lists
+                </Button>
+                <Button size="sm" variant="ghost" className="h-8" onClick={() => unsave(resource._id)} aria-label="Remove from saved">
+                  <Bookmark className="h-4 w-4 fill-current text-primary" />
+                </Button>
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <header className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-50">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <Link href="/resources">
+              <Button variant="ghost" size="sm"><ArrowLeft className="h-4 w-4" /></Button>
+            </Link>
+            <div className="flex items-center gap-2">
+              <Bookmark className="h-6 w-6 text-primary" />
+              <h1 className="text-xl font-bold">Saved & History</h1>
+            </div>
+          </div>
+          <ProfileDropdown />
+        </div>
+      </header>
+
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <Tabs value={tab} onValueChange={setTab}>
+          <TabsList className="grid w-full grid-cols-2 mb-6">
+            <TabsTrigger value="saved" className="gap-2"><Bookmark className="h-4 w-4" />Saved</TabsTrigger>
+            <TabsTrigger value="history" className="gap-2"><History className="h-4 w-4" />History</TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="saved">
+            {lists.length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-4">
+                <Button size="sm" variant={activeList ? "outline" : "default"} onClick={() => setActiveList("")}>All</Button>
+                {lists.map(list => (
+                  <Button
+                    key={list.name}
+                    size="sm"
+                    variant={activeList === list.name ? "default" : "outline"}
+                    onClick={() => setActiveList(list.name)}
+                  >
+                    {list.name} ({list.count})
+                  </Button>
+                ))}
+              </div>
+            )}
+
+            {loading ? (
+              <div className="flex justify-center py-12"><Loader2 className="h-8 w-8 animate-spin text-primary" /></div>
+            ) : saved.length === 0 ? (
+              <div className="text-center py-12 text-muted-foreground">
+                <Bookmark className="h-10 w-10 mx-auto mb-3 opacity-40" />
+                <p>Nothing saved yet. Tap the bookmark on any resource to keep it here.</p>
+                <Link href="/resources/browse">
+                  <Button variant="outline" className="mt-4">Browse resources</Button>
+                </Link>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {saved.map(item => renderItem(item, "saved"))}
+                {savedCursor && (
+                  <div className="flex justify-center pt-2">
+                    <Button variant="outline" onClick={() => loadSaved(savedCursor)} disabled={loadingMore}>
+                      {loadingMore && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                      Load more
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </TabsContent>
+
+          <TabsContent value="history">
+            {history.length > 0 && (
+              <div className="flex justify-end mb-4">
+                <Button size="sm" variant="outline" className="gap-2" onClick={clearHistory}>
+                  <Trash2 className="h-4 w-4" />
+                  Clear history
+                </Button>
+              </div>
+            )}
+
+            {history.length === 0 ? (
+              <div className="text-center py-12 text-muted-foreground">
+                <History className="h-10 w-10 mx-auto mb-3 opacity-40" />
+                <p>Resources you open will show up here.</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {history.map(item => renderItem(item, "history"))}
+                {historyCursor && (
+                  <div className="flex justify-center pt-2">
+                    <Button variant="outline" onClick={() => loadHistory(historyCursor)} disabled={loadingMore}>
+                      {loadingMore && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                      Load more
+                    </Button>
+                  </div>
+                )}
+              </div>
+            )}
+          </TabsContent>
+        </Tabs>
+      </div>
+    </div>
+  )
+}
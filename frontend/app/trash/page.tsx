@@ -0,0 +1,206 @@
+"use client"
+
+import { useState, useEffect } from "react"
+import { useRouter } from "next/navigation"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { ArrowLeft, BookOpen, Loader2, MessageCircle, RotateCcw, Trash2 } from "lucide-react"
+import Link from "next/link"
+import ProfileDropdown from "@/components/ProfileDropdown"
+import { aiAPI, getUser, journalAPI } from "@/lib/api"
+import { useToast } from "@/hooks/use-toast"
+
+interface TrashedJournal {
+  _id: string
+  content?: string // Missing for end-to-end encrypted entries
+  mood?: number
+  createdAt: string
+  deletedAt: string
+  purgeAt: string
+}
+
+interface TrashedConversation {
+  _id: string
+  title?: string
+  createdAt: string
+  deletedAt: string
+  purgeAt: string
+}
+
+const daysLeft = (purgeAt: string) =>
+  Math.max(0, Math.ceil((new Date(purgeAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000)))
+
+export default function TrashPage() {
+  const router = useRouter()
+  const { toast } = useToast()
+  const [tab, setTab] = useState("journals")
+  const [journals, setJournals] = useState<TrashedJournal[]>([])
+  const [conversations, setConversations] = useState<TrashedConversation[]>([])
+  const [retentionDays, setRetentionDays] = useState(30)
+  const [loading, setLoading] = useState(true)
+  const [busyId, setBusyId] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!getUser()) {
+      router.push('/auth/login')
+      return
+    }
+    loadTrash()
+  }, [])
+
+  const loadTrash = async () => {
+    try {
+      setLoading(true)
+      const [journalRes, conversationRes] = await Promise.all([journalAPI.trash(), aiAPI.trash()])
+      if (journalRes.success) {
+        setJournals(journalRes.journals)
+        setRetentionDays(journalRes.retentionDays)
+      }
+      if (conversationRes.success) setConversations(conversationRes.conversations)
+    } catch (error) {
+      console.error("Failed to load trash:", error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const restore = async (kind: "journal" | "conversation", id: string) => {
+    try {
+      setBusyId(id)
+      const res = kind === "journal" ? await journalAPI.restore(id) : await aiAPI.restore(id)
+      if (res.success) {
+        if (kind === "journal") setJournals(prev => prev.filter(j => j._id !== id))
+        else setConversations(prev => prev.filter(c => c._id !== id))
+        toast({ title: res.message })
+      }
+    } catch (error) {
+      toast({
+        title: "Couldn't restore",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const deleteForever = async (kind: "journal" | "conversation", id: string) => {
+    if (!confirm("Delete this permanently? This can't be undone.")) return
+    try {
+      setBusyId(id)
+      const res = kind === "journal" ? await journalAPI.deletePermanently(id) : await aiAPI.deletePermanently(id)
+      if (res.success) {
+        if (kind === "journal") setJournals(prev => prev.filter(j => j._id !== id))
+        else setConversations(prev => prev.filter(c => c._id !== id))
+        toast({ title: res.message })
+      }
+    } catch (error) {
+      toast({
+        title: "Couldn't delete",
+        description: error instanceof Error ? error.message : "Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const renderActions = (kind: "journal" | "conversation", id: string) => (
+    <div className="flex gap-2 flex-shrink-0">
+      <Button size="sm" variant="outline" disabled={busyId === id} onClick={() => restore(kind, id)}>
+        <RotateCcw className="h-4 w-4 mr-1" />
+        Restore
+      </Button>
+      <Button
+        size="sm"
+        variant="ghost"
+        className="text-red-600 hover:bg-red-50"
+        disabled={busyId === id}
+        onClick={() => deleteForever(kind, id)}
+      >
+        <Trash2 className="h-4 w-4" />
+      </Button>
+    </div>
+  )
+
+  const renderMeta = (deletedAt: string, purgeAt: string) => (
+    <p className="text-xs text-muted-foreground mt-1">
+      Deleted {new Date(deletedAt).toLocaleDateString()} · removed for good in {daysLeft(purgeAt)} day{daysLeft(purgeAt) === 1 ? "" : "s"}
+    </p>
+  )
+
+  const renderEmpty = (label: string) => (
+    <p className="text-sm text-muted-foreground text-center py-12">No {label} in the trash.</p>
+  )
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-background via-muted/30 to-background">
+      <header className="border-b bg-background/80 backdrop-blur-sm sticky top-0 z-50">
+        <div className="container mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center gap-4">
+            <Link href="/journal">
+              <Button variant="ghost" size="sm"><ArrowLeft className="h-4 w-4" /></Button>
+            </Link>
+            <div className="flex items-center gap-2">
+              <Trash2 className="h-6 w-6 text-primary" />
+              <h1 className="text-xl font-bold">Trash</h1>
+            </div>
+          </div>
+          <ProfileDropdown />
+        </div>
+      </header>
+
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <p className="text-sm text-muted-foreground mb-6">
+          Deleted journal entries and AI conversations stay here for {retentionDays} days, then they're deleted permanently.
+        </p>
+
+        <Tabs value={tab} onValueChange={setTab}>
+          <TabsList className="grid w-full grid-cols-2 mb-6">
+            <TabsTrigger value="journals" className="gap-2"><BookOpen className="h-4 w-4" />Journal entries ({journals.length})</TabsTrigger>
+            <TabsTrigger value="conversations" className="gap-2"><MessageCircle className="h-4 w-4" />Conversations ({conversations.length})</TabsTrigger>
+          </TabsList>
+
+          {loading ? (
+            <div className="flex justify-center py-12"><Loader2 className="h-6 w-6 animate-spin text-primary" /></div>
+          ) : (
+            <>
+              <TabsContent value="journals" className="space-y-3">
+                {journals.length === 0 ? renderEmpty("journal entries") : journals.map(journal => (
+                  <Card key={journal._id}>
+                    <CardContent className="p-4 flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium">{new Date(journal.createdAt).toLocaleDateString()}</p>
+                        <p className="text-sm text-gray-700 line-clamp-2">
+                          {journal.content ?? <span className="italic text-gray-400">Encrypted entry</span>}
+                        </p>
+                        {renderMeta(journal.deletedAt, journal.purgeAt)}
+                      </div>
+                      {renderActions("journal", journal._id)}
+                    </CardContent>
+                  </Card>
+                ))}
+              </TabsContent>
+
+              <TabsContent value="conversations" className="space-y-3">
+                {conversations.length === 0 ? renderEmpty("conversations") : conversations.map(conversation => (
+                  <Card key={conversation._id}>
+                    <CardContent className="p-4 flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <p className="text-sm font-medium line-clamp-1">{conversation.title || "Chat with AI"}</p>
+                        <p className="text-xs text-muted-foreground">Started {new Date(conversation.createdAt).toLocaleDateString()}</p>
+                        {renderMeta(conversation.deletedAt, conversation.purgeAt)}
+                      </div>
+                      {renderActions("conversation", conversation._id)}
+                    </CardContent>
+                  </Card>
+                ))}
+              </TabsContent>
+            </>
+          )}
+        </Tabs>
+      </div>
+    </div>
+  )
+}
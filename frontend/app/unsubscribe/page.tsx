@@ -0,0 +1,92 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import Link from 'next/link';
+import { reminderAPI } from '@/lib/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Alert, AlertDescription } from '@/components/ui/alert';
+import { Loader2, BellOff, CheckCircle2 } from 'lucide-react';
+
+const REMINDER_NAMES: Record<string, string> = {
+  dailyCheckIn: 'daily check-in',
+  streakNudge: 'streak',
+  weeklyReflection: 'weekly reflection',
+  weeklyDigest: 'weekly digest',
+};
+
+export default function UnsubscribePage() {
+  const [token, setToken] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [done, setDone] = useState(false);
+
+  useEffect(() => {
+    setToken(new URLSearchParams(window.location.search).get('token') || '');
+  }, []);
+
+  // The token looks like "<userId>.<kind>.<signature>"
+  const kind = token.split('.')[1];
+  const reminderName = kind === 'all' ? 'all' : REMINDER_NAMES[kind] || '';
+
+  // Confirm with a click rather than on page load, so email link scanners can't unsubscribe people
+  const handleUnsubscribe = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await reminderAPI.unsubscribe(token);
+      if (result.success) {
+        setDone(true);
+      } else {
+        setError(result.error || 'Could not update your reminders');
+      }
+    } catch (err: any) {
+      setError(err.message || 'Could not update your reminders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-900 dark:to-gray-800 p-4">
+      <Card className="w-full max-w-md">
+        <CardHeader className="space-y-1">
+          <div className="flex justify-center mb-4">
+            <div className="rounded-full bg-primary/10 p-3">
+              {done ? <CheckCircle2 className="h-8 w-8 text-primary" /> : <BellOff className="h-8 w-8 text-primary" />}
+            </div>
+          </div>
+          <CardTitle className="text-2xl text-center">
+            {done ? 'You are unsubscribed' : 'Stop these emails'}
+          </CardTitle>
+          <CardDescription className="text-center">
+            {done
+              ? `You won't get ${reminderName === 'all' ? 'any reminders' : `the ${reminderName} ${kind === 'weeklyDigest' ? 'email' : 'reminder'}`} from Zenly any more.`
+              : `Turn off ${reminderName === 'all' ? 'all Zenly reminders' : reminderName ? `the ${reminderName} ${kind === 'weeklyDigest' ? 'email' : 'reminder'}` : 'this reminder'}?`}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {!token && !done && (
+            <Alert variant="destructive">
+              <AlertDescription>This link is missing its unsubscribe code. Please use the link from the email.</AlertDescription>
+            </Alert>
+          )}
+          {error && (
+            <Alert variant="destructive">
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+          {!done && (
+            <Button className="w-full" onClick={handleUnsubscribe} disabled={!token || loading}>
+              {loading ? <Loader2 className="h-4 w-4 animate-spin" /> : 'Unsubscribe'}
+            </Button>
+          )}
+          <p className="text-sm text-center text-muted-foreground">
+            You can turn reminders back on, or change their times, from your{' '}
+            <Link href="/profile" className="text-primary hover:underline">profile</Link>.
+          </p>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
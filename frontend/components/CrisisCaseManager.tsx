@@ -0,0 +1,410 @@
+"use client"
+
+import { useState, useEffect, useCallback } from "react"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Textarea } from "@/components/ui/textarea"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { AlertTriangle, CheckCircle2, Clock, MessageSquare, Phone, RotateCcw, ShieldAlert, UserCheck } from "lucide-react"
+import { useToast } from "@/hooks/use-toast"
+import { adminAPI } from "@/lib/api"
+
+type CrisisStatus = "open" | "acknowledged" | "contacted" | "resolved"
+
+interface PersonRef {
+  _id: string
+  firstName?: string
+  lastName?: string
+  email?: string
+  role?: string
+}
+
+interface CrisisCase {
+  _id: string
+  userId?: PersonRef
+  source: "chat" | "journal" | "forum"
+  riskLevel: "low" | "medium" | "high"
+  keywords: string[]
+  aiAssessment?: string | null
+  messagePreview?: string
+  status: CrisisStatus
+  assignedTo?: PersonRef | null
+  resolution?: string
+  notes?: { _id: string; authorId?: PersonRef; content: string; createdAt: string }[]
+  auditTrail?: {
+    action: string
+    actorId?: PersonRef | null
+    fromStatus?: CrisisStatus
+    toStatus?: CrisisStatus
+    details?: string
+    createdAt: string
+  }[]
+  createdAt: string
+}
+
+// Mirrors the transitions enforced by the API
+const NEXT_STATUSES: Record<CrisisStatus, CrisisStatus[]> = {
+  open: ["acknowledged", "resolved"],
+  acknowledged: ["contacted", "resolved"],
+  contacted: ["resolved"],
+  resolved: ["open"],
+}
+
+const STATUS_LABELS: Record<CrisisStatus, string> = {
+  open: "Open",
+  acknowledged: "Acknowledged",
+  contacted: "Contacted",
+  resolved: "Resolved",
+}
+
+const STATUS_ACTIONS: Record<CrisisStatus, { label: string; icon: typeof CheckCircle2 }> = {
+  open: { label: "Reopen", icon: RotateCcw },
+  acknowledged: { label: "Acknowledge", icon: UserCheck },
+  contacted: { label: "Mark Contacted", icon: Phone },
+  resolved: { label: "Resolve", icon: CheckCircle2 },
+}
+
+const personName = (person?: PersonRef | null) =>
+  person ? `${person.firstName || ""} ${person.lastName || ""}`.trim() || person.email || "Unknown" : "System"
+
+const describeAudit = (entry: NonNullable<CrisisCase["auditTrail"]>[number]) => {
+  switch (entry.action) {
+    case "created":
+      return entry.details || "Case opened"
+    case "status_changed":
+      return `${STATUS_LABELS[entry.fromStatus!]} → ${STATUS_LABELS[entry.toStatus!]}`
+    case "assigned":
+      return entry.details || "Assigned"
+    case "unassigned":
+      return "Unassigned"
+    case "note_added":
+      return "Added a note"
+    default:
+      return entry.action
+  }
+}
+
+export function CrisisCaseManager({ formatTimeAgo }: { formatTimeAgo: (date: string | Date) => string }) {
+  const [statusFilter, setStatusFilter] = useState("active")
+  const [cases, setCases] = useState<CrisisCase[]>([])
+  const [counts, setCounts] = useState<Record<string, number>>({})
+  const [nextCursor, setNextCursor] = useState<string | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [selected, setSelected] = useState<CrisisCase | null>(null)
+  const [assignees, setAssignees] = useState<PersonRef[]>([])
+  const [note, setNote] = useState("")
+  const [resolution, setResolution] = useState("")
+  const [saving, setSaving] = useState(false)
+  const { toast } = useToast()
+
+  const loadCases = useCallback(async (cursor?: string) => {
+    try {
+      setLoading(true)
+      const response = await adminAPI.listCrisisEvents({
+        status: statusFilter,
+        ...(cursor ? { cursor } : {}),
+      })
+      if (response?.success) {
+        setCases(prev => (cursor ? [...prev, ...response.data] : response.data))
+        setCounts(response.counts || {})
+        setNextCursor(response.nextCursor)
+      }
+    } catch (error) {
+      console.error("Failed to load crisis cases:", error)
+    } finally {
+      setLoading(false)
+    }
+  }, [statusFilter])
+
+  useEffect(() => {
+    loadCases()
+  }, [loadCases])
+
+  useEffect(() => {
+    adminAPI.getCrisisAssignees()
+      .then(response => response?.success && setAssignees(response.data))
+      .catch(error => console.error("Failed to load assignees:", error))
+  }, [])
+
+  const openCase = async (id: string) => {
+    try {
+      const response = await adminAPI.getCrisisEvent(id)
+      if (response?.success) {
+        setSelected(response.data)
+        setNote("")
+        setResolution("")
+      }
+    } catch (error) {
+      console.error("Failed to load crisis case:", error)
+    }
+  }
+
+  // Apply an updated case from the API to both the detail panel and the list
+  const applyUpdate = (updated: CrisisCase) => {
+    setSelected(updated)
+    setCases(prev => prev.map(c => (c._id === updated._id ? { ...c, ...updated } : c)))
+  }
+
+  const runAction = async (action: () => Promise<any>, successMessage: string) => {
+    try {
+      setSaving(true)
+      const response = await action()
+      if (!response?.success) throw new Error(response?.error || "Request failed")
+      applyUpdate(response.data)
+      toast({ title: successMessage })
+      return true
+    } catch (error: any) {
+      toast({ title: "Update failed", description: error.message, variant: "destructive" })
+      return false
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleStatusChange = async (status: CrisisStatus) => {
+    if (!selected) return
+    if (status === "resolved" && !resolution.trim()) {
+      toast({ title: "Resolution required", description: "Summarise how the case was resolved first.", variant: "destructive" })
+      return
+    }
+    const ok = await runAction(
+      () => adminAPI.updateCrisisStatus(selected._id, status, status === "resolved" ? resolution.trim() : undefined),
+      `Case marked ${STATUS_LABELS[status].toLowerCase()}`
+    )
+    if (ok) {
+      setResolution("")
+      loadCases()
+    }
+  }
+
+  const handleAssign = (value: string) => {
+    if (!selected) return
+    runAction(
+      () => adminAPI.assignCrisisEvent(selected._id, value === "none" ? null : value),
+      value === "none" ? "Case unassigned" : "Case assigned"
+    )
+  }
+
+  const handleAddNote = async () => {
+    if (!selected || !note.trim()) return
+    const ok = await runAction(() => adminAPI.addCrisisNote(selected._id, note.trim()), "Note added")
+    if (ok) setNote("")
+  }
+
+  return (
+    <div className="grid lg:grid-cols-5 gap-6">
+      <Card className="lg:col-span-2">
+        <CardHeader>
+          <div className="flex items-center justify-between gap-2">
+            <div>
+              <CardTitle className="flex items-center gap-2">
+                <ShieldAlert className="h-5 w-5 text-red-600" />
+                Crisis Cases
+              </CardTitle>
+              <CardDescription>
+                {counts.open || 0} open · {counts.acknowledged || 0} acknowledged · {counts.contacted || 0} contacted
+              </CardDescription>
+            </div>
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger className="w-36">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="active">Active</SelectItem>
+                <SelectItem value="open">Open</SelectItem>
+                <SelectItem value="acknowledged">Acknowledged</SelectItem>
+                <SelectItem value="contacted">Contacted</SelectItem>
+                <SelectItem value="resolved">Resolved</SelectItem>
+                <SelectItem value="all">All</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading && cases.length === 0 ? (
+            <div className="text-center py-8">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary mx-auto mb-4"></div>
+              <p>Loading cases...</p>
+            </div>
+          ) : cases.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">No crisis cases</div>
+          ) : (
+            <div className="space-y-2">
+              {cases.map(crisis => (
+                <button
+                  key={crisis._id}
+                  onClick={() => openCase(crisis._id)}
+                  className={`w-full text-left p-3 rounded-lg border transition-colors hover:bg-muted/30 ${
+                    selected?._id === crisis._id ? "border-primary bg-muted/40" : ""
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2 mb-1">
+                    <span className="font-medium text-sm truncate">{personName(crisis.userId)}</span>
+                    <Badge variant={crisis.riskLevel === "high" ? "destructive" : "secondary"} className="shrink-0">
+                      {crisis.riskLevel}
+                    </Badge>
+                  </div>
+                  <p className="text-xs text-muted-foreground line-clamp-2">{crisis.messagePreview}</p>
+                  <div className="flex items-center gap-2 mt-2 text-xs text-muted-foreground flex-wrap">
+                    <Badge variant="outline">{STATUS_LABELS[crisis.status]}</Badge>
+                    <span>{crisis.source}</span>
+                    <span>•</span>
+                    <span>{formatTimeAgo(crisis.createdAt)}</span>
+                    {crisis.assignedTo && (
+                      <>
+                        <span>•</span>
+                        <span>{personName(crisis.assignedTo)}</span>
+                      </>
+                    )}
+                  </div>
+                </button>
+              ))}
+              {nextCursor && (
+                <Button variant="outline" size="sm" className="w-full" disabled={loading} onClick={() => loadCases(nextCursor)}>
+                  {loading ? "Loading..." : "Load more"}
+                </Button>
+              )}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="lg:col-span-3">
+        {!selected ? (
+          <CardContent className="py-16 text-center text-muted-foreground">
+            Select a case to review it
+          </CardContent>
+        ) : (
+          <>
+            <CardHeader>
+              <div className="flex items-start justify-between gap-4">
+                <div>
+                  <CardTitle>{personName(selected.userId)}</CardTitle>
+                  <CardDescription>
+                    {selected.userId?.email} · detected in {selected.source} {formatTimeAgo(selected.createdAt)}
+                  </CardDescription>
+                </div>
+                <Badge variant={selected.status === "resolved" ? "secondary" : "destructive"}>
+                  {STATUS_LABELS[selected.status]}
+                </Badge>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div className="p-3 rounded-lg border border-red-200 bg-red-50 text-sm">
+                <p className="flex items-center gap-2 font-medium text-red-800 mb-1">
+                  <AlertTriangle className="h-4 w-4" />
+                  {selected.riskLevel} risk{selected.aiAssessment ? ` (AI: ${selected.aiAssessment})` : ""}
+                </p>
+                <p className="text-muted-foreground">{selected.messagePreview}</p>
+                {selected.keywords.length > 0 && (
+                  <div className="flex gap-1 flex-wrap mt-2">
+                    {selected.keywords.map(keyword => (
+                      <Badge key={keyword} variant="outline" className="text-xs">{keyword}</Badge>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="grid sm:grid-cols-2 gap-4">
+                <div className="space-y-2">
+                  <p className="text-sm font-medium">Assigned to</p>
+                  <Select value={selected.assignedTo?._id || "none"} onValueChange={handleAssign} disabled={saving}>
+                    <SelectTrigger className="w-full">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="none">Unassigned</SelectItem>
+                      {assignees.map(assignee => (
+                        <SelectItem key={assignee._id} value={assignee._id}>
+                          {personName(assignee)} ({assignee.role})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="space-y-2">
+                  <p className="text-sm font-medium">Next step</p>
+                  <div className="flex gap-2 flex-wrap">
+                    {NEXT_STATUSES[selected.status].map(status => {
+                      const { label, icon: Icon } = STATUS_ACTIONS[status]
+                      return (
+                        <Button
+                          key={status}
+                          size="sm"
+                          variant={status === "resolved" ? "default" : "outline"}
+                          disabled={saving}
+                          onClick={() => handleStatusChange(status)}
+                          className="gap-2"
+                        >
+                          <Icon className="h-4 w-4" />
+                          {label}
+                        </Button>
+                      )
+                    })}
+                  </div>
+                </div>
+              </div>
+
+              {selected.status === "resolved" ? (
+                <div className="text-sm">
+                  <p className="font-medium mb-1">Resolution</p>
+                  <p className="text-muted-foreground">{selected.resolution}</p>
+                </div>
+              ) : (
+                <Textarea
+                  placeholder="Resolution summary (required to resolve)"
+                  value={resolution}
+                  onChange={(e) => setResolution(e.target.value)}
+                  maxLength={1000}
+                />
+              )}
+
+              <div className="space-y-3">
+                <p className="text-sm font-medium flex items-center gap-2">
+                  <MessageSquare className="h-4 w-4" />
+                  Notes
+                </p>
+                {(selected.notes || []).map(n => (
+                  <div key={n._id} className="p-3 rounded-lg bg-muted/40 text-sm">
+                    <p>{n.content}</p>
+                    <p className="text-xs text-muted-foreground mt-1">
+                      {personName(n.authorId)} · {formatTimeAgo(n.createdAt)}
+                    </p>
+                  </div>
+                ))}
+                <Textarea
+                  placeholder="Add a note for the care team..."
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  maxLength={2000}
+                />
+                <Button size="sm" onClick={handleAddNote} disabled={saving || !note.trim()}>
+                  Add Note
+                </Button>
+              </div>
+
+              <div className="space-y-2">
+                <p className="text-sm font-medium flex items-center gap-2">
+                  <Clock className="h-4 w-4" />
+                  Audit Trail
+                </p>
+                <div className="space-y-1 text-xs text-muted-foreground">
+                  {[...(selected.auditTrail || [])].reverse().map((entry, idx) => (
+                    <div key={idx} className="flex justify-between gap-4">
+                      <span>
+                        <span className="font-medium text-foreground">{personName(entry.actorId)}</span>{" "}
+                        {describeAudit(entry)}
+                      </span>
+                      <span className="shrink-0">{formatTimeAgo(entry.createdAt)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </CardContent>
+          </>
+        )}
+      </Card>
+    </div>
+  )
+}
@@ -0,0 +1,221 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { useToast } from "@/hooks/use-toast"
+import { History, Loader2, RotateCcw } from "lucide-react"
+import { journalAPI } from "@/lib/api"
+import { decryptContent, getSessionKeys, type EncryptedContent } from "@/lib/journal-crypto"
+
+type DiffOp = { op: "equal" | "insert" | "delete"; text: string }
+
+type Revision = {
+  _id: string
+  version: number
+  content?: string
+  e2e?: EncryptedContent // End-to-end encrypted entries keep their old ciphertext and no diff
+  mood?: number
+  tags?: string[]
+  status?: string
+  aiAnalysis?: { summary?: string; sentiment?: { label?: string }; stale?: boolean }
+  diff: DiffOp[]
+  wordsAdded: number
+  wordsRemoved: number
+  reason: "edit" | "restore"
+  restoredFrom?: number
+  createdAt: string
+}
+
+// Long unchanged stretches are shortened so the edits stand out
+const EQUAL_CONTEXT_CHARS = 80
+
+function DiffView({ ops }: { ops: DiffOp[] }) {
+  return (
+    <p className="text-sm whitespace-pre-wrap leading-relaxed">
+      {ops.map((op, i) => {
+        if (op.op === "insert") {
+          return <ins key={i} className="bg-green-100 text-green-900 no-underline rounded px-0.5">{op.text}</ins>
+        }
+        if (op.op === "delete") {
+          return <del key={i} className="bg-red-100 text-red-800 rounded px-0.5">{op.text}</del>
+        }
+        if (op.text.length <= EQUAL_CONTEXT_CHARS * 2) return <span key={i}>{op.text}</span>
+        const head = i > 0 ? op.text.slice(0, EQUAL_CONTEXT_CHARS) : ""
+        const tail = i < ops.length - 1 ? op.text.slice(-EQUAL_CONTEXT_CHARS) : ""
+        return (
+          <span key={i}>
+            {head}
+            <span className="text-muted-foreground"> … </span>
+            {tail}
+          </span>
+        )
+      })}
+    </p>
+  )
+}
+
+export default function JournalHistory({
+  journalId,
+  open,
+  onOpenChange,
+  onRestored,
+}: {
+  journalId: string | null
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onRestored: (journal: any) => void
+}) {
+  const { toast } = useToast()
+  const [revisions, setRevisions] = useState<Revision[]>([])
+  const [currentVersion, setCurrentVersion] = useState(1)
+  const [selected, setSelected] = useState<Revision | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const [decrypted, setDecrypted] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!open || !journalId) return
+    setLoading(true)
+    setSelected(null)
+    journalAPI.revisions(journalId)
+      .then((res) => {
+        if (res.success) {
+          setRevisions(res.revisions)
+          setCurrentVersion(res.currentVersion)
+          setSelected(res.revisions[0] || null)
+        }
+      })
+      .catch((err) => toast({ title: "Couldn't load history", description: err.message, variant: "destructive" }))
+      .finally(() => setLoading(false))
+  }, [open, journalId])
+
+  useEffect(() => {
+    setDecrypted(null)
+    const keys = getSessionKeys()
+    if (!selected?.e2e || !keys) return
+    decryptContent(keys, selected.e2e)
+      .then(setDecrypted)
+      .catch((err) => console.error("Failed to decrypt revision:", err))
+  }, [selected])
+
+  const restore = async (revision: Revision) => {
+    if (!journalId) return
+    if (!confirm(`Restore version ${revision.version}? Your current text is kept in the history.`)) return
+    setRestoring(true)
+    try {
+      const res = await journalAPI.restoreRevision(journalId, revision.version)
+      if (res.success) {
+        onRestored(res.journal)
+        onOpenChange(false)
+        toast({
+          title: res.message,
+          description: res.reanalysis ? "Your insights are being updated for this version." : undefined,
+        })
+      }
+    } catch (err: any) {
+      toast({ title: "Couldn't restore this version", description: err.message, variant: "destructive" })
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="h-5 w-5 text-green-600" />
+            Edit history
+          </DialogTitle>
+          <DialogDescription>
+            Earlier versions of this entry, with what each edit changed. You're on version {currentVersion}.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-12">This entry hasn't been edited yet.</p>
+        ) : (
+          <div className="flex gap-4 h-[420px]">
+            <ScrollArea className="w-48 flex-shrink-0 border-r pr-2">
+              <div className="space-y-1">
+                {revisions.map((revision) => (
+                  <button
+                    key={revision._id}
+                    type="button"
+                    onClick={() => setSelected(revision)}
+                    className={`w-full rounded-md p-2 text-left transition-colors ${
+                      selected?._id === revision._id ? "bg-green-50 border border-green-200" : "hover:bg-gray-50"
+                    }`}
+                  >
+                    <p className="text-sm font-medium">Version {revision.version}</p>
+                    <p className="text-xs text-gray-500">{new Date(revision.createdAt).toLocaleString()}</p>
+                    {!revision.e2e && (
+                      <p className="text-xs text-gray-500">
+                        <span className="text-green-700">+{revision.wordsAdded}</span>{" "}
+                        <span className="text-red-600">−{revision.wordsRemoved}</span> words
+                      </p>
+                    )}
+                  </button>
+                ))}
+              </div>
+            </ScrollArea>
+
+            {selected && (
+              <div className="flex-1 min-w-0 flex flex-col gap-3">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+                    <span>
+                      {selected.reason === "restore"
+                        ? `Replaced by restoring version ${selected.restoredFrom}`
+                        : `Edited ${new Date(selected.createdAt).toLocaleString()}`}
+                    </span>
+                    {selected.mood && <Badge variant="outline">Mood {selected.mood}/10</Badge>}
+                    {selected.aiAnalysis?.sentiment?.label && (
+                      <Badge variant="outline">{selected.aiAnalysis.sentiment.label}</Badge>
+                    )}
+                  </div>
+                  <Button size="sm" variant="outline" onClick={() => restore(selected)} disabled={restoring}>
+                    {restoring ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <RotateCcw className="h-4 w-4 mr-1" />}
+                    Restore
+                  </Button>
+                </div>
+
+                <ScrollArea className="flex-1 rounded-md border p-3">
+                  {selected.e2e ? (
+                    <>
+                      <p className="text-xs font-medium text-gray-500 mb-2">This version (encrypted)</p>
+                      <p className="text-sm whitespace-pre-wrap leading-relaxed">
+                        {decrypted ?? <span className="italic text-gray-400">Unlock your journal to read this version.</span>}
+                      </p>
+                    </>
+                  ) : (
+                    <>
+                      <p className="text-xs font-medium text-gray-500 mb-2">Changes made to this version</p>
+                      <DiffView ops={selected.diff} />
+                    </>
+                  )}
+                </ScrollArea>
+
+                {selected.aiAnalysis?.summary && (
+                  <div className="rounded-md bg-gray-50 p-3">
+                    <p className="text-xs font-medium text-gray-500 mb-1">
+                      Insights for this version{selected.aiAnalysis.stale ? " (already out of date)" : ""}
+                    </p>
+                    <p className="text-sm text-gray-700">{selected.aiAnalysis.summary}</p>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
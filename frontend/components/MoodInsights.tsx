@@ -0,0 +1,244 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Badge } from "@/components/ui/badge"
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart"
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid } from "recharts"
+import { Activity, CalendarDays, Loader2, TrendingDown, TrendingUp, Minus } from "lucide-react"
+import { moodAPI } from "@/lib/api"
+
+type Correlation = {
+  value: string
+  count: number
+  averageMood: number
+  difference: number
+}
+
+type MoodInsightsData = {
+  range: { from: string; to: string; days: number }
+  summary: {
+    average: number | null
+    daysLogged: number
+    volatility: { stdDev: number | null; averageDailyChange: number | null }
+    trend: { lastWeek: number | null; weekBefore: number | null; change: number | null; direction: "improving" | "declining" | "steady" | null }
+  }
+  series: { date: string; mood: number | null; weekAvg: number | null; monthAvg: number | null }[]
+  heatmap: { date: string; mood: number | null; entries: number }[]
+  dayOfWeek: { weekday: number; label: string; average: number | null; count: number }[]
+  correlations: {
+    baselineMood: number | null
+    entriesWithMood: number
+    tags: Correlation[]
+    themes: Correlation[]
+    sentiment: { label: string; count: number; averageMood: number | null }[]
+    sentimentScoreCorrelation: number | null
+  }
+}
+
+const RANGES = [30, 90, 365]
+
+// Day keys are calendar dates; parse them as local dates so labels don't shift a day
+const parseDay = (key: string) => {
+  const [year, month, day] = key.split("-").map(Number)
+  return new Date(year, month - 1, day)
+}
+
+const formatDay = (key: string) => parseDay(key).toLocaleDateString(undefined, { month: "short", day: "numeric" })
+
+// Red (low) through amber to green (high) on the 1-10 scale
+const heatColor = (mood: number | null) => {
+  if (mood == null) return "hsl(var(--muted))"
+  const hue = ((mood - 1) / 9) * 120
+  return `hsl(${hue}, 65%, 55%)`
+}
+
+function CorrelationList({ title, items }: { title: string; items: Correlation[] }) {
+  return (
+    <div>
+      <p className="text-sm font-medium mb-2">{title}</p>
+      {items.length === 0 ? (
+        <p className="text-xs text-muted-foreground">Not enough entries yet.</p>
+      ) : (
+        <div className="space-y-1">
+          {items.map((item) => (
+            <div key={item.value} className="flex items-center justify-between text-sm">
+              <span className="truncate">{item.value} <span className="text-xs text-muted-foreground">×{item.count}</span></span>
+              <span className={item.difference > 0 ? "text-green-600" : item.difference < 0 ? "text-red-600" : "text-muted-foreground"}>
+                {item.averageMood.toFixed(1)} ({item.difference > 0 ? "+" : ""}{item.difference.toFixed(1)})
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function MoodInsights() {
+  const [days, setDays] = useState(90)
+  const [insights, setInsights] = useState<MoodInsightsData | null>(null)
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    setLoading(true)
+    moodAPI.getInsights(days)
+      .then((data) => setInsights(data))
+      .catch((err) => console.error("Failed to load mood insights:", err))
+      .finally(() => setLoading(false))
+  }, [days])
+
+  const trend = insights?.summary.trend
+  const TrendIcon = trend?.direction === "improving" ? TrendingUp : trend?.direction === "declining" ? TrendingDown : Minus
+
+  // Heatmap laid out GitHub-style: one column per week, Sunday at the top
+  const leadingBlanks = insights?.heatmap.length ? parseDay(insights.heatmap[0].date).getDay() : 0
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Activity className="h-5 w-5 text-primary" />
+              Mood Insights
+            </CardTitle>
+            <CardDescription>Patterns from your mood check-ins and journal entries.</CardDescription>
+          </div>
+          <div className="flex gap-2">
+            {RANGES.map((range) => (
+              <Button key={range} size="sm" variant={days === range ? "default" : "outline"} onClick={() => setDays(range)}>
+                {range === 365 ? "1y" : `${range}d`}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-8">
+        {loading && !insights && <Loader2 className="h-6 w-6 animate-spin text-primary mx-auto" />}
+        {insights && insights.summary.daysLogged === 0 && (
+          <p className="text-sm text-muted-foreground text-center py-6">
+            Log your mood or write a journal entry to start seeing insights.
+          </p>
+        )}
+        {insights && insights.summary.daysLogged > 0 && (
+          <>
+            {/* Summary */}
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="rounded-lg bg-muted/50 p-3">
+                <p className="text-xs text-muted-foreground">Average mood</p>
+                <p className="text-2xl font-semibold">{insights.summary.average?.toFixed(1)}/10</p>
+              </div>
+              <div className="rounded-lg bg-muted/50 p-3">
+                <p className="text-xs text-muted-foreground">This week vs last</p>
+                <p className="text-2xl font-semibold flex items-center gap-1">
+                  <TrendIcon className="h-5 w-5" />
+                  {trend?.change != null ? `${trend.change > 0 ? "+" : ""}${trend.change.toFixed(1)}` : "—"}
+                </p>
+              </div>
+              <div className="rounded-lg bg-muted/50 p-3">
+                <p className="text-xs text-muted-foreground">Volatility (std dev)</p>
+                <p className="text-2xl font-semibold">{insights.summary.volatility.stdDev?.toFixed(1) ?? "—"}</p>
+              </div>
+              <div className="rounded-lg bg-muted/50 p-3">
+                <p className="text-xs text-muted-foreground">Days logged</p>
+                <p className="text-2xl font-semibold">{insights.summary.daysLogged}/{insights.range.days}</p>
+              </div>
+            </div>
+
+            {/* Rolling averages */}
+            <div>
+              <p className="text-sm font-medium mb-2">Mood with 7- and 30-day averages</p>
+              <ChartContainer
+                className="h-64 w-full"
+                config={{
+                  mood: { label: "Mood", color: "hsl(var(--primary))" },
+                  weekAvg: { label: "7-day average", color: "#3b82f6" },
+                  monthAvg: { label: "30-day average", color: "#a855f7" },
+                }}
+              >
+                <LineChart data={insights.series} margin={{ left: 8, right: 8, top: 8, bottom: 8 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" tickFormatter={formatDay} minTickGap={24} />
+                  <YAxis domain={[0, 10]} ticks={[0, 2, 4, 6, 8, 10]} allowDecimals={false} />
+                  <ChartTooltip content={<ChartTooltipContent labelFormatter={(value) => formatDay(String(value))} />} />
+                  <Line type="monotone" dataKey="mood" stroke="var(--color-mood)" strokeWidth={1} dot={{ r: 2 }} connectNulls={false} />
+                  <Line type="monotone" dataKey="weekAvg" stroke="var(--color-weekAvg)" strokeWidth={2} dot={false} connectNulls />
+                  <Line type="monotone" dataKey="monthAvg" stroke="var(--color-monthAvg)" strokeWidth={2} dot={false} connectNulls />
+                </LineChart>
+              </ChartContainer>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-8">
+              {/* Day of week */}
+              <div>
+                <p className="text-sm font-medium mb-2">By day of the week</p>
+                <ChartContainer className="h-48 w-full" config={{ average: { label: "Average mood", color: "hsl(var(--primary))" } }}>
+                  <BarChart data={insights.dayOfWeek} margin={{ left: 8, right: 8, top: 8, bottom: 8 }}>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="label" tickFormatter={(label: string) => label.slice(0, 3)} />
+                    <YAxis domain={[0, 10]} ticks={[0, 5, 10]} />
+                    <ChartTooltip content={<ChartTooltipContent />} />
+                    <Bar dataKey="average" fill="var(--color-average)" radius={4} />
+                  </BarChart>
+                </ChartContainer>
+              </div>
+
+              {/* Calendar heatmap */}
+              <div>
+                <p className="text-sm font-medium mb-2 flex items-center gap-2">
+                  <CalendarDays className="h-4 w-4" />
+                  Calendar
+                </p>
+                <div className="overflow-x-auto">
+                  <div className="grid grid-rows-7 grid-flow-col gap-1 w-max">
+                    {Array.from({ length: leadingBlanks }).map((_, i) => <div key={`blank-${i}`} className="w-3 h-3" />)}
+                    {insights.heatmap.map((day) => (
+                      <div
+                        key={day.date}
+                        className="w-3 h-3 rounded-sm"
+                        style={{ backgroundColor: heatColor(day.mood) }}
+                        title={`${formatDay(day.date)}: ${day.mood != null ? `${day.mood.toFixed(1)}/10` : "no mood logged"}${day.entries ? `, ${day.entries} journal ${day.entries === 1 ? "entry" : "entries"}` : ""}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </div>
+
+            {/* Correlations */}
+            <div>
+              <p className="text-sm font-medium mb-1">What goes with your mood</p>
+              <p className="text-xs text-muted-foreground mb-4">
+                Average mood of journal entries with each tag or theme, compared with your overall {insights.correlations.baselineMood?.toFixed(1) ?? "—"}.
+              </p>
+              <div className="grid md:grid-cols-3 gap-6">
+                <CorrelationList title="Tags" items={insights.correlations.tags} />
+                <CorrelationList title="Themes" items={insights.correlations.themes} />
+                <div>
+                  <p className="text-sm font-medium mb-2">Sentiment</p>
+                  <div className="space-y-1">
+                    {insights.correlations.sentiment.map((item) => (
+                      <div key={item.label} className="flex items-center justify-between text-sm">
+                        <Badge variant="outline" className="capitalize">{item.label}</Badge>
+                        <span className="text-muted-foreground">
+                          {item.averageMood != null ? `${item.averageMood.toFixed(1)}/10 · ${item.count}` : "—"}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                  {insights.correlations.sentimentScoreCorrelation != null && (
+                    <p className="text-xs text-muted-foreground mt-2">
+                      Correlation between AI sentiment and your mood rating: {insights.correlations.sentimentScoreCorrelation.toFixed(2)}
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
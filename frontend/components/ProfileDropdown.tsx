@@ -3,13 +3,14 @@
 import { useState, useRef, useEffect } from "react"
 import { usePathname } from "next/navigation"
 import Link from "next/link"
-import { User, Settings, LogOut, UserCircle, Shield } from "lucide-react"
-import { userAPI } from "@/lib/api"
+import { User, Settings, LogOut, UserCircle, Shield, CalendarClock } from "lucide-react"
+import { authAPI, userAPI } from "@/lib/api"
 
 export default function ProfileDropdown() {
   const [isOpen, setIsOpen] = useState(false)
   const [profilePicture, setProfilePicture] = useState<string | null>(null)
   const [userName, setUserName] = useState<string>("User")
+  const [isCounselor, setIsCounselor] = useState(false)
   const dropdownRef = useRef<HTMLDivElement>(null)
   const pathname = usePathname()
   const isAdminPage = pathname === "/admin"
@@ -25,6 +26,7 @@ export default function ProfileDropdown() {
       if (response.success && response.data) {
         setProfilePicture(response.data.avatarUrl || null)
         setUserName(response.data.name || "User")
+        setIsCounselor(response.data.role === "counselor")
       }
     } catch (error) {
       console.error("Failed to load user profile:", error)
@@ -45,8 +47,13 @@ export default function ProfileDropdown() {
     }
   }, [])
 
-  const handleSignOut = () => {
-    // Clear localStorage and redirect to login
+  const handleSignOut = async () => {
+    // Revoke the server-side session, then clear localStorage and redirect
+    try {
+      await authAPI.logout()
+    } catch (error) {
+      console.error("Logout error:", error)
+    }
     localStorage.clear()
     window.location.href = "/"
     setIsOpen(false)
@@ -101,6 +108,17 @@ export default function ProfileDropdown() {
             <UserCircle className="h-4 w-4" />
             Profile
           </Link>
+
+          {isCounselor && (
+            <Link
+              href="/counselor"
+              onClick={() => setIsOpen(false)}
+              className="flex items-center gap-3 px-4 py-3 text-sm hover:bg-muted transition-colors cursor-pointer border-t border-border"
+            >
+              <CalendarClock className="h-4 w-4" />
+              Counselor Dashboard
+            </Link>
+          )}
           
           {!isAdminPage && (
             <Link 
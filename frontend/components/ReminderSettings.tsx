@@ -0,0 +1,190 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useToast } from "@/hooks/use-toast"
+import { BellRing, Loader2 } from "lucide-react"
+import { reminderAPI } from "@/lib/api"
+
+type Settings = {
+  channels: { inApp: boolean; email: boolean }
+  weeklyDigest: { enabled: boolean }
+  dailyCheckIn: { enabled: boolean; time: string }
+  streakNudge: { enabled: boolean; time: string }
+  weeklyReflection: { enabled: boolean; dayOfWeek: number; time: string }
+  quietHours: { enabled: boolean; start: string; end: string }
+}
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"]
+
+const REMINDERS = [
+  { key: "dailyCheckIn", label: "Daily check-in", description: "A nudge to log your mood or journal, skipped if you already have today." },
+  { key: "streakNudge", label: "Streak reminder", description: "An evening heads-up when your journaling streak is about to break." },
+  { key: "weeklyReflection", label: "Weekly reflection", description: "A prompt to look back on your week." },
+] as const
+
+export default function ReminderSettings() {
+  const { toast } = useToast()
+  const [settings, setSettings] = useState<Settings | null>(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    reminderAPI.getSettings()
+      .then((res) => { if (res.success) setSettings(res.data) })
+      .catch((err) => console.error("Failed to load reminder settings:", err))
+  }, [])
+
+  const update = <K extends keyof Settings>(key: K, changes: Partial<Settings[K]>) => {
+    setSettings((prev) => (prev ? { ...prev, [key]: { ...prev[key], ...changes } } : prev))
+  }
+
+  const handleSave = async () => {
+    if (!settings) return
+    setSaving(true)
+    try {
+      const res = await reminderAPI.updateSettings(settings)
+      if (res.success) {
+        setSettings(res.data)
+        toast({ title: "Reminders saved", description: "Times follow your current time zone." })
+      }
+    } catch (err: any) {
+      toast({ title: "Couldn't save reminders", description: err.message, variant: "destructive" })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <BellRing className="h-5 w-5 text-primary" />
+          Reminders & Digest
+        </CardTitle>
+        <CardDescription>Gentle, opt-in nudges at times that suit you, and your weekly digest.</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!settings ? (
+          <Loader2 className="h-5 w-5 animate-spin text-primary mx-auto" />
+        ) : (
+          <div className="space-y-6">
+            {REMINDERS.map(({ key, label, description }) => (
+              <div key={key} className="flex flex-col md:flex-row md:items-center justify-between gap-3">
+                <div className="flex items-start gap-3">
+                  <Switch
+                    id={`reminder-${key}`}
+                    checked={settings[key].enabled}
+                    onCheckedChange={(enabled) => update(key, { enabled })}
+                  />
+                  <div>
+                    <Label htmlFor={`reminder-${key}`}>{label}</Label>
+                    <p className="text-sm text-muted-foreground">{description}</p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  {key === "weeklyReflection" && (
+                    <Select
+                      value={String(settings.weeklyReflection.dayOfWeek)}
+                      onValueChange={(value) => update("weeklyReflection", { dayOfWeek: Number(value) })}
+                      disabled={!settings.weeklyReflection.enabled}
+                    >
+                      <SelectTrigger className="w-32">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {WEEKDAYS.map((day, dayIndex) => (
+                          <SelectItem key={day} value={String(dayIndex)}>{day}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  <Input
+                    type="time"
+                    className="w-28"
+                    value={settings[key].time}
+                    onChange={(e) => update(key, { time: e.target.value })}
+                    disabled={!settings[key].enabled}
+                  />
+                </div>
+              </div>
+            ))}
+
+            <div className="flex items-start gap-3 border-t pt-6">
+              <Switch
+                id="weekly-digest"
+                checked={settings.weeklyDigest.enabled}
+                onCheckedChange={(enabled) => update("weeklyDigest", { enabled })}
+              />
+              <div>
+                <Label htmlFor="weekly-digest">Weekly digest</Label>
+                <p className="text-sm text-muted-foreground">
+                  A Monday-morning summary of your week: mood, journaling stats, recurring themes and suggested resources. It never includes what you wrote.
+                </p>
+              </div>
+            </div>
+
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 border-t pt-6">
+              <div className="flex items-start gap-3">
+                <Switch
+                  id="quiet-hours"
+                  checked={settings.quietHours.enabled}
+                  onCheckedChange={(enabled) => update("quietHours", { enabled })}
+                />
+                <div>
+                  <Label htmlFor="quiet-hours">Quiet hours</Label>
+                  <p className="text-sm text-muted-foreground">Nothing is sent in this window; a reminder due then waits until it ends.</p>
+                </div>
+              </div>
+              <div className="flex items-center gap-2">
+                <Input
+                  type="time"
+                  className="w-28"
+                  value={settings.quietHours.start}
+                  onChange={(e) => update("quietHours", { start: e.target.value })}
+                  disabled={!settings.quietHours.enabled}
+                />
+                <span className="text-sm text-muted-foreground">to</span>
+                <Input
+                  type="time"
+                  className="w-28"
+                  value={settings.quietHours.end}
+                  onChange={(e) => update("quietHours", { end: e.target.value })}
+                  disabled={!settings.quietHours.enabled}
+                />
+              </div>
+            </div>
+
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 border-t pt-6">
+              <div className="flex flex-wrap gap-6">
+                <div className="flex items-center gap-2">
+                  <Switch
+                    id="channel-in-app"
+                    checked={settings.channels.inApp}
+                    onCheckedChange={(inApp) => update("channels", { inApp })}
+                  />
+                  <Label htmlFor="channel-in-app">In-app notifications</Label>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Switch
+                    id="channel-email"
+                    checked={settings.channels.email}
+                    onCheckedChange={(email) => update("channels", { email })}
+                  />
+                  <Label htmlFor="channel-email">Email</Label>
+                </div>
+              </div>
+              <Button onClick={handleSave} disabled={saving}>
+                {saving ? <Loader2 className="h-4 w-4 animate-spin" /> : "Save reminders"}
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,68 @@
+"use client"
+
+import { BookOpen, ExternalLink, Headphones, Play, Sparkles } from "lucide-react"
+import { resourceAPI } from "@/lib/api"
+
+export type RecommendedResource = {
+  _id: string
+  title: string
+  type: "video" | "audio" | "article"
+  url: string
+  duration?: string
+  reason: string
+}
+
+const TYPE_ICONS = {
+  video: Play,
+  audio: Headphones,
+  article: BookOpen,
+}
+
+export default function ResourceRecommendations({
+  resources,
+  title = "Resources that might help",
+  className = "",
+}: {
+  resources: RecommendedResource[]
+  title?: string
+  className?: string
+}) {
+  if (!resources || resources.length === 0) return null
+
+  const openResource = (resource: RecommendedResource) => {
+    resourceAPI.trackView(resource._id).catch((err) => console.error("Track view failed:", err))
+    window.open(resource.url, "_blank")
+  }
+
+  return (
+    <div className={`rounded-lg border bg-white/70 p-3 ${className}`}>
+      <p className="flex items-center gap-1 text-xs font-medium text-muted-foreground mb-2">
+        <Sparkles className="h-3 w-3 text-primary" />
+        {title}
+      </p>
+      <div className="space-y-1">
+        {resources.map((resource) => {
+          const Icon = TYPE_ICONS[resource.type] || BookOpen
+          return (
+            <button
+              key={resource._id}
+              type="button"
+              onClick={() => openResource(resource)}
+              className="w-full flex items-start gap-2 rounded-md p-2 text-left hover:bg-muted transition-colors"
+            >
+              <Icon className="h-4 w-4 mt-0.5 text-primary flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium line-clamp-1">{resource.title}</p>
+                <p className="text-xs text-muted-foreground first-letter:uppercase">
+                  {resource.reason}
+                  {resource.duration && ` · ${resource.duration}`}
+                </p>
+              </div>
+              <ExternalLink className="h-3 w-3 mt-1 text-muted-foreground flex-shrink-0" />
+            </button>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
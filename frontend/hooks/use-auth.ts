@@ -2,13 +2,14 @@
 
 import { useEffect, useState } from "react"
 import { useRouter } from "next/navigation"
-import { authAPI, getUser, clearTokens } from "@/lib/api"
+import { authAPI, userAPI, getUser, clearTokens } from "@/lib/api"
 
 interface User {
   id: string
   email: string
   name: string
   role: string
+  timezone?: string
 }
 
 export function useAuth(requireAuth = true) {
@@ -48,6 +49,11 @@ export function useAuth(requireAuth = true) {
     loadUser()
   }, [requireAuth, router])
 
+  useEffect(() => {
+    if (!user) return
+    userAPI.syncTimeZone().catch((error) => console.error("Failed to sync time zone:", error))
+  }, [user])
+
   const logout = async () => {
     try {
       await authAPI.logout()
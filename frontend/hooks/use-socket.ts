@@ -6,6 +6,7 @@
  * - Connection state management
  * - Event listener cleanup
  * - Error handling and retries
+ * - Access-token authentication (private user/role rooms), re-sent after token refresh
  * 
  * @hook
  */
@@ -14,12 +15,14 @@
 
 import { useEffect, useState, useCallback, useRef } from 'react'
 import { io, Socket } from 'socket.io-client'
+import { getAccessToken, refreshAccessToken, TOKENS_UPDATED_EVENT } from '@/lib/api'
 
 interface UseSocketOptions {
   url?: string
   autoConnect?: boolean
   reconnectionAttempts?: number
   reconnectionDelay?: number
+  authenticate?: boolean
 }
 
 interface SocketState {
@@ -38,7 +41,8 @@ export function useSocket(options: UseSocketOptions = {}) {
     url = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001',
     autoConnect = true,
     reconnectionAttempts = 5,
-    reconnectionDelay = 1000
+    reconnectionDelay = 1000,
+    authenticate = true
   } = options
 
   const [state, setState] = useState<SocketState>({
@@ -53,16 +57,39 @@ export function useSocket(options: UseSocketOptions = {}) {
   useEffect(() => {
     if (!autoConnect) return
 
-    // Initialize socket
+    // Set when the token can't be refreshed, so we fall back to a guest connection
+    let guest = !authenticate
+
+    // Initialize socket; the auth callback runs on every (re)connect so it always sends the latest token
     socketRef.current = io(url, {
       transports: ['websocket', 'polling'],
       reconnectionAttempts,
       reconnectionDelay,
-      autoConnect: true
+      autoConnect: true,
+      auth: (cb) => {
+        const token = guest ? null : getAccessToken()
+        cb(token ? { token } : {})
+      }
     })
 
     const socket = socketRef.current
 
+    // Re-authenticate the live connection whenever the API client stores a new access token
+    const handleTokensUpdated = (event: Event) => {
+      const { accessToken } = (event as CustomEvent<{ accessToken: string }>).detail
+      guest = false
+      if (socket.connected) {
+        socket.emit('auth:refresh', accessToken, (response: { success: boolean; code?: string }) => {
+          if (!response?.success) {
+            console.warn('[Socket.IO] Re-authentication failed:', response?.code)
+          }
+        })
+      }
+    }
+    if (authenticate) {
+      window.addEventListener(TOKENS_UPDATED_EVENT, handleTokensUpdated)
+    }
+
     // Connection event handlers
     socket.on('connect', () => {
       console.log('[Socket.IO] Connected to server')
@@ -82,7 +109,16 @@ export function useSocket(options: UseSocketOptions = {}) {
       }))
     })
 
-    socket.on('connect_error', (error) => {
+    socket.on('connect_error', async (error: Error & { data?: { code?: string } }) => {
+      // Handshake rejected our token: refresh it once and retry, or continue as a guest
+      const code = error.data?.code
+      if (code === 'TOKEN_EXPIRED' || code === 'INVALID_TOKEN') {
+        const newToken = code === 'TOKEN_EXPIRED' ? await refreshAccessToken().catch(() => null) : null
+        if (!newToken) guest = true
+        socket.connect()
+        return
+      }
+
       console.error('[Socket.IO] Connection error:', error)
       setState(prev => ({
         ...prev,
@@ -119,10 +155,11 @@ export function useSocket(options: UseSocketOptions = {}) {
       if (reconnectTimeoutRef.current) {
         clearTimeout(reconnectTimeoutRef.current)
       }
+      window.removeEventListener(TOKENS_UPDATED_EVENT, handleTokensUpdated)
       socket.removeAllListeners()
       socket.disconnect()
     }
-  }, [url, autoConnect, reconnectionAttempts, reconnectionDelay])
+  }, [url, autoConnect, reconnectionAttempts, reconnectionDelay, authenticate])
 
   /**
    * Subscribe to a socket event
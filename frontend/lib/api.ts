@@ -3,6 +3,8 @@
  * Centralized API communication with authentication and error handling
  */
 
+import type { EncryptedContent, Kdf, WrappedKey } from './journal-crypto';
+
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5001';
 
 // Token management
@@ -16,10 +18,14 @@ const getRefreshToken = () => {
   return localStorage.getItem('zenly_refresh_token');
 };
 
+// Fired whenever a new access token is stored so long-lived connections (Socket.IO) can re-authenticate
+export const TOKENS_UPDATED_EVENT = 'zenly:tokens-updated';
+
 const setTokens = (accessToken: string, refreshToken: string) => {
   if (typeof window === 'undefined') return;
   localStorage.setItem('zenly_access_token', accessToken);
   localStorage.setItem('zenly_refresh_token', refreshToken);
+  window.dispatchEvent(new CustomEvent(TOKENS_UPDATED_EVENT, { detail: { accessToken } }));
 };
 
 const clearTokens = () => {
@@ -40,10 +46,53 @@ const getUser = () => {
   return user ? JSON.parse(user) : null;
 };
 
+// The browser's IANA time zone; the backend uses it for day boundaries (moods, streaks, AI quota)
+const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
 interface RequestOptions extends RequestInit {
   skipAuth?: boolean;
 }
 
+// Shared in-flight refresh so parallel 401s rotate the refresh token only once
+// (replaying a rotated token is treated as theft and revokes the session)
+let refreshPromise: Promise<string | null> | null = null;
+
+const refreshAccessToken = (): Promise<string | null> => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = getRefreshToken();
+      if (!refreshToken) return null;
+
+      const refreshResponse = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!refreshResponse.ok) {
+        // Another tab rotated the same token first; its new tokens land in localStorage
+        if (refreshResponse.status === 409) {
+          await new Promise((resolve) => setTimeout(resolve, 1000));
+          return getRefreshToken() !== refreshToken ? getAccessToken() : null;
+        }
+        return null;
+      }
+
+      const refreshData = await refreshResponse.json();
+      setTokens(refreshData.data.accessToken, refreshData.data.refreshToken);
+      return refreshData.data.accessToken as string;
+    })().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 /**
  * Core fetch wrapper with authentication and error handling
  */
@@ -76,20 +125,12 @@ async function apiFetch(endpoint: string, options: RequestOptions = {}) {
       
       if (errorData.code === 'TOKEN_EXPIRED') {
         // Try to refresh token
-        const refreshToken = getRefreshToken();
-        if (refreshToken) {
-          const refreshResponse = await fetch(`${API_BASE_URL}/auth/refresh`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ refreshToken }),
-          });
-
-          if (refreshResponse.ok) {
-            const refreshData = await refreshResponse.json();
-            setTokens(refreshData.data.accessToken, refreshToken);
-            
+        if (getRefreshToken()) {
+          const newAccessToken = await refreshAccessToken();
+
+          if (newAccessToken) {
             // Retry original request with new token
-            headers['Authorization'] = `Bearer ${refreshData.data.accessToken}`;
+            headers['Authorization'] = `Bearer ${newAccessToken}`;
             response = await fetch(url, {
               ...fetchOptions,
               headers,
@@ -121,6 +162,38 @@ async function apiFetch(endpoint: string, options: RequestOptions = {}) {
   }
 }
 
+/**
+ * Fetch an authenticated file and save it through the browser
+ */
+async function apiDownload(endpoint: string, fallbackFileName: string) {
+  const request = (token: string | null) => fetch(`${API_BASE_URL}${endpoint}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  let response = await request(getAccessToken());
+  if (response.status === 401 && getRefreshToken()) {
+    const newAccessToken = await refreshAccessToken();
+    if (newAccessToken) {
+      response = await request(newAccessToken);
+    }
+  }
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw new Error(error.error || 'Download failed');
+  }
+
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackFileName;
+  const url = URL.createObjectURL(await response.blob());
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Authentication API
  */
@@ -136,7 +209,7 @@ export const authAPI = {
   }) => {
     const result = await apiFetch('/auth/signup', {
       method: 'POST',
-      body: JSON.stringify(data),
+      body: JSON.stringify({ ...data, timezone: getBrowserTimeZone() }),
       skipAuth: true,
     });
     
@@ -180,6 +253,39 @@ export const authAPI = {
     return result;
   },
 
+  requestPasswordReset: async (email: string) => {
+    const result = await apiFetch('/auth/request-password-reset', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+      skipAuth: true,
+    });
+
+    // Store email for reset page
+    if (result.success && typeof window !== 'undefined') {
+      localStorage.setItem('zenly_pending_reset_email', email);
+    }
+
+    return result;
+  },
+
+  resetPassword: async (email: string, otp: string, newPassword: string) => {
+    const result = await apiFetch('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ email, otp, newPassword }),
+      skipAuth: true,
+    });
+
+    if (result.success) {
+      // All sessions were revoked server-side, so drop any local tokens too
+      clearTokens();
+      if (typeof window !== 'undefined') {
+        localStorage.removeItem('zenly_pending_reset_email');
+      }
+    }
+
+    return result;
+  },
+
   login: async (email: string, password: string) => {
     const result = await apiFetch('/auth/login', {
       method: 'POST',
@@ -197,7 +303,12 @@ export const authAPI = {
 
   logout: async () => {
     try {
-      await apiFetch('/auth/logout', { method: 'POST' });
+      // Revoke the server-side session behind our refresh token
+      await apiFetch('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: getRefreshToken() }),
+        skipAuth: true,
+      });
     } finally {
       clearTokens();
     }
@@ -216,7 +327,7 @@ export const authAPI = {
  * Journal API
  */
 export const journalAPI = {
-  create: async (data: { content: string; mood?: number; tags?: string[] }) => {
+  create: async (data: { content?: string; e2e?: EncryptedContent; mood?: number; tags?: string[] }) => {
     return apiFetch('/journals', {
       method: 'POST',
       body: JSON.stringify(data),
@@ -232,7 +343,7 @@ export const journalAPI = {
     return apiFetch(`/journals/${id}`);
   },
 
-  update: async (id: string, data: { content?: string; mood?: number; tags?: string[] }) => {
+  update: async (id: string, data: { content?: string; e2e?: EncryptedContent; mood?: number; tags?: string[] }) => {
     return apiFetch(`/journals/${id}`, {
       method: 'PATCH',
       body: JSON.stringify(data),
@@ -242,6 +353,104 @@ export const journalAPI = {
   delete: async (id: string) => {
     return apiFetch(`/journals/${id}`, { method: 'DELETE' });
   },
+
+  trash: async () => {
+    return apiFetch('/journals/trash');
+  },
+
+  restore: async (id: string) => {
+    return apiFetch(`/journals/${id}/restore`, { method: 'POST' });
+  },
+
+  deletePermanently: async (id: string) => {
+    return apiFetch(`/journals/trash/${id}`, { method: 'DELETE' });
+  },
+
+  revisions: async (id: string) => {
+    return apiFetch(`/journals/${id}/revisions`);
+  },
+
+  restoreRevision: async (id: string, version: number) => {
+    return apiFetch(`/journals/${id}/revisions/${version}/restore`, { method: 'POST' });
+  },
+
+  createShare: async (data: {
+    counselorId: string;
+    journalIds?: string[];
+    from?: string;
+    to?: string;
+    expiresInDays?: number;
+    message?: string;
+  }) => {
+    return apiFetch('/journals/shares', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  listShares: async () => {
+    return apiFetch('/journals/shares');
+  },
+
+  revokeShare: async (shareId: string) => {
+    return apiFetch(`/journals/shares/${shareId}`, { method: 'DELETE' });
+  },
+
+  getAccessLog: async (params?: { counselorId?: string; before?: string }) => {
+    const query = new URLSearchParams(params as any).toString();
+    return apiFetch(`/journals/shares/access-log${query ? `?${query}` : ''}`);
+  },
+
+  // End-to-end encryption: the server only ever sees wrapped keys and ciphertext
+  encryptionStatus: async () => {
+    return apiFetch('/journals/encryption');
+  },
+
+  enableEncryption: async (data: { password: string; passphraseKdf: Kdf; recoveryKdf: Kdf; key: WrappedKey }) => {
+    return apiFetch('/journals/encryption', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  setEncryptionEnabled: async (enabled: boolean) => {
+    return apiFetch('/journals/encryption', {
+      method: 'PATCH',
+      body: JSON.stringify({ enabled }),
+    });
+  },
+
+  rewrapKeys: async (data: { password: string; passphraseKdf: Kdf; recoveryKdf: Kdf; keys: WrappedKey[] }) => {
+    return apiFetch('/journals/encryption/keys', {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  rotateKey: async (data: { password: string; passphraseKdf: Kdf; recoveryKdf: Kdf; keys: WrappedKey[] }) => {
+    return apiFetch('/journals/encryption/rotate', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  pendingEncryption: async (includePlaintext = false) => {
+    return apiFetch(`/journals/encryption/pending${includePlaintext ? '?includePlaintext=true' : ''}`);
+  },
+
+  reencrypt: async (data: { entries: { id: string; e2e: EncryptedContent }[]; revisions: { id: string; e2e: EncryptedContent }[] }) => {
+    return apiFetch('/journals/encryption/reencrypt', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  analyzeTransient: async (id: string, content: string) => {
+    return apiFetch(`/journals/${id}/analyze-transient`, {
+      method: 'POST',
+      body: JSON.stringify({ content, consent: true }),
+    });
+  },
 };
 
 /**
@@ -259,6 +468,10 @@ export const moodAPI = {
     const query = new URLSearchParams(params as any).toString();
     return apiFetch(`/moods${query ? `?${query}` : ''}`);
   },
+
+  getInsights: async (days = 90) => {
+    return apiFetch(`/moods/insights?days=${days}`);
+  },
 };
 
 /**
@@ -365,6 +578,18 @@ export const aiAPI = {
   listMessages: async (conversationId: string) => {
     return apiFetch(`/ai/conversations/${conversationId}/messages`);
   },
+
+  trash: async () => {
+    return apiFetch('/ai/conversations/trash');
+  },
+
+  restore: async (id: string) => {
+    return apiFetch(`/ai/conversations/${id}/restore`, { method: 'POST' });
+  },
+
+  deletePermanently: async (id: string) => {
+    return apiFetch(`/ai/conversations/trash/${id}`, { method: 'DELETE' });
+  },
 };
 
 /**
@@ -387,6 +612,78 @@ export const resourceAPI = {
   get: async (id: string) => {
     return apiFetch(`/resources/${id}`);
   },
+
+  // Full-text search with facet counts; list filters are sent comma-separated
+  search: async (params: {
+    q?: string;
+    type?: string[];
+    category?: string[];
+    language?: string[];
+    duration?: string[];
+    sort?: 'relevance' | 'popular' | 'helpful' | 'newest';
+    cursor?: string;
+    limit?: number;
+  }) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      const text = Array.isArray(value) ? value.join(',') : value;
+      if (text !== undefined && text !== '') query.set(key, String(text));
+    });
+    return apiFetch(`/resources/search?${query.toString()}`, { skipAuth: true });
+  },
+
+  trackView: async (id: string) => {
+    return apiFetch(`/resources/${id}/view`, { method: 'POST' });
+  },
+
+  // Picks based on recent journal themes, emotions and chat topics, each with a `reason`
+  recommended: async (limit?: number) => {
+    return apiFetch(`/resources/recommended${limit ? `?limit=${limit}` : ''}`);
+  },
+
+  // One vote per user; sending the same value again changes nothing
+  setHelpful: async (id: string, helpful: boolean) => {
+    return apiFetch(`/resources/${id}/helpful`, {
+      method: 'POST',
+      body: JSON.stringify({ helpful }),
+    });
+  },
+
+  save: async (id: string, saved: boolean, lists?: string[]) => {
+    return apiFetch(`/resources/${id}/save`, {
+      method: 'PUT',
+      body: JSON.stringify({ saved, lists }),
+    });
+  },
+
+  // Videos and audio only; progress is 0-1
+  setProgress: async (id: string, data: { status?: 'not_started' | 'in_progress' | 'completed'; progress?: number }) => {
+    return apiFetch(`/resources/${id}/progress`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // The signed-in user's votes, bookmarks and progress, keyed by resource id
+  interactions: async (ids: string[]) => {
+    return apiFetch(`/resources/interactions?ids=${ids.join(',')}`);
+  },
+
+  saved: async (params?: { list?: string; cursor?: string; limit?: number }) => {
+    const query = new URLSearchParams();
+    Object.entries(params || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.set(key, String(value));
+    });
+    return apiFetch(`/resources/saved${query.toString() ? `?${query.toString()}` : ''}`);
+  },
+
+  history: async (cursor?: string) => {
+    return apiFetch(`/resources/history${cursor ? `?cursor=${cursor}` : ''}`);
+  },
+
+  clearHistory: async () => {
+    return apiFetch('/resources/history', { method: 'DELETE' });
+  },
 };
 
 /**
@@ -397,13 +694,28 @@ export const userAPI = {
     return apiFetch('/users/me');
   },
 
-  updateProfile: async (data: { name?: string; avatarUrl?: string; university?: string; firstName?: string; lastName?: string; academicYear?: string }) => {
+  updateProfile: async (data: { name?: string; avatarUrl?: string; university?: string; firstName?: string; lastName?: string; academicYear?: string; timezone?: string }) => {
     return apiFetch('/users/me', {
       method: 'PATCH',
       body: JSON.stringify(data),
     });
   },
 
+  // Save the browser's time zone if it differs from the one on the profile (first login, travel)
+  syncTimeZone: async () => {
+    const user = getUser();
+    const timezone = getBrowserTimeZone();
+    if (!user || user.timezone === timezone) return;
+
+    const result = await apiFetch('/users/me', {
+      method: 'PATCH',
+      body: JSON.stringify({ timezone }),
+    });
+    if (result.success) {
+      setUser({ ...user, timezone });
+    }
+  },
+
   updateAvatar: async (avatarUrl: string) => {
     return apiFetch('/users/me/avatar', {
       method: 'PUT',
@@ -417,6 +729,163 @@ export const userAPI = {
       body: JSON.stringify({ currentPassword, newPassword }),
     });
   },
+
+  listSessions: async () => {
+    return apiFetch('/users/me/sessions');
+  },
+
+  revokeSession: async (sessionId: string) => {
+    return apiFetch(`/users/me/sessions/${sessionId}`, { method: 'DELETE' });
+  },
+
+  revokeOtherSessions: async () => {
+    return apiFetch('/users/me/sessions', { method: 'DELETE' });
+  },
+
+  getAIUsage: async () => {
+    return apiFetch('/users/me/ai-usage');
+  },
+
+  requestExport: async () => {
+    return apiFetch('/users/me/export', { method: 'POST' });
+  },
+
+  deleteAccount: async (password: string) => {
+    return apiFetch('/users/me', {
+      method: 'DELETE',
+      body: JSON.stringify({ password }),
+    });
+  },
+
+  cancelAccountDeletion: async () => {
+    return apiFetch('/users/me/deletion/cancel', { method: 'POST' });
+  },
+
+  listExports: async () => {
+    return apiFetch('/users/me/export');
+  },
+
+  downloadExport: async (exportId: string, fileName = 'zenly-export.zip') => {
+    return apiDownload(`/users/me/export/${exportId}/download`, fileName);
+  },
+};
+
+/**
+ * Counselor directory API
+ */
+export const counselorAPI = {
+  list: async (params?: { specialty?: string; language?: string; sessionType?: string; q?: string }) => {
+    const query = new URLSearchParams(params as any).toString();
+    return apiFetch(`/counselors${query ? `?${query}` : ''}`);
+  },
+
+  get: async (id: string) => {
+    return apiFetch(`/counselors/${id}`);
+  },
+
+  getSlots: async (id: string, params?: { from?: string; to?: string; excludeAppointmentId?: string }) => {
+    const query = new URLSearchParams(params as any).toString();
+    return apiFetch(`/counselors/${id}/slots${query ? `?${query}` : ''}`);
+  },
+
+  getMyProfile: async () => {
+    return apiFetch('/counselors/me');
+  },
+
+  updateMyProfile: async (data: { title?: string; specialties?: string[]; languages?: string[]; sessionTypes?: string[]; bio?: string; experience?: string }) => {
+    return apiFetch('/counselors/me', {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  },
+
+  updateAvailability: async (data: {
+    timezone: string;
+    slotMinutes: number;
+    availabilitySlots: { dayOfWeek: number; startTime: string; endTime: string }[];
+  }) => {
+    return apiFetch('/counselors/me/availability', {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    });
+  },
+
+  listSharingStudents: async () => {
+    return apiFetch('/counselors/me/students');
+  },
+
+  listSharedJournals: async (studentId: string, params?: { before?: string }) => {
+    const query = new URLSearchParams({ studentId, ...params } as any).toString();
+    return apiFetch(`/counselors/me/shared-journals?${query}`);
+  },
+
+  getSharedJournal: async (journalId: string) => {
+    return apiFetch(`/counselors/me/shared-journals/${journalId}`);
+  },
+
+  listNotes: async (journalId: string) => {
+    return apiFetch(`/counselors/me/shared-journals/${journalId}/notes`);
+  },
+
+  addNote: async (journalId: string, content: string) => {
+    return apiFetch(`/counselors/me/shared-journals/${journalId}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  updateNote: async (noteId: string, content: string) => {
+    return apiFetch(`/counselors/me/notes/${noteId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  deleteNote: async (noteId: string) => {
+    return apiFetch(`/counselors/me/notes/${noteId}`, { method: 'DELETE' });
+  },
+};
+
+/**
+ * Appointment API
+ */
+export const appointmentAPI = {
+  book: async (data: { counselorId: string; startsAt: string; sessionType?: string; notes?: string }) => {
+    return apiFetch('/appointments', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+  },
+
+  list: async (params?: { as?: 'student' | 'counselor'; status?: string; from?: string; to?: string }) => {
+    const query = new URLSearchParams(params as any).toString();
+    return apiFetch(`/appointments${query ? `?${query}` : ''}`);
+  },
+
+  get: async (id: string) => {
+    return apiFetch(`/appointments/${id}`);
+  },
+
+  reschedule: async (id: string, startsAt: string) => {
+    return apiFetch(`/appointments/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ startsAt }),
+    });
+  },
+
+  cancel: async (id: string, reason?: string) => {
+    return apiFetch(`/appointments/${id}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  updateStatus: async (id: string, status: 'completed' | 'no_show') => {
+    return apiFetch(`/appointments/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status }),
+    });
+  },
 };
 
 /**
@@ -435,6 +904,38 @@ export const notificationAPI = {
   },
 };
 
+/**
+ * Reminder API
+ */
+export const reminderAPI = {
+  getSettings: async () => {
+    return apiFetch('/reminders');
+  },
+
+  updateSettings: async (data: {
+    channels?: { inApp?: boolean; email?: boolean };
+    weeklyDigest?: { enabled?: boolean };
+    dailyCheckIn?: { enabled?: boolean; time?: string };
+    streakNudge?: { enabled?: boolean; time?: string };
+    weeklyReflection?: { enabled?: boolean; dayOfWeek?: number; time?: string };
+    quietHours?: { enabled?: boolean; start?: string; end?: string };
+  }) => {
+    return apiFetch('/reminders', {
+      method: 'PATCH',
+      body: JSON.stringify(data),
+    });
+  },
+
+  // From the signed link in a reminder email; works without logging in
+  unsubscribe: async (token: string) => {
+    return apiFetch('/reminders/unsubscribe', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+      skipAuth: true,
+    });
+  },
+};
+
 /**
  * Admin API
  */
@@ -474,10 +975,52 @@ export const adminAPI = {
       method: 'POST',
     });
   },
+
+  // Crisis case management
+  listCrisisEvents: async (params?: {
+    status?: string;
+    riskLevel?: string;
+    source?: string;
+    assignedTo?: string;
+    cursor?: string;
+    limit?: number;
+  }) => {
+    const query = new URLSearchParams(params as any).toString();
+    return apiFetch(`/admin/crisis-events${query ? `?${query}` : ''}`);
+  },
+
+  getCrisisEvent: async (id: string) => {
+    return apiFetch(`/admin/crisis-events/${id}`);
+  },
+
+  getCrisisAssignees: async () => {
+    return apiFetch('/admin/crisis-events/assignees');
+  },
+
+  updateCrisisStatus: async (id: string, status: string, resolution?: string) => {
+    return apiFetch(`/admin/crisis-events/${id}/status`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status, resolution }),
+    });
+  },
+
+  assignCrisisEvent: async (id: string, assigneeId: string | null) => {
+    return apiFetch(`/admin/crisis-events/${id}/assign`, {
+      method: 'PATCH',
+      body: JSON.stringify({ assigneeId }),
+    });
+  },
+
+  addCrisisNote: async (id: string, content: string) => {
+    return apiFetch(`/admin/crisis-events/${id}/notes`, {
+      method: 'POST',
+      body: JSON.stringify({ content }),
+    });
+  },
 };
 
 // Export helpers
-export { getUser, clearTokens };
+export { getUser, clearTokens, getAccessToken, refreshAccessToken };
 
 /**
  * Activity API
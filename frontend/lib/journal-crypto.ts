@@ -0,0 +1,140 @@
+/**
+ * End-to-end journal encryption in the browser (WebCrypto).
+ *
+ * A random AES-GCM data key encrypts entries. It is stored on the server only in
+ * wrapped form: once under a key derived from the student's passphrase and once
+ * under a key derived from their recovery code (PBKDF2-SHA256 for both). Unwrapped
+ * keys stay in memory for the session and are never sent anywhere.
+ */
+
+export type Sealed = { iv: string; ciphertext: string }
+export type Kdf = { algorithm?: string; salt: string; iterations: number }
+export type WrappedKey = { version: number; wrappedKey: Sealed; recoveryWrappedKey: Sealed }
+export type EncryptedContent = Sealed & { keyVersion: number }
+
+export type KeyringStatus = {
+  configured: boolean
+  enabled: boolean
+  currentVersion?: number
+  passphraseKdf?: Kdf
+  recoveryKdf?: Kdf
+  keys?: WrappedKey[]
+  pendingReencryption?: number
+}
+
+/** Unwrapped data keys by version */
+export type JournalKeys = Map<number, CryptoKey>
+
+const KDF_ITERATIONS = 310000
+const RECOVERY_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789" // No 0/O or 1/I
+const RECOVERY_GROUPS = 6
+const RECOVERY_GROUP_LENGTH = 4
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+const toBase64 = (bytes: ArrayBuffer | Uint8Array) => {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)
+  let binary = ""
+  view.forEach((b) => { binary += String.fromCharCode(b) })
+  return btoa(binary)
+}
+
+const fromBase64 = (value: string) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0))
+
+const randomBytes = (length: number) => crypto.getRandomValues(new Uint8Array(length))
+
+async function seal(key: CryptoKey, data: BufferSource): Promise<Sealed> {
+  const iv = randomBytes(12)
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, data)
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) }
+}
+
+async function open(key: CryptoKey, sealed: Sealed): Promise<ArrayBuffer> {
+  return crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.ciphertext))
+}
+
+export function newKdf(): Kdf {
+  return { algorithm: "PBKDF2-SHA256", salt: toBase64(randomBytes(16)), iterations: KDF_ITERATIONS }
+}
+
+/** Wrapping key for a passphrase or recovery code */
+export async function deriveWrappingKey(secret: string, kdf: Kdf): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey("raw", encoder.encode(secret), "PBKDF2", false, ["deriveKey"])
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  )
+}
+
+/** Recovery codes are normalized so spacing, dashes and case don't matter */
+export const normalizeRecoveryCode = (code: string) => code.toUpperCase().replace(/[^A-Z0-9]/g, "")
+
+export function generateRecoveryCode(): string {
+  const bytes = randomBytes(RECOVERY_GROUPS * RECOVERY_GROUP_LENGTH)
+  const chars = Array.from(bytes, (b) => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length])
+  const groups = []
+  for (let i = 0; i < chars.length; i += RECOVERY_GROUP_LENGTH) groups.push(chars.slice(i, i + RECOVERY_GROUP_LENGTH).join(""))
+  return groups.join("-")
+}
+
+export async function generateDataKey(): Promise<CryptoKey> {
+  return crypto.subtle.generateKey({ name: "AES-GCM", length: 256 }, true, ["encrypt", "decrypt"])
+}
+
+/** Wrap data keys under a passphrase and a recovery code, with fresh KDF salts */
+export async function wrapKeys(keys: JournalKeys, passphrase: string, recoveryCode: string) {
+  const passphraseKdf = newKdf()
+  const recoveryKdf = newKdf()
+  const [passphraseKey, recoveryKey] = await Promise.all([
+    deriveWrappingKey(passphrase, passphraseKdf),
+    deriveWrappingKey(normalizeRecoveryCode(recoveryCode), recoveryKdf),
+  ])
+
+  const wrapped: WrappedKey[] = []
+  for (const [version, key] of Array.from(keys.entries())) {
+    const raw = await crypto.subtle.exportKey("raw", key)
+    wrapped.push({ version, wrappedKey: await seal(passphraseKey, raw), recoveryWrappedKey: await seal(recoveryKey, raw) })
+  }
+  return { passphraseKdf, recoveryKdf, keys: wrapped }
+}
+
+/**
+ * Unwrap every data key with the passphrase, or with the recovery code
+ * @throws when the passphrase or code is wrong (AES-GCM authentication fails)
+ */
+export async function unlockKeys(status: KeyringStatus, secret: string, { recovery = false } = {}): Promise<JournalKeys> {
+  const kdf = recovery ? status.recoveryKdf! : status.passphraseKdf!
+  const wrappingKey = await deriveWrappingKey(recovery ? normalizeRecoveryCode(secret) : secret, kdf)
+
+  const keys: JournalKeys = new Map()
+  for (const wrapped of status.keys || []) {
+    const raw = await open(wrappingKey, recovery ? wrapped.recoveryWrappedKey : wrapped.wrappedKey)
+    keys.set(wrapped.version, await crypto.subtle.importKey("raw", raw, "AES-GCM", true, ["encrypt", "decrypt"]))
+  }
+  return keys
+}
+
+export async function encryptContent(keys: JournalKeys, version: number, content: string): Promise<EncryptedContent> {
+  const key = keys.get(version)
+  if (!key) throw new Error(`Journal key version ${version} is not unlocked`)
+  return { ...(await seal(key, encoder.encode(content))), keyVersion: version }
+}
+
+export async function decryptContent(keys: JournalKeys, e2e: EncryptedContent): Promise<string> {
+  const key = keys.get(e2e.keyVersion)
+  if (!key) throw new Error(`Journal key version ${e2e.keyVersion} is not unlocked`)
+  return decoder.decode(await open(key, e2e))
+}
+
+// Unlocked keys live in memory only, so they survive client-side navigation but not a reload
+let sessionKeys: JournalKeys | null = null
+
+export const getSessionKeys = () => sessionKeys
+
+export function setSessionKeys(keys: JournalKeys | null) {
+  sessionKeys = keys
+}